@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../PondUtils.sol";
+
+/**
+ * @title PondUtilsHarness
+ * @dev Exposes the internal PondUtils date helpers so tests can compare them
+ * against the off-chain schedule calculator. Not deployed anywhere.
+ */
+contract PondUtilsHarness {
+    function truncateToDay(uint256 _timestamp) external pure returns (uint256) {
+        return PondUtils.truncateToDay(_timestamp);
+    }
+
+    function getDayOfWeek(uint256 _timestamp) external pure returns (uint256) {
+        return PondUtils.getDayOfWeek(_timestamp);
+    }
+
+    function getFirstOfMonthTimestamp(uint256 _timestamp) external pure returns (uint256) {
+        return PondUtils.getFirstOfMonthTimestamp(_timestamp);
+    }
+
+    function timestampToDate(uint256 _timestamp) external pure returns (uint256 year, uint256 month, uint256 day) {
+        return PondUtils.timestampToDate(_timestamp);
+    }
+
+    function dateToTimestamp(uint256 _year, uint256 _month, uint256 _day) external pure returns (uint256) {
+        return PondUtils.dateToTimestamp(_year, _month, _day);
+    }
+}
@@ -1,9 +1,27 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+const { hardhatNetworks } = require("./lib/networks");
+
 require("./tasks/query-ponds");
 require("./tasks/simulate-tosses");
 require("./tasks/emergency-refund");
+require("./tasks/deployments");
+require("./tasks/pond-id");
+require("./tasks/pond-schedule");
+require("./tasks/decode-revert");
+require("./tasks/keeper");
+require("./tasks/cancel-tx");
+require("./tasks/monitor");
+require("./tasks/lease-server");
+require("./tasks/upkeep");
+require("./tasks/pond-info");
+require("./tasks/winners");
+require("./tasks/leaderboard");
+require("./tasks/fees");
+require("./tasks/ponds-watch");
+require("./tasks/report-html");
+require("./tasks/wallet");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -17,23 +35,7 @@ module.exports = {
 			viaIR: true,
 		},
 	},
-	networks: {
-		hyperliquid_testnet: {
-			url: "https://rpc.hyperliquid-testnet.xyz/evm",
-			accounts: [process.env.PRIVATE_KEY],
-			chainId: 998,
-		},
-		hyperliquid_mainnet: {
-			url: "https://rpc.hyperliquid.xyz/evm",
-			accounts: [process.env.PRIVATE_KEY],
-			chainId: 999,
-		},
-		'hyperevm-mainnet': {
-			url: 'https://rpc.hyperliquid.xyz/evm',
-			accounts: [process.env.PRIVATE_KEY],
-			chainId: 999,
-		},
-	},
+	networks: hardhatNetworks(process.env.PRIVATE_KEY),
 	etherscan: {
 		apiKey: {
 			'hyperevm-mainnet': 'empty',
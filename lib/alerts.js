@@ -0,0 +1,300 @@
+// lib/alerts.js
+const fs = require("node:fs");
+const path = require("node:path");
+
+const SEVERITIES = ["info", "warning", "critical"];
+
+const SEVERITY_EMOJI = { info: "ℹ️", warning: "⚠️", critical: "🚨" };
+const SEVERITY_COLOR = { info: "#3b82f6", warning: "#f59e0b", critical: "#dc2626" };
+
+const DEFAULT_OPTIONS = {
+	dedupeWindow: 3600, // seconds an alert key stays quiet after it was sent
+	rateLimit: 10, // alerts sent per rateWindow across all keys
+	rateWindow: 300, // seconds
+	timeout: 10, // seconds per webhook request
+	minSeverity: "info",
+};
+
+// Fields as [name, value] pairs with the values stringified
+function fieldEntries(alert) {
+	return Object.entries(alert.fields || {}).map(([name, value]) => [name, String(value)]);
+}
+
+function headline(alert) {
+	return `${SEVERITY_EMOJI[alert.severity] || ""} ${alert.title}`.trim();
+}
+
+// Generic JSON webhook body: the alert itself
+function formatJson(alert) {
+	return alert;
+}
+
+// Slack incoming-webhook body
+function formatSlack(alert) {
+	return {
+		text: `${headline(alert)}\n${alert.message}`,
+		attachments: [
+			{
+				color: SEVERITY_COLOR[alert.severity],
+				fields: fieldEntries(alert).map(([title, value]) => ({ title, value, short: value.length < 40 })),
+				footer: alert.source,
+				ts: Math.floor(Date.parse(alert.at) / 1000),
+			},
+		],
+	};
+}
+
+// Discord webhook body
+function formatDiscord(alert) {
+	return {
+		content: headline(alert),
+		embeds: [
+			{
+				title: alert.title,
+				description: alert.message.slice(0, 4096),
+				color: Number.parseInt(SEVERITY_COLOR[alert.severity].slice(1), 16),
+				fields: fieldEntries(alert)
+					.slice(0, 25)
+					.map(([name, value]) => ({ name, value: value.slice(0, 1024), inline: value.length < 40 })),
+				footer: alert.source ? { text: alert.source } : undefined,
+				timestamp: alert.at,
+			},
+		],
+	};
+}
+
+const FORMATS = {
+	json: formatJson,
+	slack: formatSlack,
+	discord: formatDiscord,
+};
+
+// POST alerts to a URL in one of the FORMATS
+function webhookSink(url, { format = "json", headers = {}, timeout = DEFAULT_OPTIONS.timeout, name } = {}) {
+	const formatter = FORMATS[format];
+	if (!formatter) {
+		throw new Error(`❌ Unknown alert format "${format}" (expected ${Object.keys(FORMATS).join(", ")})`);
+	}
+
+	return {
+		name: name || `${format} ${new URL(url).host}`,
+		async send(alert) {
+			const res = await fetch(url, {
+				method: "POST",
+				headers: { "Content-Type": "application/json", ...headers },
+				body: JSON.stringify(formatter(alert)),
+				signal: AbortSignal.timeout(timeout * 1000),
+			});
+			if (!res.ok) {
+				throw new Error(`HTTP ${res.status} ${res.statusText}`);
+			}
+		},
+	};
+}
+
+// Append alerts to a file, one JSON object per line
+function fileSink(file, { name } = {}) {
+	return {
+		name: name || `file ${file}`,
+		async send(alert) {
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.appendFileSync(file, `${JSON.stringify(alert)}\n`);
+		},
+	};
+}
+
+// Build a sink from a config entry: { type: "webhook" | "slack" | "discord" | "file", url | path }
+function createSink(config, { baseDir = process.cwd(), timeout } = {}) {
+	switch (config.type) {
+		case "webhook":
+			return webhookSink(config.url, { format: config.format || "json", headers: config.headers, timeout, name: config.name });
+		case "slack":
+		case "discord":
+			return webhookSink(config.url, { format: config.type, headers: config.headers, timeout, name: config.name });
+		case "file":
+			return fileSink(path.resolve(baseDir, config.path), { name: config.name });
+		default:
+			throw new Error(`❌ Unknown alert sink type "${config.type}"`);
+	}
+}
+
+/**
+ * Sends alerts to every sink, at most once per key per dedupeWindow and at
+ * most rateLimit per rateWindow overall. Suppressed and rate-limited alerts
+ * are counted and reported on the next alert that goes out. Sink failures are
+ * logged, never thrown: alerting must not take the keeper down with it.
+ */
+class AlertDispatcher {
+	constructor(sinks = [], options = {}) {
+		this.sinks = sinks;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.log = options.logger || console;
+		this.source = options.source || "luckyponds";
+		this.now = options.now || (() => Date.now() / 1000);
+
+		this.lastSent = new Map(); // key -> time sent
+		this.suppressed = new Map(); // key -> duplicates since it was sent
+		this.recent = []; // send times inside the rate window
+		this.dropped = 0; // rate-limited since the last send
+	}
+
+	get enabled() {
+		return this.sinks.length > 0;
+	}
+
+	/**
+	 * Send an alert ({ key, severity, title, message, fields }). Returns
+	 * { sent, reason } where reason is "duplicate", "rate-limited",
+	 * "below-severity" or "no-sinks" when it wasn't.
+	 */
+	async notify(alert) {
+		const now = this.now();
+		const severity = alert.severity || "warning";
+		if (SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(this.options.minSeverity)) {
+			return { sent: false, reason: "below-severity" };
+		}
+		if (!this.enabled) {
+			return { sent: false, reason: "no-sinks" };
+		}
+
+		const key = alert.key || alert.title;
+		const last = this.lastSent.get(key);
+		if (last !== undefined && now - last < this.options.dedupeWindow) {
+			this.suppressed.set(key, (this.suppressed.get(key) || 0) + 1);
+			return { sent: false, reason: "duplicate" };
+		}
+
+		this.recent = this.recent.filter((at) => now - at < this.options.rateWindow);
+		if (this.recent.length >= this.options.rateLimit) {
+			this.dropped++;
+			return { sent: false, reason: "rate-limited" };
+		}
+
+		// Event args are bigints, which JSON sinks can't serialize
+		const fields = Object.fromEntries(
+			Object.entries(alert.fields || {}).map(([name, value]) => [name, typeof value === "bigint" ? value.toString() : value]),
+		);
+		const repeats = this.suppressed.get(key);
+		if (repeats) fields["Repeated"] = `${repeats} more times since the last alert`;
+		if (this.dropped) fields["Rate limited"] = `${this.dropped} other alerts dropped`;
+
+		const full = {
+			key,
+			severity,
+			title: alert.title,
+			message: alert.message || "",
+			fields,
+			source: this.source,
+			at: new Date(now * 1000).toISOString(),
+		};
+
+		this.lastSent.set(key, now);
+		this.suppressed.delete(key);
+		this.recent.push(now);
+		this.dropped = 0;
+
+		await Promise.all(
+			this.sinks.map(async (sink) => {
+				try {
+					await sink.send(full);
+				} catch (error) {
+					this.log.warn(`⚠️ Alert "${full.title}" not delivered to ${sink.name}: ${error.message}`);
+				}
+			}),
+		);
+		return { sent: true, reason: null };
+	}
+
+	// The condition behind `key` is over: its next occurrence alerts straight away
+	resolve(key) {
+		this.lastSent.delete(key);
+		this.suppressed.delete(key);
+	}
+}
+
+/**
+ * Build a dispatcher from an alert config, e.g.
+ * { "sinks": [{ "type": "slack", "url": "https://hooks.slack.com/..." },
+ *             { "type": "file", "path": "logs/alerts.jsonl" }],
+ *   "dedupeWindow": 3600, "rateLimit": 10, "rateWindow": 300,
+ *   "minSeverity": "warning", "lowBalance": "0.5" }
+ */
+function createDispatcher(config = {}, { baseDir, logger, source } = {}) {
+	const timeout = config.timeout ?? DEFAULT_OPTIONS.timeout;
+	const sinks = (config.sinks || []).map((sink) => createSink(sink, { baseDir, timeout }));
+	return new AlertDispatcher(sinks, {
+		dedupeWindow: config.dedupeWindow ?? DEFAULT_OPTIONS.dedupeWindow,
+		rateLimit: config.rateLimit ?? DEFAULT_OPTIONS.rateLimit,
+		rateWindow: config.rateWindow ?? DEFAULT_OPTIONS.rateWindow,
+		minSeverity: config.minSeverity ?? DEFAULT_OPTIONS.minSeverity,
+		logger,
+		source,
+	});
+}
+
+// Read an alert config file; relative file sink paths resolve against the file's directory
+function loadAlertConfig(file) {
+	const config = JSON.parse(fs.readFileSync(file, "utf8"));
+	return { config, baseDir: path.dirname(path.resolve(file)) };
+}
+
+/**
+ * Alert for a PondCore event worth telling someone about, or null.
+ * `pondName` labels the pond and `amount` is the event amount formatted with its token.
+ */
+function alertForEvent(event, { pondName, txHash, amount } = {}) {
+	const { args } = event;
+	const fields = { Pond: pondName || args.pondType };
+	if (txHash) fields["Transaction"] = txHash;
+
+	if (event.name === "ParticipantLimitWarning") {
+		return {
+			key: `participant-limit:${args.pondType}`,
+			severity: "warning",
+			title: "Pond close to its participant limit",
+			message: `${fields.Pond} has ${args.participantCount} participants, over the warning threshold of ${args.warningThreshold}.`,
+			fields: { ...fields, Participants: args.participantCount, Threshold: args.warningThreshold },
+		};
+	}
+	if (event.name === "EmergencyAction") {
+		return {
+			key: `emergency:${args.actionType}:${args.pondType}`,
+			severity: args.actionType === "largePondReset" ? "warning" : "critical",
+			title: `Emergency action: ${args.actionType}`,
+			message:
+				args.actionType === "largePondReset"
+					? `${fields.Pond} reset with ${args.amount} participants; their entries need batchClearParticipants.`
+					: `${args.actionType} on ${fields.Pond}.`,
+			fields:
+				args.actionType === "largePondReset"
+					? { ...fields, Participants: args.amount }
+					: { ...fields, Recipient: args.recipient, Amount: amount ?? args.amount.toString() },
+		};
+	}
+	if (event.name === "ConfigChanged") {
+		const addressChange = args.oldAddress !== args.newAddress;
+		if (/^0x0+$/.test(args.pondType)) delete fields.Pond; // Global setting
+		return {
+			key: `config:${args.configType}:${args.pondType}:${addressChange ? args.newAddress : args.newValue}`,
+			severity: "info",
+			title: `Config changed: ${args.configType}`,
+			message: addressChange
+				? `${args.configType} changed from ${args.oldAddress} to ${args.newAddress}.`
+				: `${args.configType} changed from ${args.oldValue} to ${args.newValue}.`,
+			fields,
+		};
+	}
+	return null;
+}
+
+module.exports = {
+	AlertDispatcher,
+	FORMATS,
+	SEVERITIES,
+	alertForEvent,
+	createDispatcher,
+	createSink,
+	fileSink,
+	loadAlertConfig,
+	webhookSink,
+};
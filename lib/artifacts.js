@@ -0,0 +1,51 @@
+// lib/artifacts.js
+const fs = require("node:fs");
+const path = require("node:path");
+
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, "../artifacts");
+
+const abiCache = {};
+
+// Recursively find `<name>.json` under the Hardhat artifacts directory
+function findArtifactFile(dir, name) {
+	if (!fs.existsSync(dir)) return null;
+
+	for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		const fullPath = path.join(dir, entry.name);
+		if (entry.isDirectory()) {
+			if (entry.name === "build-info") continue;
+			const found = findArtifactFile(fullPath, name);
+			if (found) return found;
+		} else if (entry.name === `${name}.json`) {
+			return fullPath;
+		}
+	}
+
+	return null;
+}
+
+// Load a contract ABI, from hre when available, otherwise from compiled artifacts on disk
+function loadAbi(name, { hre = null, artifactsDir = DEFAULT_ARTIFACTS_DIR } = {}) {
+	if (hre) {
+		return hre.artifacts.readArtifactSync(name).abi;
+	}
+
+	const cacheKey = `${artifactsDir}:${name}`;
+	if (abiCache[cacheKey]) return abiCache[cacheKey];
+
+	const artifactPath = findArtifactFile(artifactsDir, name);
+	if (!artifactPath) {
+		throw new Error(
+			`❌ No compiled artifact for ${name} in ${artifactsDir}. Run \`npx hardhat compile\` first.`,
+		);
+	}
+
+	const { abi } = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+	abiCache[cacheKey] = abi;
+	return abi;
+}
+
+module.exports = {
+	DEFAULT_ARTIFACTS_DIR,
+	loadAbi,
+};
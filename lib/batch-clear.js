@@ -0,0 +1,177 @@
+// lib/batch-clear.js
+//
+// Follow-up for `_resetPond` on ponds with more participants than
+// emergencyBatchSize: it only emits EmergencyAction("largePondReset") and
+// leaves the old round's participant mappings for batchClearParticipants.
+
+const { extractRevertData } = require("./errors");
+
+const DEFAULT_OPTIONS = {
+	gasTarget: 5_000_000n, // aim for chunks of about this much gas
+	probeSize: 10, // participants in the chunk used to measure gas per participant
+	confirmTimeout: 120, // seconds to wait for each chunk's receipt
+	onReceipt: null, // called with the receipt of every mined chunk
+	txs: null, // TxManager to send through (default: the client's)
+};
+
+function isTimeout(error) {
+	return error?.code === "TIMEOUT";
+}
+
+// A new job for a largePondReset event
+function newClearJob({ pondType, name, participantCount, blockNumber }) {
+	return {
+		pondType,
+		name,
+		participantCount: Number(participantCount),
+		nextIndex: 0,
+		pending: null, // TxManager record (plus endIndex) while a chunk is unconfirmed
+		blockNumber,
+		startedAt: new Date().toISOString(),
+	};
+}
+
+/**
+ * Runs chunked batchClearParticipants calls for a clear job until the
+ * participant list is gone. Jobs are plain objects; `onProgress` is called
+ * after every change so the caller can persist them and resume later.
+ * Re-clearing an index is harmless, so a chunk lost in a crash is just re-sent.
+ */
+class BatchClearer {
+	constructor(client, options = {}) {
+		this.client = client;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.log = options.logger || console;
+		this.txs = this.options.txs || client.transactions();
+	}
+
+	// Current length of pondParticipants for a pond
+	async listLength(pondType) {
+		return (await this.client.core.getPondParticipants(pondType)).length;
+	}
+
+	// Gas to clear [start, endIndex), or null if that runs out of gas even at the block gas limit
+	async estimateClear(pondType, start, endIndex) {
+		try {
+			return await this.client.core.batchClearParticipants.estimateGas(pondType, start, endIndex);
+		} catch (error) {
+			if (extractRevertData(error)) throw error;
+			return null;
+		}
+	}
+
+	/**
+	 * How many participants fit in one chunk starting at `start`. The chunk
+	 * that reaches the end of the list (`length`) also deletes the list, which
+	 * costs gas per entry of the whole list: that one is estimated as is and
+	 * halved until it fits, leaving the delete to a smaller final chunk.
+	 */
+	async chunkSize(pondType, start, end, length) {
+		const probe = Math.min(this.options.probeSize, end - start);
+		const probeGas = await this.client.core.batchClearParticipants.estimateGas(pondType, start, start + probe);
+		const perParticipant = probeGas / BigInt(probe);
+		let size = Math.max(1, Math.min(end - start, Number(this.options.gasTarget / perParticipant)));
+		if (start + size < length) return size;
+
+		const { gasLimit } = await this.client.provider.getBlock("latest");
+		const limit = gasLimit < this.options.gasTarget ? gasLimit : this.options.gasTarget;
+		while (size > 1) {
+			const gas = await this.estimateClear(pondType, start, start + size);
+			if (gas !== null && gas <= limit) break;
+			size = Math.floor(size / 2);
+		}
+		return size;
+	}
+
+	// Wait for a chunk; returns false if it is still pending after the timeout
+	async confirm(job, onProgress) {
+		try {
+			const receipt = await this.txs.wait(job.pending, {
+				timeout: this.options.confirmTimeout,
+				onBroadcast: () => onProgress(job),
+			});
+			if (this.options.onReceipt) this.options.onReceipt(receipt);
+		} catch (error) {
+			if (isTimeout(error)) return false;
+			throw error;
+		}
+		job.nextIndex = job.pending.endIndex;
+		job.pending = null;
+		return true;
+	}
+
+	// Settle a chunk sent by an earlier cycle or run; returns false while it is still pending
+	async settlePending(job) {
+		const { txs } = this;
+		const status = await txs.status(job.pending);
+		if (status.state === "mined") {
+			if (this.options.onReceipt) this.options.onReceipt(status.receipt);
+			if (status.receipt.status === 1) job.nextIndex = job.pending.endIndex;
+			job.pending = null;
+			return true;
+		}
+		if (status.state === "pending") {
+			if (txs.isStuck(job.pending)) await txs.rebroadcast(job.pending);
+			return false;
+		}
+		// Dropped or its nonce went elsewhere: send it again
+		job.pending = null;
+		txs.resyncNonce();
+		return true;
+	}
+
+	/**
+	 * Clear participants [job.nextIndex, job.participantCount). Only the old
+	 * round's entries are cleared: anyone who joined the new round since the
+	 * reset sits after them in the list and must keep their data.
+	 * Returns "done", "pending" (a chunk is unconfirmed) or "stopped".
+	 */
+	async run(job, { onProgress = () => {}, shouldStop = () => false } = {}) {
+		const { core } = this.client;
+
+		if (job.pending && !(await this.settlePending(job))) {
+			return "pending";
+		}
+		onProgress(job);
+
+		const length = await this.listLength(job.pondType);
+		if (length === 0) {
+			this.log.info(`🧹 ${job.name}: participant list already cleared`);
+			return "done";
+		}
+		if (length > job.participantCount) {
+			this.log.warn(
+				`⚠️ ${job.name}: ${length - job.participantCount} participants joined before clearing; clearing the first ${job.participantCount} only, the list itself stays until the next reset`,
+			);
+		}
+
+		const end = Math.min(job.participantCount, length);
+		while (job.nextIndex < end) {
+			if (shouldStop()) return "stopped";
+
+			const start = job.nextIndex;
+			const size = await this.chunkSize(job.pondType, start, end, length);
+			const endIndex = start + size;
+
+			const request = await core.batchClearParticipants.populateTransaction(job.pondType, start, endIndex);
+			job.pending = await this.txs.submit(request, { name: `${job.name} clear ${start}-${endIndex}`, endIndex });
+			onProgress(job);
+
+			if (!(await this.confirm(job, onProgress))) {
+				this.log.warn(`⏳ ${job.name}: clear chunk ${job.pending.hash} not mined yet, resuming next cycle`);
+				return "pending";
+			}
+			onProgress(job);
+
+			const percent = Math.floor((job.nextIndex * 100) / end);
+			this.log.info(`🧹 ${job.name}: cleared ${job.nextIndex}/${end} participants (${percent}%)`);
+		}
+
+		return "done";
+	}
+}
+
+module.exports = {
+	BatchClearer,
+	newClearJob,
+};
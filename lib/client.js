@@ -0,0 +1,323 @@
+// lib/client.js
+const { getNetworkInfo, getHreNetworkInfo } = require("./networks");
+const { loadAbi } = require("./artifacts");
+const { getContractAddress, registryPath } = require("./deployments");
+const { TokenResolver, formatAmount, parseAmount } = require("./tokens");
+const {
+	decodeConfig,
+	decodePondStatus,
+	decodePond,
+	decodePondDisplayInfo,
+} = require("./models");
+const { decodeError, describeError } = require("./errors");
+const { STANDARD_PERIODS, standardPondIds } = require("./pond-ids");
+const { TxManager } = require("./tx-manager");
+
+// Environment variable suffixes for each contract we know how to locate
+const ADDRESS_ENV_KEYS = {
+	PondCore: "POND_CORE_ADDRESS",
+	PondFactory: "POND_FACTORY_ADDRESS",
+};
+
+// Resolve a contract address: explicit value, then env var, then the deployment registry
+function resolveContractAddress(name, network, explicit, ethersLib, { deploymentsDir } = {}) {
+	if (explicit) {
+		if (!ethersLib.isAddress(explicit)) {
+			throw new Error(`❌ Invalid ${name} address: ${explicit}`);
+		}
+		return { address: ethersLib.getAddress(explicit), source: "argument" };
+	}
+
+	const envKey = `${network.configPrefix}_${ADDRESS_ENV_KEYS[name]}`;
+	const fromEnv = process.env[envKey];
+	if (fromEnv) {
+		if (!ethersLib.isAddress(fromEnv)) {
+			throw new Error(`❌ Invalid ${envKey}: ${fromEnv}`);
+		}
+		return { address: ethersLib.getAddress(fromEnv), source: envKey };
+	}
+
+	const fromRegistry = getContractAddress(network.chainId, name, { dir: deploymentsDir });
+	if (fromRegistry) {
+		const file = registryPath(network.chainId, deploymentsDir);
+		return {
+			address: ethersLib.getAddress(fromRegistry.address),
+			source: `${file} (${fromRegistry.deploymentId})`,
+		};
+	}
+
+	return { address: null, source: envKey };
+}
+
+/**
+ * Bundles the PondCore/PondFactory contracts, signer, provider and network info
+ * that every task and script needs. Build one with `PondClient.fromHre` inside
+ * Hardhat, or `PondClient.fromProvider` from plain Node.
+ */
+class PondClient {
+	constructor({ hre = null, ethers, provider, signer, network, core, factory, addresses, artifactsDir }) {
+		this.hre = hre;
+		this.ethers = ethers;
+		this.provider = provider;
+		this.signer = signer || null;
+		this.network = network;
+		this.core = core;
+		this.factory = factory || null;
+		this.addresses = addresses;
+		this.artifactsDir = artifactsDir;
+		this._config = null;
+		this._txs = null;
+		this.tokens = new TokenResolver({
+			chainId: network.chainId,
+			nativeSymbol: network.nativeSymbol,
+			// Local chains reuse addresses across restarts, so never persist their tokens
+			cacheDir: network.isLocal ? null : undefined,
+			fetchMetadata: async (address) => {
+				const token = await this.getContract("IERC20Metadata", address, this.provider);
+				const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+				return { symbol, decimals };
+			},
+		});
+	}
+
+	// Build a client inside a Hardhat task or `npx hardhat run` script
+	static async fromHre(hre, options = {}) {
+		const { ethers } = hre;
+		const provider = ethers.provider;
+		const network = await getHreNetworkInfo(hre);
+
+		let signer = options.signer || null;
+		if (!signer && options.privateKey) {
+			signer = new ethers.Wallet(options.privateKey, provider);
+		}
+		if (!signer && !options.readOnly) {
+			const signers = await ethers.getSigners();
+			signer = signers[0] || null;
+		}
+
+		return PondClient._connect({ hre, ethers, provider, signer, network }, options);
+	}
+
+	// Build a client from a plain ethers provider (no Hardhat runtime required)
+	static async fromProvider(provider, options = {}) {
+		const ethers = require("ethers");
+		const { chainId } = await provider.getNetwork();
+		const network = getNetworkInfo(chainId, options.networkName);
+
+		let signer = options.signer || null;
+		if (!signer && options.privateKey) {
+			signer = new ethers.Wallet(options.privateKey, provider);
+		}
+
+		return PondClient._connect(
+			{ ethers, provider, signer, network, artifactsDir: options.artifactsDir },
+			options,
+		);
+	}
+
+	static async _connect(context, options) {
+		const { ethers, network } = context;
+
+		const lookup = { deploymentsDir: options.deploymentsDir };
+		const coreAddress = resolveContractAddress("PondCore", network, options.core, ethers, lookup);
+		const factoryAddress = resolveContractAddress("PondFactory", network, options.factory, ethers, lookup);
+
+		if (!coreAddress.address) {
+			throw new Error(
+				`❌ Missing or invalid ${coreAddress.source} and no current deployment for chain ${network.chainId}`,
+			);
+		}
+		if (options.requireFactory && !factoryAddress.address) {
+			throw new Error(
+				`❌ Missing or invalid ${factoryAddress.source} and no current deployment for chain ${network.chainId}`,
+			);
+		}
+
+		const client = new PondClient({
+			...context,
+			addresses: { PondCore: coreAddress, PondFactory: factoryAddress },
+		});
+
+		client.core = await client.getContract("PondCore", coreAddress.address);
+		if (factoryAddress.address) {
+			client.factory = await client.getContract("PondFactory", factoryAddress.address);
+		}
+
+		return client;
+	}
+
+	get coreAddress() {
+		return this.addresses.PondCore.address;
+	}
+
+	get factoryAddress() {
+		return this.addresses.PondFactory.address;
+	}
+
+	get signerAddress() {
+		return this.signer ? this.signer.address : null;
+	}
+
+	// Attach any compiled contract (or interface) at an address using this client's signer
+	async getContract(name, address, runner = this.signer || this.provider) {
+		if (this.hre) {
+			return this.hre.ethers.getContractAt(name, address, runner);
+		}
+		const abi = loadAbi(name, { artifactsDir: this.artifactsDir });
+		return new this.ethers.Contract(address, abi, runner);
+	}
+
+	// Same client, different signer
+	connect(signer) {
+		const client = new PondClient({ ...this, signer });
+		client.core = this.core.connect(signer);
+		client.factory = this.factory ? this.factory.connect(signer) : null;
+		return client;
+	}
+
+	// Transaction manager for the signer; one per client so nonces are counted in one place
+	transactions(options = {}) {
+		if (!this._txs) {
+			this._txs = new TxManager(this.signer, options);
+		}
+		return this._txs;
+	}
+
+	// Symbol and decimals for a pond token (zero address = native token)
+	async token(tokenAddress) {
+		return this.tokens.resolve(tokenAddress);
+	}
+
+	// Raw units for a human amount of any pond token ("1.5" -> 1500000n for USDC)
+	async parseToken(amount, tokenAddress) {
+		return parseAmount(amount, await this.token(tokenAddress));
+	}
+
+	// Format a raw amount of any pond token ("1.5 USDC")
+	async formatToken(amount, tokenAddress) {
+		return formatAmount(amount, await this.token(tokenAddress));
+	}
+
+	formatNative(amount) {
+		return `${this.ethers.formatEther(amount)} ${this.network.nativeSymbol}`;
+	}
+
+	async balance(address = this.signerAddress) {
+		return this.provider.getBalance(address);
+	}
+
+	// Latest block timestamp - use this rather than the local clock for pond timing
+	async now() {
+		const block = await this.provider.getBlock("latest");
+		return block.timestamp;
+	}
+
+	// PondCore config with named fields (cached; pass refresh after config changes)
+	async getConfig({ refresh = false } = {}) {
+		if (!this._config || refresh) {
+			this._config = decodeConfig(await this.core.getConfig());
+		}
+		return this._config;
+	}
+
+	// Named `getPondStatus` with token info, formatted amounts and selection timing
+	async getPondStatus(pondType) {
+		const [raw, config, now] = await Promise.all([
+			this.core.getPondStatus(pondType),
+			this.getConfig(),
+			this.now(),
+		]);
+		const token = await this.token(raw[11]);
+		return decodePondStatus(pondType, raw, { token, config, now });
+	}
+
+	// Named `ponds()` struct; a pond that was never created has endTime 0
+	async getPond(pondType) {
+		const [raw, config, now] = await Promise.all([
+			this.core.ponds(pondType),
+			this.getConfig(),
+			this.now(),
+		]);
+		const token = await this.token(raw[9]);
+		return decodePond(raw, { token, config, now });
+	}
+
+	// The five standard pond slots for a token (zero address = native)
+	async getStandardPonds(tokenAddress = this.ethers.ZeroAddress) {
+		const ponds = await this.core.getStandardPondsForUI(tokenAddress);
+		return ponds.map(decodePondDisplayInfo);
+	}
+
+	/**
+	 * Every pond on PondCore as { pondType, tokenAddress, period, standard }:
+	 * the standard ponds of each supported token (native first, in period
+	 * order) that exist, then the rest as custom ponds (tokenAddress null until
+	 * their status is read). Without a factory only native standard IDs are known.
+	 */
+	async listPonds() {
+		const { ZeroAddress } = this.ethers;
+		const pondTypes = await this.core.getAllPondTypes();
+		const existing = new Set(pondTypes.map((pondType) => pondType.toLowerCase()));
+
+		const supported = this.factory ? await this.factory.getAllSupportedTokens() : [];
+		const tokens = [ZeroAddress, ...supported.filter((address) => address !== ZeroAddress)];
+
+		const ponds = [];
+		const standardIds = new Set();
+		for (const tokenAddress of tokens) {
+			const ids = this.factory
+				? await this.factory.getTokenStandardPondIds(tokenAddress)
+				: Object.values(standardPondIds(tokenAddress));
+			STANDARD_PERIODS.forEach((period, index) => {
+				const pondType = ids[index].toLowerCase();
+				standardIds.add(pondType);
+				if (existing.has(pondType)) {
+					ponds.push({ pondType, tokenAddress, period, standard: true });
+				}
+			});
+		}
+
+		for (const pondType of pondTypes) {
+			if (!standardIds.has(pondType.toLowerCase())) {
+				ponds.push({ pondType: pondType.toLowerCase(), tokenAddress: null, period: null, standard: false });
+			}
+		}
+		return ponds;
+	}
+
+	// Decoded PondCore/PondFactory custom error from a thrown call, or null
+	decodeError(error) {
+		return decodeError(error, { hre: this.hre, artifactsDir: this.artifactsDir });
+	}
+
+	// One-line error description for logs, with the custom error explained when there is one
+	describeError(error) {
+		return describeError(error, { hre: this.hre, artifactsDir: this.artifactsDir });
+	}
+
+	// The network / contract / account header every script prints
+	async printSummary({ balance = true, chainId = false } = {}) {
+		console.log(`🌐 Network: ${this.network.name} (${this.network.label})`);
+		if (chainId) {
+			console.log(`⛓️ Chain ID: ${this.network.chainId}`);
+		}
+
+		console.log(`🌟 PondCore: ${this.coreAddress}`);
+		if (this.factoryAddress) {
+			console.log(`🏭 PondFactory: ${this.factoryAddress}`);
+		}
+
+		if (this.signer) {
+			console.log(`👨‍💻 Using account: ${this.signerAddress}`);
+			if (balance) {
+				console.log(`💎 Balance: ${this.formatNative(await this.balance())}`);
+			}
+		}
+	}
+}
+
+module.exports = {
+	ADDRESS_ENV_KEYS,
+	PondClient,
+	resolveContractAddress,
+};
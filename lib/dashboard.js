@@ -0,0 +1,208 @@
+// lib/dashboard.js
+// Live pond dashboard for `ponds-watch`: every refresh reads all ponds and
+// polls new CoinTossed / PondTopUp / LuckyWinnerSelected logs into a feed.
+const { Table } = require("console-table-printer");
+const { scanEvents } = require("./history");
+
+const DEFAULT_OPTIONS = {
+	feedSize: 15, // feed lines kept on screen
+	logChunk: 2000, // blocks per getLogs request
+	pondTypes: null, // only these ponds (default: every pond on PondCore)
+};
+
+// Events shown in the feed
+const FEED_EVENTS = ["CoinTossed", "PondTopUp", "LuckyWinnerSelected"];
+
+// "2d 03h", "1h 05m", "4m 09s"; a countdown that fits a table cell
+function formatCountdown(seconds) {
+	if (seconds <= 0) return "0s";
+	const pad = (value) => String(value).padStart(2, "0");
+	const days = Math.floor(seconds / 86400);
+	const hours = Math.floor((seconds % 86400) / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+	if (days > 0) return `${days}d ${pad(hours)}h`;
+	if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+	return `${minutes}m ${pad(seconds % 60)}s`;
+}
+
+function shortAddress(address) {
+	return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Where a pond stands at chain time `now`: "upcoming", "open", "timelock"
+ * (ended, awaiting selection) or "selectable" (past the timelock), with the
+ * seconds until the next change of state.
+ */
+function pondPhase(pond, now) {
+	if (now < pond.startTime) return { phase: "upcoming", remaining: pond.startTime - now };
+	if (now <= pond.endTime) return { phase: "open", remaining: pond.endTime - now };
+	if (now < pond.selectionEligibleAt) return { phase: "timelock", remaining: pond.selectionEligibleAt - now };
+	return { phase: "selectable", remaining: now - pond.selectionEligibleAt };
+}
+
+/**
+ * Keeps the state behind the dashboard. `refresh` is one poll; `render` turns
+ * the latest state into the full screen as a string. The feed starts at the
+ * latest block unless `fromBlock` is given.
+ */
+class PondDashboard {
+	constructor(client, options = {}) {
+		this.client = client;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.lastBlock = options.fromBlock === undefined ? null : options.fromBlock - 1;
+		this.feed = [];
+		this.ponds = [];
+		this.known = new Map(); // pondType => { name, tokenAddress }
+		this.now = null;
+		this.blockNumber = null;
+		this.error = null;
+	}
+
+	// Read every pond and any new feed events
+	async refresh() {
+		const { client } = this;
+		const latest = await client.provider.getBlock("latest");
+		this.error = null;
+		const pondTypes = this.options.pondTypes || (await client.listPonds()).map((entry) => entry.pondType);
+
+		const ponds = [];
+		for (const pondType of pondTypes) {
+			try {
+				const pond = await client.getPondStatus(pondType);
+				this.known.set(pondType.toLowerCase(), { name: pond.name, tokenAddress: pond.tokenAddress });
+				ponds.push(pond);
+			} catch (error) {
+				this.error = `Pond ${pondType.slice(0, 10)}... could not be read: ${client.describeError(error)}`;
+			}
+		}
+
+		await this.pollEvents(latest.number);
+		this.ponds = ponds;
+		this.now = latest.timestamp;
+		this.blockNumber = latest.number;
+		return this;
+	}
+
+	// Add feed lines for events since the last poll; the first poll only records the block
+	async pollEvents(latestBlock) {
+		if (this.lastBlock === null) {
+			this.lastBlock = latestBlock;
+			return;
+		}
+		if (latestBlock <= this.lastBlock) return;
+
+		const { pondTypes } = this.options;
+		const events = await scanEvents(this.client, {
+			events: FEED_EVENTS,
+			topics: [pondTypes ? pondTypes.map((pondType) => pondType.toLowerCase()) : null],
+			fromBlock: this.lastBlock + 1,
+			toBlock: latestBlock,
+			chunk: this.options.logChunk,
+		});
+		for (const event of events) {
+			this.feed.push(await this.describeEvent(event));
+		}
+		this.feed = this.feed.slice(-this.options.feedSize);
+		this.lastBlock = latestBlock;
+	}
+
+	// One feed line for a scanned event
+	async describeEvent({ name, args, blockNumber }) {
+		const { client } = this;
+		const known = this.known.get(args.pondType.toLowerCase());
+		const pondName = known ? known.name : `${args.pondType.slice(0, 10)}...`;
+		const timestamp = args.timestamp ?? (await client.provider.getBlock(blockNumber)).timestamp;
+		const time = new Date(Number(timestamp) * 1000).toLocaleTimeString();
+
+		switch (name) {
+			case "CoinTossed":
+				return `🪙 ${time} ${shortAddress(args.participant)} tossed ${await client.formatToken(args.amount, args.tokenAddress)} into ${pondName} (toss #${args.totalPondTosses}, pond ${await client.formatToken(args.totalPondValue, args.tokenAddress)})`;
+			case "PondTopUp": {
+				// PondTopUp doesn't carry the token
+				const amount = known ? await client.formatToken(args.amount, known.tokenAddress) : args.amount.toString();
+				return `💧 ${time} ${shortAddress(args.contributor)} topped up ${pondName} with ${amount}`;
+			}
+			case "LuckyWinnerSelected":
+				return `🏆 ${time} ${shortAddress(args.winner)} won ${await client.formatToken(args.prize, args.tokenAddress)} in ${pondName}`;
+			default:
+				return `📣 ${time} ${name} in ${pondName}`;
+		}
+	}
+
+	// The whole screen: header, pond table and feed
+	render() {
+		const { client, now } = this;
+		const lines = [
+			`🐸 Ponds on ${client.network.name} — block ${this.blockNumber}, chain time ${new Date(now * 1000).toLocaleString()}`,
+			`🌟 PondCore: ${client.coreAddress}`,
+		];
+
+		const table = new Table({
+			columns: [
+				{ name: "name", title: "Pond", alignment: "left" },
+				{ name: "phase", title: "Phase", alignment: "left" },
+				{ name: "countdown", title: "Countdown", alignment: "right" },
+				{ name: "tosses", title: "Tosses", alignment: "right" },
+				{ name: "participants", title: "Users", alignment: "right" },
+				{ name: "total", title: "Total Value", alignment: "right" },
+			],
+		});
+
+		let awaiting = 0;
+		for (const pond of this.ponds) {
+			const { phase, remaining } = pondPhase(pond, now);
+			const row = {
+				name: pond.name,
+				phase: "",
+				countdown: "",
+				tosses: pond.totalTosses,
+				participants: pond.totalParticipants,
+				total: pond.formatted.totalValue,
+			};
+			let color = "white";
+			if (phase === "upcoming") {
+				row.phase = "🕒 Upcoming";
+				row.countdown = `opens in ${formatCountdown(remaining)}`;
+				color = "gray";
+			} else if (phase === "open") {
+				row.phase = "🟢 Open";
+				row.countdown = formatCountdown(remaining);
+				color = "green";
+			} else if (phase === "timelock") {
+				row.phase = "⏳ Awaiting selection";
+				row.countdown = `selectable in ${formatCountdown(remaining)}`;
+				color = "yellow";
+				awaiting++;
+			} else if (pond.totalTosses > 0) {
+				row.phase = "⚡ Past timelock";
+				row.countdown = `overdue ${formatCountdown(remaining)}`;
+				color = "red";
+				awaiting++;
+			} else {
+				row.phase = "🔄 Needs reset";
+				row.countdown = `${formatCountdown(remaining)} past timelock`;
+				color = "gray";
+			}
+			table.addRow(row, { color });
+		}
+		lines.push(table.render());
+		if (awaiting > 0) {
+			lines.push(`🚨 ${awaiting} pond${awaiting === 1 ? "" : "s"} waiting for winner selection`);
+		}
+		if (this.error) {
+			lines.push(`❌ ${this.error}`);
+		}
+
+		lines.push("", "📜 Recent events");
+		lines.push(...(this.feed.length > 0 ? this.feed : ["   (waiting for tosses...)"]));
+		return `${lines.join("\n")}\n`;
+	}
+}
+
+module.exports = {
+	FEED_EVENTS,
+	PondDashboard,
+	formatCountdown,
+	pondPhase,
+};
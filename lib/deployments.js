@@ -0,0 +1,255 @@
+// lib/deployments.js
+const fs = require("node:fs");
+const path = require("node:path");
+const { findNetworkByName } = require("./networks");
+
+// Bump when the on-disk layout changes, and teach migrateRegistry about it
+const SCHEMA_VERSION = 1;
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+
+// Keys the old `<network>_<timestamp>.json` files used for contract addresses
+const LEGACY_CONTRACT_KEYS = {
+	pondCore: "PondCore",
+	PondCore: "PondCore",
+	pondFactory: "PondFactory",
+	PondFactory: "PondFactory",
+	luckyPondsDistributor: "LuckyPondsDistributor",
+	hyperFrogsV2: "HyperFrogsV2",
+};
+
+const LEGACY_FILE_PATTERN = /^(.+)_(\d+)(_partial)?\.json$/;
+
+function registryPath(chainId, dir = DEFAULT_DEPLOYMENTS_DIR) {
+	return path.join(dir, `chain-${Number(chainId)}.json`);
+}
+
+function emptyRegistry(chainId, network = null) {
+	return {
+		schemaVersion: SCHEMA_VERSION,
+		chainId: Number(chainId),
+		network,
+		current: null,
+		deployments: [],
+	};
+}
+
+// Reject files written by a newer version of this code, upgrade older ones
+function migrateRegistry(registry, file) {
+	if (typeof registry.schemaVersion !== "number") {
+		throw new Error(`❌ ${file} has no schemaVersion - not a deployment registry`);
+	}
+	if (registry.schemaVersion > SCHEMA_VERSION) {
+		throw new Error(
+			`❌ ${file} uses schema v${registry.schemaVersion}, this checkout only understands v${SCHEMA_VERSION}`,
+		);
+	}
+	return registry;
+}
+
+function loadRegistry(chainId, { dir = DEFAULT_DEPLOYMENTS_DIR } = {}) {
+	const file = registryPath(chainId, dir);
+	if (!fs.existsSync(file)) {
+		return emptyRegistry(chainId);
+	}
+	return migrateRegistry(JSON.parse(fs.readFileSync(file, "utf8")), file);
+}
+
+function saveRegistry(registry, { dir = DEFAULT_DEPLOYMENTS_DIR } = {}) {
+	if (!fs.existsSync(dir)) {
+		fs.mkdirSync(dir, { recursive: true });
+	}
+	const file = registryPath(registry.chainId, dir);
+	fs.writeFileSync(file, `${JSON.stringify(registry, null, 2)}\n`);
+	return file;
+}
+
+function getDeployment(registry, id) {
+	return registry.deployments.find((deployment) => deployment.id === String(id)) || null;
+}
+
+function getCurrentDeployment(registry) {
+	return registry.current ? getDeployment(registry, registry.current) : null;
+}
+
+// Unique, sortable ID derived from the deployment timestamp
+function nextDeploymentId(registry, timestamp) {
+	const base = String(Math.floor(new Date(timestamp).getTime() / 1000));
+	let id = base;
+	for (let i = 1; getDeployment(registry, id); i++) {
+		id = `${base}-${i}`;
+	}
+	return id;
+}
+
+/**
+ * Append a deployment to the chain's history. Complete deployments become
+ * the current pointer unless `promote` is false; partial ones never do.
+ */
+function recordDeployment(chainId, entry, { dir = DEFAULT_DEPLOYMENTS_DIR, promote = true } = {}) {
+	const registry = loadRegistry(chainId, { dir });
+	const timestamp = entry.timestamp || new Date().toISOString();
+
+	const deployment = {
+		id: entry.id || nextDeploymentId(registry, timestamp),
+		timestamp,
+		network: entry.network || null,
+		deployer: entry.deployer || null,
+		status: entry.status || "complete",
+		contracts: { ...(entry.contracts || {}) },
+		transactions: { ...(entry.transactions || {}) },
+		config: { ...(entry.config || {}) },
+	};
+	if (entry.metadata) deployment.metadata = entry.metadata;
+	if (entry.error) deployment.error = entry.error;
+	if (entry.source) deployment.source = entry.source;
+
+	if (getDeployment(registry, deployment.id)) {
+		throw new Error(`❌ Deployment ${deployment.id} already exists for chain ${chainId}`);
+	}
+
+	registry.network = registry.network || deployment.network;
+	registry.deployments.push(deployment);
+	registry.deployments.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+	if (promote && deployment.status === "complete") {
+		registry.current = deployment.id;
+	}
+
+	const file = saveRegistry(registry, { dir });
+	return { deployment, file };
+}
+
+function promoteDeployment(chainId, id, { dir = DEFAULT_DEPLOYMENTS_DIR } = {}) {
+	const registry = loadRegistry(chainId, { dir });
+	const deployment = getDeployment(registry, id);
+
+	if (!deployment) {
+		throw new Error(`❌ No deployment ${id} for chain ${chainId}`);
+	}
+	if (deployment.status !== "complete") {
+		throw new Error(`❌ Deployment ${id} is ${deployment.status} and cannot be promoted`);
+	}
+
+	const previous = registry.current;
+	registry.current = deployment.id;
+	saveRegistry(registry, { dir });
+
+	return { previous, current: deployment.id, deployment };
+}
+
+// Address of a contract in the chain's current deployment (or null)
+function getContractAddress(chainId, name, { dir = DEFAULT_DEPLOYMENTS_DIR } = {}) {
+	const registry = loadRegistry(chainId, { dir });
+	const current = getCurrentDeployment(registry);
+	if (!current || !current.contracts[name]) return null;
+	return { address: current.contracts[name], deploymentId: current.id };
+}
+
+// Field-by-field differences between two deployments
+function diffDeployments(from, to) {
+	const changes = [];
+
+	const compare = (section, a = {}, b = {}) => {
+		const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+		for (const key of [...keys].sort()) {
+			const before = a[key] === undefined ? null : a[key];
+			const after = b[key] === undefined ? null : b[key];
+			if (String(before).toLowerCase() !== String(after).toLowerCase()) {
+				changes.push({ field: `${section}.${key}`, from: before, to: after });
+			}
+		}
+	};
+
+	compare("contracts", from.contracts, to.contracts);
+	compare("config", from.config, to.config);
+	compare("deployment", { deployer: from.deployer, status: from.status }, { deployer: to.deployer, status: to.status });
+
+	return changes;
+}
+
+// Convert one old-style deployment file into a registry entry
+function legacyToEntry(fileName, data) {
+	const match = LEGACY_FILE_PATTERN.exec(fileName);
+	const contracts = {};
+	const metadata = {};
+
+	for (const [key, value] of Object.entries(data)) {
+		if (LEGACY_CONTRACT_KEYS[key]) {
+			contracts[LEGACY_CONTRACT_KEYS[key]] = value;
+		} else if (!["network", "chainId", "deployer", "timestamp", "error", "factoryError"].includes(key)) {
+			metadata[key] = value;
+		}
+	}
+
+	const partial = Boolean(match?.[3] || data.error || data.factoryError);
+	const timestamp =
+		data.timestamp || (match ? new Date(Number(match[2]) * 1000).toISOString() : new Date().toISOString());
+
+	return {
+		timestamp,
+		network: data.network || match?.[1] || null,
+		deployer: data.deployer || null,
+		status: partial ? "partial" : "complete",
+		contracts,
+		config: {
+			feeAddress: metadata.feeAddress,
+			maxParticipantsPerPond: metadata.maxParticipantsPerPond,
+		},
+		metadata,
+		error: data.error || data.factoryError,
+		source: `legacy:${fileName}`,
+	};
+}
+
+/**
+ * Import old `<network>_<timestamp>.json` files into the per-chain registries.
+ * Files already imported are skipped, so this is safe to re-run. An import
+ * only becomes current when the chain has no current deployment or the
+ * current one is an older import.
+ */
+function importLegacyDeployments({ dir = DEFAULT_DEPLOYMENTS_DIR } = {}) {
+	if (!fs.existsSync(dir)) return [];
+
+	const imported = [];
+	const files = fs.readdirSync(dir).filter((file) => LEGACY_FILE_PATTERN.test(file)).sort();
+
+	for (const file of files) {
+		const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+		const entry = legacyToEntry(file, data);
+		const chainId = data.chainId ?? findNetworkByName(entry.network)?.chainId;
+
+		if (chainId === undefined) {
+			console.warn(`⚠️ Skipping ${file}: unknown chain for network "${entry.network}"`);
+			continue;
+		}
+
+		const registry = loadRegistry(chainId, { dir });
+		if (registry.deployments.some((deployment) => deployment.source === entry.source)) {
+			continue;
+		}
+
+		// Never replace a current deployment made by deploy.js; among imports the newest wins
+		const current = getCurrentDeployment(registry);
+		const promote = !current || (Boolean(current.source?.startsWith("legacy:")) && current.timestamp < entry.timestamp);
+		const { deployment } = recordDeployment(chainId, entry, { dir, promote });
+		imported.push({ file, chainId: Number(chainId), id: deployment.id });
+	}
+
+	return imported;
+}
+
+module.exports = {
+	SCHEMA_VERSION,
+	DEFAULT_DEPLOYMENTS_DIR,
+	registryPath,
+	loadRegistry,
+	saveRegistry,
+	getDeployment,
+	getCurrentDeployment,
+	recordDeployment,
+	promoteDeployment,
+	getContractAddress,
+	diffDeployments,
+	importLegacyDeployments,
+};
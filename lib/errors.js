@@ -0,0 +1,297 @@
+// lib/errors.js
+//
+// Decode revert data from PondCore / PondFactory (and the OpenZeppelin code they
+// inherit) into an error name, named arguments and an operator-facing hint.
+const { Interface, id, isHexString } = require("ethers");
+const { loadAbi, DEFAULT_ARTIFACTS_DIR } = require("./artifacts");
+
+// Errors inherited from OpenZeppelin, declared here so decoding does not depend
+// on which of them the compiler chose to include in the artifact ABIs
+const LIBRARY_ERRORS = {
+	AccessControl: [
+		"error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+		"error AccessControlBadConfirmation()",
+	],
+	SafeERC20: [
+		"error SafeERC20FailedOperation(address token)",
+		"error SafeERC20FailedDecreaseAllowance(address spender, uint256 currentAllowance, uint256 requestedDecrease)",
+	],
+	Pausable: ["error EnforcedPause()", "error ExpectedPause()"],
+	ReentrancyGuard: ["error ReentrancyGuardReentrantCall()"],
+	Address: [
+		"error AddressEmptyCode(address target)",
+		"error InsufficientBalance(uint256 balance, uint256 needed)",
+		"error FailedCall()",
+	],
+};
+
+const CONTRACT_NAMES = ["PondCore", "PondFactory"];
+
+// Role hashes, so AccessControl errors can name the missing role
+const ROLE_NAMES = {
+	"0x0000000000000000000000000000000000000000000000000000000000000000": "DEFAULT_ADMIN_ROLE",
+	[id("ADMIN_ROLE")]: "ADMIN_ROLE",
+	[id("POND_MANAGER_ROLE")]: "POND_MANAGER_ROLE",
+	[id("FACTORY_ROLE")]: "FACTORY_ROLE",
+};
+
+// What each error means for whoever is running the task
+const ERROR_EXPLANATIONS = {
+	// PondCore
+	ZeroAddress: "A required address (fee address, token or PondCore) was the zero address.",
+	InvalidPondType: "No pond exists with this ID. Check the pond ID, token and PondCore address.",
+	PondNotOpen: "The pond is outside its start/end window. Wait for the next round or run upkeep first.",
+	PondNotEnded: "The pond has not ended yet.",
+	PrizeAlreadyDistributed: "The prize for this round was already paid out; the pond is waiting to be reset.",
+	NoPondParticipants: "The pond has no participants.",
+	TransferFailed: "Sending native tokens to the winner or fee address failed. Check that they can receive funds.",
+	TokenNotSupported: "The amount or msg.value does not match the pond's token type (native vs ERC20).",
+	TimelockActive: "Winner selection is still timelocked. It opens once endTime + selection timelock has passed (a third of it for five-minute ponds).",
+	AmountTooLow: "The amount is below the pond's minimum toss price (or zero for a top-up).",
+	MaxTossAmountExceeded: "This toss would push the sender past the pond's maximum total toss amount.",
+	PondAlreadyExists: "A pond with this ID already exists.",
+	StandardPondNotRemovable: "Standard ponds cannot be removed, only custom ones.",
+	CannotRemovePondWithActivity: "The pond still has tosses or value and cannot be removed.",
+	FeeToHigh: "Fee percent is capped at 10.",
+	InvalidParameters: "A parameter is out of range: e.g. start >= end, a bad participant index range, a zero batch size or an unsupported token.",
+	WeightedSelectionFailed: "Weighted winner selection found no winner. The pond's toss data looks inconsistent; investigate before retrying.",
+	ParticipantLimitExceeded: "The pond has reached maxParticipantsPerPond; only existing participants can toss again this round.",
+	InvalidBatchSize: "The participant range is larger than the configured emergency batch size.",
+	// PondFactory
+	PondCreationFailed: "PondCore rejected the pond creation. Check that the factory holds FACTORY_ROLE on PondCore.",
+	NotAuthorized: "The caller is not allowed to do this on PondFactory.",
+	// OpenZeppelin
+	AccessControlUnauthorizedAccount: "The sender is missing a role. Grant it with grantRole or use an account that has it.",
+	AccessControlBadConfirmation: "renounceRole must be called by the account renouncing the role.",
+	SafeERC20FailedOperation: "An ERC20 transfer or transferFrom failed. Check the sender's balance and allowance for PondCore.",
+	SafeERC20FailedDecreaseAllowance: "The allowance is lower than the requested decrease.",
+	EnforcedPause: "PondCore is paused. Tosses and winner selection are disabled until an admin unpauses it.",
+	ExpectedPause: "This action is only allowed while PondCore is paused.",
+	ReentrancyGuardReentrantCall: "A reentrant call was blocked.",
+	AddressEmptyCode: "The target address has no contract code.",
+	InsufficientBalance: "The contract balance is too low for this transfer.",
+	FailedCall: "A low-level call failed without a reason.",
+	// Built-in
+	Error: "The contract reverted with a reason string.",
+	Panic: "The contract hit a Solidity panic (assert, overflow, division by zero, out-of-bounds access...).",
+};
+
+// Solidity panic codes
+const PANIC_REASONS = {
+	0x00: "generic compiler panic",
+	0x01: "assert failed",
+	0x11: "arithmetic overflow or underflow",
+	0x12: "division or modulo by zero",
+	0x21: "invalid enum value",
+	0x22: "invalid storage byte array",
+	0x31: "pop on an empty array",
+	0x32: "array index out of bounds",
+	0x41: "out of memory",
+	0x51: "call to an uninitialised function",
+};
+
+const interfaceCache = {};
+
+/**
+ * One Interface holding every error PondCore, PondFactory and their OpenZeppelin
+ * bases can revert with. Errors shared by both contracts (ZeroAddress,
+ * InvalidParameters) have the same selector, so they are listed once with
+ * every contract that declares them.
+ */
+function getErrorRegistry({ hre = null, artifactsDir = DEFAULT_ARTIFACTS_DIR } = {}) {
+	const cacheKey = hre ? "hre" : artifactsDir;
+	if (interfaceCache[cacheKey]) return interfaceCache[cacheKey];
+
+	const sources = {};
+	const fragments = [];
+	const add = (contract, fragment) => {
+		const signature = fragment.format("sighash");
+		if (!sources[signature]) {
+			sources[signature] = [];
+			fragments.push(fragment.format("full"));
+		}
+		if (!sources[signature].includes(contract)) {
+			sources[signature].push(contract);
+		}
+	};
+
+	for (const name of CONTRACT_NAMES) {
+		let abi;
+		try {
+			abi = loadAbi(name, { hre, artifactsDir });
+		} catch (error) {
+			// Still decode the library errors without compiled artifacts
+			console.warn(`⚠️ Could not load ${name} ABI for error decoding: ${error.message}`);
+			continue;
+		}
+		for (const fragment of new Interface(abi).fragments) {
+			if (fragment.type === "error") add(name, fragment);
+		}
+	}
+	for (const [library, declarations] of Object.entries(LIBRARY_ERRORS)) {
+		for (const fragment of new Interface(declarations).fragments) {
+			add(library, fragment);
+		}
+	}
+
+	const registry = { iface: new Interface(fragments), sources };
+	interfaceCache[cacheKey] = registry;
+	return registry;
+}
+
+// Readable form of a decoded argument value
+function formatArg(type, value) {
+	if (type === "bytes32" && ROLE_NAMES[value]) {
+		return `${ROLE_NAMES[value]} (${value})`;
+	}
+	if (typeof value === "bigint") {
+		return value.toString();
+	}
+	return String(value);
+}
+
+/**
+ * Decode raw revert data (a hex string). Returns null for empty data ("0x"),
+ * otherwise { selector, name, signature, args: [{ name, type, value, display }],
+ * contracts, explanation }; name is null for selectors we do not know.
+ */
+function decodeRevertData(data, options = {}) {
+	if (!data || !isHexString(data) || data.length < 10) return null;
+
+	const selector = data.slice(0, 10).toLowerCase();
+
+	// Error(string) and Panic(uint256) are not part of any ABI (ethers parses them unnamed)
+	const builtIn = new Interface(["error Error(string reason)", "error Panic(uint256 code)"]);
+	const builtInArgNames = { Error: ["reason"], Panic: ["code"] };
+	const { iface, sources } = getErrorRegistry(options);
+
+	for (const [candidate, contracts] of [[builtIn, ["Solidity"]], [iface, null]]) {
+		let parsed;
+		try {
+			parsed = candidate.parseError(data);
+		} catch {
+			continue;
+		}
+		if (!parsed) continue;
+
+		const args = parsed.fragment.inputs.map((input, i) => ({
+			name: input.name || builtInArgNames[parsed.name]?.[i] || `arg${i}`,
+			type: input.type,
+			value: parsed.args[i],
+			display: formatArg(input.type, parsed.args[i]),
+		}));
+
+		let explanation = ERROR_EXPLANATIONS[parsed.name] || null;
+		if (parsed.name === "Error") {
+			explanation = `Reverted with reason: "${parsed.args[0]}"`;
+		} else if (parsed.name === "Panic") {
+			const code = Number(parsed.args[0]);
+			explanation = `Solidity panic 0x${code.toString(16)}: ${PANIC_REASONS[code] || "unknown panic code"}`;
+		}
+
+		return {
+			selector,
+			name: parsed.name,
+			signature: parsed.signature,
+			args,
+			contracts: contracts || sources[parsed.signature] || [],
+			explanation,
+		};
+	}
+
+	return {
+		selector,
+		name: null,
+		signature: null,
+		args: [],
+		contracts: [],
+		explanation: `Unknown error selector ${selector}; it did not come from PondCore, PondFactory or their base contracts.`,
+	};
+}
+
+/**
+ * Pull revert data out of whatever an ethers / Hardhat call threw. Providers
+ * nest it differently (error.data, error.error.data, error.info.error.data...),
+ * so search a few levels deep for the first hex string.
+ */
+function extractRevertData(error, depth = 0) {
+	if (!error || typeof error !== "object" || depth > 5) return null;
+
+	if (typeof error.data === "string" && isHexString(error.data)) {
+		return error.data;
+	}
+	if (error.data && typeof error.data === "object" && typeof error.data.data === "string") {
+		return error.data.data;
+	}
+
+	for (const key of ["error", "info", "cause", "revert"]) {
+		const found = extractRevertData(error[key], depth + 1);
+		if (found) return found;
+	}
+	return null;
+}
+
+// Decode a thrown error; null when it carries no revert data (network errors, nonce issues...)
+function decodeError(error, options = {}) {
+	return decodeRevertData(extractRevertData(error), options);
+}
+
+// "TimelockActive()" / "AccessControlUnauthorizedAccount(account=0x..., neededRole=ADMIN_ROLE (0x...))"
+function formatDecodedError(decoded) {
+	if (!decoded.name) return decoded.selector;
+	const args = decoded.args.map((arg) => `${arg.name}=${arg.display}`).join(", ");
+	return `${decoded.name}(${args})`;
+}
+
+/**
+ * One-line description of any thrown error for log output: the decoded custom
+ * error and its explanation when there is one, the ethers short message otherwise.
+ */
+function describeError(error, options = {}) {
+	const decoded = decodeError(error, options);
+	if (decoded) {
+		return decoded.explanation
+			? `${formatDecodedError(decoded)} - ${decoded.explanation}`
+			: formatDecodedError(decoded);
+	}
+	return error?.shortMessage || error?.message || String(error);
+}
+
+// True when `error` is the named custom error, e.g. isContractError(e, "TimelockActive")
+function isContractError(error, name, options = {}) {
+	const decoded = decodeError(error, options);
+	return Boolean(decoded && decoded.name === name);
+}
+
+// Multi-line report for decode-revert and other detailed output
+function printDecodedError(decoded, { indent = "" } = {}) {
+	if (!decoded) {
+		console.log(`${indent}❓ No revert data`);
+		return;
+	}
+
+	console.log(`${indent}🚫 Error: ${decoded.name || "unknown"} (${decoded.selector})`);
+	if (decoded.contracts.length > 0) {
+		console.log(`${indent}📜 Declared in: ${decoded.contracts.join(", ")}`);
+	}
+	for (const arg of decoded.args) {
+		console.log(`${indent}   - ${arg.name} (${arg.type}): ${arg.display}`);
+	}
+	if (decoded.explanation) {
+		console.log(`${indent}💡 ${decoded.explanation}`);
+	}
+}
+
+module.exports = {
+	ERROR_EXPLANATIONS,
+	PANIC_REASONS,
+	ROLE_NAMES,
+	getErrorRegistry,
+	decodeRevertData,
+	extractRevertData,
+	decodeError,
+	formatDecodedError,
+	describeError,
+	isContractError,
+	printDecodedError,
+};
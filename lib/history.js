@@ -0,0 +1,493 @@
+// lib/history.js
+// PondCore keeps little history in storage (lastWinner/lastPrize per pond),
+// so reports are built from its events: chunked getLogs scans, block ranges
+// from dates, the winner history, the toss leaderboard and fee revenue.
+const { loadRegistry } = require("./deployments");
+const { POND_PERIODS } = require("./models");
+const { matchesToken } = require("./tokens");
+
+const DEFAULT_LOG_CHUNK = 2000; // blocks per getLogs request
+
+// Unix seconds from "1735689600", "2025-01-01" or a full ISO date
+function parseTime(value) {
+	const text = String(value).trim();
+	if (/^\d+$/.test(text)) return Number(text);
+	const time = Date.parse(text);
+	if (Number.isNaN(time)) {
+		throw new Error(`❌ Invalid date "${value}" (use unix seconds or an ISO date like 2025-01-31)`);
+	}
+	return Math.floor(time / 1000);
+}
+
+// First block with a timestamp at or after `timestamp` (latest + 1 if there is none)
+async function blockAtTime(provider, timestamp, latest = null) {
+	const head = latest ?? (await provider.getBlock("latest"));
+	if (head.timestamp < timestamp) return head.number + 1;
+
+	let low = 0;
+	let high = head.number;
+	while (low < high) {
+		const middle = Math.floor((low + high) / 2);
+		const block = await provider.getBlock(middle);
+		if (block.timestamp < timestamp) low = middle + 1;
+		else high = middle;
+	}
+	return low;
+}
+
+// Block the current PondCore was deployed in, from the deployment registry; null if unknown
+async function deploymentBlock(client) {
+	const core = client.coreAddress.toLowerCase();
+	const deployment = loadRegistry(client.network.chainId).deployments.find(
+		(entry) => entry.contracts?.PondCore?.toLowerCase() === core && entry.transactions?.PondCore,
+	);
+	if (!deployment) return null;
+
+	const receipt = await client.provider.getTransactionReceipt(deployment.transactions.PondCore);
+	return receipt ? receipt.blockNumber : null;
+}
+
+/**
+ * Block range to scan from --from/--to blocks or --since/--until dates.
+ * Without a start, scanning begins at the PondCore deployment block when the
+ * registry knows it; otherwise a start is required.
+ */
+async function resolveBlockRange(client, { from, to, since, until } = {}) {
+	const latest = await client.provider.getBlock("latest");
+
+	let fromBlock = from !== undefined && from !== null ? Number(from) : null;
+	if (fromBlock === null && since !== undefined && since !== null) {
+		fromBlock = await blockAtTime(client.provider, parseTime(since), latest);
+	}
+	if (fromBlock === null) {
+		fromBlock = await deploymentBlock(client);
+	}
+	if (fromBlock === null) {
+		throw new Error("❌ Unknown PondCore deployment block, pass --from <block> or --since <date>");
+	}
+
+	let toBlock = to !== undefined && to !== null ? Number(to) : latest.number;
+	if (until !== undefined && until !== null) {
+		// Last block before the first one past `until`
+		toBlock = Math.min(toBlock, (await blockAtTime(client.provider, parseTime(until) + 1, latest)) - 1);
+	}
+
+	if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0) {
+		throw new Error(`❌ Invalid block range ${from ?? since} - ${to ?? until}`);
+	}
+	return { fromBlock, toBlock };
+}
+
+/**
+ * Parsed PondCore events (or `contract`'s, e.g. client.factory) named in
+ * `events` between fromBlock and toBlock, in chain order, read `chunk` blocks
+ * per getLogs request. `topics` filters the indexed arguments after the event
+ * signature (e.g. [pondType, winner]).
+ * Each entry is { name, args, blockNumber, transactionHash, logIndex }.
+ */
+async function scanEvents(client, { contract = client.core, events, topics = [], fromBlock, toBlock, chunk = DEFAULT_LOG_CHUNK, onChunk } = {}) {
+	const { interface: iface } = contract;
+	const address = await contract.getAddress();
+	const filter = [events.map((name) => iface.getEvent(name).topicHash), ...topics];
+
+	const found = [];
+	for (let start = fromBlock; start <= toBlock; start += chunk) {
+		const end = Math.min(toBlock, start + chunk - 1);
+		const logs = await client.provider.getLogs({ address, topics: filter, fromBlock: start, toBlock: end });
+		for (const log of logs) {
+			const event = iface.parseLog(log);
+			found.push({
+				name: event.name,
+				args: event.args,
+				blockNumber: log.blockNumber,
+				transactionHash: log.transactionHash,
+				logIndex: log.index,
+			});
+		}
+		if (onChunk) onChunk({ fromBlock: start, toBlock: end, found: found.length });
+	}
+	return found;
+}
+
+// Memoized block timestamps
+function blockTimes(provider) {
+	const cache = new Map();
+	return async (blockNumber) => {
+		if (!cache.has(blockNumber)) {
+			cache.set(blockNumber, provider.getBlock(blockNumber).then((block) => block.timestamp));
+		}
+		return cache.get(blockNumber);
+	};
+}
+
+// Memoized current pond names and periods; removed ponds keep their ID as name
+function pondLabels(client) {
+	const cache = new Map();
+	return async (pondType) => {
+		if (!cache.has(pondType)) {
+			cache.set(pondType, client.getPondStatus(pondType).then(
+				(pond) => ({ name: pond.name, period: pond.periodName }),
+				() => ({ name: pondType, period: null }),
+			));
+		}
+		return cache.get(pondType);
+	};
+}
+
+/**
+ * Winner history from LuckyWinnerSelected joined with WinnerSelectionDetails,
+ * oldest first. `pond` and `winner` filter on indexed topics; `token` is an
+ * address, symbol or "native". The fee comes from the prize at the feePercent
+ * in force (see feeRates), as in readFees, so both agree. Participants are
+ * the distinct tossers of the round in CoinTossed, null when the scan starts
+ * after the round's first toss.
+ */
+async function readWinners(client, { pond, winner, token, fromBlock, toBlock, chunk, onChunk } = {}) {
+	// CoinTossed carries the participant where the others carry the winner, so `winner` is applied here
+	const events = await scanEvents(client, {
+		events: ["LuckyWinnerSelected", "WinnerSelectionDetails", "CoinTossed"],
+		topics: [pond ? pond.toLowerCase() : null],
+		fromBlock,
+		toBlock,
+		chunk,
+		onChunk,
+	});
+	const rateAt = await feeRates(client, { fromBlock, toBlock, chunk });
+
+	const details = new Map();
+	for (const event of events) {
+		if (event.name === "WinnerSelectionDetails") {
+			details.set(`${event.transactionHash}:${event.args.pondType}`, event.args);
+		}
+	}
+
+	const timeOf = blockTimes(client.provider);
+	const labelOf = pondLabels(client);
+	const tossers = new Map(); // pondType => { participants, complete } of its current round
+	const rounds = [];
+	for (const event of events) {
+		const { args } = event;
+		if (event.name === "CoinTossed") {
+			// totalPondTosses counts from 1 in every round, so seeing 1 means the round is covered
+			if (args.totalPondTosses === 1n || !tossers.has(args.pondType)) {
+				tossers.set(args.pondType, { participants: new Set(), complete: args.totalPondTosses === 1n });
+			}
+			tossers.get(args.pondType).participants.add(args.participant);
+			continue;
+		}
+		if (event.name !== "LuckyWinnerSelected") continue;
+
+		const round = tossers.get(args.pondType);
+		tossers.delete(args.pondType);
+		if (winner && args.winner.toLowerCase() !== winner.toLowerCase()) continue;
+		const tokenInfo = await client.token(args.tokenAddress);
+		if (token && !matchesToken(token, args.tokenAddress, tokenInfo)) continue;
+
+		const selection = details.get(`${event.transactionHash}:${args.pondType}`) || null;
+		const { fee } = feeFromPrize(args.prize, rateAt(event));
+		const timestamp = await timeOf(event.blockNumber);
+		const label = await labelOf(args.pondType);
+
+		rounds.push({
+			timestamp,
+			time: new Date(timestamp * 1000).toISOString(),
+			blockNumber: event.blockNumber,
+			transactionHash: event.transactionHash,
+			pondType: args.pondType,
+			pondName: label.name,
+			period: label.period,
+			tokenAddress: args.tokenAddress,
+			tokenSymbol: tokenInfo.symbol,
+			winner: args.winner,
+			prize: args.prize,
+			prizeFormatted: await client.formatToken(args.prize, args.tokenAddress),
+			fee,
+			feeFormatted: await client.formatToken(fee, args.tokenAddress),
+			participants: round?.complete ? round.participants.size : null,
+			selector: args.selector,
+			randomValue: selection?.randomValue ?? null,
+			totalFrogValue: selection?.totalFrogValue ?? null,
+			winningThreshold: selection?.winningThreshold ?? null,
+			entropySource: selection?.entropySource ?? null,
+		});
+	}
+	return rounds;
+}
+
+const LEADERBOARD_VIEWS = ["global", "token", "pond"];
+
+// Per-token amounts as "1.5 ETH + 20 USDC"; `tokenAddress` formats an empty map as zero
+async function formatAmounts(client, amounts, tokenAddress = null) {
+	if (amounts.size === 0) {
+		return tokenAddress ? client.formatToken(0n, tokenAddress) : "0";
+	}
+	const parts = [];
+	for (const [address, amount] of amounts) {
+		parts.push(await client.formatToken(amount, address));
+	}
+	return parts.join(" + ");
+}
+
+/**
+ * Toss leaderboard from CoinTossed, with wins joined from LuckyWinnerSelected.
+ * `view` groups participants per "pond", per "token" or across everything
+ * ("global", where volumes in different tokens are listed side by side).
+ * A participant enters a pond's next round after each of its winner
+ * selections, which is how rounds entered are counted. Rows come ranked
+ * within their group: by volume, or by toss count in the global view.
+ */
+async function readLeaderboard(client, { view = "token", pond, token, fromBlock, toBlock, chunk, onChunk } = {}) {
+	if (!LEADERBOARD_VIEWS.includes(view)) {
+		throw new Error(`❌ Unknown leaderboard view "${view}" (expected ${LEADERBOARD_VIEWS.join(", ")})`);
+	}
+
+	const events = await scanEvents(client, {
+		events: ["CoinTossed", "LuckyWinnerSelected"],
+		topics: [pond ? pond.toLowerCase() : null],
+		fromBlock,
+		toBlock,
+		chunk,
+		onChunk,
+	});
+
+	const roundOf = new Map(); // pondType => winner selections seen so far
+	const entries = new Map();
+	const entryFor = (participant, args) => {
+		const group = view === "pond" ? args.pondType : view === "token" ? args.tokenAddress : "all";
+		const key = `${group}:${participant}`;
+		if (!entries.has(key)) {
+			entries.set(key, {
+				participant,
+				pondType: view === "pond" ? args.pondType : null,
+				tokenAddress: view === "global" ? null : args.tokenAddress,
+				tosses: 0,
+				rounds: new Set(),
+				wins: 0,
+				volume: new Map(),
+				won: new Map(),
+			});
+		}
+		return entries.get(key);
+	};
+	const add = (amounts, tokenAddress, amount) => amounts.set(tokenAddress, (amounts.get(tokenAddress) || 0n) + amount);
+
+	for (const { name, args } of events) {
+		if (token && !matchesToken(token, args.tokenAddress, await client.token(args.tokenAddress))) continue;
+
+		const round = roundOf.get(args.pondType) || 0;
+		if (name === "LuckyWinnerSelected") {
+			roundOf.set(args.pondType, round + 1);
+			const entry = entryFor(args.winner, args);
+			entry.wins++;
+			add(entry.won, args.tokenAddress, args.prize);
+		} else {
+			const entry = entryFor(args.participant, args);
+			entry.tosses++;
+			entry.rounds.add(`${args.pondType}:${round}`);
+			add(entry.volume, args.tokenAddress, args.amount);
+		}
+	}
+
+	const labelOf = pondLabels(client);
+	const byGroup = new Map();
+	for (const entry of entries.values()) {
+		const group = entry.pondType || entry.tokenAddress || "all";
+		if (!byGroup.has(group)) byGroup.set(group, []);
+		byGroup.get(group).push(entry);
+	}
+
+	const rows = [];
+	for (const group of byGroup.values()) {
+		const total = (entry) => entry.volume.get(entry.tokenAddress) || 0n;
+		group.sort((a, b) => {
+			if (view !== "global" && total(a) !== total(b)) return total(a) > total(b) ? -1 : 1;
+			return b.tosses - a.tosses || b.wins - a.wins;
+		});
+
+		for (const [index, entry] of group.entries()) {
+			const row = { rank: index + 1, participant: entry.participant };
+			if (entry.pondType) {
+				row.pondType = entry.pondType;
+				row.pondName = (await labelOf(entry.pondType)).name;
+			}
+			if (entry.tokenAddress) {
+				row.tokenAddress = entry.tokenAddress;
+				row.tokenSymbol = (await client.token(entry.tokenAddress)).symbol;
+				row.volume = total(entry);
+			}
+			row.volumeFormatted = await formatAmounts(client, entry.volume, entry.tokenAddress);
+			row.tosses = entry.tosses;
+			row.rounds = entry.rounds.size;
+			row.wins = entry.wins;
+			if (entry.tokenAddress) {
+				row.won = entry.won.get(entry.tokenAddress) || 0n;
+			}
+			row.wonFormatted = await formatAmounts(client, entry.won, entry.tokenAddress);
+			rows.push(row);
+		}
+	}
+	return rows;
+}
+
+/**
+ * Fee taken from a round, given its prize and the feePercent in force:
+ * selectLuckyWinner pays prize = totalValue - floor(totalValue * feePercent / 100),
+ * so this finds that totalValue and returns { fee, totalValue }. Where the
+ * floor lets two totals give the same prize, the larger (rounder fee) wins.
+ */
+function feeFromPrize(prize, feePercent) {
+	const percent = BigInt(feePercent);
+	if (percent === 0n) return { fee: 0n, totalValue: prize };
+
+	// prize / (1 - percent/100), then settle the rounding of the on-chain floor
+	const estimate = (prize * 100n + (100n - percent) - 1n) / (100n - percent);
+	for (const totalValue of [estimate + 1n, estimate, estimate - 1n]) {
+		if (totalValue >= 0n && totalValue - (totalValue * percent) / 100n === prize) {
+			return { fee: totalValue - prize, totalValue };
+		}
+	}
+	return { fee: estimate - prize, totalValue: estimate };
+}
+
+// Chain position of an event, for ordering events across blocks
+function position(event) {
+	return event.blockNumber * 1_000_000 + event.logIndex;
+}
+
+/**
+ * The feePercent in force at an event from fromBlock on, as a function of the
+ * event: the last ConfigChanged("feePercent") before it, the oldValue of the
+ * first change after it, or the current rate when there are none. Changes
+ * are scanned up to the latest block, past toBlock; pass `events` when the
+ * range was already scanned for ConfigChanged.
+ */
+async function feeRates(client, { fromBlock, toBlock, chunk, events = null } = {}) {
+	const scanned = events ?? (await scanEvents(client, { events: ["ConfigChanged"], fromBlock, toBlock, chunk }));
+	// Changes after the range still tell which rate was in force inside it
+	const latest = await client.provider.getBlockNumber();
+	const later = toBlock < latest
+		? await scanEvents(client, { events: ["ConfigChanged"], fromBlock: toBlock + 1, toBlock: latest, chunk })
+		: [];
+	const changes = [...scanned, ...later].filter(
+		(event) => event.name === "ConfigChanged" && event.args.configType === "feePercent",
+	);
+	const currentRate = Number((await client.getConfig({ refresh: true })).feePercent);
+
+	return (event) => {
+		let rate = changes.length > 0 ? Number(changes[0].args.oldValue) : currentRate;
+		for (const change of changes) {
+			if (position(change) > position(event)) break;
+			rate = Number(change.args.newValue);
+		}
+		return rate;
+	};
+}
+
+/**
+ * Per-round protocol fees from LuckyWinnerSelected prizes, each at the
+ * feePercent in force when it was selected (see feeRates). Oldest first.
+ */
+async function readFees(client, { pond, token, fromBlock, toBlock, chunk, onChunk } = {}) {
+	// feePercent changes aren't tied to a pond, so the pond filter is applied here rather than on topics
+	const events = await scanEvents(client, {
+		events: ["LuckyWinnerSelected", "ConfigChanged"],
+		fromBlock,
+		toBlock,
+		chunk,
+		onChunk,
+	});
+	const rateAt = await feeRates(client, { fromBlock, toBlock, chunk, events });
+
+	const timeOf = blockTimes(client.provider);
+	const labelOf = pondLabels(client);
+	const rounds = [];
+	for (const event of events) {
+		if (event.name !== "LuckyWinnerSelected") continue;
+
+		const { args } = event;
+		if (pond && args.pondType.toLowerCase() !== pond.toLowerCase()) continue;
+		const tokenInfo = await client.token(args.tokenAddress);
+		if (token && !matchesToken(token, args.tokenAddress, tokenInfo)) continue;
+
+		const feePercent = rateAt(event);
+		const { fee, totalValue } = feeFromPrize(args.prize, feePercent);
+		const timestamp = await timeOf(event.blockNumber);
+		const time = new Date(timestamp * 1000).toISOString();
+		const label = await labelOf(args.pondType);
+
+		rounds.push({
+			timestamp,
+			time,
+			month: time.slice(0, 7),
+			blockNumber: event.blockNumber,
+			transactionHash: event.transactionHash,
+			pondType: args.pondType,
+			pondName: label.name,
+			period: label.period,
+			tokenAddress: args.tokenAddress,
+			tokenSymbol: tokenInfo.symbol,
+			prize: args.prize,
+			totalValue,
+			feePercent,
+			fee,
+			feeFormatted: await client.formatToken(fee, args.tokenAddress),
+		});
+	}
+	return rounds;
+}
+
+/**
+ * Fee rounds added up per calendar month (UTC), token and pond period, in
+ * that order; each row has the round count, prizes, fees and their formatted
+ * amounts.
+ */
+async function summarizeFees(client, rounds) {
+	const rows = new Map();
+	for (const round of rounds) {
+		const period = round.period || "UNKNOWN";
+		const key = `${round.month}:${round.tokenAddress}:${period}`;
+		if (!rows.has(key)) {
+			rows.set(key, {
+				month: round.month,
+				tokenAddress: round.tokenAddress,
+				tokenSymbol: round.tokenSymbol,
+				period,
+				rounds: 0,
+				prizes: 0n,
+				fees: 0n,
+			});
+		}
+		const row = rows.get(key);
+		row.rounds++;
+		row.prizes += round.prize;
+		row.fees += round.fee;
+	}
+
+	const periodOrder = (period) => (POND_PERIODS.includes(period) ? POND_PERIODS.indexOf(period) : POND_PERIODS.length);
+	const sorted = [...rows.values()].sort(
+		(a, b) =>
+			a.month.localeCompare(b.month) ||
+			a.tokenSymbol.localeCompare(b.tokenSymbol) ||
+			periodOrder(a.period) - periodOrder(b.period),
+	);
+	for (const row of sorted) {
+		row.prizesFormatted = await client.formatToken(row.prizes, row.tokenAddress);
+		row.feesFormatted = await client.formatToken(row.fees, row.tokenAddress);
+	}
+	return sorted;
+}
+
+module.exports = {
+	DEFAULT_LOG_CHUNK,
+	LEADERBOARD_VIEWS,
+	blockAtTime,
+	deploymentBlock,
+	feeFromPrize,
+	parseTime,
+	readFees,
+	readLeaderboard,
+	readWinners,
+	resolveBlockRange,
+	scanEvents,
+	summarizeFees,
+};
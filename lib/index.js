@@ -0,0 +1,29 @@
+// lib/index.js
+module.exports = {
+	...require("./networks"),
+	...require("./artifacts"),
+	...require("./deployments"),
+	...require("./tokens"),
+	...require("./models"),
+	...require("./output"),
+	...require("./pond-ids"),
+	...require("./errors"),
+	...require("./schedule"),
+	...require("./batch-clear"),
+	...require("./tx-manager"),
+	...require("./alerts"),
+	...require("./monitor"),
+	...require("./lease"),
+	...require("./participants"),
+	...require("./multicall"),
+	...require("./history"),
+	...require("./dashboard"),
+	...require("./report"),
+	...require("./wallet"),
+	...require("./upkeep"),
+	...require("./keeper-policy"),
+	...require("./keeper-timeline"),
+	...require("./keeper-metrics"),
+	...require("./keeper"),
+	...require("./client"),
+};
@@ -0,0 +1,204 @@
+// lib/keeper-metrics.js
+const http = require("node:http");
+
+const PREFIX = "luckyponds_keeper";
+
+// Counters the keeper increments as it works
+const COUNTERS = {
+	cycles_total: "Keeper cycles completed",
+	upkeeps_total: "Upkeeps by outcome (confirmed, pending, skipped, reverted, delayed)",
+	failures_total: "Failed keeper steps by stage and decoded custom error",
+	gas_spent_wei_total: "Native token spent on mined transactions, in wei",
+	gas_used_total: "Gas used by mined transactions",
+};
+
+// Label for a failure: the decoded custom error name, else the ethers error code
+function errorLabel(decoded, error) {
+	if (decoded) return decoded.name || `unknown_${decoded.selector}`;
+	return error?.code || "unknown";
+}
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelText(labels) {
+	const entries = Object.entries(labels);
+	if (entries.length === 0) return "";
+	return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+/**
+ * In-process counters for the keeper. Values may be bigints (wei) so they
+ * are rendered exactly rather than as floats.
+ */
+class KeeperMetrics {
+	constructor() {
+		this.counters = new Map(Object.keys(COUNTERS).map((name) => [name, new Map()]));
+	}
+
+	inc(name, labels = {}, amount = 1) {
+		const series = this.counters.get(name);
+		const key = labelText(labels);
+		const current = series.get(key);
+		if (current) {
+			current.value += typeof current.value === "bigint" ? BigInt(amount) : amount;
+		} else {
+			series.set(key, { labels, value: amount });
+		}
+	}
+
+	value(name, labels = {}) {
+		return this.counters.get(name).get(labelText(labels))?.value ?? 0;
+	}
+
+	// Prometheus text format for the counters plus `gauges` ({ name: { help, value } })
+	render(gauges = {}) {
+		const lines = [];
+		for (const [name, help] of Object.entries(COUNTERS)) {
+			lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} counter`);
+			for (const { labels, value } of this.counters.get(name).values()) {
+				lines.push(`${PREFIX}_${name}${labelText(labels)} ${value}`);
+			}
+		}
+		for (const [name, { help, value }] of Object.entries(gauges)) {
+			if (value === null || value === undefined) continue;
+			lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} gauge`, `${PREFIX}_${name} ${value}`);
+		}
+		return `${lines.join("\n")}\n`;
+	}
+}
+
+// Unix time of the last winner selection or reset the keeper recorded, or null
+function lastSelection(history) {
+	for (let i = history.length - 1; i >= 0; i--) {
+		if (history[i].status === "winner" || history[i].status === "reset") {
+			return Math.floor(Date.parse(history[i].at) / 1000);
+		}
+	}
+	return null;
+}
+
+// Gauges read from the keeper's timeline and state at scrape time
+async function keeperGauges(keeper) {
+	const wallNow = Math.floor(Date.now() / 1000);
+	const chainNow = keeper.chainNow();
+	const selectedAt = lastSelection(keeper.state.history);
+
+	let balance = null;
+	try {
+		balance = await keeper.client.balance();
+	} catch (error) {
+		keeper.recordFailure("metrics", error);
+	}
+
+	return {
+		ponds_tracked: { help: "Ponds on the keeper's timeline", value: keeper.timeline.size },
+		ponds_pending_selection: {
+			help: "Ponds past their selection time that have not been selected yet",
+			value:
+				chainNow === null
+					? null
+					: [...keeper.timeline.ponds.values()].filter((entry) => entry.eligibleAt <= chainNow).length,
+		},
+		ponds_in_flight: {
+			help: "Upkeep transactions sent but not mined",
+			value: Object.keys(keeper.state.inFlight).length,
+		},
+		batch_clears_pending: {
+			help: "Large-pond resets still waiting for batchClearParticipants",
+			value: Object.keys(keeper.state.clears).length,
+		},
+		last_selection_timestamp_seconds: {
+			help: "Unix time of the last successful winner selection or reset",
+			value: selectedAt,
+		},
+		seconds_since_last_selection: {
+			help: "Seconds since the last successful winner selection or reset",
+			value: selectedAt === null ? null : wallNow - selectedAt,
+		},
+		last_cycle_timestamp_seconds: {
+			help: "Unix time the last cycle completed",
+			value: keeper.lastCycleAt === null ? null : Math.floor(keeper.lastCycleAt),
+		},
+		consecutive_failures: { help: "Failed cycles since the last successful one", value: keeper.failures },
+		next_wake_timestamp_seconds: {
+			help: "Chain time the keeper next expects a pond to become eligible",
+			value: keeper.timeline.nextWakeAt(),
+		},
+		balance_wei: { help: "Keeper account balance, in wei", value: balance },
+		lease_held: {
+			help: "1 while this keeper holds the keeper lease, 0 on standby",
+			value: keeper.lease ? Number(!keeper.standby) : null,
+		},
+	};
+}
+
+// { code, body } for /healthz: unhealthy without a completed cycle in the last maxAge seconds,
+// unless another keeper holds the lease
+function keeperHealth(keeper, { maxAge }) {
+	const age = keeper.lastCycleAt === null ? null : Math.floor(Date.now() / 1000 - keeper.lastCycleAt);
+	let status = "ok";
+	if (keeper.standby) {
+		status = "standby";
+	} else if (age === null) {
+		status = "starting";
+	} else if (age > maxAge) {
+		status = "stale";
+	} else if (keeper.failures > 0) {
+		status = "degraded";
+	}
+
+	return {
+		code: status === "ok" || status === "degraded" || status === "standby" ? 200 : 503,
+		body: {
+			status,
+			lastCycleAt: keeper.state.lastCycle?.at ?? null,
+			secondsSinceLastCycle: age,
+			consecutiveFailures: keeper.failures,
+			inFlight: Object.keys(keeper.state.inFlight).length,
+			pendingClears: Object.keys(keeper.state.clears).length,
+		},
+	};
+}
+
+/**
+ * Serve /healthz (JSON, 503 when the keeper is stuck) and /metrics
+ * (Prometheus text) for a keeper. Resolves once listening; port 0 picks a
+ * free port, see `server.address().port`.
+ */
+function startKeeperServer(keeper, { port = 9464, host = "127.0.0.1", maxAge = 600 } = {}) {
+	const server = http.createServer(async (req, res) => {
+		const { pathname } = new URL(req.url, "http://localhost");
+		try {
+			if (req.method !== "GET") {
+				res.writeHead(405).end();
+			} else if (pathname === "/healthz") {
+				const { code, body } = keeperHealth(keeper, { maxAge });
+				res.writeHead(code, { "Content-Type": "application/json" }).end(`${JSON.stringify(body)}\n`);
+			} else if (pathname === "/metrics") {
+				const text = keeper.metrics.render(await keeperGauges(keeper));
+				res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" }).end(text);
+			} else {
+				res.writeHead(404).end();
+			}
+		} catch (error) {
+			res.writeHead(500, { "Content-Type": "text/plain" }).end(`${error.message}\n`);
+		}
+	});
+
+	return new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(port, host, () => {
+			server.off("error", reject);
+			resolve(server);
+		});
+	});
+}
+
+module.exports = {
+	KeeperMetrics,
+	errorLabel,
+	keeperHealth,
+	startKeeperServer,
+};
@@ -0,0 +1,205 @@
+// lib/keeper-policy.js
+const fs = require("node:fs");
+const { formatEther, formatUnits, getAddress, parseEther, parseUnits } = require("ethers");
+const { formatAmount } = require("./tokens");
+
+const DAY = 24 * 60 * 60;
+const WEEK = 7 * DAY;
+const SPEND_WINDOW = WEEK; // longest budget window, so older spend can be dropped
+
+// Fractions are compared in basis points so the maths stays in bigints
+const BPS = 10_000n;
+
+// Everything off by default: the keeper sends every upkeep, as before
+const DEFAULT_POLICY = {
+	maxGasPrice: null, // wei; above this, upkeep waits for cheaper gas
+	dailyBudget: null, // wei of native token per rolling 24h
+	weeklyBudget: null, // wei of native token per rolling 7 days
+	maxFeeFraction: null, // wait while gas cost > this fraction of the round's fee
+	maxDelay: 3600, // seconds past eligibility after which gas price and fee rules give way
+	emptyMaxGasPrice: null, // wei; ceiling for ponds that only need a reset (defaults to maxGasPrice)
+	emptyMaxDelay: 6 * 3600, // maxDelay for empty ponds
+	retryDelay: 300, // seconds before a delayed pond is evaluated again
+	tokenPrices: {}, // token address -> native tokens per whole token, for the fee rule on ERC20 ponds
+};
+
+/**
+ * Read a policy file. Gas prices are in gwei and budgets in whole native
+ * tokens, e.g.
+ * { "maxGasPriceGwei": "50", "dailyBudget": "0.5", "maxFeeFraction": 0.25,
+ *   "emptyMaxGasPriceGwei": "10", "tokenPrices": { "0x...": "0.03" } }
+ */
+function loadPolicy(file) {
+	const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+	const gwei = (value) => (value === undefined || value === null ? null : parseUnits(String(value), "gwei"));
+	const ether = (value) => (value === undefined || value === null ? null : parseEther(String(value)));
+
+	const tokenPrices = {};
+	for (const [address, price] of Object.entries(raw.tokenPrices || {})) {
+		tokenPrices[getAddress(address)] = String(price);
+	}
+
+	return {
+		...DEFAULT_POLICY,
+		maxGasPrice: gwei(raw.maxGasPriceGwei),
+		dailyBudget: ether(raw.dailyBudget),
+		weeklyBudget: ether(raw.weeklyBudget),
+		maxFeeFraction: raw.maxFeeFraction ?? null,
+		maxDelay: raw.maxDelay ?? DEFAULT_POLICY.maxDelay,
+		emptyMaxGasPrice: gwei(raw.emptyMaxGasPriceGwei),
+		emptyMaxDelay: raw.emptyMaxDelay ?? DEFAULT_POLICY.emptyMaxDelay,
+		retryDelay: raw.retryDelay ?? DEFAULT_POLICY.retryDelay,
+		tokenPrices,
+	};
+}
+
+function gweiText(wei) {
+	return `${formatUnits(wei, "gwei")} gwei`;
+}
+
+/**
+ * Decides whether an upkeep is worth sending now. Budgets are hard limits;
+ * the gas price ceiling and the fee-fraction rule only delay a pond until it
+ * is maxDelay past eligibility, because a pond nobody resets stays closed.
+ */
+class KeeperPolicy {
+	constructor(policy = {}, { nativeSymbol = "ETH" } = {}) {
+		this.policy = { ...DEFAULT_POLICY, ...policy };
+		this.nativeSymbol = nativeSymbol;
+	}
+
+	native(wei) {
+		return `${formatEther(wei)} ${this.nativeSymbol}`;
+	}
+
+	// The round's fee in native wei, or null for ERC20 ponds without a price
+	feeInNative(pond, feePercent) {
+		const fee = (pond.totalValue * BigInt(feePercent)) / 100n;
+		if (pond.isNative) return { fee, feeNative: fee };
+
+		const price = this.policy.tokenPrices[getAddress(pond.tokenAddress)];
+		if (!price) return { fee, feeNative: null };
+		return { fee, feeNative: (fee * parseEther(price)) / 10n ** BigInt(pond.token.decimals) };
+	}
+
+	/**
+	 * Spend within a rolling window and, if `cost` does not fit in `budget`, the
+	 * wall-clock time at which enough of it rolls out.
+	 */
+	windowSpend(ledger, wallNow, window, budget, cost) {
+		const entries = ledger.filter((entry) => entry.at > wallNow - window).sort((a, b) => a.at - b.at);
+		const spent = entries.reduce((sum, entry) => sum + BigInt(entry.cost), 0n);
+		if (budget === null || spent + cost <= budget) {
+			return { spent, fits: true, freesAt: null };
+		}
+
+		let remaining = spent;
+		for (const entry of entries) {
+			remaining -= BigInt(entry.cost);
+			if (remaining + cost <= budget) {
+				return { spent, fits: false, freesAt: entry.at + window };
+			}
+		}
+		// Larger than the whole budget: try again once the window is empty
+		return { spent, fits: false, freesAt: wallNow + window };
+	}
+
+	// Name of the first budget already used up, or null
+	budgetExhausted(ledger, wallNow = Math.floor(Date.now() / 1000)) {
+		for (const [label, window, budget] of [
+			["daily", DAY, this.policy.dailyBudget],
+			["weekly", WEEK, this.policy.weeklyBudget],
+		]) {
+			if (budget !== null && this.windowSpend(ledger, wallNow, window, budget, 0n).spent >= budget) {
+				return label;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Evaluate one upkeep. `now` is chain time, `wallNow` the local clock the
+	 * spend ledger uses. Returns { action: "send" | "delay", reason, retryAt
+	 * (chain time), details } where details holds every number behind it.
+	 */
+	evaluate({ pond, config, gasEstimate, gasPrice, ledger = [], now, wallNow = Math.floor(Date.now() / 1000) }) {
+		const { policy } = this;
+		const empty = pond.totalTosses === 0;
+		const cost = gasEstimate * gasPrice;
+		const overdueBy = Math.max(0, now - pond.selectionEligibleAt);
+		const maxDelay = empty ? policy.emptyMaxDelay : policy.maxDelay;
+		const forced = overdueBy >= maxDelay;
+
+		const overridden = [];
+		const details = [`gas ${gasEstimate} x ${gweiText(gasPrice)} = ${this.native(cost)}`];
+		// Delayed ponds come back after retryDelay, or when they hit maxDelay if sooner
+		const delay = (reason, retryAt = Math.min(now + policy.retryDelay, pond.selectionEligibleAt + maxDelay)) => ({
+			action: "delay",
+			reason,
+			retryAt,
+			details: details.join(", "),
+		});
+
+		// Budgets never give way
+		for (const [label, window, budget] of [
+			["daily", DAY, policy.dailyBudget],
+			["weekly", WEEK, policy.weeklyBudget],
+		]) {
+			if (budget === null) continue;
+			const { spent, fits, freesAt } = this.windowSpend(ledger, wallNow, window, budget, cost);
+			details.push(`${label} spend ${this.native(spent)} of ${this.native(budget)}`);
+			if (!fits) {
+				return delay(
+					`${label} budget would be exceeded`,
+					now + Math.max(policy.retryDelay, freesAt - wallNow),
+				);
+			}
+		}
+
+		const ceiling = empty ? (policy.emptyMaxGasPrice ?? policy.maxGasPrice) : policy.maxGasPrice;
+		if (ceiling !== null) {
+			details.push(`${empty ? "empty pond " : ""}gas ceiling ${gweiText(ceiling)}`);
+			if (gasPrice > ceiling) {
+				const reason = `gas price above ${empty ? "the empty-pond " : ""}ceiling`;
+				if (!forced) return delay(reason);
+				overridden.push(reason);
+			}
+		}
+
+		if (!empty && policy.maxFeeFraction !== null) {
+			const { fee, feeNative } = this.feeInNative(pond, config.feePercent);
+			const limitBps = BigInt(Math.round(policy.maxFeeFraction * 10_000));
+			if (feeNative === null) {
+				details.push(`fee ${formatAmount(fee, pond.token)} (no ${pond.token.symbol} price, fee rule skipped)`);
+			} else {
+				const share = feeNative === 0n ? null : Number((cost * BPS) / feeNative) / 100;
+				details.push(
+					`fee ${formatAmount(fee, pond.token)}, cost is ${share === null ? "∞" : share}% of it (limit ${Number(limitBps) / 100}%)`,
+				);
+				if (cost * BPS > feeNative * limitBps) {
+					const reason = "gas cost too high for the round's fee";
+					if (!forced) return delay(reason);
+					overridden.push(reason);
+				}
+			}
+		}
+
+		details.push(`${overdueBy}s past eligibility`);
+		return {
+			action: "send",
+			reason:
+				overridden.length > 0
+					? `${overridden.join("; ")}, sent anyway after ${overdueBy}s (limit ${maxDelay}s)`
+					: "within policy",
+			retryAt: null,
+			details: details.join(", "),
+		};
+	}
+}
+
+module.exports = {
+	DEFAULT_POLICY,
+	SPEND_WINDOW,
+	KeeperPolicy,
+	loadPolicy,
+};
@@ -0,0 +1,101 @@
+// lib/keeper-timeline.js
+const { effectiveTimelock } = require("./models");
+
+/**
+ * When each pond next becomes eligible for winner selection. Eligibility is
+ * endTime + effective timelock + 1, so once a pond's window and the config are
+ * known the keeper only has to look again when an event changes one of them.
+ */
+class KeeperTimeline {
+	constructor() {
+		this.ponds = new Map();
+		this.config = null;
+	}
+
+	get size() {
+		return this.ponds.size;
+	}
+
+	has(pondType) {
+		return this.ponds.has(pondType);
+	}
+
+	// A new selection timelock moves every pond's eligibility
+	setConfig(config) {
+		this.config = config;
+		for (const entry of this.ponds.values()) {
+			entry.eligibleAt = this.eligibleAt(entry);
+		}
+	}
+
+	eligibleAt(entry) {
+		return entry.endTime + effectiveTimelock(entry.period, this.config) + 1;
+	}
+
+	// Add or refresh a pond from a decoded getPondStatus / ponds() result
+	track(pond) {
+		const entry = {
+			pondType: pond.pondType,
+			name: pond.name,
+			period: pond.period,
+			startTime: pond.startTime,
+			endTime: pond.endTime,
+			deferredUntil: 0,
+		};
+		entry.eligibleAt = this.eligibleAt(entry);
+		this.ponds.set(pond.pondType, entry);
+		return entry;
+	}
+
+	// New round from a PondAction "reset"; returns false for ponds we don't know yet
+	updateWindow(pondType, startTime, endTime) {
+		const entry = this.ponds.get(pondType);
+		if (!entry) return false;
+
+		entry.startTime = startTime;
+		entry.endTime = endTime;
+		entry.deferredUntil = 0;
+		entry.eligibleAt = this.eligibleAt(entry);
+		return true;
+	}
+
+	remove(pondType) {
+		this.ponds.delete(pondType);
+	}
+
+	// Don't offer a pond again before `until` (in flight, or upkeep failed)
+	defer(pondType, until) {
+		const entry = this.ponds.get(pondType);
+		if (entry) entry.deferredUntil = until;
+	}
+
+	wakeAt(entry) {
+		return Math.max(entry.eligibleAt, entry.deferredUntil);
+	}
+
+	// Ponds whose winner can be selected at `now`
+	due(now) {
+		return [...this.ponds.values()].filter((entry) => this.wakeAt(entry) <= now);
+	}
+
+	// Earliest moment any pond needs the keeper, or null with nothing tracked
+	nextWakeAt() {
+		let next = null;
+		for (const entry of this.ponds.values()) {
+			const at = this.wakeAt(entry);
+			if (next === null || at < next) next = at;
+		}
+		return next;
+	}
+
+	// The next `count` eligibility moments, soonest first
+	upcoming(count = 5) {
+		return [...this.ponds.values()]
+			.sort((a, b) => this.wakeAt(a) - this.wakeAt(b))
+			.slice(0, count);
+	}
+}
+
+module.exports = {
+	KeeperTimeline,
+};
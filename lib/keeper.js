@@ -0,0 +1,856 @@
+// lib/keeper.js
+const fs = require("node:fs");
+const path = require("node:path");
+const { decodePondStatus } = require("./models");
+const { KeeperTimeline } = require("./keeper-timeline");
+const { BatchClearer, newClearJob } = require("./batch-clear");
+const { KeeperPolicy, SPEND_WINDOW } = require("./keeper-policy");
+const { TxManager } = require("./tx-manager");
+const { KeeperMetrics, errorLabel } = require("./keeper-metrics");
+const { AlertDispatcher, alertForEvent } = require("./alerts");
+
+const STATE_SCHEMA_VERSION = 1;
+// Not under cache/: `npx hardhat clean` wipes that, and with it the in-flight upkeeps and clear jobs
+const DEFAULT_STATE_DIR = path.join(__dirname, "../keeper-state");
+
+// Completed upkeeps kept in the state file
+const HISTORY_LIMIT = 100;
+
+const DEFAULT_OPTIONS = {
+	interval: 60, // longest sleep between cycles; new events are picked up at least this often
+	resyncInterval: 3600, // full re-read of every pond, in seconds
+	logChunk: 2000, // blocks per getLogs request when catching up on events
+	retryDelay: 5, // first backoff step after a failed cycle, in seconds
+	maxBackoff: 300, // backoff cap, in seconds
+	confirmTimeout: 120, // how long a cycle waits for a receipt, in seconds
+	stuckAfter: 60, // pending this long, an upkeep is rebroadcast with higher fees
+	maxFeePerGas: null, // wei; rebroadcasts never bump fees past this
+	clearGasTarget: 5_000_000n, // gas per batchClearParticipants chunk
+	lowBalance: null, // wei; alert when the keeper wallet holds less
+	failureAlertAfter: 3, // consecutive failed cycles before alerting
+};
+
+function defaultStatePath(chainId, coreAddress, dir = DEFAULT_STATE_DIR) {
+	return path.join(dir, `chain-${chainId}-${coreAddress.toLowerCase()}.json`);
+}
+
+function emptyState(chainId, coreAddress) {
+	return {
+		schemaVersion: STATE_SCHEMA_VERSION,
+		chainId: Number(chainId),
+		pondCore: coreAddress,
+		inFlight: {},
+		clears: {},
+		cleared: {}, // block of the last reset cleared per pond, so rescanning it queues nothing
+		spend: [],
+		history: [],
+		lastBlock: null, // last block whose events were applied, so a restart can catch up
+		lastCycle: null,
+	};
+}
+
+function loadState(file, { chainId, coreAddress }) {
+	if (!fs.existsSync(file)) {
+		return emptyState(chainId, coreAddress);
+	}
+
+	const state = JSON.parse(fs.readFileSync(file, "utf8"));
+	if (state.schemaVersion !== STATE_SCHEMA_VERSION) {
+		throw new Error(`❌ Unsupported keeper state schema ${state.schemaVersion} in ${file}`);
+	}
+	if (state.chainId !== Number(chainId) || state.pondCore.toLowerCase() !== coreAddress.toLowerCase()) {
+		throw new Error(
+			`❌ ${file} belongs to PondCore ${state.pondCore} on chain ${state.chainId}, not ${coreAddress} on chain ${chainId}`,
+		);
+	}
+	// Older state files predate batch clearing
+	state.clears = state.clears || {};
+	state.cleared = state.cleared || {};
+	state.spend = state.spend || [];
+	state.lastBlock = state.lastBlock ?? null;
+	return state;
+}
+
+// Write to a temp file and rename, so a crash never leaves half a state file
+function saveState(file, state) {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	const tmp = `${file}.tmp`;
+	fs.writeFileSync(tmp, `${JSON.stringify(state, null, 2)}\n`);
+	fs.renameSync(tmp, file);
+}
+
+// Delay before the next cycle after `failures` consecutive failed cycles, in seconds
+function backoffDelay(failures, { retryDelay, maxBackoff }) {
+	return Math.min(maxBackoff, retryDelay * 2 ** (failures - 1));
+}
+
+function isTimeout(error) {
+	return error?.code === "TIMEOUT";
+}
+
+/**
+ * Selects winners for every eligible pond, cycle after cycle, until stopped.
+ *
+ * Eligibility times are predictable, so the keeper plans a timeline of them
+ * and sleeps until the next one. Between wake-ups it only reads PondAction and
+ * ConfigChanged logs to re-plan; every pond is re-read once per resyncInterval.
+ *
+ * Transactions go through a TxManager and are recorded in the state file
+ * before they are sent and until they are mined, so a restarted keeper keeps
+ * pushing (or reconciles) anything a previous run left in flight instead of
+ * submitting the same upkeep twice.
+ *
+ * With a `lease` (see lib/lease.js) only the keeper holding it acts; the
+ * others stand by and take over when it stops renewing.
+ */
+class Keeper {
+	constructor(client, options = {}) {
+		if (!client.signer) {
+			throw new Error("❌ The keeper needs a signer to send transactions");
+		}
+
+		this.client = client;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.stateFile =
+			options.stateFile || defaultStatePath(client.network.chainId, client.coreAddress);
+		this.log = options.logger || console;
+		this.state = loadState(this.stateFile, {
+			chainId: client.network.chainId,
+			coreAddress: client.coreAddress,
+		});
+
+		this.policy = new KeeperPolicy(this.options.policy, { nativeSymbol: client.network.nativeSymbol });
+		this.txs =
+			options.txs ||
+			new TxManager(client.signer, {
+				confirmTimeout: this.options.confirmTimeout,
+				stuckAfter: this.options.stuckAfter,
+				maxFeePerGas: this.options.maxFeePerGas,
+				logger: this.log,
+			});
+		this.clearer = new BatchClearer(client, {
+			txs: this.txs,
+			gasTarget: this.options.clearGasTarget,
+			confirmTimeout: this.options.confirmTimeout,
+			logger: this.log,
+			onReceipt: (receipt) => this.recordSpend("clear", receipt),
+		});
+
+		this.metrics = options.metrics || new KeeperMetrics();
+		this.alerts = options.alerts || new AlertDispatcher([], { logger: this.log });
+		this.pendingAlerts = new Set();
+		this.lease = options.lease || null;
+		this.standby = false;
+		this.timeline = new KeeperTimeline();
+		this.lastBlock = null;
+		this.lastResync = 0;
+		this.cycleStartedAt = null;
+		this.lastCycleAt = null;
+
+		this.stopping = false;
+		this.failures = 0;
+		this._wake = null;
+		this._lastPlan = undefined;
+		this._lastStandby = undefined;
+	}
+
+	save() {
+		saveState(this.stateFile, this.state);
+	}
+
+	// One pond's status, decoded against the cached config
+	async loadPond(pondType, now) {
+		const { client } = this;
+		const [raw, config] = await Promise.all([client.core.getPondStatus(pondType), client.getConfig()]);
+		const token = await client.token(raw[11]);
+		return decodePondStatus(pondType, raw, { token, config, now });
+	}
+
+	// Every pond in getAllPondTypes, decoded
+	async loadPonds(now) {
+		const pondTypes = await this.client.core.getAllPondTypes();
+		return Promise.all(pondTypes.map((pondType) => this.loadPond(pondType, now)));
+	}
+
+	// Every pond whose winner can be selected right now, decoded
+	async findEligiblePonds() {
+		const ponds = await this.loadPonds(await this.client.now());
+		return ponds.filter((pond) => pond.isSelectionEligible);
+	}
+
+	// Re-read the config and every pond and plan the timeline from scratch
+	async resync(block) {
+		const config = await this.client.getConfig({ refresh: true });
+		const ponds = await this.loadPonds(block.timestamp);
+
+		this.timeline = new KeeperTimeline();
+		this.timeline.setConfig(config);
+		for (const pond of ponds) {
+			this.timeline.track(pond);
+		}
+
+		// A resync skips the event scan, so look for the resets since the last block seen, by this run or the last
+		const since = this.lastBlock ?? this.state.lastBlock;
+		if (since !== null && since < block.number) {
+			await this.scanResets(since + 1, block.number);
+		}
+
+		this.lastBlock = block.number;
+		this.lastResync = Math.floor(Date.now() / 1000);
+		this.log.info(`🗓️ Planned ${ponds.length} ponds at block ${block.number}`);
+	}
+
+	/**
+	 * Re-plan from PondAction and ConfigChanged logs since the last block we
+	 * saw. Returns how many timeline entries changed.
+	 */
+	async applyEvents(latestBlock) {
+		const { client } = this;
+		const { interface: iface } = client.core;
+		const topics = [
+			["PondAction", "ConfigChanged", "EmergencyAction", "ParticipantLimitWarning"].map(
+				(name) => iface.getEvent(name).topicHash,
+			),
+		];
+
+		let changes = 0;
+		for (let fromBlock = this.lastBlock + 1; fromBlock <= latestBlock; fromBlock += this.options.logChunk) {
+			const toBlock = Math.min(latestBlock, fromBlock + this.options.logChunk - 1);
+			const logs = await client.provider.getLogs({ address: client.coreAddress, topics, fromBlock, toBlock });
+			for (const log of logs) {
+				changes += await this.applyEvent(iface.parseLog(log), log.blockNumber, log.transactionHash);
+			}
+			this.lastBlock = toBlock;
+		}
+		return changes;
+	}
+
+	// Queue a batch clear for every largePondReset in [fromBlock, toBlock]
+	async scanResets(fromBlock, toBlock) {
+		const { client } = this;
+		const { interface: iface } = client.core;
+		const topics = [iface.getEvent("EmergencyAction").topicHash];
+
+		for (let from = fromBlock; from <= toBlock; from += this.options.logChunk) {
+			const to = Math.min(toBlock, from + this.options.logChunk - 1);
+			const logs = await client.provider.getLogs({ address: client.coreAddress, topics, fromBlock: from, toBlock: to });
+			for (const log of logs) {
+				await this.applyEvent(iface.parseLog(log), log.blockNumber, log.transactionHash);
+			}
+		}
+	}
+
+	async applyEvent(event, blockNumber, txHash = null) {
+		if (event.name === "ParticipantLimitWarning") {
+			const pondName = this.timeline.ponds.get(event.args.pondType)?.name;
+			this.notify(alertForEvent(event, { pondName, txHash }));
+			return 0;
+		}
+
+		if (event.name === "EmergencyAction") {
+			if (event.args.actionType !== "largePondReset") return 0;
+
+			const { pondType, amount } = event.args;
+			this.queueClear({ pondType, participantCount: amount, blockNumber });
+			return 0;
+		}
+
+		if (event.name === "ConfigChanged") {
+			// The gas policy prices upkeeps with the cached feePercent, so keep it current
+			const config = await this.client.getConfig({ refresh: true });
+			if (event.args.configType !== "selectionTimelock") return 0;
+
+			this.timeline.setConfig(config);
+			this.log.info(`⏱️ Selection timelock changed to ${config.selectionTimelock}s, re-planned every pond`);
+			return this.timeline.size;
+		}
+
+		const { pondType, name, startTime, endTime, actionType } = event.args;
+		if (actionType === "removed") {
+			this.timeline.remove(pondType);
+			this.log.info(`🗑️ ${name}: removed`);
+			return 1;
+		}
+		if (actionType === "reset" && this.timeline.updateWindow(pondType, Number(startTime), Number(endTime))) {
+			return 1;
+		}
+		if (actionType === "reset" || actionType === "created") {
+			// A pond we haven't seen yet: one read for its period
+			const block = await this.client.provider.getBlock(blockNumber);
+			const entry = this.timeline.track(await this.loadPond(pondType, block.timestamp));
+			this.log.info(`🆕 ${entry.name}: eligible from ${new Date(entry.eligibleAt * 1000).toLocaleString()}`);
+			return 1;
+		}
+		return 0;
+	}
+
+	/**
+	 * Settle transactions from earlier cycles (or an earlier run): record mined
+	 * ones, push stuck or dropped ones again with higher fees, and forget ones
+	 * whose nonce went elsewhere or that were never sent.
+	 */
+	async reconcile() {
+		const { txs } = this;
+
+		for (const entry of Object.values(this.state.inFlight)) {
+			const status = await txs.status(entry);
+			if (status.state === "mined") {
+				this.finalize(entry, status.receipt);
+				continue;
+			}
+			if (status.state === "replaced") {
+				this.log.warn(`⚠️ Nonce ${entry.nonce} for ${entry.name} was used by another transaction`);
+				this.forget(entry);
+				continue;
+			}
+
+			if (!entry.hash) {
+				// The previous run stopped before the send returned
+				if (status.state === "dropped") {
+					this.log.warn(`⚠️ Upkeep for ${entry.name} was never sent, it may be resubmitted`);
+					this.forget(entry);
+				}
+				continue;
+			}
+
+			if (status.state === "pending" && !txs.isStuck(entry)) {
+				continue;
+			}
+			if (await txs.rebroadcast(entry)) {
+				this.save();
+			} else if (status.state === "dropped") {
+				this.log.warn(`⚠️ Upkeep for ${entry.name} was dropped and can't be bumped further, it may be resubmitted`);
+				this.forget(entry);
+			}
+		}
+	}
+
+	secondsSince(timestamp) {
+		return Math.floor(Date.now() / 1000) - timestamp;
+	}
+
+	// Native token spent on a mined transaction, for the policy budgets and metrics
+	recordSpend(kind, receipt) {
+		const now = Math.floor(Date.now() / 1000);
+		const cost = receipt.gasUsed * receipt.gasPrice;
+		this.state.spend = this.state.spend.filter((entry) => entry.at > now - SPEND_WINDOW);
+		this.state.spend.push({ at: now, kind, hash: receipt.hash, cost: cost.toString() });
+		this.metrics.inc("gas_spent_wei_total", { kind }, cost);
+		this.metrics.inc("gas_used_total", { kind }, Number(receipt.gasUsed));
+		this.save();
+	}
+
+	// Send an alert without holding up the cycle; runCycle waits for them at the end
+	notify(alert) {
+		const sending = this.alerts.notify(alert).catch((error) => {
+			this.log.warn(`⚠️ Alert "${alert.title}" failed: ${error.message}`);
+		});
+		this.pendingAlerts.add(sending);
+		sending.finally(() => this.pendingAlerts.delete(sending));
+	}
+
+	async flushAlerts() {
+		await Promise.all([...this.pendingAlerts]);
+	}
+
+	// Alert (once per dedupe window) while the keeper wallet is below lowBalance
+	async checkBalance() {
+		const { client } = this;
+		if (this.options.lowBalance === null) return;
+
+		const balance = await client.balance();
+		if (balance >= this.options.lowBalance) {
+			this.alerts.resolve("keeper-low-balance");
+			return;
+		}
+		this.log.warn(`🪫 Keeper balance ${client.formatNative(balance)} is below ${client.formatNative(this.options.lowBalance)}`);
+		this.notify({
+			key: "keeper-low-balance",
+			severity: "warning",
+			title: "Keeper wallet balance low",
+			message: `${client.signerAddress} holds ${client.formatNative(balance)}, below ${client.formatNative(this.options.lowBalance)}. Upkeeps stop when it runs out.`,
+			fields: { Wallet: client.signerAddress, Balance: client.formatNative(balance) },
+		});
+	}
+
+	// Count a failure under its decoded custom error (or ethers error code)
+	recordFailure(stage, error) {
+		this.metrics.inc("failures_total", { stage, error: errorLabel(this.client.decodeError(error), error) });
+	}
+
+	forget(entry) {
+		delete this.state.inFlight[entry.pondType];
+		this.txs.resyncNonce(); // Its nonce may be free again
+		this.save();
+	}
+
+	finalize(entry, receipt) {
+		const { core } = this.client;
+		const result = {
+			pondType: entry.pondType,
+			name: entry.name,
+			endTime: entry.endTime,
+			hash: receipt.hash,
+			blockNumber: receipt.blockNumber,
+			gasUsed: receipt.gasUsed.toString(),
+			status: receipt.status === 1 ? "reset" : "reverted",
+			winner: null,
+			prize: null,
+			at: new Date().toISOString(),
+		};
+
+		for (const log of receipt.logs || []) {
+			let parsed;
+			try {
+				parsed = core.interface.parseLog(log);
+			} catch {
+				continue;
+			}
+			if (parsed?.name === "PondAction" && parsed.args.actionType === "reset") {
+				this.timeline.updateWindow(entry.pondType, Number(parsed.args.startTime), Number(parsed.args.endTime));
+			}
+			if (parsed?.name === "EmergencyAction" && parsed.args.actionType === "largePondReset") {
+				this.queueClear({
+					pondType: entry.pondType,
+					name: entry.name,
+					participantCount: parsed.args.amount,
+					blockNumber: receipt.blockNumber,
+				});
+			}
+			if (parsed?.name === "LuckyWinnerSelected") {
+				result.status = "winner";
+				result.winner = parsed.args.winner;
+				result.prize = parsed.args.prize.toString();
+			}
+		}
+
+		if (result.status === "winner") {
+			this.log.info(`🏆 ${entry.name}: winner ${result.winner} (prize ${result.prize}) in ${receipt.hash}`);
+		} else if (result.status === "reset") {
+			this.log.info(`🔄 ${entry.name}: empty pond reset in ${receipt.hash}`);
+		} else {
+			this.log.error(`❌ ${entry.name}: upkeep reverted in ${receipt.hash}`);
+			this.metrics.inc("failures_total", { stage: "upkeep", error: "reverted" });
+			this.notify({
+				key: `upkeep-reverted:${entry.pondType}`,
+				severity: "critical",
+				title: "selectLuckyWinner reverted",
+				message: `The keeper's upkeep for ${entry.name} reverted in ${receipt.hash}.`,
+				fields: { Pond: entry.name, Transaction: receipt.hash, Block: receipt.blockNumber },
+			});
+		}
+
+		delete this.state.inFlight[entry.pondType];
+		this.state.history.push(result);
+		this.recordSpend("upkeep", receipt);
+		this.state.history = this.state.history.slice(-HISTORY_LIMIT);
+		this.save();
+		return result;
+	}
+
+	/**
+	 * Remember a largePondReset so its participants get batch cleared. The
+	 * list is only deleted by the last chunk, so a later reset of the same pond
+	 * counts every earlier entry too and just extends the job already queued.
+	 * Resets already queued or cleared are ignored: event scans can overlap.
+	 */
+	queueClear({ pondType, name, participantCount, blockNumber }) {
+		if (blockNumber <= (this.state.cleared[pondType] ?? -1)) return;
+
+		const queued = this.state.clears[pondType];
+		if (queued) {
+			if (blockNumber <= queued.blockNumber) return;
+
+			queued.participantCount = Math.max(queued.participantCount, Number(participantCount));
+			queued.blockNumber = blockNumber;
+			this.save();
+			this.log.warn(`🚨 ${queued.name}: another reset, now ${queued.participantCount} participants to clear`);
+			return;
+		}
+
+		const label = name || this.timeline.ponds.get(pondType)?.name || pondType;
+		this.state.clears[pondType] = newClearJob({ pondType, name: label, participantCount, blockNumber });
+		this.save();
+		this.log.warn(`🚨 ${label}: reset left ${participantCount} participants for batchClearParticipants`);
+	}
+
+	clearBudgetExhausted(job) {
+		const budget = this.policy.budgetExhausted(this.state.spend);
+		if (budget) {
+			this.log.warn(`💸 ${job.name}: ${budget} budget used up, batch clear paused at ${job.nextIndex}`);
+		}
+		return Boolean(budget);
+	}
+
+	/**
+	 * Work through queued batch clears, persisting progress after every chunk.
+	 * Failures are logged and retried next cycle; returns how many finished.
+	 */
+	async processClears() {
+		let finished = 0;
+
+		for (const job of Object.values(this.state.clears)) {
+			if (this.stopping) break;
+
+			try {
+				const result = await this.clearer.run(job, {
+					onProgress: () => this.save(),
+					shouldStop: () => this.stopping || this.clearBudgetExhausted(job),
+				});
+				if (result === "done") {
+					delete this.state.clears[job.pondType];
+					this.state.cleared[job.pondType] = job.blockNumber;
+					this.save();
+					this.log.info(`✅ ${job.name}: batch clear complete`);
+					finished++;
+				}
+			} catch (error) {
+				this.recordFailure("clear", error);
+				const reason = this.client.describeError(error);
+				this.log.error(`❌ ${job.name}: batch clear failed at ${job.nextIndex}: ${reason}`);
+				this.notify({
+					key: `clear-failed:${job.pondType}`,
+					severity: "warning",
+					title: "Batch clear failed",
+					message: `batchClearParticipants for ${job.name} failed at index ${job.nextIndex}: ${reason}`,
+					fields: { Pond: job.name, Cleared: `${job.nextIndex}/${job.participantCount}` },
+				});
+			}
+		}
+
+		return finished;
+	}
+
+	// Select the winner of one pond (or reset it when empty); returns the outcome
+	async upkeep(pond) {
+		const { client } = this;
+
+		let gasEstimate;
+		try {
+			gasEstimate = await client.core.selectLuckyWinner.estimateGas(pond.pondType);
+		} catch (error) {
+			this.recordFailure("upkeep", error);
+			const reason = client.describeError(error);
+			this.log.warn(`⚠️ Skipping ${pond.name}: ${reason}`);
+			this.notify({
+				key: `upkeep-failed:${pond.pondType}:${errorLabel(client.decodeError(error), error)}`,
+				severity: "warning",
+				title: "selectLuckyWinner would revert",
+				message: `Gas estimation for ${pond.name} failed, so no upkeep was sent: ${reason}`,
+				fields: { Pond: pond.name, "Eligible since": new Date(pond.selectionEligibleAt * 1000).toISOString() },
+			});
+			return "skipped";
+		}
+
+		const [feeData, config] = await Promise.all([client.provider.getFeeData(), client.getConfig()]);
+		const decision = this.policy.evaluate({
+			pond,
+			config,
+			gasEstimate,
+			gasPrice: feeData.gasPrice ?? feeData.maxFeePerGas,
+			ledger: this.state.spend,
+			now: this.cycleStartedAt?.chain ?? (await client.now()),
+		});
+		if (decision.action !== "send") {
+			const retry = new Date(decision.retryAt * 1000).toLocaleString();
+			this.log.info(`🟡 ${pond.name}: delayed until ${retry} - ${decision.reason} [${decision.details}]`);
+			this.timeline.defer(pond.pondType, decision.retryAt);
+			return "delayed";
+		}
+		this.log.info(`🟢 ${pond.name}: sending - ${decision.reason} [${decision.details}]`);
+
+		if (this.lease && !this.lease.held) {
+			this.log.warn(`🔒 ${pond.name}: keeper lease expired, leaving the upkeep to whoever holds it`);
+			return "skipped";
+		}
+
+		// Pre-flight right before sending: another keeper may have selected it since we looked
+		try {
+			await client.core.selectLuckyWinner.staticCall(pond.pondType);
+		} catch (error) {
+			const fresh = await this.loadPond(pond.pondType, await client.now());
+			if (!fresh.isSelectionEligible) {
+				this.log.info(`🤝 ${pond.name}: already selected by someone else, re-planned`);
+				this.timeline.track(fresh);
+				return "replanned";
+			}
+			this.recordFailure("preflight", error);
+			this.log.warn(`⚠️ Skipping ${pond.name}: pre-flight call reverted: ${client.describeError(error)}`);
+			return "skipped";
+		}
+
+		const request = await client.core.selectLuckyWinner.populateTransaction(pond.pondType, {
+			gasLimit: (gasEstimate * 120n) / 100n, // 20% safety margin
+		});
+		const entry = await this.txs.prepare(request, {
+			pondType: pond.pondType,
+			name: pond.name,
+			endTime: pond.endTime,
+			submittedAt: Math.floor(Date.now() / 1000),
+		});
+
+		// Record the intent first, so a crash mid-send is reconciled on restart
+		this.state.inFlight[pond.pondType] = entry;
+		this.save();
+
+		try {
+			await this.txs.broadcast(entry);
+		} catch (error) {
+			this.forget(entry);
+			throw error;
+		}
+
+		this.save();
+		this.log.info(`📤 ${pond.name}: upkeep sent ${entry.hash}`);
+
+		try {
+			const receipt = await this.txs.wait(entry, {
+				timeout: this.options.confirmTimeout,
+				onBroadcast: () => this.save(),
+			});
+			this.finalize(entry, receipt);
+			return "confirmed";
+		} catch (error) {
+			if (isTimeout(error)) {
+				this.log.warn(`⏳ ${pond.name}: not mined after ${this.options.confirmTimeout}s, checking again next cycle`);
+				return "pending";
+			}
+			if (error.receipt) {
+				this.finalize(entry, error.receipt);
+				return "reverted";
+			}
+			if (error.code === "NONCE_EXPIRED") {
+				this.log.warn(`⚠️ ${pond.name}: ${error.shortMessage}`);
+				this.forget(entry);
+				return "skipped";
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * One pass: settle old transactions, bring the timeline up to date, upkeep
+	 * every pond it says is due (after confirming on chain), then continue any
+	 * batch clears that large-pond resets left behind.
+	 */
+	async runCycle() {
+		await this.reconcile();
+
+		const block = await this.client.provider.getBlock("latest");
+		const now = block.timestamp;
+		this.cycleStartedAt = { chain: now, wall: Date.now() / 1000 };
+
+		if (this.lastBlock === null || this.secondsSince(this.lastResync) >= this.options.resyncInterval) {
+			await this.resync(block);
+		} else {
+			await this.applyEvents(block.number);
+		}
+
+		const due = this.timeline.due(now);
+		const summary = {
+			due: due.length,
+			eligible: 0,
+			confirmed: 0,
+			pending: 0,
+			skipped: 0,
+			reverted: 0,
+			delayed: 0,
+			inFlight: 0,
+			replanned: 0,
+		};
+		const retryAt = now + this.options.interval;
+
+		for (const { pondType } of due) {
+			if (this.stopping) break;
+
+			const pond = await this.loadPond(pondType, now);
+			const entry = this.state.inFlight[pondType];
+			if (entry && entry.endTime === pond.endTime) {
+				this.log.info(`⏳ ${pond.name}: upkeep ${entry.hash || `nonce ${entry.nonce}`} still in flight`);
+				this.timeline.defer(pondType, retryAt);
+				summary.inFlight++;
+				continue;
+			}
+
+			// Someone else already ran it, or our view was stale
+			if (!pond.isSelectionEligible) {
+				this.timeline.track(pond);
+				summary.replanned++;
+				continue;
+			}
+
+			summary.eligible++;
+			const outcome = await this.upkeep(pond);
+			summary[outcome]++;
+			this.metrics.inc("upkeeps_total", { outcome });
+			// The policy already deferred delayed ponds to its own retry time, re-planned ones are tracked anew
+			if (outcome !== "confirmed" && outcome !== "delayed" && outcome !== "replanned") {
+				this.timeline.defer(pondType, retryAt);
+			}
+		}
+
+		summary.cleared = await this.processClears();
+		await this.checkBalance();
+		await this.flushAlerts();
+		summary.nextWakeAt = this.timeline.nextWakeAt();
+		this.state.lastBlock = this.lastBlock;
+		this.state.lastCycle = { at: new Date().toISOString(), ...summary };
+		this.save();
+		this.lastCycleAt = Date.now() / 1000;
+		this.metrics.inc("cycles_total");
+		return summary;
+	}
+
+	// Chain time now, extrapolated from the start of the last cycle (null before the first)
+	chainNow() {
+		if (!this.cycleStartedAt) return null;
+		return this.cycleStartedAt.chain + (Date.now() / 1000 - this.cycleStartedAt.wall);
+	}
+
+	// Seconds until the next planned wake-up, capped at the interval so events keep being read
+	nextDelay() {
+		const next = this.timeline.nextWakeAt();
+		const now = this.chainNow();
+		if (next === null || now === null) {
+			return this.options.interval;
+		}
+
+		return Math.max(1, Math.min(this.options.interval, Math.ceil(next - now)));
+	}
+
+	// Log the next wake-up whenever the pond we're waiting for changes
+	logPlan(delay) {
+		const [next] = this.timeline.upcoming(1);
+		const key = next ? `${next.pondType}:${this.timeline.wakeAt(next)}` : null;
+		if (key === this._lastPlan) return;
+
+		this._lastPlan = key;
+		if (next) {
+			const at = new Date(this.timeline.wakeAt(next) * 1000).toLocaleString();
+			this.log.info(`😴 Next up: ${next.name} at ${at} (checking again in ${delay}s)`);
+		} else {
+			this.log.info(`😴 No ponds to watch, checking for new ones every ${delay}s`);
+		}
+	}
+
+	// Sleep that stop() can cut short
+	sleep(seconds) {
+		if (this.options.sleep) {
+			return this.options.sleep(seconds);
+		}
+		return new Promise((resolve) => {
+			const timer = setTimeout(resolve, seconds * 1000);
+			this._wake = () => {
+				clearTimeout(timer);
+				resolve();
+			};
+		});
+	}
+
+	// Take or renew the lease; false (standby) while another keeper holds it or it can't be reached
+	async takeLease() {
+		let held = false;
+		let reason;
+		try {
+			held = await this.lease.acquire();
+			if (!held) {
+				const { owner, expiresAt, lease } = this.lease.holder || {};
+				const until = expiresAt ? ` until ${new Date(expiresAt * 1000).toLocaleTimeString()}` : "";
+				reason = `${owner || "another keeper"} holds the ${lease || "keeper"} lease${until}`;
+			}
+		} catch (error) {
+			reason = `lease unavailable: ${error.message}`;
+		}
+
+		if (held && this.standby) {
+			this.log.info("👑 Took over the keeper lease");
+		} else if (!held && reason !== this._lastStandby) {
+			this.log.info(`🔒 Standing by: ${reason}`);
+		}
+		this._lastStandby = held ? undefined : reason;
+		this.standby = !held;
+		return held;
+	}
+
+	stop() {
+		this.stopping = true;
+		if (this._wake) this._wake();
+	}
+
+	/**
+	 * Run cycles until stop(), SIGINT/SIGTERM or `maxCycles`. RPC failures back
+	 * off exponentially from retryDelay up to maxBackoff.
+	 */
+	async run({ maxCycles = Infinity } = {}) {
+		const onSignal = (signal) => {
+			this.log.info(`\n🛑 ${signal} received, stopping after the current step...`);
+			this.stop();
+		};
+		process.on("SIGINT", onSignal);
+		process.on("SIGTERM", onSignal);
+
+		this.log.info(`🤖 Keeper started, state in ${this.stateFile}`);
+
+		try {
+			for (let cycle = 1; cycle <= maxCycles && !this.stopping; cycle++) {
+				if (this.lease && !(await this.takeLease())) {
+					if (cycle < maxCycles && !this.stopping) {
+						await this.sleep(this.options.interval);
+					}
+					continue;
+				}
+
+				let delay;
+				try {
+					const summary = await this.runCycle();
+					this.failures = 0;
+					this.alerts.resolve("keeper-cycles-failing");
+					delay = this.nextDelay();
+					this.logPlan(delay);
+					if (summary.eligible > 0) {
+						this.log.info(
+							`✅ Cycle ${cycle}: ${summary.eligible} eligible, ${summary.confirmed} confirmed, ${summary.pending} pending, ${summary.skipped} skipped`,
+						);
+					}
+				} catch (error) {
+					this.failures++;
+					this.recordFailure("cycle", error);
+					delay = backoffDelay(this.failures, this.options);
+					const reason = this.client.describeError(error);
+					this.log.error(`❌ Cycle ${cycle} failed: ${reason}`);
+					this.log.warn(`🔁 Retrying in ${delay}s (failure ${this.failures})`);
+					if (this.failures >= this.options.failureAlertAfter) {
+						this.notify({
+							key: "keeper-cycles-failing",
+							severity: "critical",
+							title: "Keeper cycles failing",
+							message: `${this.failures} keeper cycles in a row failed, latest: ${reason}`,
+							fields: { Failures: this.failures, "Next retry": `${delay}s` },
+						});
+						await this.flushAlerts();
+					}
+				}
+
+				if (cycle < maxCycles && !this.stopping) {
+					await this.sleep(delay);
+				}
+			}
+		} finally {
+			process.off("SIGINT", onSignal);
+			process.off("SIGTERM", onSignal);
+			this.save();
+			if (this.lease) await this.lease.release();
+			this.log.info("👋 Keeper stopped");
+		}
+	}
+}
+
+module.exports = {
+	DEFAULT_STATE_DIR,
+	STATE_SCHEMA_VERSION,
+	defaultStatePath,
+	loadState,
+	saveState,
+	backoffDelay,
+	Keeper,
+};
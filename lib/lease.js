@@ -0,0 +1,320 @@
+// lib/lease.js
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+
+const DEFAULT_TTL = 300; // seconds a lease lasts without renewal
+const DEFAULT_LOCK_DIR = path.join(__dirname, "../keeper-state");
+
+// Shared by every keeper process for one PondCore: the keeper task and the upkeep scripts
+function leaseName(chainId, coreAddress) {
+	return `chain-${chainId}-${coreAddress.toLowerCase()}`;
+}
+
+function defaultLockPath(chainId, coreAddress, dir = DEFAULT_LOCK_DIR) {
+	return path.join(dir, `${leaseName(chainId, coreAddress)}.lock`);
+}
+
+// Identifies this process to other keepers, e.g. "ops-1:4242"
+function defaultOwner() {
+	return `${os.hostname()}:${process.pid}`;
+}
+
+function nowSeconds() {
+	return Date.now() / 1000;
+}
+
+function isAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		return error.code === "EPERM"; // Exists, owned by someone else
+	}
+}
+
+/**
+ * Same-host lock: a JSON file created exclusively, holding the owner and an
+ * expiry. A lock whose expiry passed, or whose process on this host is gone,
+ * is taken over.
+ */
+class FileLease {
+	constructor(file, { ttl = DEFAULT_TTL, owner = defaultOwner() } = {}) {
+		this.file = file;
+		this.ttl = ttl;
+		this.owner = owner;
+		this.name = `file ${file}`;
+		this.heldUntil = 0;
+	}
+
+	get held() {
+		return this.heldUntil > nowSeconds();
+	}
+
+	read() {
+		try {
+			return JSON.parse(fs.readFileSync(this.file, "utf8"));
+		} catch (error) {
+			if (error.code === "ENOENT") return null;
+			return { owner: "unreadable lock file", expiresAt: 0 }; // Half-written by a crash
+		}
+	}
+
+	isStale(lock) {
+		if (lock.expiresAt <= nowSeconds()) return true;
+		return lock.host === os.hostname() && Number.isInteger(lock.pid) && !isAlive(lock.pid);
+	}
+
+	record() {
+		return { owner: this.owner, host: os.hostname(), pid: process.pid, expiresAt: nowSeconds() + this.ttl };
+	}
+
+	/**
+	 * Take or renew the lock. Returns { held, holder } where holder is the
+	 * lock record of whoever has it.
+	 */
+	async acquire() {
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+		for (let attempt = 0; attempt < 2; attempt++) {
+			const record = this.record();
+			try {
+				fs.writeFileSync(this.file, JSON.stringify(record), { flag: "wx" });
+				this.heldUntil = record.expiresAt;
+				return { held: true, holder: record };
+			} catch (error) {
+				if (error.code !== "EEXIST") throw error;
+			}
+
+			const current = this.read();
+			if (current?.owner === this.owner) {
+				const tmp = `${this.file}.${process.pid}.tmp`;
+				fs.writeFileSync(tmp, JSON.stringify(record));
+				fs.renameSync(tmp, this.file);
+				this.heldUntil = record.expiresAt;
+				return { held: true, holder: record };
+			}
+			if (current && !this.isStale(current)) {
+				this.heldUntil = 0;
+				return { held: false, holder: current };
+			}
+			fs.rmSync(this.file, { force: true }); // Stale: remove and race for it once more
+		}
+
+		this.heldUntil = 0;
+		return { held: false, holder: this.read() };
+	}
+
+	async release() {
+		if (this.read()?.owner === this.owner) {
+			fs.rmSync(this.file, { force: true });
+		}
+		this.heldUntil = 0;
+	}
+}
+
+/**
+ * Lease from a lease server (see startLeaseServer) shared by keepers on
+ * different hosts. While the server can't be reached, a lease we already hold
+ * counts until it would have expired.
+ */
+class HttpLease {
+	constructor(url, { name, ttl = DEFAULT_TTL, owner = defaultOwner(), token, timeout = 10 } = {}) {
+		if (!name) {
+			throw new Error("❌ An HTTP lease needs a name");
+		}
+		this.url = `${url.replace(/\/$/, "")}/leases/${encodeURIComponent(name)}`;
+		this.ttl = ttl;
+		this.owner = owner;
+		this.token = token;
+		this.timeout = timeout;
+		this.name = `lease server ${new URL(url).host}`;
+		this.heldUntil = 0;
+	}
+
+	get held() {
+		return this.heldUntil > nowSeconds();
+	}
+
+	async request(method, body) {
+		const headers = { "Content-Type": "application/json" };
+		if (this.token) headers.Authorization = `Bearer ${this.token}`;
+		const res = await fetch(this.url, {
+			method,
+			headers,
+			body: JSON.stringify(body),
+			signal: AbortSignal.timeout(this.timeout * 1000),
+		});
+		if (res.status !== 200 && res.status !== 409) {
+			throw new Error(`❌ Lease server returned HTTP ${res.status} ${res.statusText}`);
+		}
+		return { ok: res.status === 200, body: await res.json() };
+	}
+
+	async acquire() {
+		const requestedAt = nowSeconds();
+		let response;
+		try {
+			response = await this.request("POST", { owner: this.owner, ttl: this.ttl });
+		} catch (error) {
+			if (this.held) {
+				return { held: true, holder: { owner: this.owner, expiresAt: this.heldUntil }, error };
+			}
+			throw error;
+		}
+
+		// Count from before the request, and only the ttl the server granted (its expiresAt is on its own
+		// clock), so our view never outlasts the server's
+		const granted = Math.min(this.ttl, response.body.ttl ?? this.ttl);
+		this.heldUntil = response.ok ? requestedAt + granted : 0;
+		return { held: response.ok, holder: response.body };
+	}
+
+	async release() {
+		this.heldUntil = 0;
+		try {
+			await this.request("DELETE", { owner: this.owner });
+		} catch {
+			// It expires on its own
+		}
+	}
+}
+
+/**
+ * Every lease in `leases` at once: held only while all of them are. Losing
+ * one gives the others back, so a standby keeper never blocks the leader.
+ */
+class KeeperLease {
+	constructor(leases) {
+		this.leases = leases;
+		this.holder = null;
+	}
+
+	get held() {
+		return this.leases.every((lease) => lease.held);
+	}
+
+	get owner() {
+		return this.leases[0]?.owner ?? null;
+	}
+
+	// Take or renew every lease; true when this process may act
+	async acquire() {
+		for (const lease of this.leases) {
+			let result;
+			try {
+				result = await lease.acquire();
+			} catch (error) {
+				await this.release();
+				throw error;
+			}
+			if (!result.held) {
+				this.holder = { ...result.holder, lease: lease.name };
+				await this.release();
+				return false;
+			}
+		}
+		this.holder = null;
+		return true;
+	}
+
+	async release() {
+		for (const lease of this.leases) {
+			await lease.release();
+		}
+	}
+}
+
+/**
+ * The lease a keeper process takes before acting on a PondCore: a file lock
+ * next to the keeper state, plus a lease from `url` when one is given.
+ */
+function createKeeperLease(client, { url, token, ttl = DEFAULT_TTL, file, owner = defaultOwner() } = {}) {
+	const { chainId } = client.network;
+	const leases = [new FileLease(file || defaultLockPath(chainId, client.coreAddress), { ttl, owner })];
+	if (url) {
+		leases.push(new HttpLease(url, { name: leaseName(chainId, client.coreAddress), ttl, owner, token }));
+	}
+	return new KeeperLease(leases);
+}
+
+async function readJson(req) {
+	let body = "";
+	for await (const chunk of req) body += chunk;
+	return body ? JSON.parse(body) : {};
+}
+
+/**
+ * Minimal lease server for keepers on several hosts: POST /leases/<name>
+ * { owner, ttl } takes or renews a lease and returns it with the ttl granted
+ * (409 with the holder when someone else has it), DELETE gives it back and GET /leases lists them. Leases live
+ * in memory; a restart frees them all. Resolves once listening.
+ */
+function startLeaseServer({ port = 9465, host = "127.0.0.1", token, maxTtl = 3600, now = nowSeconds } = {}) {
+	const leases = new Map();
+
+	const server = http.createServer(async (req, res) => {
+		const send = (code, body) =>
+			res.writeHead(code, { "Content-Type": "application/json" }).end(`${JSON.stringify(body)}\n`);
+
+		try {
+			if (token && req.headers.authorization !== `Bearer ${token}`) {
+				return send(401, { error: "unauthorized" });
+			}
+
+			const { pathname } = new URL(req.url, "http://localhost");
+			if (req.method === "GET" && pathname === "/leases") {
+				const active = [...leases.entries()]
+					.filter(([, lease]) => lease.expiresAt > now())
+					.map(([name, lease]) => ({ name, ...lease }));
+				return send(200, active);
+			}
+
+			const match = pathname.match(/^\/leases\/([^/]+)$/);
+			if (!match) return send(404, { error: "not found" });
+			const name = decodeURIComponent(match[1]);
+			const current = leases.get(name);
+			const live = current && current.expiresAt > now() ? current : null;
+
+			if (req.method === "POST") {
+				const { owner, ttl } = await readJson(req);
+				if (!owner || !(ttl > 0)) return send(400, { error: "owner and ttl are required" });
+				if (live && live.owner !== owner) return send(409, live);
+
+				const granted = Math.min(ttl, maxTtl);
+				const lease = { owner, expiresAt: now() + granted };
+				leases.set(name, lease);
+				return send(200, { ...lease, ttl: granted });
+			}
+			if (req.method === "DELETE") {
+				const { owner } = await readJson(req);
+				if (live && live.owner !== owner) return send(409, live);
+				leases.delete(name);
+				return send(200, {});
+			}
+			return send(405, { error: "method not allowed" });
+		} catch (error) {
+			return send(400, { error: error.message });
+		}
+	});
+
+	return new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(port, host, () => {
+			server.off("error", reject);
+			resolve(server);
+		});
+	});
+}
+
+module.exports = {
+	DEFAULT_LEASE_TTL: DEFAULT_TTL,
+	FileLease,
+	HttpLease,
+	KeeperLease,
+	createKeeperLease,
+	defaultLockPath,
+	leaseName,
+	startLeaseServer,
+};
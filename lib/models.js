@@ -0,0 +1,218 @@
+// lib/models.js
+const { formatAmount } = require("./tokens");
+
+// Solidity enum order from PondCore.sol - keep in sync with the contract
+const TOKEN_TYPES = ["NATIVE", "ERC20"];
+const POND_PERIODS = ["FIVE_MINUTES", "HOURLY", "DAILY", "WEEKLY", "MONTHLY", "CUSTOM"];
+
+// Short labels for tables and logs
+const PERIOD_LABELS = {
+	FIVE_MINUTES: "Five-Min",
+	HOURLY: "Hourly",
+	DAILY: "Daily",
+	WEEKLY: "Weekly",
+	MONTHLY: "Monthly",
+	CUSTOM: "Custom",
+};
+
+function enumName(names, value, label) {
+	const name = names[Number(value)];
+	if (!name) {
+		throw new Error(`❌ Unknown ${label} value: ${value}`);
+	}
+	return name;
+}
+
+function tokenTypeName(value) {
+	return enumName(TOKEN_TYPES, value, "TokenType");
+}
+
+function periodName(value) {
+	return enumName(POND_PERIODS, value, "PondPeriod");
+}
+
+// Enum value for a period name or label ("DAILY", "daily", "Five-Min", ...)
+function periodValue(name) {
+	const wanted = String(name).toUpperCase().replace(/-/g, "_");
+	const index = POND_PERIODS.findIndex(
+		(period) => period === wanted || PERIOD_LABELS[period].toUpperCase().replace(/-/g, "_") === wanted,
+	);
+	if (index === -1) {
+		throw new Error(`❌ Unknown pond period "${name}". Use one of: ${POND_PERIODS.join(", ")}`);
+	}
+	return index;
+}
+
+function decodeConfig(raw) {
+	const [
+		defaultMinTossPrice,
+		defaultMaxTotalTossAmount,
+		maxParticipantsPerPond,
+		emergencyBatchSize,
+		feePercent,
+		selectionTimelock,
+		feeAddress,
+	] = raw;
+
+	return {
+		defaultMinTossPrice,
+		defaultMaxTotalTossAmount,
+		maxParticipantsPerPond: Number(maxParticipantsPerPond),
+		emergencyBatchSize: Number(emergencyBatchSize),
+		feePercent: Number(feePercent),
+		selectionTimelock: Number(selectionTimelock),
+		feeAddress,
+	};
+}
+
+// Mirrors PondCore: five-minute ponds only wait a third of the selection timelock
+function effectiveTimelock(period, config) {
+	const timelock = Number(config.selectionTimelock);
+	return Number(period) === 0 ? Math.floor(timelock / 3) : timelock;
+}
+
+// Fill in enum names, formatted amounts and timing fields on a decoded pond
+function withDerivedFields(pond, { token = null, config = null, now = null } = {}) {
+	pond.tokenTypeName = tokenTypeName(pond.tokenType);
+	pond.periodName = periodName(pond.period);
+	pond.periodLabel = PERIOD_LABELS[pond.periodName];
+	pond.isNative = pond.tokenType === 0;
+
+	if (token) {
+		pond.token = token;
+		pond.formatted = {
+			totalValue: formatAmount(pond.totalValue, token),
+			minTossPrice: formatAmount(pond.minTossPrice, token),
+			maxTotalTossAmount: formatAmount(pond.maxTotalTossAmount, token),
+		};
+	}
+
+	if (now !== null) {
+		pond.timeUntilEnd = pond.timeUntilEnd ?? Math.max(pond.endTime - now, 0);
+		// Matches the PondNotOpen check in tossCoin
+		pond.isOpen = now >= pond.startTime && now <= pond.endTime;
+	}
+
+	if (config) {
+		pond.effectiveTimelock = effectiveTimelock(pond.period, config);
+		// selectLuckyWinner requires block.timestamp > endTime + effectiveTimelock
+		pond.selectionEligibleAt = pond.endTime + pond.effectiveTimelock + 1;
+		if (now !== null) {
+			pond.isSelectionEligible = !pond.prizeDistributed && now >= pond.selectionEligibleAt;
+		}
+	}
+
+	return pond;
+}
+
+/**
+ * Decode a `getPondStatus(pondType)` result. Pass `token`, `config` and `now`
+ * (block timestamp) to get formatted amounts and selection timing as well.
+ */
+function decodePondStatus(pondType, raw, context = {}) {
+	const [
+		name,
+		startTime,
+		endTime,
+		totalTosses,
+		totalValue,
+		totalParticipants,
+		prizeDistributed,
+		timeUntilEnd,
+		minTossPrice,
+		maxTotalTossAmount,
+		tokenType,
+		tokenAddress,
+		period,
+	] = raw;
+
+	return withDerivedFields(
+		{
+			pondType,
+			name,
+			startTime: Number(startTime),
+			endTime: Number(endTime),
+			totalTosses: Number(totalTosses),
+			totalValue,
+			totalParticipants: Number(totalParticipants),
+			prizeDistributed,
+			timeUntilEnd: Number(timeUntilEnd),
+			minTossPrice,
+			maxTotalTossAmount,
+			tokenType: Number(tokenType),
+			tokenAddress,
+			period: Number(period),
+		},
+		context,
+	);
+}
+
+// Decode the public `ponds(pondType)` struct getter; same shape as decodePondStatus
+function decodePond(raw, context = {}) {
+	const [
+		startTime,
+		endTime,
+		totalTosses,
+		totalParticipants,
+		,
+		totalValue,
+		totalFrogValue,
+		minTossPrice,
+		maxTotalTossAmount,
+		tokenAddress,
+		tokenType,
+		period,
+		prizeDistributed,
+		pondType,
+		pondName,
+	] = raw;
+
+	return withDerivedFields(
+		{
+			pondType,
+			name: pondName,
+			startTime: Number(startTime),
+			endTime: Number(endTime),
+			totalTosses: Number(totalTosses),
+			totalValue,
+			totalFrogValue,
+			totalParticipants: Number(totalParticipants),
+			prizeDistributed,
+			minTossPrice,
+			maxTotalTossAmount,
+			tokenType: Number(tokenType),
+			tokenAddress,
+			period: Number(period),
+		},
+		context,
+	);
+}
+
+// Decode one entry of `getStandardPondsForUI(token)`
+function decodePondDisplayInfo(raw) {
+	const [pondType, pondName, period, exists] = raw;
+	const name = periodName(period);
+
+	return {
+		pondType,
+		name: pondName,
+		period: Number(period),
+		periodName: name,
+		periodLabel: PERIOD_LABELS[name],
+		exists,
+	};
+}
+
+module.exports = {
+	TOKEN_TYPES,
+	POND_PERIODS,
+	PERIOD_LABELS,
+	tokenTypeName,
+	periodName,
+	periodValue,
+	decodeConfig,
+	effectiveTimelock,
+	decodePondStatus,
+	decodePond,
+	decodePondDisplayInfo,
+};
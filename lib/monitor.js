@@ -0,0 +1,174 @@
+// lib/monitor.js
+const { alertForEvent } = require("./alerts");
+
+const DEFAULT_OPTIONS = {
+	overdue: 900, // seconds past eligibility before an unselected pond is alerted
+	lowBalance: null, // wei; alert when a watched wallet holds less
+	wallets: [], // addresses whose balance is watched
+	keeperUrl: null, // keeper /healthz URL to poll
+	logChunk: 2000, // blocks per getLogs request
+};
+
+// Events the monitor turns into alerts
+const WATCHED_EVENTS = ["ParticipantLimitWarning", "EmergencyAction", "ConfigChanged"];
+
+/**
+ * Read-only watcher for the things nobody would otherwise be told about:
+ * PondCore warning and admin events, ponds left unselected, wallets running
+ * low and an unhealthy keeper. Each `check` is one pass; conditions that
+ * clear are resolved so they alert again if they come back.
+ */
+class PondMonitor {
+	constructor(client, alerts, options = {}) {
+		this.client = client;
+		this.alerts = alerts;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.log = options.logger || console;
+		this.lastBlock = options.fromBlock === undefined ? null : options.fromBlock - 1;
+		this.names = new Map();
+	}
+
+	async pondName(pondType) {
+		if (!this.names.has(pondType)) {
+			try {
+				this.names.set(pondType, (await this.client.getPondStatus(pondType)).name);
+			} catch {
+				return pondType; // Removed pond
+			}
+		}
+		return this.names.get(pondType);
+	}
+
+	// Alerts for watched events since the last check; the first check starts at the latest block
+	async eventAlerts(latestBlock) {
+		const { client } = this;
+		const { interface: iface } = client.core;
+		if (this.lastBlock === null) {
+			this.lastBlock = latestBlock;
+			return [];
+		}
+
+		const topics = [WATCHED_EVENTS.map((name) => iface.getEvent(name).topicHash)];
+		const alerts = [];
+		for (let fromBlock = this.lastBlock + 1; fromBlock <= latestBlock; fromBlock += this.options.logChunk) {
+			const toBlock = Math.min(latestBlock, fromBlock + this.options.logChunk - 1);
+			const logs = await client.provider.getLogs({ address: client.coreAddress, topics, fromBlock, toBlock });
+			for (const log of logs) {
+				const event = iface.parseLog(log);
+				const alert = alertForEvent(event, {
+					pondName: await this.pondName(event.args.pondType),
+					txHash: log.transactionHash,
+					amount: event.name === "EmergencyAction" ? await client.formatToken(event.args.amount, event.args.token) : null,
+				});
+				if (alert) alerts.push(alert);
+			}
+			this.lastBlock = toBlock;
+		}
+		return alerts;
+	}
+
+	// Ponds whose winner should have been selected more than `overdue` seconds ago
+	async overduePonds(now) {
+		const { client } = this;
+		const config = await client.getConfig({ refresh: true });
+		const pondTypes = await client.core.getAllPondTypes();
+
+		const overdue = [];
+		for (const pondType of pondTypes) {
+			const pond = await client.getPondStatus(pondType);
+			this.names.set(pondType, pond.name);
+			const key = `overdue:${pondType}`;
+			if (pond.isSelectionEligible && now - pond.selectionEligibleAt >= this.options.overdue) {
+				overdue.push({
+					key,
+					severity: "critical",
+					title: "Pond overdue for winner selection",
+					message: `${pond.name} has been eligible for selectLuckyWinner for ${now - pond.selectionEligibleAt}s; is the keeper running?`,
+					fields: {
+						Pond: pond.name,
+						Participants: pond.totalParticipants,
+						Value: pond.formatted.totalValue,
+						"Eligible since": new Date(pond.selectionEligibleAt * 1000).toISOString(),
+						Timelock: `${config.selectionTimelock}s`,
+					},
+				});
+			} else {
+				this.alerts.resolve(key);
+			}
+		}
+		return overdue;
+	}
+
+	async balanceAlerts() {
+		const { client, options } = this;
+		if (options.lowBalance === null) return [];
+
+		const alerts = [];
+		for (const address of options.wallets) {
+			const key = `low-balance:${address.toLowerCase()}`;
+			const balance = await client.balance(address);
+			if (balance < options.lowBalance) {
+				alerts.push({
+					key,
+					severity: "warning",
+					title: "Wallet balance low",
+					message: `${address} holds ${client.formatNative(balance)}, below ${client.formatNative(options.lowBalance)}.`,
+					fields: { Wallet: address, Balance: client.formatNative(balance) },
+				});
+			} else {
+				this.alerts.resolve(key);
+			}
+		}
+		return alerts;
+	}
+
+	async keeperAlerts() {
+		const { keeperUrl } = this.options;
+		if (!keeperUrl) return [];
+
+		let problem;
+		try {
+			const res = await fetch(keeperUrl, { signal: AbortSignal.timeout(10_000) });
+			if (res.ok) {
+				this.alerts.resolve("keeper-health");
+				return [];
+			}
+			const body = await res.json().catch(() => ({}));
+			problem = `/healthz returned ${res.status} (${body.status || "no status"})`;
+		} catch (error) {
+			problem = `/healthz unreachable: ${error.message}`;
+		}
+
+		return [
+			{
+				key: "keeper-health",
+				severity: "critical",
+				title: "Keeper unhealthy",
+				message: problem,
+				fields: { URL: keeperUrl },
+			},
+		];
+	}
+
+	// One pass over every check; returns the alerts raised (sent or suppressed)
+	async check() {
+		const block = await this.client.provider.getBlock("latest");
+		const alerts = [
+			...(await this.eventAlerts(block.number)),
+			...(await this.overduePonds(block.timestamp)),
+			...(await this.balanceAlerts()),
+			...(await this.keeperAlerts()),
+		];
+
+		for (const alert of alerts) {
+			const { sent, reason } = await this.alerts.notify(alert);
+			this.log.info(`${sent ? "📣" : "🔕"} ${alert.title}: ${alert.message}${sent ? "" : ` (${reason})`}`);
+		}
+		return alerts;
+	}
+}
+
+module.exports = {
+	PondMonitor,
+	WATCHED_EVENTS,
+};
@@ -0,0 +1,60 @@
+// lib/multicall.js
+// Many contract reads in one eth_call through Multicall3, which sits at the
+// same address on most chains. Where it isn't deployed (a fresh Hardhat
+// node) the calls are made directly, a batch at a time.
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+	"function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+// Calls per aggregate3 request
+const MULTICALL_BATCH_SIZE = 60;
+
+// Multicall3 on the client's chain, or null (looked up once per client)
+async function multicallContract(client) {
+	if (client._multicall === undefined) {
+		const code = await client.provider.getCode(MULTICALL3_ADDRESS);
+		client._multicall = code === "0x" ? null : new client.ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, client.provider);
+	}
+	return client._multicall;
+}
+
+/**
+ * Results of `calls` ([contract, method, args]) in order, decoded the way the
+ * contract method itself returns them. Each batch of `batchSize` calls is one
+ * aggregate3 eth_call, or `batchSize` concurrent calls without Multicall3.
+ * Any failing call throws.
+ */
+async function multicall(client, calls, { batchSize = MULTICALL_BATCH_SIZE } = {}) {
+	const aggregator = await multicallContract(client);
+	const results = [];
+	for (let start = 0; start < calls.length; start += batchSize) {
+		const batch = calls.slice(start, start + batchSize);
+		if (!aggregator) {
+			results.push(...(await Promise.all(batch.map(([contract, method, args]) => contract[method](...args)))));
+			continue;
+		}
+
+		const targets = await Promise.all(batch.map(([contract]) => contract.getAddress()));
+		const returned = await aggregator.aggregate3.staticCall(
+			batch.map(([contract, method, args], index) => ({
+				target: targets[index],
+				allowFailure: false,
+				callData: contract.interface.encodeFunctionData(method, args),
+			})),
+		);
+		returned.forEach(({ returnData }, index) => {
+			const [contract, method] = batch[index];
+			const decoded = contract.interface.decodeFunctionResult(method, returnData);
+			results.push(decoded.length === 1 ? decoded[0] : decoded);
+		});
+	}
+	return results;
+}
+
+module.exports = {
+	MULTICALL3_ADDRESS,
+	MULTICALL_BATCH_SIZE,
+	multicall,
+};
@@ -0,0 +1,105 @@
+// lib/networks.js
+
+// Known networks, keyed by chain ID. Hardhat's config and every task/script
+// read from this table, so adding a network only happens here.
+const NETWORKS = {
+	998: {
+		name: "hyperliquid_testnet",
+		aliases: [],
+		url: "https://rpc.hyperliquid-testnet.xyz/evm",
+		isTestnet: true,
+		configPrefix: "TESTNET",
+		nativeSymbol: "HYPE",
+	},
+	999: {
+		name: "hyperliquid_mainnet",
+		aliases: ["hyperevm-mainnet"],
+		url: "https://rpc.hyperliquid.xyz/evm",
+		isTestnet: false,
+		configPrefix: "MAINNET",
+		nativeSymbol: "HYPE",
+		explorer: "https://www.hyperscan.com",
+	},
+	31337: {
+		name: "hardhat",
+		aliases: ["localhost"],
+		isTestnet: true,
+		isLocal: true,
+		// The scripts always read MAINNET_* variables on local chains; keep it that way
+		configPrefix: "MAINNET",
+		nativeSymbol: "ETH",
+	},
+};
+
+// Build the info object every client carries around
+function getNetworkInfo(chainId, hardhatNetworkName = null) {
+	const id = Number(chainId);
+	const known = NETWORKS[id];
+
+	if (known) {
+		return {
+			...known,
+			chainId: id,
+			name: hardhatNetworkName || known.name,
+			label: known.isTestnet ? "🧪 Testnet" : "🔴 Mainnet",
+		};
+	}
+
+	// Unknown chains fall back to the old name-based detection
+	const name = hardhatNetworkName || `chain-${id}`;
+	const isTestnet = name.includes("testnet");
+
+	return {
+		name,
+		aliases: [],
+		chainId: id,
+		isTestnet,
+		configPrefix: isTestnet ? "TESTNET" : "MAINNET",
+		nativeSymbol: "ETH",
+		label: isTestnet ? "🧪 Testnet" : "🔴 Mainnet",
+	};
+}
+
+// Network info for the network Hardhat is connected to
+async function getHreNetworkInfo(hre) {
+	const { chainId } = await hre.ethers.provider.getNetwork();
+	return getNetworkInfo(chainId, hre.network.name);
+}
+
+// Look up a network by its Hardhat name or alias
+function findNetworkByName(name) {
+	for (const [chainId, network] of Object.entries(NETWORKS)) {
+		if (network.name === name || network.aliases.includes(name)) {
+			return getNetworkInfo(chainId, name);
+		}
+	}
+	return null;
+}
+
+// Hardhat `networks` entries for every remote network in the table
+function hardhatNetworks(privateKey) {
+	const accounts = privateKey ? [privateKey] : [];
+	const networks = {};
+
+	for (const [chainId, network] of Object.entries(NETWORKS)) {
+		if (!network.url) continue;
+
+		for (const name of [network.name, ...network.aliases]) {
+			networks[name] = {
+				url: network.url,
+				accounts,
+				chainId: Number(chainId),
+			};
+		}
+	}
+
+	return networks;
+}
+
+module.exports = {
+	NETWORKS,
+	getNetworkInfo,
+	getHreNetworkInfo,
+	findNetworkByName,
+	hardhatNetworks,
+};
@@ -0,0 +1,141 @@
+// lib/output.js
+// Machine-readable output for query tasks: records as JSON, NDJSON or CSV,
+// with bigints as strings so nothing loses precision.
+const fs = require("node:fs");
+const path = require("node:path");
+
+const OUTPUT_FORMATS = ["table", "json", "ndjson", "csv"];
+
+// Deep copy with bigints as decimal strings, ready for JSON.stringify
+function plain(value) {
+	if (typeof value === "bigint") return value.toString();
+	if (Array.isArray(value)) return value.map(plain);
+	if (value && typeof value === "object") {
+		return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, plain(entry)]));
+	}
+	return value;
+}
+
+function isoTime(timestamp) {
+	return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+/**
+ * Flat record for a decoded pond (client.getPondStatus / decodePond): raw
+ * amounts as strings with the formatted amounts alongside, times as unix
+ * seconds and ISO strings.
+ */
+function pondRecord(pond) {
+	return plain({
+		pondType: pond.pondType,
+		name: pond.name,
+		period: pond.periodName,
+		periodLabel: pond.periodLabel,
+		tokenType: pond.tokenTypeName,
+		tokenAddress: pond.tokenAddress,
+		tokenSymbol: pond.token?.symbol ?? null,
+		tokenDecimals: pond.token?.decimals ?? null,
+		startTime: pond.startTime,
+		startTimeIso: isoTime(pond.startTime),
+		endTime: pond.endTime,
+		endTimeIso: isoTime(pond.endTime),
+		timeUntilEnd: pond.timeUntilEnd ?? null,
+		isOpen: pond.isOpen ?? null,
+		totalTosses: pond.totalTosses,
+		totalParticipants: pond.totalParticipants,
+		totalValue: pond.totalValue,
+		totalValueFormatted: pond.formatted?.totalValue ?? null,
+		minTossPrice: pond.minTossPrice,
+		minTossPriceFormatted: pond.formatted?.minTossPrice ?? null,
+		maxTotalTossAmount: pond.maxTotalTossAmount,
+		maxTotalTossAmountFormatted: pond.formatted?.maxTotalTossAmount ?? null,
+		prizeDistributed: pond.prizeDistributed,
+		effectiveTimelock: pond.effectiveTimelock ?? null,
+		selectionEligibleAt: pond.selectionEligibleAt ?? null,
+		selectionEligibleAtIso: isoTime(pond.selectionEligibleAt),
+		isSelectionEligible: pond.isSelectionEligible ?? null,
+	});
+}
+
+// RFC 4180 field: quoted when it holds a comma, quote or line break
+function csvField(value) {
+	if (value === null || value === undefined) return "";
+	const text = typeof value === "object" ? JSON.stringify(plain(value)) : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a header row of every key, in first-seen order
+function toCsv(records) {
+	const columns = [];
+	for (const record of records) {
+		for (const key of Object.keys(record)) {
+			if (!columns.includes(key)) columns.push(key);
+		}
+	}
+	const lines = [columns.map(csvField).join(",")];
+	for (const record of records) {
+		lines.push(columns.map((column) => csvField(record[column])).join(","));
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render records (plain objects; bigints are converted) as "json" (an array),
+ * "ndjson" (one object per line) or "csv" (nested values as JSON).
+ */
+function formatRecords(records, format) {
+	const rows = records.map(plain);
+	switch (format) {
+		case "json":
+			return `${JSON.stringify(rows, null, 2)}\n`;
+		case "ndjson":
+			return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+		case "csv":
+			return toCsv(rows);
+		default:
+			throw new Error(`❌ Unknown output format "${format}" (expected json, ndjson or csv)`);
+	}
+}
+
+/**
+ * Output format from --format and --out: an explicit format wins, otherwise
+ * the --out extension (.json, .ndjson/.jsonl, .csv), otherwise "table".
+ */
+function resolveFormat(format, out) {
+	if (format) {
+		if (!OUTPUT_FORMATS.includes(format)) {
+			throw new Error(`❌ Unknown --format "${format}" (expected ${OUTPUT_FORMATS.join(", ")})`);
+		}
+		if (format === "table" && out) {
+			throw new Error("❌ --out needs --format json, ndjson or csv");
+		}
+		return format;
+	}
+
+	if (!out) return "table";
+	const extension = path.extname(out).toLowerCase();
+	const byExtension = { ".json": "json", ".ndjson": "ndjson", ".jsonl": "ndjson", ".csv": "csv" };
+	if (!byExtension[extension]) {
+		throw new Error(`❌ Can't tell the format of ${out}, pass --format json, ndjson or csv`);
+	}
+	return byExtension[extension];
+}
+
+// Write rendered output to `out` (creating its directory) or stdout
+function writeOutput(text, out) {
+	if (!out) {
+		process.stdout.write(text);
+		return;
+	}
+	fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+	fs.writeFileSync(out, text);
+}
+
+module.exports = {
+	OUTPUT_FORMATS,
+	formatRecords,
+	plain,
+	pondRecord,
+	resolveFormat,
+	writeOutput,
+};
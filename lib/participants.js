@@ -0,0 +1,102 @@
+// lib/participants.js
+// Who is in a pond: participants with their total tossed, toss count and
+// current odds, read in pages so large ponds don't need one giant call.
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// Out-of-range array getters revert without data; ethers calls that CALL_EXCEPTION, Hardhat doesn't
+function isRevert(error) {
+	return error?.code === "CALL_EXCEPTION" || /reverted/i.test(error?.message || "");
+}
+
+// Call `read(index)` for [start, end) in parallel pages; stops at the first index that
+// reverts (past the end of the array), other errors are thrown
+async function readPaged(start, end, pageSize, read, onPage) {
+	const entries = [];
+	for (let first = start; first < end; first += pageSize) {
+		const indexes = [];
+		for (let index = first; index < Math.min(first + pageSize, end); index++) indexes.push(index);
+
+		const results = await Promise.allSettled(indexes.map(read));
+		const stop = results.findIndex((result) => result.status === "rejected");
+		if (stop !== -1 && !isRevert(results[stop].reason)) throw results[stop].reason;
+		const page = results.slice(0, stop === -1 ? undefined : stop).map((result) => result.value);
+		entries.push(...page);
+		if (onPage && page.length > 0) onPage(entries.length);
+		if (stop !== -1) break;
+	}
+	return entries;
+}
+
+// Share of `total` as a fraction, to 1e-8
+function odds(amount, total) {
+	if (total === 0n) return 0;
+	return Number((amount * 100_000_000n) / total) / 100_000_000;
+}
+
+/**
+ * Participants of a pond's current round, largest first, as { index, address,
+ * amount, tosses, probability } where probability is amount / totalFrogValue.
+ * Ponds listing more than `pageSize` participants are read by index through
+ * `pondParticipants`/`participants`; toss counts always come from paging
+ * `pondTosses`.
+ *
+ * After a largePondReset the previous round stays in `pondParticipants` until
+ * batchClearParticipants runs; those entries have no tosses this round and
+ * are dropped (`stale` counts them).
+ */
+async function readParticipants(client, pondType, { pageSize = DEFAULT_PAGE_SIZE, onPage } = {}) {
+	const { core } = client;
+	const pond = await client.getPond(pondType);
+
+	// A largePondReset zeroes totalParticipants but leaves the list, so probe the list itself
+	const small = await core.pondParticipants(pondType, pageSize).then(
+		() => false,
+		(error) => {
+			if (isRevert(error)) return true;
+			throw error;
+		},
+	);
+
+	let listed;
+	if (small) {
+		listed = (await core.getPondParticipants(pondType)).map((info, index) => ({
+			index,
+			address: info.participant,
+			amount: info.tossAmount,
+		}));
+	} else {
+		// The list can be longer than totalParticipants, so read until an index reverts
+		listed = await readPaged(0, Number.MAX_SAFE_INTEGER, pageSize, async (index) => {
+			const address = await core.pondParticipants(pondType, index);
+			const { amount } = await core.participants(pondType, address);
+			return { index, address, amount };
+		}, onPage && ((count) => onPage("participants", count)));
+	}
+
+	const tosses = await readPaged(0, pond.totalTosses, pageSize, (index) => core.pondTosses(pondType, index),
+		onPage && ((count) => onPage("tosses", count)));
+	const counts = new Map();
+	for (const toss of tosses) {
+		const index = Number(toss.participantIndex);
+		counts.set(index, (counts.get(index) || 0) + 1);
+	}
+
+	const stale = listed.length > pond.totalParticipants;
+	const participants = listed
+		.filter((entry) => !stale || counts.has(entry.index))
+		.map((entry) => ({
+			...entry,
+			tosses: counts.get(entry.index) || 0,
+			probability: odds(entry.amount, pond.totalFrogValue),
+		}))
+		.sort((a, b) => (a.amount === b.amount ? a.index - b.index : a.amount > b.amount ? -1 : 1));
+
+	return { pond, participants, stale: listed.length - participants.length };
+}
+
+module.exports = {
+	DEFAULT_PAGE_SIZE,
+	odds,
+	readParticipants,
+};
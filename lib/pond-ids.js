@@ -0,0 +1,122 @@
+// lib/pond-ids.js
+const { ZeroAddress, getAddress, isAddress, isHexString, keccak256, solidityPacked, toUtf8Bytes } = require("ethers");
+const { POND_PERIODS, PERIOD_LABELS, periodName, periodValue } = require("./models");
+const { isNativeToken } = require("./tokens");
+
+// Seeds PondCore/PondFactory hash into standard pond IDs, by PondPeriod
+const STANDARD_ID_SEEDS = {
+	FIVE_MINUTES: "POND_5MIN",
+	HOURLY: "POND_HOURLY",
+	DAILY: "POND_DAILY",
+	WEEKLY: "POND_WEEKLY",
+	MONTHLY: "POND_MONTHLY",
+};
+
+const STANDARD_PERIODS = Object.keys(STANDARD_ID_SEEDS);
+
+// Accept a period as enum value, enum name or label
+function toPeriodName(period) {
+	return typeof period === "number" || /^\d+$/.test(String(period))
+		? periodName(period)
+		: POND_PERIODS[periodValue(period)];
+}
+
+/**
+ * ID of a standard pond, as PondFactory.createStandardPonds derives it:
+ * keccak256("POND_DAILY") for native ponds and
+ * keccak256(abi.encodePacked("POND_DAILY", token)) for ERC20 ponds.
+ */
+function standardPondId(period, tokenAddress = ZeroAddress) {
+	const name = toPeriodName(period);
+	const seed = STANDARD_ID_SEEDS[name];
+	if (!seed) {
+		throw new Error(`❌ ${name} is not a standard pond period. Use one of: ${STANDARD_PERIODS.join(", ")}`);
+	}
+	return labelPondId(seed, tokenAddress);
+}
+
+// keccak256 of a raw seed string, optionally packed with a token address
+function labelPondId(label, tokenAddress = ZeroAddress) {
+	if (isNativeToken(tokenAddress)) {
+		return keccak256(toUtf8Bytes(label));
+	}
+	return keccak256(solidityPacked(["string", "address"], [label, getAddress(tokenAddress)]));
+}
+
+/**
+ * ID of a custom pond from PondFactory.createCustomPond. `createdAt` is the
+ * timestamp of the block that created it, so it can only be derived after the fact.
+ */
+function customPondId(tokenAddress, startTime, endTime, createdAt) {
+	return keccak256(
+		solidityPacked(
+			["string", "address", "uint256", "uint256", "uint256"],
+			["POND_CUSTOM", isNativeToken(tokenAddress) ? ZeroAddress : getAddress(tokenAddress), startTime, endTime, createdAt],
+		),
+	);
+}
+
+// Every standard pond ID for a token, keyed by period name
+function standardPondIds(tokenAddress = ZeroAddress) {
+	const ids = {};
+	for (const period of STANDARD_PERIODS) {
+		ids[period] = standardPondId(period, tokenAddress);
+	}
+	return ids;
+}
+
+/**
+ * Parse a pond reference from the command line: a bytes32 ID, or a standard
+ * period optionally followed by a token ("DAILY", "hourly:0x1234...").
+ */
+function parsePondId(input) {
+	const value = String(input).trim();
+
+	if (isHexString(value, 32)) {
+		return value.toLowerCase();
+	}
+	if (isHexString(value)) {
+		throw new Error(`❌ Pond ID ${value} is not 32 bytes`);
+	}
+
+	const [period, token] = value.split(":");
+	if (token && !isAddress(token)) {
+		throw new Error(`❌ Invalid token address in pond reference: ${token}`);
+	}
+	return standardPondId(period, token || ZeroAddress);
+}
+
+/**
+ * Find which token/period a standard pond ID belongs to, trying the native
+ * token and each of `tokenAddresses`. Returns null for custom or unknown IDs.
+ */
+function findStandardPond(pondId, tokenAddresses = []) {
+	const wanted = pondId.toLowerCase();
+
+	for (const tokenAddress of [ZeroAddress, ...tokenAddresses]) {
+		for (const [period, id] of Object.entries(standardPondIds(tokenAddress))) {
+			if (id === wanted) {
+				return {
+					pondId: id,
+					tokenAddress,
+					period: periodValue(period),
+					periodName: period,
+					periodLabel: PERIOD_LABELS[period],
+				};
+			}
+		}
+	}
+
+	return null;
+}
+
+module.exports = {
+	STANDARD_ID_SEEDS,
+	STANDARD_PERIODS,
+	standardPondId,
+	labelPondId,
+	customPondId,
+	standardPondIds,
+	parsePondId,
+	findStandardPond,
+};
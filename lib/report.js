@@ -0,0 +1,329 @@
+// lib/report.js
+// Weekly ops status report: collects pond states (the query-ponds data),
+// recent winners, fee totals, participant distributions, config and roles,
+// and renders them as one self-contained HTML page (inline CSS and SVG).
+const { ZeroHash, id: roleHash } = require("ethers");
+const { pondRecord } = require("./output");
+const { PERIOD_LABELS } = require("./models");
+const { formatAmount } = require("./tokens");
+const { pondPhase } = require("./dashboard");
+const { readParticipants } = require("./participants");
+const { readFees, readWinners, scanEvents, summarizeFees } = require("./history");
+
+// AccessControl roles PondCore and PondFactory define; each contract is checked for the ones it has
+const ROLE_NAMES = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "POND_MANAGER_ROLE", "FACTORY_ROLE"];
+
+function roleName(role) {
+	if (role === ZeroHash) return "DEFAULT_ADMIN_ROLE";
+	return ROLE_NAMES.find((name) => roleHash(name) === role) || role;
+}
+
+/**
+ * Role members of PondCore and PondFactory. AccessControl can't list members,
+ * so they are rebuilt from RoleGranted/RoleRevoked between fromBlock and
+ * toBlock, plus `candidates` (addresses worth checking, like the fee
+ * address), and each is confirmed with hasRole. Only complete when the scan
+ * starts at deployment.
+ */
+async function readRoles(client, { fromBlock, toBlock, chunk, candidates = [] } = {}) {
+	const contracts = [["PondCore", client.core], ["PondFactory", client.factory]].filter(([, contract]) => contract);
+
+	const result = [];
+	for (const [name, contract] of contracts) {
+		const roles = ROLE_NAMES.filter((role) => contract.interface.getFunction(role)).map((role) =>
+			role === "DEFAULT_ADMIN_ROLE" ? ZeroHash : roleHash(role),
+		);
+		const accounts = new Map(roles.map((role) => [role, new Set(candidates.filter(Boolean))]));
+
+		const events = await scanEvents(client, { contract, events: ["RoleGranted", "RoleRevoked"], fromBlock, toBlock, chunk });
+		for (const { args } of events) {
+			if (!accounts.has(args.role)) accounts.set(args.role, new Set());
+			accounts.get(args.role).add(args.account);
+		}
+
+		const entries = [];
+		for (const [role, members] of accounts) {
+			const holders = [];
+			for (const account of members) {
+				if (await contract.hasRole(role, account)) holders.push(account);
+			}
+			entries.push({ role, name: roleName(role), members: holders });
+		}
+		result.push({ contract: name, address: await contract.getAddress(), roles: entries });
+	}
+	return result;
+}
+
+/**
+ * Everything the report shows, as plain data: ponds (pondRecord plus phase),
+ * the `winners` most recent winners and fee totals in [fromBlock, toBlock],
+ * the `top` participants of every pond with tosses, config and roles.
+ * Roles are scanned from `rolesFromBlock` (the deployment block, ideally).
+ */
+async function collectReport(client, { fromBlock, toBlock, rolesFromBlock = fromBlock, chunk, winners = 20, top = 10, onProgress } = {}) {
+	const progress = onProgress || (() => {});
+	const [config, paused, block] = await Promise.all([
+		client.getConfig({ refresh: true }),
+		client.core.paused(),
+		client.provider.getBlock(toBlock),
+	]);
+	const now = await client.now();
+
+	progress("ponds");
+	const ponds = [];
+	const distributions = [];
+	for (const entry of await client.listPonds()) {
+		const pond = await client.getPondStatus(entry.pondType);
+		ponds.push({ ...pondRecord(pond), standard: entry.standard, phase: pondPhase(pond, now).phase });
+
+		if (pond.totalParticipants > 0) {
+			const { participants } = await readParticipants(client, entry.pondType);
+			const shown = participants.slice(0, top).map((participant) => ({
+				label: participant.address,
+				amount: participant.amount.toString(),
+				amountFormatted: formatAmount(participant.amount, pond.token),
+				probability: participant.probability,
+			}));
+			const rest = participants.slice(top);
+			if (rest.length > 0) {
+				const amount = rest.reduce((sum, participant) => sum + participant.amount, 0n);
+				shown.push({
+					label: `${rest.length} others`,
+					amount: amount.toString(),
+					amountFormatted: formatAmount(amount, pond.token),
+					probability: rest.reduce((sum, participant) => sum + participant.probability, 0),
+				});
+			}
+			distributions.push({ pondType: entry.pondType, name: pond.name, participants: participants.length, shares: shown });
+		}
+	}
+
+	progress("winners");
+	const recentWinners = (await readWinners(client, { fromBlock, toBlock, chunk })).slice(-winners).reverse();
+
+	progress("fees");
+	const feeRounds = await readFees(client, { fromBlock, toBlock, chunk });
+	const feeRows = await summarizeFees(client, feeRounds);
+	const totals = new Map();
+	for (const row of feeRows) {
+		totals.set(row.tokenAddress, (totals.get(row.tokenAddress) || 0n) + row.fees);
+	}
+	const feeTotals = [];
+	for (const [tokenAddress, fees] of totals) {
+		feeTotals.push({ tokenAddress, fees, feesFormatted: await client.formatToken(fees, tokenAddress) });
+	}
+
+	progress("roles");
+	const roles = await readRoles(client, {
+		fromBlock: rolesFromBlock,
+		toBlock,
+		chunk,
+		candidates: [client.signerAddress, config.feeAddress, client.factoryAddress],
+	});
+
+	return {
+		generatedAt: new Date().toISOString(),
+		network: client.network.name,
+		chainId: Number(client.network.chainId),
+		blockNumber: block.number,
+		blockTime: block.timestamp,
+		range: { fromBlock, toBlock, rolesFromBlock },
+		addresses: { PondCore: client.coreAddress, PondFactory: client.factoryAddress || null },
+		paused,
+		config: {
+			...config,
+			defaultMinTossPrice: client.formatNative(config.defaultMinTossPrice),
+			defaultMaxTotalTossAmount: client.formatNative(config.defaultMaxTotalTossAmount),
+		},
+		ponds,
+		distributions,
+		winners: recentWinners,
+		fees: { rounds: feeRounds.length, rows: feeRows, totals: feeTotals },
+		roles,
+	};
+}
+
+function escapeHtml(value) {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+function shortAddress(address) {
+	return address && address.length === 42 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+}
+
+function utc(timestamp) {
+	return timestamp ? new Date(timestamp * 1000).toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC") : "";
+}
+
+// <table> from column titles and rows of cell values (escaped here)
+function htmlTable(columns, rows, empty = "Nothing to show") {
+	if (rows.length === 0) return `<p class="muted">${escapeHtml(empty)}</p>`;
+	const head = columns.map((column) => `<th>${escapeHtml(column)}</th>`).join("");
+	const body = rows
+		.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`)
+		.join("\n");
+	return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// Horizontal bar chart of shares (0..1) as inline SVG
+function barChart(shares, { width = 640, barHeight = 20, labelWidth = 150 } = {}) {
+	const gap = 6;
+	const chartWidth = width - labelWidth - 170;
+	const height = shares.length * (barHeight + gap) + gap;
+	const bars = shares.map((share, index) => {
+		const y = gap + index * (barHeight + gap);
+		const barWidth = Math.max(1, Math.round(share.probability * chartWidth));
+		return [
+			`<text x="${labelWidth - 8}" y="${y + barHeight * 0.7}" text-anchor="end">${escapeHtml(shortAddress(share.label))}</text>`,
+			`<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3"><title>${escapeHtml(share.label)}</title></rect>`,
+			`<text x="${labelWidth + barWidth + 6}" y="${y + barHeight * 0.7}">${escapeHtml(`${(share.probability * 100).toFixed(2)}% · ${share.amountFormatted}`)}</text>`,
+		].join("");
+	});
+	return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">${bars.join("")}</svg>`;
+}
+
+const PHASE_LABELS = {
+	upcoming: "Upcoming",
+	open: "Open",
+	timelock: "Awaiting selection",
+	selectable: "Past timelock",
+};
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1d2733; }
+h1 { margin-bottom: 0.2rem; } h2 { margin-top: 2.2rem; border-bottom: 2px solid #2e9e5b; padding-bottom: 0.3rem; }
+.muted { color: #6b7785; } .warn { color: #b45309; font-weight: 600; } .bad { color: #b91c1c; font-weight: 600; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; margin: 0.6rem 0; }
+th, td { border-bottom: 1px solid #e3e8ee; padding: 0.35rem 0.5rem; text-align: left; }
+th { background: #f3f6f9; } td { font-variant-numeric: tabular-nums; }
+.cards { display: flex; flex-wrap: wrap; gap: 0.8rem; margin: 1rem 0; }
+.card { background: #f3f6f9; border-radius: 6px; padding: 0.6rem 0.9rem; min-width: 150px; }
+.card b { display: block; font-size: 1.2rem; }
+svg.chart { font-size: 12px; font-family: inherit; } svg.chart rect { fill: #2e9e5b; } svg.chart text { fill: #1d2733; }
+code { font-size: 0.85em; }
+`;
+
+/**
+ * The report as one HTML page with no external assets. Every value from the
+ * chain (pond names included) is escaped.
+ */
+function renderReportHtml(report) {
+	const awaiting = report.ponds.filter((pond) => pond.phase === "timelock" || (pond.phase === "selectable" && pond.totalTosses > 0));
+	const title = `Lucky Ponds status — ${report.network}`;
+
+	const cards = [
+		["Ponds", report.ponds.length],
+		["Open", report.ponds.filter((pond) => pond.phase === "open").length],
+		["Awaiting selection", awaiting.length],
+		["Winners in range", report.winners.length],
+		["Fees in range", report.fees.totals.map((total) => total.feesFormatted).join(" + ") || "0"],
+	];
+
+	const pondRows = report.ponds.map((pond) => [
+		pond.name,
+		pond.standard ? pond.periodLabel : "Custom",
+		pond.tokenSymbol,
+		pond.phase === "selectable" && pond.totalTosses === 0 ? "Needs reset" : PHASE_LABELS[pond.phase],
+		pond.totalTosses,
+		pond.totalParticipants,
+		pond.totalValueFormatted,
+		utc(pond.endTime),
+		utc(pond.selectionEligibleAt),
+	]);
+
+	const winnerRows = report.winners.map((round) => [
+		utc(round.timestamp),
+		round.pondName,
+		round.winner,
+		round.prizeFormatted,
+		round.feeFormatted,
+		round.participants ?? "?",
+		shortAddress(round.selector),
+	]);
+
+	const feeRows = report.fees.rows.map((row) => [
+		row.month,
+		row.tokenSymbol,
+		PERIOD_LABELS[row.period] || "Removed",
+		row.rounds,
+		row.prizesFormatted,
+		row.feesFormatted,
+	]);
+
+	const { config } = report;
+	const configRows = [
+		["Fee", `${config.feePercent}%`],
+		["Fee address", config.feeAddress],
+		["Selection timelock", `${config.selectionTimelock}s (five-minute ponds: ${Math.floor(config.selectionTimelock / 3)}s)`],
+		["Max participants per pond", config.maxParticipantsPerPond],
+		["Emergency batch size", config.emergencyBatchSize],
+		["Default min toss", config.defaultMinTossPrice],
+		["Default max total toss", config.defaultMaxTotalTossAmount],
+		["Paused", report.paused ? "yes" : "no"],
+	];
+
+	const roleRows = [];
+	for (const { contract, roles } of report.roles) {
+		for (const { name, members } of roles) {
+			roleRows.push([contract, name, members.length > 0 ? members.join(", ") : "—"]);
+		}
+	}
+
+	const charts = report.distributions
+		.map(
+			(distribution) => `<h3>${escapeHtml(distribution.name)} <span class="muted">(${distribution.participants} participants)</span></h3>\n${barChart(distribution.shares)}`,
+		)
+		.join("\n");
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">Chain ${report.chainId}, block ${report.blockNumber} (${escapeHtml(utc(report.blockTime))}) · generated ${escapeHtml(report.generatedAt)}<br>
+PondCore <code>${escapeHtml(report.addresses.PondCore)}</code>${report.addresses.PondFactory ? ` · PondFactory <code>${escapeHtml(report.addresses.PondFactory)}</code>` : ""}<br>
+Winners and fees from blocks ${report.range.fromBlock} – ${report.range.toBlock}</p>
+${report.paused ? '<p class="bad">⚠ PondCore is paused</p>' : ""}
+${awaiting.length > 0 ? `<p class="warn">${awaiting.length} pond${awaiting.length === 1 ? "" : "s"} waiting for winner selection</p>` : ""}
+<div class="cards">${cards.map(([label, value]) => `<div class="card">${escapeHtml(label)}<b>${escapeHtml(value)}</b></div>`).join("")}</div>
+
+<h2>Ponds</h2>
+${htmlTable(["Pond", "Period", "Token", "Phase", "Tosses", "Users", "Total", "Ends", "Selectable from"], pondRows, "No ponds")}
+
+<h2>Recent winners</h2>
+${htmlTable(["Selected", "Pond", "Winner", "Prize", "Fee", "Users", "Selected by"], winnerRows, "No winners in this range")}
+
+<h2>Fees</h2>
+${htmlTable(["Month", "Token", "Period", "Rounds", "Prizes paid", "Fees"], feeRows, "No fees in this range")}
+<p>${report.fees.totals.map((total) => `<b>${escapeHtml(total.feesFormatted)}</b>`).join(" + ") || "0"} from ${report.fees.rounds} rounds</p>
+
+<h2>Participant distribution</h2>
+<p class="muted">Share of each pond's current round, i.e. each participant's chance to win.</p>
+${charts || '<p class="muted">No pond has participants right now</p>'}
+
+<h2>Configuration</h2>
+${htmlTable(["Setting", "Value"], configRows)}
+
+<h2>Roles</h2>
+${htmlTable(["Contract", "Role", "Members"], roleRows, "No roles found")}
+<p class="muted">Members rebuilt from RoleGranted/RoleRevoked since block ${report.range.rolesFromBlock} and confirmed with hasRole.</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+	collectReport,
+	readRoles,
+	renderReportHtml,
+};
@@ -0,0 +1,149 @@
+// lib/schedule.js
+//
+// JS port of the pond period logic in PondCore._resetPond and PondUtils.
+// It mirrors the contract exactly, quirks included - test/schedule.js checks
+// it against the Solidity implementation, so change both together.
+const { effectiveTimelock, periodName } = require("./models");
+
+const FIVE_MINUTES = 5 * 60;
+const ONE_HOUR = 60 * 60;
+const ONE_DAY = 24 * ONE_HOUR;
+const ONE_WEEK = 7 * ONE_DAY;
+
+// PondUtils.truncateToDay: 00:00:00 UTC of the same day
+function truncateToDay(timestamp) {
+	return timestamp - (timestamp % ONE_DAY);
+}
+
+// PondUtils.getDayOfWeek. Note the contract's formula yields Sunday = 1 and
+// Monday = 2, so "Monday-start" weekly ponds actually open on Sunday.
+function getDayOfWeek(timestamp) {
+	return ((Math.floor(timestamp / ONE_DAY) + 4) % 7) + 1;
+}
+
+// PondUtils.timestampToDate (civil-from-days)
+function timestampToDate(timestamp) {
+	const z = Math.floor(timestamp / ONE_DAY) + 719468;
+	const era = Math.floor(z / 146097);
+	const doe = z - era * 146097;
+	const yoe = Math.floor(
+		(doe - Math.floor(doe / 1460) + Math.floor(doe / 36524) - Math.floor(doe / 146096)) / 365,
+	);
+	let year = yoe + era * 400;
+	const doy = doe - (365 * yoe + Math.floor(yoe / 4) - Math.floor(yoe / 100));
+	const mp = Math.floor((5 * doy + 2) / 153);
+	const day = doy - Math.floor((153 * mp + 2) / 5) + 1;
+	const month = mp < 10 ? mp + 3 : mp - 9;
+	year += month <= 2 ? 1 : 0;
+	return { year, month, day };
+}
+
+// PondUtils.dateToTimestamp (via Julian day number)
+function dateToTimestamp(year, month, day) {
+	const a = Math.floor((14 - month) / 12);
+	const y = year + 4800 - a;
+	const m = month + 12 * a - 3;
+	const jdn =
+		day +
+		Math.floor((153 * m + 2) / 5) +
+		365 * y +
+		Math.floor(y / 4) -
+		Math.floor(y / 100) +
+		Math.floor(y / 400) -
+		32045;
+	return (jdn - 2440588) * ONE_DAY;
+}
+
+// PondUtils.getFirstOfMonthTimestamp
+function getFirstOfMonthTimestamp(timestamp) {
+	const { year, month } = timestampToDate(timestamp);
+	return dateToTimestamp(year, month, 1);
+}
+
+/**
+ * The window `_resetPond` opens when it runs at `timestamp`. CUSTOM ponds keep
+ * their previous duration but restart at the reset time, so they drift later
+ * every round; pass the previous window for those.
+ *
+ * Monthly windows end at getFirstOfMonthTimestamp(timestamp + 32 days) - 1, so
+ * a reset late in a month can produce a window that runs two months.
+ */
+function windowAt(period, timestamp, previous = null) {
+	const name = periodName(period);
+	const today = truncateToDay(timestamp);
+
+	switch (name) {
+		case "FIVE_MINUTES": {
+			const startTime = Math.floor(timestamp / FIVE_MINUTES) * FIVE_MINUTES;
+			return { startTime, endTime: startTime + FIVE_MINUTES - 1 };
+		}
+		case "HOURLY": {
+			const startTime = Math.floor(timestamp / ONE_HOUR) * ONE_HOUR;
+			return { startTime, endTime: startTime + ONE_HOUR - 1 };
+		}
+		case "DAILY":
+			return { startTime: today, endTime: today + ONE_DAY - 1 };
+		case "WEEKLY": {
+			const monday = today - (getDayOfWeek(timestamp) - 1) * ONE_DAY;
+			return { startTime: monday, endTime: monday + ONE_WEEK - 1 };
+		}
+		case "MONTHLY":
+			return {
+				startTime: getFirstOfMonthTimestamp(timestamp),
+				endTime: getFirstOfMonthTimestamp(timestamp + 32 * ONE_DAY) - 1,
+			};
+		default: {
+			if (!previous) {
+				throw new Error("❌ CUSTOM pond windows need the previous start and end time");
+			}
+			const duration = previous.endTime - previous.startTime;
+			return { startTime: timestamp, endTime: timestamp + duration };
+		}
+	}
+}
+
+/**
+ * Project the next `count` rounds of a pond, starting with its current one.
+ * Assumes each reset happens as soon as winner selection is allowed
+ * (block.timestamp > endTime + effective timelock), or at `now` if that is
+ * already overdue. Late keepers push every later round back.
+ *
+ * `pond` needs startTime, endTime and period (a decoded pond works);
+ * `config` needs selectionTimelock.
+ */
+function projectSchedule(pond, config, { count = 5, now = null } = {}) {
+	const timelock = effectiveTimelock(pond.period, config);
+	const rounds = [];
+
+	let window = { startTime: pond.startTime, endTime: pond.endTime };
+	for (let round = 0; round < count; round++) {
+		const selectionEligibleAt = window.endTime + timelock + 1;
+		const resetAt = round === 0 && now !== null ? Math.max(now, selectionEligibleAt) : selectionEligibleAt;
+
+		rounds.push({
+			round,
+			startTime: window.startTime,
+			endTime: window.endTime,
+			selectionEligibleAt,
+			resetAt,
+		});
+
+		window = windowAt(pond.period, resetAt, window);
+	}
+
+	return rounds;
+}
+
+module.exports = {
+	FIVE_MINUTES,
+	ONE_HOUR,
+	ONE_DAY,
+	ONE_WEEK,
+	truncateToDay,
+	getDayOfWeek,
+	timestampToDate,
+	dateToTimestamp,
+	getFirstOfMonthTimestamp,
+	windowAt,
+	projectSchedule,
+};
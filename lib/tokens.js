@@ -0,0 +1,171 @@
+// lib/tokens.js
+const fs = require("node:fs");
+const path = require("node:path");
+const { ZeroAddress, formatUnits, parseUnits } = require("ethers");
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, "../cache/tokens");
+
+// Hand-maintained metadata for tokens that don't implement IERC20Metadata:
+// { "<chainId>": { "<address>": { "symbol": "FROG", "decimals": 6 } } }
+const DEFAULT_OVERRIDES_FILE = path.join(__dirname, "../token-overrides.json");
+
+function isNativeToken(address) {
+	return !address || address === ZeroAddress;
+}
+
+// Does a token match a --token filter: an address, a symbol or "native"
+function matchesToken(filter, tokenAddress, token) {
+	const wanted = filter.toLowerCase();
+	if (wanted === "native") return isNativeToken(tokenAddress);
+	if (wanted.startsWith("0x")) return tokenAddress.toLowerCase() === wanted;
+	return token.symbol.toLowerCase() === wanted;
+}
+
+// "1.5 HYPE" from a raw amount and a resolved token
+function formatAmount(amount, token) {
+	return `${formatUnits(amount, token.decimals)} ${token.symbol}`;
+}
+
+// Raw token units from a human amount; accepts "1.5" or "1.5 USDC"
+function parseAmount(value, token) {
+	const text = String(value).trim();
+	const [amount, symbol] = text.split(/\s+/);
+
+	if (symbol && symbol.toUpperCase() !== token.symbol.toUpperCase()) {
+		throw new Error(`❌ Amount "${text}" is not in ${token.symbol}`);
+	}
+
+	try {
+		return parseUnits(amount, token.decimals);
+	} catch (error) {
+		throw new Error(`❌ Invalid ${token.symbol} amount "${text}" (${token.decimals} decimals)`);
+	}
+}
+
+function readJson(file, fallback) {
+	if (!fs.existsSync(file)) return fallback;
+	return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Resolves symbol/decimals for pond tokens. Lookups go native token, manual
+ * override, on-disk cache, then the chain; chain results are cached per chain
+ * so later runs don't refetch them.
+ */
+class TokenResolver {
+	constructor({
+		chainId,
+		nativeSymbol,
+		fetchMetadata,
+		cacheDir = DEFAULT_CACHE_DIR,
+		overridesFile = DEFAULT_OVERRIDES_FILE,
+	}) {
+		this.chainId = Number(chainId);
+		this.nativeSymbol = nativeSymbol;
+		this.fetchMetadata = fetchMetadata;
+		this.cacheFile = cacheDir ? path.join(cacheDir, `chain-${this.chainId}.json`) : null;
+		this.overridesFile = overridesFile;
+		this._cache = null;
+		this._overrides = null;
+		this._failed = {};
+	}
+
+	get cache() {
+		if (!this._cache) {
+			this._cache = this.cacheFile ? readJson(this.cacheFile, {}) : {};
+		}
+		return this._cache;
+	}
+
+	get overrides() {
+		if (!this._overrides) {
+			const all = this.overridesFile ? readJson(this.overridesFile, {}) : {};
+			this._overrides = {};
+			for (const [address, override] of Object.entries(all[this.chainId] || {})) {
+				this._overrides[address.toLowerCase()] = override;
+			}
+		}
+		return this._overrides;
+	}
+
+	_save() {
+		if (!this.cacheFile) return;
+		fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+		fs.writeFileSync(this.cacheFile, `${JSON.stringify(this.cache, null, 2)}\n`);
+	}
+
+	async resolve(tokenAddress) {
+		if (isNativeToken(tokenAddress)) {
+			return {
+				address: ZeroAddress,
+				symbol: this.nativeSymbol,
+				decimals: 18,
+				isNative: true,
+				source: "native",
+			};
+		}
+
+		const key = tokenAddress.toLowerCase();
+		const override = this.overrides[key];
+		if (override && override.symbol && override.decimals !== undefined) {
+			return { ...this._entry(tokenAddress, override), source: "override" };
+		}
+
+		const cached = this.cache[key];
+		if (cached) {
+			return { ...this._entry(tokenAddress, { ...cached, ...override }), source: "cache" };
+		}
+
+		if (this._failed[key]) {
+			return this._failed[key];
+		}
+
+		try {
+			const metadata = await this.fetchMetadata(tokenAddress);
+			this.cache[key] = {
+				symbol: metadata.symbol,
+				decimals: Number(metadata.decimals),
+				fetchedAt: new Date().toISOString(),
+			};
+			this._save();
+			return { ...this._entry(tokenAddress, { ...this.cache[key], ...override }), source: "chain" };
+		} catch (error) {
+			// Only remembered for this run, so a later run retries once the token (or RPC) behaves
+			console.warn(`⚠️ Could not fetch token info for ${tokenAddress}: ${error.message}`);
+			console.warn(`💡 Add it to ${this.overridesFile} under "${this.chainId}" to fix its symbol and decimals`);
+			this._failed[key] = {
+				...this._entry(tokenAddress, { symbol: "TOKEN", decimals: 18, ...override }),
+				source: "fallback",
+			};
+			return this._failed[key];
+		}
+	}
+
+	_entry(address, { symbol, decimals }) {
+		return {
+			address,
+			symbol,
+			decimals: Number(decimals),
+			isNative: false,
+		};
+	}
+
+	// Drop cached metadata for one token (or all of them) so it is refetched
+	forget(tokenAddress = null) {
+		if (tokenAddress) {
+			delete this.cache[tokenAddress.toLowerCase()];
+		} else {
+			this._cache = {};
+		}
+		this._save();
+	}
+}
+
+module.exports = {
+	DEFAULT_OVERRIDES_FILE,
+	isNativeToken,
+	matchesToken,
+	formatAmount,
+	parseAmount,
+	TokenResolver,
+};
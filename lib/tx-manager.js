@@ -0,0 +1,402 @@
+// lib/tx-manager.js
+const { makeError } = require("ethers");
+
+const DEFAULT_OPTIONS = {
+	confirmTimeout: 120, // seconds `wait` waits for a receipt before giving up
+	stuckAfter: 60, // seconds pending before a transaction is rebroadcast with higher fees
+	bumpPercent: 20, // fee increase per rebroadcast; nodes need at least 10% to replace
+	maxBumps: 5, // rebroadcasts per transaction (cancels don't count)
+	maxFeePerGas: null, // wei; fees are never bumped past this
+	gasMargin: 20, // percent added to gas estimates when the request has no gasLimit
+	pollInterval: 2, // seconds between receipt checks while waiting
+};
+
+const CANCEL_GAS_LIMIT = 21_000n;
+
+function isNonceError(error) {
+	return error?.code === "NONCE_EXPIRED" || /nonce too low|nonce has already been used/i.test(error?.message || "");
+}
+
+function isUnderpriced(error) {
+	return (
+		error?.code === "REPLACEMENT_UNDERPRICED" ||
+		/underpriced|fee too low|already known/i.test(error?.message || "")
+	);
+}
+
+// Whether a mined receipt is one of the zero-value transfers `cancel` sent in place of the record
+function isCancelReceipt(record, receipt) {
+	return record.cancelled && (record.hashes || []).indexOf(receipt.hash) >= (record.cancelledFrom ?? 0);
+}
+
+// Fee fields of a record as bigints, for sendTransaction
+function feeOverrides(fees) {
+	return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, BigInt(value)]));
+}
+
+function bumpFee(value, percent) {
+	return (BigInt(value) * BigInt(100 + percent) + 99n) / 100n;
+}
+
+/**
+ * Sends transactions for one signer with locally tracked nonces, and keeps
+ * them moving: a transaction still pending after stuckAfter seconds (or
+ * dropped from the mempool) is rebroadcast at the same nonce with bumped fees,
+ * and `cancel` replaces it with a zero-value transfer to ourselves.
+ *
+ * Transactions are plain records (bigints as strings) so callers can persist
+ * them and pick them up again with `status` / `wait` after a restart.
+ */
+class TxManager {
+	constructor(signer, options = {}) {
+		if (!signer) {
+			throw new Error("❌ The transaction manager needs a signer");
+		}
+
+		this.signer = signer;
+		this.provider = signer.provider;
+		this.address = signer.address;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.log = options.logger || console;
+
+		this._nonce = null;
+		this._nonceLock = Promise.resolve();
+	}
+
+	// Next unused nonce; read from the node once, then counted locally
+	reserveNonce() {
+		const next = this._nonceLock.then(async () => {
+			if (this._nonce === null) {
+				this._nonce = await this.provider.getTransactionCount(this.address, "pending");
+			}
+			return this._nonce++;
+		});
+		this._nonceLock = next.catch(() => {});
+		return next;
+	}
+
+	// Give back a nonce that was never broadcast
+	releaseNonce(nonce) {
+		if (this._nonce === nonce + 1) {
+			this._nonce = nonce;
+		} else {
+			this._nonce = null; // Later nonces are out, read it again from the node
+		}
+	}
+
+	// Forget the local nonce, e.g. after another process used the same account
+	resyncNonce() {
+		this._nonce = null;
+	}
+
+	// Current network fees: EIP-1559 fields when the chain has them, gasPrice otherwise
+	async currentFees() {
+		const feeData = await this.provider.getFeeData();
+		if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+			return {
+				maxFeePerGas: feeData.maxFeePerGas.toString(),
+				maxPriorityFeePerGas: (feeData.maxPriorityFeePerGas ?? 0n).toString(),
+			};
+		}
+		return { gasPrice: feeData.gasPrice.toString() };
+	}
+
+	// Fees the request asks for, or the network rate
+	async requestFees(request) {
+		if (request.maxFeePerGas !== undefined && request.maxFeePerGas !== null) {
+			return {
+				maxFeePerGas: request.maxFeePerGas.toString(),
+				maxPriorityFeePerGas: (request.maxPriorityFeePerGas ?? 0n).toString(),
+			};
+		}
+		if (request.gasPrice !== undefined && request.gasPrice !== null) {
+			return { gasPrice: request.gasPrice.toString() };
+		}
+		return this.currentFees();
+	}
+
+	// Fees for a replacement: bumpPercent over the last attempt, or the network rate if higher
+	async bumpedFees(previous) {
+		const current = await this.currentFees();
+		const fees = {};
+		for (const [key, value] of Object.entries(previous)) {
+			const bumped = bumpFee(value, this.options.bumpPercent);
+			const network = BigInt(current[key] ?? 0);
+			fees[key] = (bumped > network ? bumped : network).toString();
+		}
+
+		const { maxFeePerGas: cap } = this.options;
+		const top = BigInt(fees.maxFeePerGas ?? fees.gasPrice);
+		if (cap !== null && top > cap) {
+			return null;
+		}
+		if (fees.maxPriorityFeePerGas && BigInt(fees.maxPriorityFeePerGas) > BigInt(fees.maxFeePerGas)) {
+			fees.maxPriorityFeePerGas = fees.maxFeePerGas;
+		}
+		return fees;
+	}
+
+	/**
+	 * Reserve a nonce and fees for a populated transaction ({ to, data, value,
+	 * gasLimit }) without sending it. `meta` is copied onto the record, so a
+	 * caller can save its own fields alongside before `broadcast`.
+	 */
+	async prepare(request, meta = {}) {
+		let { gasLimit } = request;
+		if (gasLimit === undefined || gasLimit === null) {
+			const estimate = await this.provider.estimateGas({ ...request, from: this.address });
+			gasLimit = (estimate * BigInt(100 + this.options.gasMargin)) / 100n;
+		}
+
+		const [nonce, fees] = await Promise.all([this.reserveNonce(), this.requestFees(request)]);
+		return {
+			...meta,
+			from: this.address,
+			nonce,
+			to: request.to,
+			data: request.data || "0x",
+			value: (request.value ?? 0n).toString(),
+			gasLimit: gasLimit.toString(),
+			fees,
+			hash: null,
+			hashes: [],
+			sentAt: null,
+			bumps: 0,
+			cancelled: false,
+		};
+	}
+
+	async _send(record, fees) {
+		return this.signer.sendTransaction({
+			to: record.to,
+			data: record.data,
+			value: BigInt(record.value),
+			gasLimit: BigInt(record.gasLimit),
+			nonce: record.nonce,
+			...feeOverrides(fees),
+		});
+	}
+
+	_sent(record, tx, fees) {
+		record.fees = fees;
+		record.hash = tx.hash;
+		record.hashes = [...(record.hashes || []), tx.hash];
+		record.sentAt = Math.floor(Date.now() / 1000);
+	}
+
+	// First broadcast of a prepared record; a nonce taken elsewhere is re-read once
+	async broadcast(record) {
+		let tx;
+		try {
+			tx = await this._send(record, record.fees);
+		} catch (error) {
+			// Hardhat automine throws for reverts, but the transaction was mined; `wait` reports it
+			if (error.transactionHash) {
+				this._sent(record, { hash: error.transactionHash }, record.fees);
+				return record;
+			}
+			if (!isNonceError(error)) {
+				this.releaseNonce(record.nonce);
+				throw error;
+			}
+			this.resyncNonce();
+			record.nonce = await this.reserveNonce();
+			try {
+				tx = await this._send(record, record.fees);
+			} catch (retryError) {
+				this.releaseNonce(record.nonce);
+				throw retryError;
+			}
+		}
+
+		this._sent(record, tx, record.fees);
+		return record;
+	}
+
+	// prepare + broadcast
+	async submit(request, meta = {}) {
+		return this.broadcast(await this.prepare(request, meta));
+	}
+
+	/**
+	 * Where a record stands: { state: "mined", receipt }, "pending", "replaced"
+	 * (its nonce went to a transaction we don't know) or "dropped".
+	 */
+	async status(record) {
+		const { provider } = this;
+		const hashes = record.hashes || (record.hash ? [record.hash] : []);
+		const hasNonce = Number.isInteger(record.nonce);
+		const from = record.from || this.address;
+
+		// Read the count first, so a transaction mined meanwhile still shows its receipt below
+		const latest = hasNonce ? await provider.getTransactionCount(from, "latest") : null;
+		for (const hash of [...hashes].reverse()) {
+			const receipt = await provider.getTransactionReceipt(hash);
+			if (receipt) return { state: "mined", receipt };
+		}
+		if (hasNonce && latest > record.nonce) {
+			return { state: "replaced" };
+		}
+
+		for (const hash of hashes) {
+			if (await provider.getTransaction(hash)) return { state: "pending" };
+		}
+		// Nothing we sent is known, but something holds the nonce
+		if (hasNonce && (await provider.getTransactionCount(from, "pending")) > record.nonce) {
+			return { state: "pending" };
+		}
+		return { state: "dropped" };
+	}
+
+	isStuck(record) {
+		return record.sentAt !== null && Math.floor(Date.now() / 1000) - record.sentAt >= this.options.stuckAfter;
+	}
+
+	/**
+	 * Send the record again at the same nonce with bumped fees. Returns false
+	 * when nothing was sent: out of bumps, at the fee cap, or the nonce is
+	 * already mined.
+	 */
+	async rebroadcast(record, { force = false } = {}) {
+		if (!force && record.bumps >= this.options.maxBumps) {
+			return false;
+		}
+
+		const fees = await this.bumpedFees(record.fees);
+		if (!fees) {
+			this.log.warn(`⚠️ Nonce ${record.nonce}: fees already at the ${this.options.maxFeePerGas} wei cap, not bumping`);
+			return false;
+		}
+
+		let tx;
+		try {
+			tx = await this._send(record, fees);
+		} catch (error) {
+			if (isNonceError(error)) return false;
+			if (isUnderpriced(error)) {
+				record.fees = fees; // Aim higher next time
+				return false;
+			}
+			throw error;
+		}
+
+		const previous = record.hash;
+		this._sent(record, tx, fees);
+		if (!force) record.bumps++;
+		const label = record.label || record.name || `nonce ${record.nonce}`;
+		this.log.warn(
+			`🔁 ${label}: ${previous || "transaction"} ${record.cancelled ? "cancelled" : "rebroadcast"} as ${tx.hash} (${Object.entries(fees)
+				.map(([key, value]) => `${key} ${value}`)
+				.join(", ")})`,
+		);
+		return true;
+	}
+
+	// Replace a pending record with a zero-value transfer to ourselves
+	async cancel(record) {
+		const { state } = await this.status(record);
+		if (state === "mined" || state === "replaced") {
+			return false;
+		}
+
+		Object.assign(record, {
+			to: record.from || this.address,
+			data: "0x",
+			value: "0",
+			gasLimit: CANCEL_GAS_LIMIT.toString(),
+			cancelled: true,
+			cancelledFrom: (record.hashes || []).length, // hashes from here on are cancels
+		});
+		return this.rebroadcast(record, { force: true });
+	}
+
+	// Cancel whatever holds `nonce`, starting from the network fee rate plus one bump
+	async cancelNonce(nonce) {
+		const record = {
+			from: this.address,
+			nonce,
+			to: this.address,
+			data: "0x",
+			value: "0",
+			gasLimit: CANCEL_GAS_LIMIT.toString(),
+			fees: await this.currentFees(),
+			hash: null,
+			hashes: [],
+			sentAt: null,
+			bumps: 0,
+			cancelled: true,
+			cancelledFrom: 0,
+		};
+		await this.rebroadcast(record, { force: true });
+		return record;
+	}
+
+	/**
+	 * Wait for a record's receipt, rebroadcasting while it is stuck or dropped.
+	 * Throws like ethers' tx.wait: CALL_EXCEPTION (with the receipt) when it
+	 * reverted, TRANSACTION_REPLACED (cancelled, with the receipt) when our
+	 * cancel was mined instead and TIMEOUT after `timeout` seconds. `onBroadcast` is called
+	 * after every rebroadcast so the caller can persist the new hash.
+	 */
+	async wait(record, { timeout = this.options.confirmTimeout, onBroadcast = () => {} } = {}) {
+		const deadline = Date.now() + timeout * 1000;
+
+		for (;;) {
+			const status = await this.status(record);
+			if (status.state === "mined") {
+				const { receipt } = status;
+				if (receipt.status !== 1) {
+					throw makeError("transaction execution reverted", "CALL_EXCEPTION", {
+						action: "sendTransaction",
+						data: null,
+						reason: null,
+						invocation: null,
+						revert: null,
+						transaction: { to: record.to, from: record.from, data: record.data },
+						receipt,
+					});
+				}
+				if (isCancelReceipt(record, receipt)) {
+					throw makeError(`nonce ${record.nonce} was cancelled`, "TRANSACTION_REPLACED", {
+						cancelled: true,
+						reason: "cancelled",
+						hash: record.hashes[(record.cancelledFrom ?? 0) - 1] ?? null, // what was cancelled, if we sent it
+						replacement: null,
+						receipt,
+					});
+				}
+				return receipt;
+			}
+			if (status.state === "replaced") {
+				throw makeError(`nonce ${record.nonce} was used by another transaction`, "NONCE_EXPIRED", {
+					transaction: { to: record.to, from: record.from, data: record.data, nonce: record.nonce },
+				});
+			}
+			if ((status.state === "dropped" || this.isStuck(record)) && (await this.rebroadcast(record))) {
+				onBroadcast(record);
+			}
+
+			const remaining = deadline - Date.now();
+			if (remaining <= 0) {
+				throw makeError(`transaction ${record.hash} not mined after ${timeout}s`, "TIMEOUT", {
+					operation: "wait",
+					reason: "timeout",
+				});
+			}
+			await new Promise((resolve) => setTimeout(resolve, Math.min(remaining, this.options.pollInterval * 1000)));
+		}
+	}
+
+	// submit + wait, for scripts that send one transaction at a time
+	async execute(request, { label, onSubmit = () => {}, ...waitOptions } = {}) {
+		const record = await this.submit(request, { label });
+		onSubmit(record);
+		return this.wait(record, waitOptions);
+	}
+}
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	TxManager,
+	isNonceError,
+};
@@ -0,0 +1,177 @@
+// lib/upkeep.js
+// One-shot winner selection, shared by the `upkeep` task: pick the ponds,
+// simulate, send and decode what the receipt says happened.
+
+/**
+ * Events from a selectLuckyWinner receipt, decoded with bigints as strings:
+ * the winner and prize, the randomness behind the pick, GasUsageReport
+ * entries, PondAction resets and any EmergencyAction (large-pond resets).
+ */
+function decodeUpkeepLogs(iface, logs) {
+	const decoded = { winner: null, selection: null, gasReports: [], pondActions: [], emergencyActions: [] };
+
+	for (const log of logs || []) {
+		let event;
+		try {
+			event = iface.parseLog(log);
+		} catch {
+			continue; // Token transfers and other contracts
+		}
+		if (!event) continue;
+
+		const { args } = event;
+		switch (event.name) {
+			case "LuckyWinnerSelected":
+				decoded.winner = {
+					pondType: args.pondType,
+					address: args.winner,
+					tokenAddress: args.tokenAddress,
+					prize: args.prize.toString(),
+					selector: args.selector,
+				};
+				break;
+			case "WinnerSelectionDetails":
+				decoded.selection = {
+					entropySource: args.entropySource,
+					randomValue: args.randomValue.toString(),
+					totalFrogValue: args.totalFrogValue.toString(),
+					winningThreshold: args.winningThreshold.toString(),
+					blockNumber: Number(args.blockNumber),
+					blockHash: args.blockHash,
+				};
+				break;
+			case "GasUsageReport":
+				decoded.gasReports.push({
+					operation: args.operation,
+					participantCount: Number(args.participantCount),
+					gasUsed: args.gasUsed.toString(),
+				});
+				break;
+			case "PondAction":
+				decoded.pondActions.push({
+					pondType: args.pondType,
+					name: args.name,
+					actionType: args.actionType,
+					startTime: Number(args.startTime),
+					endTime: Number(args.endTime),
+				});
+				break;
+			case "EmergencyAction":
+				decoded.emergencyActions.push({
+					actionType: args.actionType,
+					pondType: args.pondType,
+					amount: args.amount.toString(),
+				});
+				break;
+		}
+	}
+
+	return decoded;
+}
+
+/**
+ * Pond IDs to run upkeep for: `pond` alone, every eligible pond with `all`,
+ * otherwise checkUpkeep's first hit (or none).
+ */
+async function findUpkeepTargets(client, { pond, all = false } = {}) {
+	if (pond) {
+		return [pond];
+	}
+	if (all) {
+		const pondTypes = await client.core.getAllPondTypes();
+		const eligible = [];
+		for (const pondType of pondTypes) {
+			if ((await client.getPondStatus(pondType)).isSelectionEligible) {
+				eligible.push(pondType);
+			}
+		}
+		return eligible;
+	}
+
+	const [upkeepNeeded, performData] = await client.core.checkUpkeep("0x");
+	if (!upkeepNeeded) {
+		return [];
+	}
+	return [client.ethers.AbiCoder.defaultAbiCoder().decode(["bytes32"], performData)[0]];
+}
+
+/**
+ * Simulate and (unless dryRun) send selectLuckyWinner for one pond. Returns a
+ * JSON-ready result whose status is "dry-run", "winner", "reset", "reverted"
+ * or "skipped" (the simulation reverted, e.g. someone else got there first).
+ */
+async function runUpkeep(client, pondType, { dryRun = false, txs, onSent } = {}) {
+	const { core } = client;
+	const pond = await client.getPondStatus(pondType);
+	const result = {
+		pondType,
+		name: pond.name,
+		period: pond.periodName,
+		token: pond.token.symbol,
+		participants: pond.totalParticipants,
+		totalValue: pond.totalValue.toString(),
+		totalValueFormatted: pond.formatted.totalValue,
+		status: null,
+		reason: null,
+	};
+
+	// Pre-flight: nothing is sent for a selection that would revert
+	try {
+		await core.selectLuckyWinner.staticCall(pondType);
+		result.gasEstimate = (await core.selectLuckyWinner.estimateGas(pondType)).toString();
+	} catch (error) {
+		result.status = "skipped";
+		result.reason = client.describeError(error);
+		return result;
+	}
+
+	const feeData = await client.provider.getFeeData();
+	const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas;
+	if (gasPrice) {
+		result.estimatedCost = client.formatNative(BigInt(result.gasEstimate) * gasPrice);
+	}
+	if (dryRun) {
+		result.status = "dry-run";
+		return result;
+	}
+
+	const manager = txs || client.transactions();
+	const tx = await manager.submit(
+		await core.selectLuckyWinner.populateTransaction(pondType, {
+			gasLimit: (BigInt(result.gasEstimate) * 120n) / 100n, // 20% safety margin
+		}),
+	);
+	result.hash = tx.hash;
+	if (onSent) onSent(result);
+
+	let receipt;
+	try {
+		receipt = await manager.wait(tx);
+	} catch (error) {
+		if (!error.receipt) throw error;
+		receipt = error.receipt;
+	}
+
+	const decoded = decodeUpkeepLogs(core.interface, receipt.logs);
+	Object.assign(result, {
+		hash: receipt.hash,
+		blockNumber: receipt.blockNumber,
+		gasUsed: receipt.gasUsed.toString(),
+		cost: client.formatNative(receipt.gasUsed * (receipt.gasPrice ?? 0n)),
+		status: receipt.status !== 1 ? "reverted" : decoded.winner ? "winner" : "reset",
+		...decoded,
+	});
+	if (decoded.winner) {
+		result.winner.prizeFormatted = await client.formatToken(decoded.winner.prize, decoded.winner.tokenAddress);
+	}
+	if (result.status === "reverted") {
+		result.reason = "selectLuckyWinner reverted on chain";
+	}
+	return result;
+}
+
+module.exports = {
+	decodeUpkeepLogs,
+	findUpkeepTargets,
+	runUpkeep,
+};
@@ -0,0 +1,193 @@
+// lib/wallet.js
+// One wallet across every pond: its stake in each current round (amount,
+// tosses, odds, time to selection) and a lifetime summary rebuilt from events.
+const { decodePond } = require("./models");
+const { formatAmount } = require("./tokens");
+const { pondPhase } = require("./dashboard");
+const { odds } = require("./participants");
+const { deploymentBlock, scanEvents } = require("./history");
+const { multicall } = require("./multicall");
+
+const DEFAULT_BATCH_SIZE = 20;
+
+// Events with the wallet as their second indexed argument (participant, contributor, winner)
+const WALLET_EVENTS = ["CoinTossed", "PondTopUp", "LuckyWinnerSelected"];
+
+/**
+ * The wallet's stake in the current round of every pond in getAllPondTypes.
+ * The ponds, participants and lastWinner reads of `batchSize` ponds go out
+ * as one Multicall3 request (see multicall). Every pond gets an entry,
+ * amount 0 where the wallet has nothing in; `tosses` is left null for
+ * readWallet to fill in from events.
+ *
+ * A largePondReset leaves last round's participants() entries until
+ * batchClearParticipants runs; an entry whose last toss is past the end of
+ * this round's tosses is one of those and is marked `stale`.
+ */
+async function readPositions(client, address, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+	const { core } = client;
+	const [pondTypes, config, now] = await Promise.all([core.getAllPondTypes(), client.getConfig(), client.now()]);
+
+	const calls = pondTypes.flatMap((pondType) => [
+		[core, "ponds", [pondType]],
+		[core, "participants", [pondType, address]],
+		[core, "lastWinner", [pondType]],
+	]);
+	const results = await multicall(client, calls, { batchSize: batchSize * 3 });
+
+	const positions = [];
+	for (const [index, type] of pondTypes.entries()) {
+		const pondType = type.toLowerCase();
+		const [raw, participant, lastWinner] = results.slice(index * 3, index * 3 + 3);
+		const pond = decodePond(raw, { token: await client.token(raw[9]), config, now });
+		const stale = participant.amount > 0n && participant.lastTossIndex >= BigInt(pond.totalTosses);
+		const { phase, remaining } = pondPhase(pond, now);
+		positions.push({
+			pondType,
+			name: pond.name,
+			period: pond.periodLabel ?? null,
+			tokenAddress: pond.tokenAddress,
+			tokenSymbol: pond.token.symbol,
+			amount: participant.amount,
+			amountFormatted: formatAmount(participant.amount, pond.token),
+			tosses: null,
+			probability: stale ? 0 : odds(participant.amount, pond.totalFrogValue),
+			totalValueFormatted: pond.formatted.totalValue,
+			totalParticipants: pond.totalParticipants,
+			startTime: pond.startTime,
+			selectionEligibleAt: pond.selectionEligibleAt,
+			phase,
+			remaining,
+			wonLastRound: lastWinner.toLowerCase() === address.toLowerCase(),
+			stale,
+		});
+	}
+	return { now, positions };
+}
+
+/**
+ * Everything about a wallet: readPositions plus a lifetime summary per token
+ * from its CoinTossed, PondTopUp, LuckyWinnerSelected and refund
+ * EmergencyAction events between fromBlock and toBlock.
+ *
+ * Toss counts for the current rounds come from the same CoinTossed scan, so
+ * they are null for a round the scan doesn't fully cover (it has to reach
+ * the latest block and start before the round or at deployment). A position
+ * with tosses counted as 0 is stale (see readPositions).
+ *
+ * Summary rows: { tokenAddress, tokenSymbol, ponds, tosses, tossed, toppedUp,
+ * wins, won, refunded, inPlay, net } plus the formatted amounts, where
+ * net = won + refunded - tossed - toppedUp and inPlay is this round's stake.
+ */
+async function readWallet(client, address, { fromBlock, toBlock, chunk, batchSize, onChunk } = {}) {
+	const { now, positions } = await readPositions(client, address, { batchSize });
+	const [latest, before, deployedAt] = await Promise.all([
+		client.provider.getBlockNumber(),
+		fromBlock > 0 ? client.provider.getBlock(fromBlock - 1) : null,
+		deploymentBlock(client),
+	]);
+
+	const topic = client.ethers.zeroPadValue(address, 32);
+	const events = await scanEvents(client, { events: WALLET_EVENTS, topics: [null, topic], fromBlock, toBlock, chunk, onChunk });
+	const refunds = (
+		await scanEvents(client, {
+			events: ["EmergencyAction"],
+			topics: [topic],
+			fromBlock,
+			toBlock,
+			chunk,
+			onChunk: onChunk && ((progress) => onChunk({ ...progress, refunds: true })),
+		})
+	).filter(({ args }) => args.actionType === "refund");
+
+	// PondTopUp doesn't carry the token; ponds no longer listed are looked up
+	const byPond = new Map(positions.map((position) => [position.pondType, position]));
+	const tokens = new Map(positions.map((position) => [position.pondType, position.tokenAddress]));
+	const tokenOf = async (pondType) => {
+		const key = pondType.toLowerCase();
+		if (!tokens.has(key)) tokens.set(key, (await client.getPond(pondType)).tokenAddress);
+		return tokens.get(key);
+	};
+
+	const totals = new Map();
+	const totalsFor = (tokenAddress) => {
+		const key = tokenAddress.toLowerCase();
+		if (!totals.has(key)) {
+			totals.set(key, { tokenAddress, ponds: new Set(), tosses: 0, tossed: 0n, toppedUp: 0n, wins: 0, won: 0n, refunded: 0n, inPlay: 0n });
+		}
+		return totals.get(key);
+	};
+
+	const roundTosses = new Map();
+	for (const { name, args } of events) {
+		const pondType = args.pondType.toLowerCase();
+		if (name === "CoinTossed") {
+			const total = totalsFor(args.tokenAddress);
+			total.ponds.add(pondType);
+			total.tosses++;
+			total.tossed += args.amount;
+			const position = byPond.get(pondType);
+			if (position && Number(args.timestamp) >= position.startTime) {
+				roundTosses.set(pondType, (roundTosses.get(pondType) || 0) + 1);
+			}
+		} else if (name === "PondTopUp") {
+			totalsFor(await tokenOf(pondType)).toppedUp += args.amount;
+		} else {
+			const total = totalsFor(args.tokenAddress);
+			total.wins++;
+			total.won += args.prize;
+		}
+	}
+	for (const { args } of refunds) {
+		totalsFor(args.token).refunded += args.amount;
+	}
+
+	// Counts are only complete when no toss of the round can fall outside the scan
+	const covered = (position) =>
+		toBlock >= latest && (fromBlock <= (deployedAt ?? 0) || before.timestamp < position.startTime);
+	for (const position of positions) {
+		if (covered(position)) {
+			position.tosses = roundTosses.get(position.pondType) || 0;
+			if (position.tosses === 0 && position.amount > 0n) {
+				position.stale = true;
+				position.probability = 0;
+			}
+		}
+		if (position.amount > 0n && !position.stale) {
+			totalsFor(position.tokenAddress).inPlay += position.amount;
+		}
+	}
+
+	const summary = [];
+	for (const total of totals.values()) {
+		const token = await client.token(total.tokenAddress);
+		const net = total.won + total.refunded - total.tossed - total.toppedUp;
+		summary.push({
+			tokenAddress: total.tokenAddress,
+			tokenSymbol: token.symbol,
+			ponds: total.ponds.size,
+			tosses: total.tosses,
+			tossed: total.tossed,
+			tossedFormatted: formatAmount(total.tossed, token),
+			toppedUp: total.toppedUp,
+			toppedUpFormatted: formatAmount(total.toppedUp, token),
+			wins: total.wins,
+			won: total.won,
+			wonFormatted: formatAmount(total.won, token),
+			refunded: total.refunded,
+			refundedFormatted: formatAmount(total.refunded, token),
+			inPlay: total.inPlay,
+			inPlayFormatted: formatAmount(total.inPlay, token),
+			net,
+			netFormatted: formatAmount(net, token),
+		});
+	}
+
+	return { address, now, positions, summary };
+}
+
+module.exports = {
+	DEFAULT_BATCH_SIZE,
+	readPositions,
+	readWallet,
+};
@@ -1,22 +1,25 @@
 // scripts/create-single-erc20-pond.js
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const fs = require("node:fs");
 const path = require("node:path");
+const { PondClient } = require("../lib/client");
+const { formatAmount, parseAmount } = require("../lib/tokens");
+
+const { ethers } = hre;
 
 async function main() {
 	console.log("🚀 Creating ERC20 pond for single token...");
 
 	// ===== CONFIGURATION - EDIT THESE VALUES =====
 	const TOKEN_ADDRESS = "0x7DCfFCb06B40344eecED2d1Cbf096B299fE4b405";
-	// get decimals from token contract
-	const tokenContract = await ethers.getContractAt("IERC20Metadata", TOKEN_ADDRESS);
-	if (!tokenContract) {
-		throw new Error(`❌ Could not get token contract at address: ${TOKEN_ADDRESS}`);
-	}
-	const tokenDecimals = await tokenContract.decimals();
-	const DECIMALS = tokenDecimals || 18; // Token decimals (6 for BUDDY, 18 for most tokens)
-	const MIN_TOSS_PRICE = ethers.parseUnits("0.000002", DECIMALS); // Minimum toss amount (in token units)
-	const MAX_TOTAL_TOSS_AMOUNT = ethers.parseUnits("0.0002", DECIMALS); // Maximum total amount per user (in token units)
+
+	const client = await PondClient.fromHre(hre, { requireFactory: true });
+	const txs = client.transactions();
+
+	// Symbol and decimals come from the token resolver (see token-overrides.json for tokens without metadata)
+	const tokenInfo = await client.token(TOKEN_ADDRESS);
+	const MIN_TOSS_PRICE = parseAmount("0.000002", tokenInfo); // Minimum toss amount
+	const MAX_TOTAL_TOSS_AMOUNT = parseAmount("0.0002", tokenInfo); // Maximum total amount per user
 	
 	// Pond types to create (comment out any you don't want)
 	const PONDS_TO_CREATE = [
@@ -28,33 +31,20 @@ async function main() {
 	];
 	// ============================================
 
-	// Get network information
-	const network = await ethers.provider.getNetwork();
-	const networkName = network.name;
-	const isTestnet = networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-	const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
+	await client.printSummary({ chainId: true });
 
-	console.log(`🌐 Network: ${networkName} (${isTestnet ? "🧪 Testnet" : "🔴 Mainnet"})`);
-	console.log(`⛓️ Chain ID: ${network.chainId}`);
+	const network = client.network;
+	const networkName = network.name;
+	const configPrefix = network.configPrefix;
+	const pondCoreAddress = client.coreAddress;
+	const pondFactoryAddress = client.factoryAddress;
 
-	// Load contract addresses from environment (these still need to be set)
+	// Fee address still comes from the environment
 	const feeAddress = process.env[`${configPrefix}_FEE_ADDRESS`];
-	const pondCoreAddress = process.env[`${configPrefix}_POND_CORE_ADDRESS`];
-	const pondFactoryAddress = process.env[`${configPrefix}_POND_FACTORY_ADDRESS`];
-
-	// Validate contract addresses
 	if (!feeAddress || !ethers.isAddress(feeAddress)) {
 		throw new Error(`❌ Missing or invalid ${configPrefix}_FEE_ADDRESS`);
 	}
 
-	if (!pondCoreAddress || !ethers.isAddress(pondCoreAddress)) {
-		throw new Error(`❌ Missing or invalid ${configPrefix}_POND_CORE_ADDRESS`);
-	}
-
-	if (!pondFactoryAddress || !ethers.isAddress(pondFactoryAddress)) {
-		throw new Error(`❌ Missing or invalid ${configPrefix}_POND_FACTORY_ADDRESS`);
-	}
-
 	// Validate token address
 	if (!ethers.isAddress(TOKEN_ADDRESS)) {
 		throw new Error(`❌ Invalid token address: ${TOKEN_ADDRESS}`);
@@ -62,22 +52,12 @@ async function main() {
 
 	console.log("📋 Configuration:");
 	console.log(`- 💼 Distributor: ${feeAddress}`);
-	console.log(`- 🌟 PondCore: ${pondCoreAddress}`);
-	console.log(`- 🏭 PondFactory: ${pondFactoryAddress}`);
 	console.log(`- 🪙 Token Address: ${TOKEN_ADDRESS}`);
-	console.log(`- 🔢 Token Decimals: ${DECIMALS}`);
-	console.log(`- 💰 Min Toss Price: ${ethers.formatUnits(MIN_TOSS_PRICE, DECIMALS)} tokens`);
-	console.log(`- 💸 Max Total Toss Amount: ${ethers.formatUnits(MAX_TOTAL_TOSS_AMOUNT, DECIMALS)} tokens`);
+	console.log(`- 🔢 Token Decimals: ${tokenInfo.decimals}`);
+	console.log(`- 💰 Min Toss Price: ${formatAmount(MIN_TOSS_PRICE, tokenInfo)}`);
+	console.log(`- 💸 Max Total Toss Amount: ${formatAmount(MAX_TOTAL_TOSS_AMOUNT, tokenInfo)}`);
 	console.log(`- 🏊 Ponds to create: ${PONDS_TO_CREATE.map(p => p.name).join(", ")}`);
 
-	// Get deployer account
-	const [deployer] = await ethers.getSigners();
-	console.log(`\n👨‍💻 Using account: ${deployer.address}`);
-
-	// Check deployer balance
-	const deployerBalance = await ethers.provider.getBalance(deployer.address);
-	console.log(`💎 Balance: ${ethers.formatEther(deployerBalance)} ETH`);
-
 	// Gas settings
 	const GAS_LIMIT = 15000000; // 15 million gas
 	const GAS_PRICE_MULTIPLIER = 1.1; // 10% higher than current gas price
@@ -95,10 +75,8 @@ async function main() {
 	}
 
 	try {
-		console.log("\n🔌 Connecting to contracts...");
-
-		const pondCore = await ethers.getContractAt("PondCore", pondCoreAddress);
-		const pondFactory = await ethers.getContractAt("PondFactory", pondFactoryAddress);
+		const pondCore = client.core;
+		const pondFactory = client.factory;
 
 		// Verify PondFactory has FACTORY_ROLE
 		try {
@@ -109,11 +87,13 @@ async function main() {
 				console.log("✅ PondFactory has FACTORY_ROLE");
 			} else {
 				console.warn("⚠️ PondFactory does NOT have FACTORY_ROLE. Granting role...");
-				const tx = await pondCore.grantRole(factoryRole, pondFactoryAddress, {
-					gasLimit: 2000000,
-				});
+				const tx = await txs.submit(
+					await pondCore.grantRole.populateTransaction(factoryRole, pondFactoryAddress, {
+						gasLimit: 2000000,
+					}),
+				);
 				console.log(`📤 Role grant transaction sent: ${tx.hash}`);
-				await tx.wait();
+				await txs.wait(tx);
 				console.log("✅ FACTORY_ROLE granted to PondFactory");
 			}
 		} catch (roleError) {
@@ -121,34 +101,15 @@ async function main() {
 			throw roleError;
 		}
 
-		// Get token symbol
-		let tokenSymbol;
-		try {
-			const tokenContract = await ethers.getContractAt("IERC20Metadata", TOKEN_ADDRESS);
-			tokenSymbol = await tokenContract.symbol();
-			console.log(`✅ Token symbol: ${tokenSymbol}`);
-			
-			// Also get token name and decimals for info
-			try {
-				const tokenName = await tokenContract.name();
-				const tokenDecimals = await tokenContract.decimals();
-				console.log(`📝 Token name: ${tokenName}`);
-				console.log(`🔢 Token decimals: ${tokenDecimals}`);
-			} catch (e) {
-				// Not critical if we can't get these
-			}
-		} catch (error) {
-			console.warn(`⚠️ Could not get token info: ${error.message}`);
-			tokenSymbol = "TOKEN"; // Default fallback
-			console.log(`ℹ️ Using default symbol: ${tokenSymbol}`);
-		}
+		const tokenSymbol = tokenInfo.symbol;
+		console.log(`✅ Token symbol: ${tokenSymbol}`);
 
 		// Check if token is already supported
 		let isSupported;
 		try {
 			isSupported = await pondFactory.isTokenSupported(TOKEN_ADDRESS);
 		} catch (error) {
-			console.error(`❌ Error checking if token is supported: ${error.message}`);
+			console.error(`❌ Error checking if token is supported: ${client.describeError(error)}`);
 			isSupported = false;
 		}
 
@@ -156,15 +117,17 @@ async function main() {
 		if (!isSupported) {
 			console.log(`🔍 Token ${tokenSymbol} is not yet supported. Adding...`);
 			try {
-				const addTx = await pondFactory.addSupportedToken(TOKEN_ADDRESS, tokenSymbol, {
-					gasLimit: GAS_LIMIT,
-					gasPrice: gasPrice,
-				});
+				const addTx = await txs.submit(
+					await pondFactory.addSupportedToken.populateTransaction(TOKEN_ADDRESS, tokenSymbol, {
+						gasLimit: GAS_LIMIT,
+						gasPrice: gasPrice,
+					}),
+				);
 				console.log(`📤 Add token transaction sent: ${addTx.hash}`);
-				await addTx.wait();
+				await txs.wait(addTx);
 				console.log(`✅ Token ${tokenSymbol} added to supported tokens`);
 			} catch (error) {
-				console.error(`❌ Failed to add token: ${error.message}`);
+				console.error(`❌ Failed to add token: ${client.describeError(error)}`);
 				throw error;
 			}
 		} else {
@@ -186,8 +149,8 @@ async function main() {
 			);
 
 			try {
-				const pondInfo = await pondCore.getPondStatus(pondTypeHash);
-				console.log(`✅ ${pondConfig.name} ${tokenSymbol} pond already exists: ${pondInfo[0]}`);
+				const pondInfo = await client.getPondStatus(pondTypeHash);
+				console.log(`✅ ${pondConfig.name} ${tokenSymbol} pond already exists: ${pondInfo.name}`);
 				existingPonds.push(pondConfig);
 			} catch (e) {
 				console.log(`❓ ${pondConfig.name} ${tokenSymbol} pond does not exist yet`);
@@ -207,33 +170,24 @@ async function main() {
 			console.log(`\n🏊 Creating ${pondConfig.name} ${tokenSymbol} pond (period ${pondConfig.period})...`);
 
 			try {
-				const tx = await pondFactory.createStandardPonds(
-					TOKEN_ADDRESS,
-					tokenSymbol,
-					MIN_TOSS_PRICE,
-					MAX_TOTAL_TOSS_AMOUNT,
-					[pondConfig.period], // Just one period at a time
-					{
-						gasLimit: GAS_LIMIT,
-						gasPrice: gasPrice,
-					},
+				const tx = await txs.submit(
+					await pondFactory.createStandardPonds.populateTransaction(
+						TOKEN_ADDRESS,
+						tokenSymbol,
+						MIN_TOSS_PRICE,
+						MAX_TOTAL_TOSS_AMOUNT,
+						[pondConfig.period], // Just one period at a time
+						{
+							gasLimit: GAS_LIMIT,
+							gasPrice: gasPrice,
+						},
+					),
 				);
 
 				console.log(`📤 Create ${pondConfig.name} ${tokenSymbol} pond transaction sent: ${tx.hash}`);
 
-				// Wait for the transaction with a timeout
-				const receipt = await Promise.race([
-					tx.wait(),
-					new Promise((_, reject) =>
-						setTimeout(
-							() =>
-								reject(
-									new Error("Transaction confirmation timeout - but it might still succeed"),
-								),
-							90000,
-						),
-					),
-				]);
+				// Wait up to 90s, bumping the gas price if it gets stuck
+				const receipt = await txs.wait(tx, { timeout: 90 });
 
 				console.log(`✅ ${pondConfig.name} ${tokenSymbol} pond created successfully`);
 				console.log(`   Gas used: ${receipt.gasUsed.toString()}`);
@@ -244,7 +198,7 @@ async function main() {
 					await new Promise((resolve) => setTimeout(resolve, 3000));
 				}
 			} catch (error) {
-				console.error(`❌ Error creating ${pondConfig.name} ${tokenSymbol} pond: ${error.message}`);
+				console.error(`❌ Error creating ${pondConfig.name} ${tokenSymbol} pond: ${client.describeError(error)}`);
 
 				// If it's just a timeout, it might still go through
 				if (error.message.includes("timeout")) {
@@ -274,8 +228,8 @@ async function main() {
 			);
 
 			try {
-				const pondInfo = await pondCore.getPondStatus(pondTypeHash);
-				console.log(`✅ ${pondConfig.name} ${tokenSymbol} pond exists: ${pondInfo[0]}`);
+				const pondInfo = await client.getPondStatus(pondTypeHash);
+				console.log(`✅ ${pondConfig.name} ${tokenSymbol} pond exists: ${pondInfo.name}`);
 				console.log(`   Pond type hash: ${pondTypeHash}`);
 				successCount++;
 			} catch (e) {
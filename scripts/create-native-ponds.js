@@ -1,7 +1,11 @@
 // scripts/create-all-ponds-safely.js
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const fs = require("node:fs");
 const path = require("node:path");
+const { PondClient } = require("../lib/client");
+const { formatAmount, parseAmount } = require("../lib/tokens");
+
+const { ethers } = hre;
 
 async function main() {
 	console.log("🚀 Starting native ETH pond creation (safe mode)...");
@@ -9,77 +13,45 @@ async function main() {
 		"This script will attempt to create ALL pond types with optimized gas settings",
 	);
 
-	// Get network information
-	const network = await ethers.provider.getNetwork();
-	const networkName = network.name;
-	const isTestnet =
-		networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-	const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
-
-	console.log(
-		`🌐 Network: ${networkName} (${isTestnet ? "🧪 Testnet" : "🔴 Mainnet"})`,
-	);
-	console.log(`⛓️ Chain ID: ${network.chainId}`);
-
-	// Load contract addresses from environment
-	const pondCoreAddress = process.env[`${configPrefix}_POND_CORE_ADDRESS`];
-	const pondFactoryAddress =
-		process.env[`${configPrefix}_POND_FACTORY_ADDRESS`];
-
-	// Validate addresses
-	if (!pondCoreAddress || !ethers.isAddress(pondCoreAddress)) {
-		throw new Error(`❌ Missing or invalid ${configPrefix}_POND_CORE_ADDRESS`);
-	}
+	const client = await PondClient.fromHre(hre, { requireFactory: true });
+	const txs = client.transactions();
+	await client.printSummary({ chainId: true });
 
-	if (!pondFactoryAddress || !ethers.isAddress(pondFactoryAddress)) {
-		throw new Error(
-			`❌ Missing or invalid ${configPrefix}_POND_FACTORY_ADDRESS`,
-		);
-	}
-
-	console.log("📋 Contract Addresses:");
-	console.log(`- 🌟 PondCore: ${pondCoreAddress}`);
-	console.log(`- 🏭 PondFactory: ${pondFactoryAddress}`);
+	const network = client.network;
+	const networkName = network.name;
+	const configPrefix = network.configPrefix;
+	const pondCoreAddress = client.coreAddress;
+	const pondFactoryAddress = client.factoryAddress;
 
 	// Load configuration parameters
+	const nativeToken = await client.token(ethers.ZeroAddress);
 	let minTossPrice;
 	let maxTotalTossAmount;
 	try {
-		minTossPrice = ethers.parseEther(
+		minTossPrice = parseAmount(
 			process.env[`${configPrefix}_MIN_TOSS_PRICE`] || "0.0001",
+			nativeToken,
 		);
-		maxTotalTossAmount = ethers.parseEther(
+		maxTotalTossAmount = parseAmount(
 			process.env[`${configPrefix}_MAX_TOTAL_TOSS_AMOUNT`] || "10",
+			nativeToken,
 		);
 	} catch (error) {
-		console.error("⚠️ Error parsing HYPE amounts, using defaults");
-		minTossPrice = ethers.parseEther("0.0001");
-		maxTotalTossAmount = ethers.parseEther("10");
+		console.error(`⚠️ Error parsing ${nativeToken.symbol} amounts, using defaults`);
+		minTossPrice = parseAmount("0.0001", nativeToken);
+		maxTotalTossAmount = parseAmount("10", nativeToken);
 	}
 
 	console.log("\n💰 Pond Configuration:");
-	console.log(`- 💰 Min Toss Price: ${ethers.formatEther(minTossPrice)} HYPE`);
+	console.log(`- 💰 Min Toss Price: ${formatAmount(minTossPrice, nativeToken)}`);
 	console.log(
-		`- 💸 Max Total Toss Amount: ${ethers.formatEther(maxTotalTossAmount)} HYPE`,
+		`- 💸 Max Total Toss Amount: ${formatAmount(maxTotalTossAmount, nativeToken)}`,
 	);
 
-	// Get deployer account
-	const [deployer] = await ethers.getSigners();
-	console.log(`\n👨‍💻 Using account: ${deployer.address}`);
-
-	// Check deployer balance
-	const deployerBalance = await ethers.provider.getBalance(deployer.address);
-	console.log(`💎 Balance: ${ethers.formatEther(deployerBalance)} HYPE`);
-
 	// Connect to contracts
 	try {
-		console.log("\n🔌 Connecting to contracts...");
-
-		const pondCore = await ethers.getContractAt("PondCore", pondCoreAddress);
-		const pondFactory = await ethers.getContractAt(
-			"PondFactory",
-			pondFactoryAddress,
-		);
+		const pondCore = client.core;
+		const pondFactory = client.factory;
 
 		// Verify PondFactory has FACTORY_ROLE
 		try {
@@ -93,11 +65,13 @@ async function main() {
 					"⚠️ PondFactory does NOT have FACTORY_ROLE. Granting role...",
 				);
 
-				const tx = await pondCore.grantRole(factoryRole, pondFactoryAddress, {
-					gasLimit: 20000000,
-				});
+				const tx = await txs.submit(
+					await pondCore.grantRole.populateTransaction(factoryRole, pondFactoryAddress, {
+						gasLimit: 20000000,
+					}),
+				);
 				console.log(`📤 Role grant transaction sent: ${tx.hash}`);
-				await tx.wait();
+				await txs.wait(tx);
 				console.log("✅ FACTORY_ROLE granted to PondFactory");
 			}
 		} catch (roleError) {
@@ -123,8 +97,8 @@ async function main() {
 			const typeName = periodNames[i];
 			const typeHash = standardTypes[i];
 			try {
-				const pondInfo = await pondCore.getPondStatus(typeHash);
-				console.log(`✅ ${typeName} pond already exists: ${pondInfo[0]}`);
+				const pondInfo = await client.getPondStatus(typeHash);
+				console.log(`✅ ${typeName} pond already exists: ${pondInfo.name}`);
 				existingPonds.push(i);
 			} catch (e) {
 				console.log(`❓ ${typeName} pond does not exist yet`);
@@ -173,37 +147,26 @@ async function main() {
 
 			try {
 				// Create this pond type with high gas settings
-				const tx = await pondFactory.createStandardPonds(
-					ethers.ZeroAddress, // Native ETH
-					"HYPE",
-					minTossPrice,
-					maxTotalTossAmount,
-					[period], // Just one period at a time
-					{
-						gasLimit: GAS_LIMIT,
-						gasPrice: gasPrice, // Use our calculated higher gas price
-					},
+				const tx = await txs.submit(
+					await pondFactory.createStandardPonds.populateTransaction(
+						ethers.ZeroAddress, // Native ETH
+						"HYPE",
+						minTossPrice,
+						maxTotalTossAmount,
+						[period], // Just one period at a time
+						{
+							gasLimit: GAS_LIMIT,
+							gasPrice: gasPrice, // Use our calculated higher gas price
+						},
+					),
 				);
 
 				console.log(
 					`📤 Create ${periodName} pond transaction sent: ${tx.hash}`,
 				);
 
-				// Wait for the transaction with a timeout
-				const receipt = await Promise.race([
-					tx.wait(),
-					new Promise((_, reject) =>
-						setTimeout(
-							() =>
-								reject(
-									new Error(
-										"Transaction confirmation timeout - but it might still succeed",
-									),
-								),
-							90000,
-						),
-					),
-				]);
+				// Wait up to 90s, bumping the gas price if it gets stuck
+				const receipt = await txs.wait(tx, { timeout: 90 });
 
 				console.log(`✅ ${periodName} ETH pond created successfully`);
 
@@ -211,7 +174,7 @@ async function main() {
 				console.log("⏳ Waiting 3 seconds before next transaction...");
 				await new Promise((resolve) => setTimeout(resolve, 3000));
 			} catch (error) {
-				console.error(`❌ Error with ${periodName} HYPE pond: ${error.message}`);
+				console.error(`❌ Error with ${periodName} HYPE pond: ${client.describeError(error)}`);
 
 				// If it's just a timeout, it might still go through
 				if (error.message.includes("timeout")) {
@@ -240,8 +203,8 @@ async function main() {
 				const typeHash = standardTypes[pondIndex];
 
 				try {
-					const pondInfo = await pondCore.getPondStatus(typeHash);
-					console.log(`✅ ${periodName} pond exists: ${pondInfo[0]}`);
+					const pondInfo = await client.getPondStatus(typeHash);
+					console.log(`✅ ${periodName} pond exists: ${pondInfo.name}`);
 					successCount++;
 				} catch (e) {
 					console.log(`❌ ${periodName} pond still does not exist`);
@@ -283,7 +246,6 @@ async function main() {
 			network: networkName,
 			chainId: Number(network.chainId),
 			contracts: {
-				distributor: distributorAddress,
 				pondCore: pondCoreAddress,
 				pondFactory: pondFactoryAddress,
 			},
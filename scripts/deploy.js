@@ -1,27 +1,25 @@
 // scripts/deploy-with-emojis.js
-const { ethers } = require("hardhat");
-const fs = require("node:fs");
-const path = require("node:path");
+const hre = require("hardhat");
+const { getHreNetworkInfo } = require("../lib/networks");
+const { recordDeployment } = require("../lib/deployments");
+const { decodeConfig, effectiveTimelock, periodValue } = require("../lib/models");
+const { TxManager } = require("../lib/tx-manager");
+
+const { ethers } = hre;
 
 async function main() {
 	console.log("🚀 Starting deployment process...");
 
-	// Get network information
-	const network = await ethers.provider.getNetwork();
+	const network = await getHreNetworkInfo(hre);
 	const networkName = network.name;
-	const isTestnet =
-		networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-	const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
+	const configPrefix = network.configPrefix;
 
-	console.log(
-		`🌐 Deploying to ${networkName} (${
-			isTestnet ? "🧪 Testnet" : "🔴 Mainnet"
-		})`,
-	);
+	console.log(`🌐 Deploying to ${networkName} (${network.label})`);
 	console.log(`⛓️ Chain ID: ${network.chainId}`);
 
 	const feeAddress =
 		process.env[`${configPrefix}_FEE_ADDRESS`];
+	// Reusing a PondCore is opt-in: only the env var, never the deployments registry
 	const existingPondCoreAddress =
 		process.env[`${configPrefix}_POND_CORE_ADDRESS`];
 
@@ -56,7 +54,7 @@ async function main() {
 	// Check deployer balance
 	const deployerBalance = await ethers.provider.getBalance(deployer.address);
 	console.log(
-		`💎 Deployer balance: ${ethers.formatEther(deployerBalance)} ETH`,
+		`💎 Deployer balance: ${ethers.formatEther(deployerBalance)} ${network.nativeSymbol}`,
 	);
 
 	// Define gas limits for complex contracts (updated for optimized version)
@@ -73,11 +71,16 @@ async function main() {
 
 	const deploymentInfo = {
 		network: networkName,
-		chainId: Number(network.chainId),
 		deployer: deployer.address,
 		timestamp: new Date().toISOString(),
-		feeAddress: feeAddress,
-		maxParticipantsPerPond: maxParticipantsPerPond,
+		contracts: {},
+		transactions: {},
+		config: {
+			feeAddress: feeAddress,
+			feePercentage: feePercentage,
+			selectionTimelock: selectionTimelock,
+			maxParticipantsPerPond: maxParticipantsPerPond,
+		},
 	};
 
 	try {
@@ -85,9 +88,9 @@ async function main() {
 		let pondCoreAddress;
 
 		if (existingPondCoreAddress && ethers.isAddress(existingPondCoreAddress)) {
-			console.log("\n🔄 Using existing PondCore from .env file");
+			console.log(`\n🔄 Using existing PondCore from ${configPrefix}_POND_CORE_ADDRESS`);
 			pondCoreAddress = existingPondCoreAddress;
-			deploymentInfo.pondCore = pondCoreAddress;
+			deploymentInfo.contracts.PondCore = pondCoreAddress;
 			console.log(`📍 PondCore address: ${pondCoreAddress}`);
 
 			// Verify the contract exists
@@ -114,7 +117,7 @@ async function main() {
 
 			// Verify key parameters for optimized contract
 			try {
-				const config = await pondCore.getConfig();
+				const config = decodeConfig(await pondCore.getConfig());
 				const actualFeeAddress = config.feeAddress;
 				const actualMaxParticipants = config.maxParticipantsPerPond;
 				
@@ -167,15 +170,16 @@ async function main() {
 			pondCoreAddress = await pondCore.getAddress();
 
 			console.log(`🎉 Optimized PondCore deployed to: ${pondCoreAddress}`);
-			deploymentInfo.pondCore = pondCoreAddress;
+			deploymentInfo.contracts.PondCore = pondCoreAddress;
+			deploymentInfo.transactions.PondCore = pondCore.deploymentTransaction().hash;
 
 			// Verify deployment by checking configuration
 			try {
-				const config = await pondCore.getConfig();
+				const config = decodeConfig(await pondCore.getConfig());
 				console.log("✅ PondCore configuration verified:");
 				console.log(`- Fee Address: ${config.feeAddress}`);
 				console.log(`- Fee Percentage: ${config.feePercent}%`);
-				console.log(`- Selection Timelock: ${config.selectionTimelock}s`);
+				console.log(`- Selection Timelock: ${config.selectionTimelock}s (5-min ponds: ${effectiveTimelock(periodValue("FIVE_MINUTES"), config)}s)`);
 				console.log(`- Max Participants: ${config.maxParticipantsPerPond}`);
 				console.log(`- Emergency Batch Size: ${config.emergencyBatchSize}`);
 			} catch (error) {
@@ -204,7 +208,8 @@ async function main() {
 			const pondFactoryAddress = await pondFactory.getAddress();
 
 			console.log(`🎉 PondFactory deployed to: ${pondFactoryAddress}`);
-			deploymentInfo.pondFactory = pondFactoryAddress;
+			deploymentInfo.contracts.PondFactory = pondFactoryAddress;
+			deploymentInfo.transactions.PondFactory = pondFactory.deploymentTransaction().hash;
 
 			// Get the PondCore contract instance
 			const pondCore = await ethers.getContractAt("PondCore", pondCoreAddress);
@@ -216,31 +221,28 @@ async function main() {
 			console.log(`🔑 Factory role hash: ${factoryRole}`);
 
 			// Grant role with high gas limit
-			const tx1 = await pondCore.grantRole(factoryRole, pondFactoryAddress, {
-				gasLimit: GAS_LIMITS.GRANT_ROLE,
-			});
+			const txs = new TxManager(deployer);
+			const tx1 = await txs.submit(
+				await pondCore.grantRole.populateTransaction(factoryRole, pondFactoryAddress, {
+					gasLimit: GAS_LIMITS.GRANT_ROLE,
+				}),
+			);
 
 			console.log(`📤 Role grant transaction sent: ${tx1.hash}`);
-			await tx1.wait();
+			await txs.wait(tx1);
 
 			console.log(
 				`✅ Granted FACTORY_ROLE to PondFactory: ${pondFactoryAddress}`,
 			);
 
-			// 4. Save deployment information
-			const deployDir = path.join(__dirname, "../deployments");
-			if (!fs.existsSync(deployDir)) {
-				fs.mkdirSync(deployDir, { recursive: true });
-			}
-
-			const timestamp = Math.floor(Date.now() / 1000);
-			const deploymentPath = path.join(
-				deployDir,
-				`${networkName}_${timestamp}.json`,
+			// 4. Record the deployment in the registry and make it current
+			const { deployment, file } = recordDeployment(
+				network.chainId,
+				deploymentInfo,
+			);
+			console.log(
+				`\n💾 Deployment ${deployment.id} recorded as current in: ${file}`,
 			);
-
-			fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-			console.log(`\n💾 Deployment information saved to: ${deploymentPath}`);
 
 			// Output important addresses
 			console.log("\n=== 🚀 DEPLOYMENT SUMMARY 🚀 ===");
@@ -248,21 +250,23 @@ async function main() {
 			console.log(`💼 Fee Address: ${feeAddress}`);
 			console.log(`👥 Max Participants: ${maxParticipantsPerPond}`);
 			console.log(`🌟 PondCore: ${pondCoreAddress}`);
-			if (deploymentInfo.pondFactory) {
-				console.log(`🏭 PondFactory: ${deploymentInfo.pondFactory}`);
+			if (deploymentInfo.contracts.PondFactory) {
+				console.log(`🏭 PondFactory: ${deploymentInfo.contracts.PondFactory}`);
 			} else {
 				console.log("🔴 PondFactory: DEPLOYMENT FAILED");
 			}
 			console.log("==========================");
 
-			// Update the .env file with the deployed contract addresses
-			console.log("\n📝 Update your .env file with these values:");
+			// Env vars take precedence over the registry, so keep them in sync
+			console.log(
+				"\n📝 Tasks now pick these up from the registry. If you pin addresses in .env, update them:",
+			);
 			if (!existingPondCoreAddress) {
 				console.log(`${configPrefix}_POND_CORE_ADDRESS=${pondCoreAddress}`);
 			}
-			if (deploymentInfo.pondFactory) {
+			if (deploymentInfo.contracts.PondFactory) {
 				console.log(
-					`${configPrefix}_POND_FACTORY_ADDRESS=${deploymentInfo.pondFactory}`,
+					`${configPrefix}_POND_FACTORY_ADDRESS=${deploymentInfo.contracts.PondFactory}`,
 				);
 			}
 			console.log(`${configPrefix}_MAX_PARTICIPANTS_PER_POND=${maxParticipantsPerPond}`);
@@ -298,26 +302,17 @@ async function main() {
 				}
 			}
 
-			// Save partial deployment info
-			const deployDir = path.join(__dirname, "../deployments");
-			if (!fs.existsSync(deployDir)) {
-				fs.mkdirSync(deployDir, { recursive: true });
-			}
-
-			const timestamp = Math.floor(Date.now() / 1000);
-			const deploymentPath = path.join(
-				deployDir,
-				`${networkName}_${timestamp}_partial.json`,
-			);
-
-			deploymentInfo.error = {
-				message: error.message,
-				stack: error.stack,
-			};
-
-			fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+			// Record the partial deployment (never promoted to current)
+			const { deployment, file } = recordDeployment(network.chainId, {
+				...deploymentInfo,
+				status: "partial",
+				error: {
+					message: error.message,
+					stack: error.stack,
+				},
+			});
 			console.log(
-				`\n💾 Partial deployment information saved to: ${deploymentPath}`,
+				`\n💾 Partial deployment ${deployment.id} recorded in: ${file}`,
 			);
 
 			throw error;
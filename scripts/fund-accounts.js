@@ -2,6 +2,7 @@
 const { ethers } = require("hardhat");
 const fs = require("node:fs");
 const path = require("node:path");
+const { TxManager } = require("../lib/tx-manager");
 
 async function main() {
 	console.log("Funding test accounts for LuckyPonds simulation...");
@@ -23,6 +24,7 @@ async function main() {
 	// Get the funding account (first account in the hardhat node)
 	const [funder] = await ethers.getSigners();
 	const funderBalance = await ethers.provider.getBalance(funder.address);
+	const txs = new TxManager(funder);
 
 	console.log(`Funder address: ${funder.address}`);
 	console.log(`Funder balance: ${ethers.formatEther(funderBalance)} ETH`);
@@ -57,12 +59,12 @@ async function main() {
 		console.log(`  Initial balance: ${ethers.formatEther(initialBalance)} ETH`);
 
 		// Send ETH from funder to this account
-		const tx = await funder.sendTransaction({
+		const tx = await txs.submit({
 			to: address,
 			value: fundAmount,
 		});
 
-		await tx.wait();
+		await txs.wait(tx);
 
 		// Verify new balance
 		const newBalance = await ethers.provider.getBalance(address);
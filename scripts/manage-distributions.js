@@ -1,25 +1,31 @@
 // scripts/manage-community-distributions.js
-const { ethers } = require("hardhat");
-const fs = require("node:fs");
+const hre = require("hardhat");
 const Table = require("console-table-printer").Table;
-
-// Load deployment data
-const loadDeploymentInfo = () => {
-	// Get the latest deployment file
-	const deploymentDir = "./deployments";
-	const files = fs.readdirSync(deploymentDir);
-	const latestFile = files
-		.filter((file) => file.startsWith("hyperliquid_"))
-		.sort()
-		.pop();
-
-	if (!latestFile) {
-		throw new Error("No deployment file found");
+const { getHreNetworkInfo } = require("../lib/networks");
+const {
+	loadRegistry,
+	getCurrentDeployment,
+	registryPath,
+} = require("../lib/deployments");
+const { TxManager } = require("../lib/tx-manager");
+
+const { ethers } = hre;
+
+// Load the current deployment for this chain from the registry
+const loadDeploymentInfo = (chainId) => {
+	const registry = loadRegistry(chainId);
+	const deployment = getCurrentDeployment(registry);
+
+	if (!deployment) {
+		throw new Error(
+			`No current deployment for chain ${chainId}. Run \`npx hardhat deployments import\` to migrate old deployment files.`,
+		);
 	}
 
-	const deploymentPath = `${deploymentDir}/${latestFile}`;
-	console.log(`Loading deployment info from: ${deploymentPath}`);
-	return JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+	console.log(
+		`Loading deployment ${deployment.id} from: ${registryPath(chainId)}`,
+	);
+	return deployment;
 };
 
 // Format timestamp to readable date
@@ -27,6 +33,11 @@ const formatDate = (timestamp) => {
 	return new Date(Number(timestamp) * 1000).toLocaleString();
 };
 
+// Format a native amount in the network's own token (HYPE on HyperEVM)
+const formatNative = (amount, network) => {
+	return `${ethers.formatEther(amount)} ${network.nativeSymbol}`;
+};
+
 // Format time remaining
 const formatTimeRemaining = (seconds) => {
 	if (seconds <= 0) return "Ready";
@@ -71,12 +82,12 @@ async function main() {
 	const { command, options } = parseArgs();
 
 	// Get network details
-	const networkName = network.name;
-	console.log(`Network: ${networkName}`);
+	const network = await getHreNetworkInfo(hre);
+	console.log(`Network: ${network.name}`);
 
 	// Load deployment info
-	const deploymentInfo = loadDeploymentInfo();
-	const distributorAddress = deploymentInfo.luckyPondsDistributor;
+	const deploymentInfo = loadDeploymentInfo(network.chainId);
+	const distributorAddress = deploymentInfo.contracts.LuckyPondsDistributor;
 	console.log(`LuckyPondsDistributor Contract: ${distributorAddress}`);
 
 	// Get contract instance
@@ -86,22 +97,23 @@ async function main() {
 	const distributor = LuckyPondsDistributor.attach(distributorAddress);
 
 	// Get hyperFrogsV2 address
-	const hyperFrogsV2Address = deploymentInfo.hyperFrogsV2;
-	const projectWallet = deploymentInfo.unmigratedClaimAddress;
+	const hyperFrogsV2Address = deploymentInfo.contracts.HyperFrogsV2;
+	const projectWallet = deploymentInfo.metadata?.unmigratedClaimAddress;
 	console.log(`HyperFrogsV2 Contract: ${hyperFrogsV2Address}`);
 	console.log(`Project Wallet: ${projectWallet}`);
 
 	// Get signer
 	const [signer] = await ethers.getSigners();
 	console.log(`Using signer: ${signer.address}`);
+	const txs = new TxManager(signer);
 
 	// Process command
 	switch (command) {
 		case "info":
-			await showDistributorInfo(distributor);
+			await showDistributorInfo(distributor, network);
 			break;
 		case "create":
-			await createDistribution(distributor, signer);
+			await createDistribution(distributor, txs, network);
 			break;
 		case "claim": {
 			const distributionId = options.id ? Number(options.id) : null;
@@ -109,11 +121,11 @@ async function main() {
 				console.error("Error: --id parameter required");
 				return;
 			}
-			await claimRewards(distributor, distributionId, signer);
+			await claimRewards(distributor, distributionId, signer, txs, network);
 			break;
 		}
 		case "claim-current":
-			await claimCurrentRewards(distributor, signer);
+			await claimCurrentRewards(distributor, signer, txs);
 			break;
 		case "check-claimable": {
 			const distId = options.id ? Number(options.id) : null;
@@ -122,7 +134,7 @@ async function main() {
 				return;
 			}
 			const address = options.address || signer.address;
-			await checkClaimable(distributor, distId, address);
+			await checkClaimable(distributor, distId, address, network);
 			break;
 		}
 		case "check-creation":
@@ -137,7 +149,7 @@ async function main() {
 				console.error("Error: --id parameter required");
 				return;
 			}
-			await reclaimUnclaimed(distributor, reclaimDistId, signer);
+			await reclaimUnclaimed(distributor, reclaimDistId, txs);
 			break;
 		}
 		case "register-token":
@@ -145,17 +157,17 @@ async function main() {
 				console.error("Error: --token parameter required");
 				return;
 			}
-			await registerToken(distributor, options.token, signer);
+			await registerToken(distributor, options.token, txs);
 			break;
 		case "unregister-token":
 			if (!options.token) {
 				console.error("Error: --token parameter required");
 				return;
 			}
-			await unregisterToken(distributor, options.token, signer);
+			await unregisterToken(distributor, options.token, txs);
 			break;
 		case "distributions":
-			await listDistributions(distributor);
+			await listDistributions(distributor, network);
 			break;
 		default:
 			console.log(`Unknown command: ${command}`);
@@ -165,7 +177,7 @@ async function main() {
 	}
 }
 
-async function showDistributorInfo(distributor) {
+async function showDistributorInfo(distributor, network) {
 	console.log("\n📊 Distributor Information");
 	console.log("══════════════════════════════════════════");
 
@@ -177,12 +189,10 @@ async function showDistributorInfo(distributor) {
 		const tokenAddresses = balances[2];
 		const tokenBalances = balances[3];
 
-		console.log(`Native Balance: ${ethers.formatEther(nativeBalance)} ETH`);
-		console.log(`Gas Reserve: ${ethers.formatEther(gasReserve)} ETH`);
+		console.log(`Native Balance: ${formatNative(nativeBalance, network)}`);
+		console.log(`Gas Reserve: ${formatNative(gasReserve, network)}`);
 		console.log(
-			`Distributable: ${ethers.formatEther(
-				nativeBalance > gasReserve ? nativeBalance - gasReserve : 0,
-			)} ETH`,
+			`Distributable: ${formatNative(nativeBalance > gasReserve ? nativeBalance - gasReserve : 0n, network)}`,
 		);
 
 		// Get migration stats
@@ -210,7 +220,7 @@ async function showDistributorInfo(distributor) {
 			console.log(`Created: ${formatDate(distInfo[1])}`);
 			console.log(`Claim Period Ends: ${formatDate(distInfo[2])}`);
 			console.log(`Claimed Count: ${distInfo[4]} / ${totalSupply}`);
-			console.log(`Native Amount: ${ethers.formatEther(distInfo[5])} ETH`);
+			console.log(`Native Amount: ${formatNative(distInfo[5], network)}`);
 			console.log(`Creator: ${distInfo[6]}`);
 
 			// Calculate time remaining
@@ -269,7 +279,7 @@ async function showDistributorInfo(distributor) {
 	}
 }
 
-async function createDistribution(distributor, signer) {
+async function createDistribution(distributor, txs, network) {
 	console.log("\n🔄 Creating New Distribution");
 	console.log("══════════════════════════════════════════");
 
@@ -298,10 +308,12 @@ async function createDistribution(distributor, signer) {
 
 		// Create distribution
 		console.log("Creating distribution...");
-		const tx = await distributor.connect(signer).createDistribution();
+		const tx = await txs.submit(
+			await distributor.createDistribution.populateTransaction(),
+		);
 		console.log(`Transaction sent: ${tx.hash}`);
 
-		const receipt = await tx.wait();
+		const receipt = await txs.wait(tx);
 		console.log(`Transaction confirmed: ${receipt.hash}`);
 
 		// Get current distribution ID
@@ -314,7 +326,7 @@ async function createDistribution(distributor, signer) {
 		);
 		console.log(`Created: ${formatDate(distInfo[1])}`);
 		console.log(`Claim Period Ends: ${formatDate(distInfo[2])}`);
-		console.log(`Native Amount: ${ethers.formatEther(distInfo[5])} ETH`);
+		console.log(`Native Amount: ${formatNative(distInfo[5], network)}`);
 
 		// Get tokens in this distribution
 		const tokenAddresses = await distributor.getDistributionTokens(
@@ -349,7 +361,7 @@ async function createDistribution(distributor, signer) {
 	}
 }
 
-async function claimRewards(distributor, distributionId, signer) {
+async function claimRewards(distributor, distributionId, signer, txs, network) {
 	console.log("\n🎁 Claiming Rewards");
 	console.log("══════════════════════════════════════════");
 	console.log(`Distribution ID: ${distributionId}`);
@@ -401,7 +413,7 @@ async function claimRewards(distributor, distributionId, signer) {
 		}
 
 		console.log(`Frogs Owned: ${frogsOwned}`);
-		console.log(`Claimable ETH: ${ethers.formatEther(nativeAmount)} ETH`);
+		console.log(`Claimable ${network.nativeSymbol}: ${formatNative(nativeAmount, network)}`);
 
 		if (tokenAddresses.length > 0) {
 			console.log("Claimable Tokens:");
@@ -412,17 +424,19 @@ async function claimRewards(distributor, distributionId, signer) {
 
 		// Claim rewards
 		console.log("\nClaiming rewards...");
-		const tx = await distributor.connect(signer).claimRewards(distributionId);
+		const tx = await txs.submit(
+			await distributor.claimRewards.populateTransaction(distributionId),
+		);
 		console.log(`Transaction sent: ${tx.hash}`);
 
-		const receipt = await tx.wait();
+		const receipt = await txs.wait(tx);
 		console.log("\n✅ Rewards claimed successfully!");
 	} catch (error) {
 		console.error(`Error claiming rewards: ${error.message}`);
 	}
 }
 
-async function claimCurrentRewards(distributor, signer) {
+async function claimCurrentRewards(distributor, signer, txs) {
 	console.log("\n🎁 Claiming Current Distribution Rewards");
 	console.log("══════════════════════════════════════════");
 
@@ -449,17 +463,19 @@ async function claimCurrentRewards(distributor, signer) {
 
 		// Claim rewards
 		console.log("Claiming rewards...");
-		const tx = await distributor.connect(signer).claimCurrentRewards();
+		const tx = await txs.submit(
+			await distributor.claimCurrentRewards.populateTransaction(),
+		);
 		console.log(`Transaction sent: ${tx.hash}`);
 
-		const receipt = await tx.wait();
+		const receipt = await txs.wait(tx);
 		console.log("\n✅ Rewards claimed successfully!");
 	} catch (error) {
 		console.error(`Error claiming current rewards: ${error.message}`);
 	}
 }
 
-async function checkClaimable(distributor, distributionId, address) {
+async function checkClaimable(distributor, distributionId, address, network) {
 	console.log("\n👀 Checking Claimable Rewards");
 	console.log("══════════════════════════════════════════");
 	console.log(`Distribution ID: ${distributionId}`);
@@ -501,7 +517,7 @@ async function checkClaimable(distributor, distributionId, address) {
 		console.log(`Claim period ends: ${formatDate(distInfo[2])}`);
 		console.log(`Distribution active: ${distInfo[3]}`);
 		console.log(`Claims so far: ${distInfo[4]}`);
-		console.log(`Total ETH: ${ethers.formatEther(distInfo[5])} ETH`);
+		console.log(`Total ${network.nativeSymbol}: ${formatNative(distInfo[5], network)}`);
 
 		// Check claimable amount
 		const claimable = await distributor.calculateClaimable(
@@ -520,7 +536,7 @@ async function checkClaimable(distributor, distributionId, address) {
 			return;
 		}
 
-		console.log(`Claimable ETH: ${ethers.formatEther(nativeAmount)} ETH`);
+		console.log(`Claimable ${network.nativeSymbol}: ${formatNative(nativeAmount, network)}`);
 
 		if (tokenAddresses.length > 0) {
 			console.log("\nClaimable Tokens:");
@@ -590,7 +606,7 @@ async function checkCreationEligibility(distributor, address) {
 	}
 }
 
-async function reclaimUnclaimed(distributor, distributionId, signer) {
+async function reclaimUnclaimed(distributor, distributionId, txs) {
 	console.log("\n🔄 Reclaiming Unclaimed Rewards");
 	console.log("══════════════════════════════════════════");
 	console.log(`Distribution ID: ${distributionId}`);
@@ -632,19 +648,19 @@ async function reclaimUnclaimed(distributor, distributionId, signer) {
 
 		// Reclaim unclaimed rewards
 		console.log("Reclaiming unclaimed rewards...");
-		const tx = await distributor
-			.connect(signer)
-			.reclaimUnclaimedRewards(distributionId);
+		const tx = await txs.submit(
+			await distributor.reclaimUnclaimedRewards.populateTransaction(distributionId),
+		);
 		console.log(`Transaction sent: ${tx.hash}`);
 
-		const receipt = await tx.wait();
+		const receipt = await txs.wait(tx);
 		console.log("\n✅ Unclaimed rewards reclaimed successfully!");
 	} catch (error) {
 		console.error(`Error reclaiming unclaimed rewards: ${error.message}`);
 	}
 }
 
-async function registerToken(distributor, tokenAddress, signer) {
+async function registerToken(distributor, tokenAddress, txs) {
 	console.log("\n📝 Registering Token");
 	console.log("══════════════════════════════════════════");
 	console.log(`Token Address: ${tokenAddress}`);
@@ -658,17 +674,19 @@ async function registerToken(distributor, tokenAddress, signer) {
 		}
 
 		// Register token
-		const tx = await distributor.connect(signer).registerToken(tokenAddress);
+		const tx = await txs.submit(
+			await distributor.registerToken.populateTransaction(tokenAddress),
+		);
 		console.log(`Transaction sent: ${tx.hash}`);
 
-		const receipt = await tx.wait();
+		const receipt = await txs.wait(tx);
 		console.log(`\n✅ Token registered: ${tokenAddress}`);
 	} catch (error) {
 		console.error(`Error registering token: ${error.message}`);
 	}
 }
 
-async function unregisterToken(distributor, tokenAddress, signer) {
+async function unregisterToken(distributor, tokenAddress, txs) {
 	console.log("\n🗑️ Unregistering Token");
 	console.log("══════════════════════════════════════════");
 	console.log(`Token Address: ${tokenAddress}`);
@@ -682,17 +700,19 @@ async function unregisterToken(distributor, tokenAddress, signer) {
 		}
 
 		// Unregister token
-		const tx = await distributor.connect(signer).unregisterToken(tokenAddress);
+		const tx = await txs.submit(
+			await distributor.unregisterToken.populateTransaction(tokenAddress),
+		);
 		console.log(`Transaction sent: ${tx.hash}`);
 
-		const receipt = await tx.wait();
+		const receipt = await txs.wait(tx);
 		console.log(`\n✅ Token unregistered: ${tokenAddress}`);
 	} catch (error) {
 		console.error(`Error unregistering token: ${error.message}`);
 	}
 }
 
-async function listDistributions(distributor) {
+async function listDistributions(distributor, network) {
 	console.log("\n📋 Listing All Distributions");
 	console.log("══════════════════════════════════════════");
 
@@ -713,7 +733,7 @@ async function listDistributions(distributor) {
 				{ name: "ends", title: "Claim Ends", alignment: "left" },
 				{ name: "status", title: "Status", alignment: "left" },
 				{ name: "claimed", title: "Claimed", alignment: "right" },
-				{ name: "amount", title: "ETH Amount", alignment: "right" },
+				{ name: "amount", title: `${network.nativeSymbol} Amount`, alignment: "right" },
 				{ name: "creator", title: "Creator", alignment: "left" },
 			],
 		});
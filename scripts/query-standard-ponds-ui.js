@@ -1,27 +1,15 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { PondClient } = require("../lib/client");
+
+const { ethers } = hre;
 
 async function main() {
     console.log("🔍 Querying Standard Ponds for UI...");
 
-    // Get network information
-    const network = await ethers.provider.getNetwork();
-    const networkName = network.name;
-    const isTestnet =
-        networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-    const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
-
-    console.log(
-        `🌐 Network: ${networkName} (${isTestnet ? "🧪 Testnet" : "🔴 Mainnet"})`,
-    );
-
-    // Load contract addresses from environment
-    const pondCoreAddress = process.env[`${configPrefix}_POND_CORE_ADDRESS`];
-
-    if (!pondCoreAddress || !ethers.isAddress(pondCoreAddress)) {
-        throw new Error(`❌ Missing or invalid ${configPrefix}_POND_CORE_ADDRESS`);
-    }
+    const client = await PondClient.fromHre(hre, { readOnly: true });
+    await client.printSummary();
 
-    console.log(`📋 PondCore Address: ${pondCoreAddress}`);
+    const networkName = client.network.name;
 
     // Configuration - UPDATE THIS VALUE TO THE TOKEN YOU WANT TO QUERY
     // const TOKEN_ADDRESS = "0xC003D79B8a489703b1753711E3ae9fFDFC8d1a82"; // Your ERC20 token
@@ -37,66 +25,41 @@ async function main() {
     }
 
     try {
-        // Connect to PondCore
-        const pondCore = await ethers.getContractAt("PondCore", pondCoreAddress);
-
         console.log("\n🔍 Calling getStandardPondsForUI...");
         
         // Call getStandardPondsForUI for the specified token
-        const standardPonds = await pondCore.getStandardPondsForUI(TOKEN_ADDRESS);
+        const standardPonds = await client.getStandardPonds(TOKEN_ADDRESS);
         
         console.log(`📊 Found ${standardPonds.length} standard pond definitions`);
 
         // Parse and display results
         const results = [];
-        const periodNames = ["Five-Min", "Hourly", "Daily", "Weekly", "Monthly"];
 
         console.log("\n📋 Standard Ponds Information:");
         console.log("=".repeat(80));
 
         for (let i = 0; i < standardPonds.length; i++) {
-            const pond = standardPonds[i];
-            
-            // Safely handle potentially null values
-            const pondInfo = {
-                index: i,
-                name: pond.pondName || "Unknown",
-                exists: Boolean(pond.exists),
-                pondType: pond.pondType || "0x0000000000000000000000000000000000000000000000000000000000000000",
-                period: pond.period ? Number(pond.period) : i,
-                periodName: periodNames[pond.period ? Number(pond.period) : i] || `Custom-${i}`,
-                pondAddress: pond.pondAddress || ethers.ZeroAddress,
-                tokenAddress: pond.tokenAddress || ethers.ZeroAddress,
-                startTime: pond.startTime ? Number(pond.startTime) : 0,
-                endTime: pond.endTime ? Number(pond.endTime) : 0,
-                totalTosses: pond.totalTosses ? Number(pond.totalTosses) : 0,
-                totalValue: pond.totalValue || 0n,
-                totalParticipants: pond.totalParticipants ? Number(pond.totalParticipants) : 0,
-                prizeDistributed: Boolean(pond.prizeDistributed),
-                timeUntilEnd: pond.timeUntilEnd ? Number(pond.timeUntilEnd) : 0
-            };
+            const standardPond = standardPonds[i];
 
+            // Full status is only available for ponds that have been created
+            const pondInfo = standardPond.exists
+                ? { ...(await client.getPondStatus(standardPond.pondType)), exists: true }
+                : { ...standardPond };
+            pondInfo.index = i;
             results.push(pondInfo);
 
             // Display formatted information
-            console.log(`\n🏊 ${pondInfo.periodName} Pond (Index ${i}):`);
+            console.log(`\n🏊 ${pondInfo.periodLabel} Pond (Index ${i}):`);
             console.log(`   📝 Name: ${pondInfo.name}`);
             console.log(`   ✅ Exists: ${pondInfo.exists ? "Yes" : "No"}`);
             console.log(`   🔗 Pond Type Hash: ${pondInfo.pondType}`);
             console.log(`   📅 Period: ${pondInfo.period} (${pondInfo.periodName})`);
             
             if (pondInfo.exists) {
-                console.log(`   🏠 Pond Address: ${pondInfo.pondAddress}`);
-                console.log(`   🪙 Token Address: ${pondInfo.tokenAddress}`);
+                console.log(`   🪙 Token: ${pondInfo.token.symbol} (${pondInfo.tokenTypeName}, ${pondInfo.tokenAddress})`);
                 console.log(`   📊 Total Tosses: ${pondInfo.totalTosses}`);
                 console.log(`   👥 Participants: ${pondInfo.totalParticipants}`);
-                
-                try {
-                    console.log(`   💰 Total Value: ${ethers.formatEther(pondInfo.totalValue)} tokens`);
-                } catch (e) {
-                    console.log(`   💰 Total Value: 0 tokens (parsing error)`);
-                }
-                
+                console.log(`   💰 Total Value: ${pondInfo.formatted.totalValue}`);
                 console.log(`   🏆 Prize Distributed: ${pondInfo.prizeDistributed ? "Yes" : "No"}`);
                 
                 if (pondInfo.timeUntilEnd > 0) {
@@ -107,12 +70,9 @@ async function main() {
                     console.log(`   📈 Status: Ended`);
                 }
                 
-                if (pondInfo.startTime > 0) {
-                    console.log(`   🚀 Start Time: ${new Date(pondInfo.startTime * 1000).toLocaleString()}`);
-                }
-                if (pondInfo.endTime > 0) {
-                    console.log(`   🏁 End Time: ${new Date(pondInfo.endTime * 1000).toLocaleString()}`);
-                }
+                console.log(`   🚀 Start Time: ${new Date(pondInfo.startTime * 1000).toLocaleString()}`);
+                console.log(`   🏁 End Time: ${new Date(pondInfo.endTime * 1000).toLocaleString()}`);
+                console.log(`   ⏳ Winner Selectable From: ${new Date(pondInfo.selectionEligibleAt * 1000).toLocaleString()}`);
             } else {
                 console.log(`   ❌ Pond not created yet`);
             }
@@ -134,17 +94,11 @@ async function main() {
 
         if (existingPonds.length > 0) {
             try {
-                const totalValue = existingPonds.reduce((sum, pond) => {
-                    try {
-                        return sum + BigInt(pond.totalValue || 0);
-                    } catch (e) {
-                        return sum;
-                    }
-                }, 0n);
+                const totalValue = existingPonds.reduce((sum, pond) => sum + pond.totalValue, 0n);
                 const totalTosses = existingPonds.reduce((sum, pond) => sum + pond.totalTosses, 0);
                 const totalParticipants = existingPonds.reduce((sum, pond) => sum + pond.totalParticipants, 0);
                 
-                console.log(`💰 Total Value Across All Ponds: ${ethers.formatEther(totalValue)} tokens`);
+                console.log(`💰 Total Value Across All Ponds: ${await client.formatToken(totalValue, TOKEN_ADDRESS)}`);
                 console.log(`🎯 Total Tosses: ${totalTosses}`);
                 console.log(`👥 Total Participants: ${totalParticipants}`);
             } catch (e) {
@@ -157,30 +111,19 @@ async function main() {
         if (missingPonds.length > 0) {
             console.log("\n🚨 Ponds that need to be created:");
             missingPonds.forEach(pond => {
-                console.log(`   - ${pond.periodName} Pond (Period ${pond.period})`);
+                console.log(`   - ${pond.periodLabel} Pond (Period ${pond.period})`);
             });
             console.log("\n💡 Run create-erc20-ponds.js to create missing ponds");
         }
 
         // Show which ponds need upkeep
-        const pondsNeedingUpkeep = existingPonds.filter(p => p.timeUntilEnd <= 0 && !p.prizeDistributed);
+        const pondsNeedingUpkeep = existingPonds.filter(p => p.isSelectionEligible);
         if (pondsNeedingUpkeep.length > 0) {
             console.log("\n⚡ Ponds that need upkeep (winner selection):");
             pondsNeedingUpkeep.forEach(pond => {
-                console.log(`   - ${pond.periodName} Pond`);
-            });
-            console.log("\n💡 Run run-upkeep.js to select winners");
-        }
-
-        // Debug: Show raw data for first pond
-        if (standardPonds.length > 0) {
-            console.log("\n🔍 DEBUG - Raw data for first pond:");
-            const rawPond = standardPonds[0];
-            console.log("Raw pond object:", rawPond);
-            console.log("Raw pond fields:");
-            Object.keys(rawPond).forEach(key => {
-                console.log(`   ${key}: ${rawPond[key]} (type: ${typeof rawPond[key]})`);
+                console.log(`   - ${pond.periodLabel} Pond`);
             });
+            console.log("\n💡 Run `npx hardhat upkeep --all` to select winners");
         }
 
         // Return structured data for programmatic use
@@ -1,56 +1,41 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const fs = require("node:fs");
 const path = require("node:path");
+const { PondClient } = require("../lib/client");
+const { formatAmount, parseAmount } = require("../lib/tokens");
+
+const { ethers } = hre;
 
 async function main() {
     console.log("🔧 Starting pond settings update process for all ERC20 ponds...");
 
-    // Get network information
-    const network = await ethers.provider.getNetwork();
-    const networkName = network.name;
-    const isTestnet =
-        networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-    const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
-
-    console.log(
-        `🌐 Network: ${networkName} (${isTestnet ? "🧪 Testnet" : "🔴 Mainnet"})`,
-    );
-
-    // Load contract addresses from environment
-    const pondCoreAddress = process.env[`${configPrefix}_POND_CORE_ADDRESS`];
+    const client = await PondClient.fromHre(hre);
+    const txs = client.transactions();
+    await client.printSummary();
 
-    if (!pondCoreAddress || !ethers.isAddress(pondCoreAddress)) {
-        throw new Error(`❌ Missing or invalid ${configPrefix}_POND_CORE_ADDRESS`);
-    }
-
-    console.log(`📋 PondCore Address: ${pondCoreAddress}`);
+    const network = client.network;
+    const networkName = network.name;
+    const pondCoreAddress = client.coreAddress;
 
     // Configuration - UPDATE THESE VALUES
     const TOKEN_ADDRESS = "0x47bb061C0204Af921F43DC73C7D7768d2672DdEE"; // Replace with your ERC20 token address
-    const NEW_MIN_TOSS = ethers.parseUnits("100", 6); // Replace with your desired minimum toss amount
-    const NEW_MAX_TOTAL = ethers.parseUnits("10000", 6); // Replace with your desired maximum total amount
+    const token = await client.token(TOKEN_ADDRESS);
+    const NEW_MIN_TOSS = parseAmount("100", token); // Replace with your desired minimum toss amount
+    const NEW_MAX_TOTAL = parseAmount("10000", token); // Replace with your desired maximum total amount
 
     console.log("\n🎯 Update Configuration:");
     console.log(`- Token Address: ${TOKEN_ADDRESS}`);
-    console.log(`- New Min Toss: ${ethers.formatUnits(NEW_MIN_TOSS, 6)} tokens`);
-    console.log(`- New Max Total: ${ethers.formatUnits(NEW_MAX_TOTAL, 6)} tokens`);
-
-    // Get deployer account
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👨‍💻 Using account: ${deployer.address}`);
-
-    // Check deployer balance
-    const deployerBalance = await ethers.provider.getBalance(deployer.address);
-    console.log(`💎 Balance: ${ethers.formatEther(deployerBalance)} ETH`);
+    console.log(`- New Min Toss: ${formatAmount(NEW_MIN_TOSS, token)}`);
+    console.log(`- New Max Total: ${formatAmount(NEW_MAX_TOTAL, token)}`);
 
     try {
-        // Connect to PondCore
-        const pondCore = await ethers.getContractAt("PondCore", pondCoreAddress);
+        const pondCore = client.core;
+        const config = await client.getConfig();
 
         console.log("\n🔍 Getting standard pond types for this token...");
         
         // Use getStandardPondsForUI to get the correct pond types for this token
-        const standardPonds = await pondCore.getStandardPondsForUI(TOKEN_ADDRESS);
+        const standardPonds = await client.getStandardPonds(TOKEN_ADDRESS);
         
         console.log(`📊 Found ${standardPonds.length} standard pond types to check`);
 
@@ -61,82 +46,34 @@ async function main() {
         // Check which standard ponds actually exist
         console.log("\n🔍 Checking which ponds exist...");
         
-        for (let i = 0; i < standardPonds.length; i++) {
-            const pondInfo = standardPonds[i];
-            const pondType = pondInfo.pondType;
-            const pondName = pondInfo.pondName;
-            const exists = pondInfo.exists;
+        for (const standardPond of standardPonds) {
+            const pondType = standardPond.pondType;
+            const pondName = standardPond.name;
 
             console.log(`🔍 Checking ${pondName} with hash: ${pondType}`);
 
-            if (!exists) {
+            if (!standardPond.exists) {
                 console.log(`❌ ${pondName} pond does not exist`);
                 continue;
             }
 
-            // Additional safety check for valid pond type hash
-            if (!pondType || pondType === "0x0000000000000000000000000000000000000000000000000000000000000000") {
-                console.log(`❌ ${pondName} has invalid pond type hash`);
-                continue;
-            }
-
             try {
-                // Get current pond status (contains settings in positions 8 and 9)
-                const pondStatus = await pondCore.getPondStatus(pondType);
-                
-                // Safety check for valid pond address
-                if (!pondStatus[0] || pondStatus[0] === ethers.ZeroAddress) {
-                    console.log(`⚠️ ${pondName} exists but has zero address - might be a configuration issue`);
-                    // Still continue as the pond type might be valid for settings update
-                }
-                
-                // Extract settings from getPondStatus return values
-                // Position 8: minTossPrice, Position 9: maxTotalTossAmount
-                const currentMinToss = pondStatus[8] || 0n;
-                const currentMaxTotal = pondStatus[9] || 0n;
-                
+                const pond = await client.getPondStatus(pondType);
+
                 existingPonds.push({
-                    name: pondName,
-                    period: pondInfo.period || i,
+                    name: pond.name,
+                    period: pond.periodName,
                     hash: pondType,
-                    address: pondStatus[0] || ethers.ZeroAddress,
-                    currentMinToss: currentMinToss,
-                    currentMaxTotal: currentMaxTotal,
-                    // Note: feePercentage and timelock positions would need to be identified in pondStatus array
-                    feePercentage: 0, // Placeholder - would need correct position from contract
-                    timelock: 0 // Placeholder - would need correct position from contract
+                    currentMinToss: pond.minTossPrice,
+                    currentMaxTotal: pond.maxTotalTossAmount,
+                    feePercentage: config.feePercent,
+                    timelock: pond.effectiveTimelock
                 });
 
-                console.log(`✅ ${pondName} exists - Min: ${ethers.formatUnits(currentMinToss, 6)}, Max: ${ethers.formatUnits(currentMaxTotal, 6)}`);
-                console.log(`   📍 Pond Address: ${pondStatus[0]}`);
+                console.log(`✅ ${pond.name} exists - Min: ${pond.formatted.minTossPrice}, Max: ${pond.formatted.maxTotalTossAmount}`);
                 
             } catch (e) {
                 console.log(`❌ Error getting ${pondName} pond details: ${e.message}`);
-                console.log(`   🔍 Trying to use pond type hash anyway: ${pondType}`);
-                
-                // If getPondStatus fails but we have a valid hash, still try to update settings
-                if (pondType && pondType !== "0x0000000000000000000000000000000000000000000000000000000000000000") {
-                    try {
-                        // Try to get pond status which contains settings
-                        const pondStatus = await pondCore.getPondStatus(pondType);
-                        const currentMinToss = pondStatus[8] || 0n;
-                        const currentMaxTotal = pondStatus[9] || 0n;
-                        
-                        existingPonds.push({
-                            name: pondName,
-                            period: pondInfo.period || i,
-                            hash: pondType,
-                            address: ethers.ZeroAddress,
-                            currentMinToss: currentMinToss,
-                            currentMaxTotal: currentMaxTotal,
-                            feePercentage: 0,
-                            timelock: 0
-                        });
-                        console.log(`✅ ${pondName} settings retrieved - Min: ${ethers.formatUnits(currentMinToss, 6)}, Max: ${ethers.formatUnits(currentMaxTotal, 6)}`);
-                    } catch (settingsError) {
-                        console.log(`❌ Could not get settings for ${pondName}: ${settingsError.message}`);
-                    }
-                }
             }
         }
 
@@ -162,10 +99,11 @@ async function main() {
                 let totalGasEstimate = 0n;
                 let minTossGasEstimate = 0n;
                 let maxTotalGasEstimate = 0n;
+                let lastTxHash = null;
                 
                 // Only estimate gas for updates that are actually needed
                 if (pond.currentMinToss !== NEW_MIN_TOSS) {
-                    minTossGasEstimate = await pondCore.updateMinTossPrice.estimateGas(
+                    minTossGasEstimate = await pondCore.updatePondMinTossPrice.estimateGas(
                         pond.hash,
                         NEW_MIN_TOSS,
                     );
@@ -173,7 +111,7 @@ async function main() {
                 }
                 
                 if (pond.currentMaxTotal !== NEW_MAX_TOTAL) {
-                    maxTotalGasEstimate = await pondCore.updateMaxTotalTossAmount.estimateGas(
+                    maxTotalGasEstimate = await pondCore.updatePondMaxTotalTossAmount.estimateGas(
                         pond.hash,
                         NEW_MAX_TOTAL,
                     );
@@ -183,23 +121,26 @@ async function main() {
                 const gasPrice = (await ethers.provider.getFeeData()).gasPrice;
                 const gasCost = totalGasEstimate * gasPrice;
 
-                console.log(`⛽ Gas estimate: ${totalGasEstimate.toLocaleString()} units (${ethers.formatEther(gasCost)} ETH)`);
+                console.log(`⛽ Gas estimate: ${totalGasEstimate.toLocaleString()} units (${client.formatNative(gasCost)})`);
 
                 // Update min toss price if needed
                 if (pond.currentMinToss !== NEW_MIN_TOSS) {
-                    console.log(`🔧 Updating min toss price from ${ethers.formatUnits(pond.currentMinToss, 6)} to ${ethers.formatUnits(NEW_MIN_TOSS, 6)}...`);
-                    const minTossTx = await pondCore.updateMinTossPrice(
-                        pond.hash,
-                        NEW_MIN_TOSS,
-                        {
-                            gasLimit: minTossGasEstimate + minTossGasEstimate / 5n, // Add 20% buffer
-                        },
+                    console.log(`🔧 Updating min toss price from ${formatAmount(pond.currentMinToss, token)} to ${formatAmount(NEW_MIN_TOSS, token)}...`);
+                    const minTossTx = await txs.submit(
+                        await pondCore.updatePondMinTossPrice.populateTransaction(
+                            pond.hash,
+                            NEW_MIN_TOSS,
+                            {
+                                gasLimit: minTossGasEstimate + minTossGasEstimate / 5n, // Add 20% buffer
+                            },
+                        ),
                     );
                     
                     console.log(`📝 Min toss transaction: ${minTossTx.hash}`);
                     console.log("⏳ Waiting for confirmation...");
                     
-                    await minTossTx.wait();
+                    await txs.wait(minTossTx);
+                    lastTxHash = minTossTx.hash;
                     console.log(`✅ Min toss price updated`);
                     
                     // Wait 1 second between transactions
@@ -208,31 +149,41 @@ async function main() {
 
                 // Update max total toss amount if needed
                 if (pond.currentMaxTotal !== NEW_MAX_TOTAL) {
-                    console.log(`🔧 Updating max total from ${ethers.formatUnits(pond.currentMaxTotal, 6)} to ${ethers.formatUnits(NEW_MAX_TOTAL, 6)}...`);
-                    const maxTotalTx = await pondCore.updateMaxTotalTossAmount(
-                        pond.hash,
-                        NEW_MAX_TOTAL,
-                        {
-                            gasLimit: maxTotalGasEstimate + maxTotalGasEstimate / 5n, // Add 20% buffer
-                        },
+                    console.log(`🔧 Updating max total from ${formatAmount(pond.currentMaxTotal, token)} to ${formatAmount(NEW_MAX_TOTAL, token)}...`);
+                    const maxTotalTx = await txs.submit(
+                        await pondCore.updatePondMaxTotalTossAmount.populateTransaction(
+                            pond.hash,
+                            NEW_MAX_TOTAL,
+                            {
+                                gasLimit: maxTotalGasEstimate + maxTotalGasEstimate / 5n, // Add 20% buffer
+                            },
+                        ),
                     );
                     
                     console.log(`📝 Max total transaction: ${maxTotalTx.hash}`);
                     console.log("⏳ Waiting for confirmation...");
                     
-                    const receipt = await maxTotalTx.wait();
+                    const receipt = await txs.wait(maxTotalTx);
+                    lastTxHash = maxTotalTx.hash;
                     console.log(`✅ Max total amount updated in block ${receipt.blockNumber}`);
                 }
 
+                updatedPonds.push({
+                    name: pond.name,
+                    newMinToss: formatAmount(NEW_MIN_TOSS, token),
+                    newMaxTotal: formatAmount(NEW_MAX_TOTAL, token),
+                    txHash: lastTxHash
+                });
+
                 // Wait 2 seconds between updates to avoid overwhelming the network
                 console.log("⏳ Waiting 2 seconds before next update...");
                 await new Promise((resolve) => setTimeout(resolve, 2000));
 
             } catch (error) {
-                console.error(`❌ Failed to update ${pond.name}: ${error.message}`);
+                console.error(`❌ Failed to update ${pond.name}: ${client.describeError(error)}`);
                 failedUpdates.push({
                     name: pond.name,
-                    error: error.message
+                    error: client.describeError(error)
                 });
                 
                 // Continue with other ponds even if one fails
@@ -279,8 +230,8 @@ async function main() {
             pondCore: pondCoreAddress,
             tokenAddress: TOKEN_ADDRESS,
             newSettings: {
-                minToss: ethers.formatUnits(NEW_MIN_TOSS, 6),
-                maxTotal: ethers.formatUnits(NEW_MAX_TOTAL, 6)
+                minToss: formatAmount(NEW_MIN_TOSS, token),
+                maxTotal: formatAmount(NEW_MAX_TOTAL, token)
             },
             summary: {
                 totalPonds: existingPonds.length,
@@ -291,11 +242,11 @@ async function main() {
             failedUpdates: failedUpdates,
             existingPonds: existingPonds.map(pond => ({
                 name: pond.name,
-                address: pond.address,
+                period: pond.period,
                 hash: pond.hash,
                 previousSettings: {
-                    minToss: ethers.formatUnits(pond.currentMinToss, 6),
-                    maxTotal: ethers.formatUnits(pond.currentMaxTotal, 6),
+                    minToss: formatAmount(pond.currentMinToss, token),
+                    maxTotal: formatAmount(pond.currentMaxTotal, token),
                     feePercentage: pond.feePercentage.toString(),
                     timelock: pond.timelock.toString()
                 }
@@ -0,0 +1,72 @@
+// tasks/cancel-tx.js
+const { describeError } = require("../lib/errors");
+const { getHreNetworkInfo } = require("../lib/networks");
+const { TxManager } = require("../lib/tx-manager");
+
+task("cancel-tx", "List the signer's pending nonces and cancel stuck transactions with zero-value self-transfers")
+	.addOptionalParam("nonce", "Cancel the transaction holding this nonce")
+	.addOptionalParam("bump", "Percent above the current network fee for the cancel", "20")
+	.addOptionalParam("timeout", "Seconds to wait for each cancel to be mined", "120")
+	.addFlag("all", "Cancel every pending nonce")
+	.setAction(async (taskArgs, hre) => {
+		// Only the signer is needed: this works on chains without a PondCore too
+		const { ethers } = hre;
+		const network = await getHreNetworkInfo(hre);
+		const [signer] = await ethers.getSigners();
+		if (!signer) {
+			throw new Error(`❌ No account configured for ${network.name}`);
+		}
+		console.log(`🌐 Network: ${network.name} (${network.label})`);
+		console.log(`👨‍💻 Using account: ${signer.address}`);
+
+		const txs = new TxManager(signer, { bumpPercent: Number.parseInt(taskArgs.bump) });
+		const [latest, pending] = await Promise.all([
+			ethers.provider.getTransactionCount(signer.address, "latest"),
+			ethers.provider.getTransactionCount(signer.address, "pending"),
+		]);
+
+		console.log(`\n🔢 Next nonce to be mined: ${latest}`);
+		if (pending > latest) {
+			console.log(`⏳ Pending nonces: ${latest}..${pending - 1} (${pending - latest} transactions)`);
+		} else {
+			console.log("✅ No pending transactions");
+		}
+
+		let nonces = [];
+		if (taskArgs.nonce !== undefined) {
+			const nonce = Number.parseInt(taskArgs.nonce);
+			if (!Number.isInteger(nonce) || nonce < latest) {
+				throw new Error(`❌ Nonce ${taskArgs.nonce} is already mined (next is ${latest})`);
+			}
+			nonces = [nonce];
+		} else if (taskArgs.all) {
+			nonces = Array.from({ length: pending - latest }, (_, i) => latest + i);
+		}
+
+		for (const nonce of nonces) {
+			console.log(`\n🚫 Cancelling nonce ${nonce}...`);
+			try {
+				const record = await txs.cancelNonce(nonce);
+				if (!record.hash) {
+					console.log(`⚠️ Nonce ${nonce}: cancel not accepted (already mined, or its fees are higher)`);
+					continue;
+				}
+				console.log(`📤 Cancel sent: ${record.hash}`);
+				try {
+					await txs.wait(record, { timeout: Number.parseInt(taskArgs.timeout) });
+				} catch (error) {
+					// `wait` reports a mined cancel as a cancelled replacement
+					if (!error.cancelled) throw error;
+					console.log(`✅ Nonce ${nonce} cancelled in block ${error.receipt.blockNumber}`);
+				}
+			} catch (error) {
+				console.error(`❌ Nonce ${nonce}: ${describeError(error, { hre })}`);
+			}
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat cancel-tx --network hyperliquid_testnet
+// npx hardhat cancel-tx --nonce 42 --bump 50 --network hyperliquid_mainnet
+// npx hardhat cancel-tx --all --network hyperliquid_mainnet
@@ -0,0 +1,126 @@
+// tasks/decode-revert.js
+const { Interface } = require("ethers");
+const { getHreNetworkInfo } = require("../lib/networks");
+const { loadAbi } = require("../lib/artifacts");
+const { decodeRevertData, extractRevertData, printDecodedError } = require("../lib/errors");
+
+// Which PondCore / PondFactory function a transaction called, if either
+function describeCall(hre, tx) {
+	for (const name of ["PondCore", "PondFactory"]) {
+		try {
+			const parsed = new Interface(loadAbi(name, { hre })).parseTransaction({
+				data: tx.data,
+				value: tx.value,
+			});
+			if (parsed) return `${name}.${parsed.signature}`;
+		} catch {
+			// Not this contract
+		}
+	}
+	return null;
+}
+
+// Revert output straight from the node, when it supports the callTracer
+async function traceRevertData(provider, hash) {
+	try {
+		const trace = await provider.send("debug_traceTransaction", [hash, { tracer: "callTracer" }]);
+		return trace?.output || null;
+	} catch {
+		return null;
+	}
+}
+
+// Re-run the transaction as a call on the state before its block
+async function replayRevertData(provider, tx, blockNumber) {
+	try {
+		await provider.call({
+			from: tx.from,
+			to: tx.to,
+			data: tx.data,
+			value: tx.value,
+			gasLimit: tx.gasLimit,
+			blockTag: blockNumber - 1,
+		});
+		return null;
+	} catch (error) {
+		return extractRevertData(error);
+	}
+}
+
+task("decode-revert", "Explain why a PondCore/PondFactory transaction reverted")
+	.addOptionalParam("tx", "Hash of the failed transaction")
+	.addOptionalParam("data", "Raw revert data to decode instead of a transaction")
+	.setAction(async (taskArgs, hre) => {
+		if (!taskArgs.tx && !taskArgs.data) {
+			throw new Error("❌ Pass --tx <hash> or --data <revert data>");
+		}
+
+		if (taskArgs.data) {
+			printDecodedError(decodeRevertData(taskArgs.data, { hre }));
+			return;
+		}
+
+		const provider = hre.ethers.provider;
+		const network = await getHreNetworkInfo(hre);
+		console.log(`🌐 Network: ${network.name} (${network.label})`);
+
+		const [tx, receipt] = await Promise.all([
+			provider.getTransaction(taskArgs.tx),
+			provider.getTransactionReceipt(taskArgs.tx),
+		]);
+		if (!tx) {
+			throw new Error(`❌ Transaction ${taskArgs.tx} not found on ${network.name}`);
+		}
+
+		console.log(`📝 Transaction: ${tx.hash}`);
+		console.log(`👤 From: ${tx.from}`);
+		console.log(`🎯 To: ${tx.to}`);
+		const call = describeCall(hre, tx);
+		if (call) {
+			console.log(`📞 Call: ${call}`);
+		}
+
+		if (!receipt) {
+			console.log("⏳ Transaction is still pending");
+			return;
+		}
+		console.log(`📦 Block: ${receipt.blockNumber}`);
+		console.log(`⛽ Gas used: ${receipt.gasUsed} / ${tx.gasLimit}`);
+
+		if (receipt.status === 1) {
+			console.log("✅ Transaction succeeded - nothing to decode");
+			return;
+		}
+
+		let data = await traceRevertData(provider, tx.hash);
+		if (data) {
+			console.log("🔍 Revert data from debug_traceTransaction");
+		} else {
+			data = await replayRevertData(provider, tx, receipt.blockNumber);
+			if (data) {
+				console.log(`🔍 Revert data from replaying the call at block ${receipt.blockNumber - 1}`);
+				console.log("⚠️ Replays run before earlier transactions in the same block, so state may differ");
+			}
+		}
+
+		if (!data) {
+			console.log("❓ Could not recover revert data");
+			if (receipt.gasUsed === tx.gasLimit) {
+				console.log("💡 The transaction used its whole gas limit - it most likely ran out of gas");
+			}
+			return;
+		}
+
+		console.log(`🧾 Data: ${data}`);
+		const decoded = decodeRevertData(data, { hre });
+		if (!decoded) {
+			console.log("❓ Reverted without an error (empty revert data)");
+			return;
+		}
+		printDecodedError(decoded);
+	});
+
+module.exports = {};
+
+// npx hardhat decode-revert --tx 0x... --network hyperliquid_testnet
+// npx hardhat decode-revert --data 0xe2517d3f000000000000000000000000...
@@ -0,0 +1,202 @@
+// tasks/deployments.js
+const { Table } = require("console-table-printer");
+const { getHreNetworkInfo } = require("../lib/networks");
+const {
+	loadRegistry,
+	getDeployment,
+	getCurrentDeployment,
+	registryPath,
+	promoteDeployment,
+	diffDeployments,
+	importLegacyDeployments,
+} = require("../lib/deployments");
+
+const ACTIONS = ["list", "show", "diff", "promote", "import"];
+
+function shortAddress(address) {
+	return address ? `${address.slice(0, 8)}...${address.slice(-6)}` : "-";
+}
+
+function requireDeployment(registry, id, label) {
+	if (!id) {
+		throw new Error(`❌ Missing --${label}`);
+	}
+	const deployment = getDeployment(registry, id);
+	if (!deployment) {
+		throw new Error(`❌ No deployment ${id} for chain ${registry.chainId}`);
+	}
+	return deployment;
+}
+
+function listDeployments(registry) {
+	if (registry.deployments.length === 0) {
+		console.log("📭 No deployments recorded for this chain");
+		return;
+	}
+
+	const table = new Table({
+		columns: [
+			{ name: "current", title: "", alignment: "center" },
+			{ name: "id", title: "ID", alignment: "left" },
+			{ name: "date", title: "Date", alignment: "left" },
+			{ name: "status", title: "Status", alignment: "left" },
+			{ name: "core", title: "PondCore", alignment: "left" },
+			{ name: "factory", title: "PondFactory", alignment: "left" },
+			{ name: "deployer", title: "Deployer", alignment: "left" },
+		],
+	});
+
+	for (const deployment of registry.deployments) {
+		const isCurrent = deployment.id === registry.current;
+		table.addRow(
+			{
+				current: isCurrent ? "⭐" : "",
+				id: deployment.id,
+				date: new Date(deployment.timestamp).toLocaleString(),
+				status: deployment.status,
+				core: shortAddress(deployment.contracts.PondCore),
+				factory: shortAddress(deployment.contracts.PondFactory),
+				deployer: shortAddress(deployment.deployer),
+			},
+			{ color: isCurrent ? "green" : deployment.status === "complete" ? "white" : "yellow" },
+		);
+	}
+
+	table.printTable();
+}
+
+function showDeployment(deployment, isCurrent) {
+	console.log(`\n📦 Deployment ${deployment.id}${isCurrent ? " ⭐ (current)" : ""}`);
+	console.log(`📅 Date: ${new Date(deployment.timestamp).toLocaleString()}`);
+	console.log(`📋 Status: ${deployment.status}`);
+	console.log(`👨‍💻 Deployer: ${deployment.deployer || "-"}`);
+	if (deployment.source) {
+		console.log(`📥 Source: ${deployment.source}`);
+	}
+	if (deployment.error) {
+		console.log(`❌ Error: ${deployment.error.message ?? deployment.error}`);
+	}
+
+	console.log("\n📜 Contracts:");
+	for (const [name, address] of Object.entries(deployment.contracts)) {
+		console.log(`- ${name}: ${address}`);
+	}
+
+	console.log("\n⚙️  Config:");
+	for (const [key, value] of Object.entries(deployment.config)) {
+		console.log(`- ${key}: ${value}`);
+	}
+
+	if (Object.keys(deployment.transactions).length > 0) {
+		console.log("\n🧾 Transactions:");
+		for (const [name, hash] of Object.entries(deployment.transactions)) {
+			console.log(`- ${name}: ${hash}`);
+		}
+	}
+}
+
+task("deployments", "List, inspect, diff and promote recorded deployments")
+	.addOptionalPositionalParam("action", `One of: ${ACTIONS.join(", ")}`, "list")
+	.addOptionalParam("id", "Deployment ID (show, promote); defaults to current for show")
+	.addOptionalParam("from", "Deployment ID to diff from (defaults to the one before --to)")
+	.addOptionalParam("to", "Deployment ID to diff to (defaults to current)")
+	.addOptionalParam("chain", "Chain ID to read (defaults to the connected network)")
+	.setAction(async (taskArgs, hre) => {
+		const { action } = taskArgs;
+		if (!ACTIONS.includes(action)) {
+			throw new Error(`❌ Unknown action "${action}". Use one of: ${ACTIONS.join(", ")}`);
+		}
+
+		if (action === "import") {
+			const imported = importLegacyDeployments();
+			if (imported.length === 0) {
+				console.log("📭 No new legacy deployment files to import");
+				return;
+			}
+			for (const { file, chainId, id } of imported) {
+				console.log(`📥 ${file} → chain ${chainId} as ${id}`);
+			}
+			console.log(`✅ Imported ${imported.length} deployment(s)`);
+			return;
+		}
+
+		const chainId = taskArgs.chain ? Number(taskArgs.chain) : (await getHreNetworkInfo(hre)).chainId;
+		const registry = loadRegistry(chainId);
+
+		console.log(`🗂️  Registry: ${registryPath(chainId)}`);
+		console.log(`⛓️ Chain ID: ${chainId}`);
+		console.log(`⭐ Current: ${registry.current || "none"}`);
+
+		switch (action) {
+			case "list":
+				listDeployments(registry);
+				break;
+
+			case "show": {
+				const deployment = taskArgs.id
+					? requireDeployment(registry, taskArgs.id, "id")
+					: getCurrentDeployment(registry);
+				if (!deployment) {
+					console.log("📭 No current deployment for this chain");
+					return;
+				}
+				showDeployment(deployment, deployment.id === registry.current);
+				break;
+			}
+
+			case "diff": {
+				const to = requireDeployment(registry, taskArgs.to || registry.current, "to");
+				let from;
+				if (taskArgs.from) {
+					from = requireDeployment(registry, taskArgs.from, "from");
+				} else {
+					const index = registry.deployments.indexOf(to);
+					from = index > 0 ? registry.deployments[index - 1] : null;
+					if (!from) {
+						throw new Error(`❌ ${to.id} is the oldest deployment, pass --from`);
+					}
+				}
+
+				console.log(`\n🔍 Diff ${from.id} → ${to.id}`);
+				const changes = diffDeployments(from, to);
+				if (changes.length === 0) {
+					console.log("✅ No differences");
+					return;
+				}
+
+				const table = new Table({
+					columns: [
+						{ name: "field", title: "Field", alignment: "left" },
+						{ name: "from", title: from.id, alignment: "left" },
+						{ name: "to", title: to.id, alignment: "left" },
+					],
+				});
+				for (const change of changes) {
+					table.addRow({
+						field: change.field,
+						from: change.from ?? "-",
+						to: change.to ?? "-",
+					});
+				}
+				table.printTable();
+				break;
+			}
+
+			case "promote": {
+				if (!taskArgs.id) {
+					throw new Error("❌ Missing --id");
+				}
+				const { previous, current } = promoteDeployment(chainId, taskArgs.id);
+				console.log(`✅ Current deployment for chain ${chainId}: ${previous || "none"} → ${current}`);
+				break;
+			}
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat deployments --network hyperliquid_testnet
+// npx hardhat deployments show --id 1718000000 --network hyperliquid_testnet
+// npx hardhat deployments diff --from 1718000000 --to 1719000000 --chain 998
+// npx hardhat deployments promote --id 1718000000 --network hyperliquid_testnet
+// npx hardhat deployments import
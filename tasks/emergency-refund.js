@@ -1,13 +1,11 @@
 // tasks/emergency-refund.js
 const { Table } = require("console-table-printer");
-
-// Helper function to format ETH amounts
-function formatEther(amount) {
-	return `${ethers.formatEther(amount)} ETH`;
-}
+const { PondClient } = require("../lib/client");
+const { formatAmount } = require("../lib/tokens");
+const { parsePondId } = require("../lib/pond-ids");
 
 task("emergency-refund", "Execute emergency refund for a pond in batches")
-	.addParam("pondtype", "Pond type identifier (bytes32 hex string)")
+	.addParam("pondtype", "Pond ID (bytes32) or standard period with optional token, e.g. daily:0x...")
 	.addOptionalParam(
 		"batchsize",
 		"Number of participants to process per batch",
@@ -18,129 +16,47 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
 	.addFlag("dryrun", "Simulate the transaction without executing")
 	.setAction(async (taskArgs, hre) => {
-		const { ethers } = hre;
-
 		console.log("🚨 Emergency Refund Tool");
 
-		// Get network information
-		const network = await ethers.provider.getNetwork();
-		const networkName = network.name;
-		const isTestnet =
-			networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-		const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
-
-		console.log(
-			`🌐 Network: ${networkName} (${isTestnet ? "🧪 Testnet" : "🔴 Mainnet"})`,
-		);
-
-		// Get addresses from environment or deployment files
-		let pondCoreAddress = taskArgs.contract || process.env[`${configPrefix}_POND_CORE_ADDRESS`];
-		
-		// If contract parameter provided, use it
+		if (!process.env.PRIVATE_KEY) {
+			throw new Error("❌ No PRIVATE_KEY found in environment variables");
+		}
+
 		if (taskArgs.contract) {
 			console.log(`🎯 Using custom contract address: ${taskArgs.contract}`);
 		}
-		// If not in environment, try to load from latest deployment
-		else if (!pondCoreAddress) {
-			try {
-				const fs = require('fs');
-				const path = require('path');
-				const deploymentsDir = path.join(__dirname, '..', 'deployments');
-				const files = fs.readdirSync(deploymentsDir);
-				
-				// Find the latest deployment file for this network
-				const networkFiles = files.filter(f => f.includes(networkName) && f.endsWith('.json'));
-				if (networkFiles.length > 0) {
-					// Sort by timestamp (assuming filename format includes timestamp)
-					networkFiles.sort().reverse();
-					const latestDeployment = networkFiles[0];
-					const deploymentPath = path.join(deploymentsDir, latestDeployment);
-					const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-					pondCoreAddress = deployment.PondCore;
-					console.log(`📂 Using PondCore from deployment: ${latestDeployment}`);
-				}
-			} catch (error) {
-				console.warn(`⚠️  Could not load deployment file: ${error.message}`);
-			}
-		}
-		
-		// Fallback to hardcoded address if nothing found
-		if (!pondCoreAddress) {
-			pondCoreAddress = '0x215126f193C19b460e109Dceae149EDfd30B6FDe'; // Updated to correct address
-			console.log(`⚠️  Using fallback PondCore address`);
-		}
-		
-		const privateKey = process.env.PRIVATE_KEY;
 
-		if (!pondCoreAddress || !ethers.isAddress(pondCoreAddress)) {
-			throw new Error(
-				"❌ No valid PondCore address found in environment variables",
-			);
-		}
+		const client = await PondClient.fromHre(hre, {
+			core: taskArgs.contract,
+			privateKey: process.env.PRIVATE_KEY,
+		});
+		await client.printSummary();
 
-		if (!privateKey) {
-			throw new Error("❌ No PRIVATE_KEY found in environment variables");
-		}
+		const pondCore = client.core;
 
-		// Create wallet and connect to provider
-		const wallet = new ethers.Wallet(privateKey, ethers.provider);
-		console.log(`👤 Using wallet: ${wallet.address}`);
-		console.log(`🌟 Using PondCore: ${pondCoreAddress}`);
-
-		// Connect to PondCore
-		const pondCore = await ethers.getContractAt(
-			"PondCore",
-			pondCoreAddress,
-			wallet,
-		);
-
-		// Parse pond type
-		let pondType = taskArgs.pondtype;
-		
-		// Handle different pond type formats
-		if (pondType.startsWith("0x")) {
-			// If it's a hex string, check if it's properly formatted as bytes32
-			if (pondType.length !== 66) { // 0x + 64 hex characters = 66 total
-				// If it's a shorter hex string, try to decode it as a string first
-				try {
-					// Remove 0x prefix and convert hex to string
-					const hexWithoutPrefix = pondType.slice(2);
-					const decodedString = Buffer.from(hexWithoutPrefix, 'hex').toString('utf8');
-					// Re-encode as proper bytes32
-					pondType = ethers.encodeBytes32String(decodedString);
-					console.log(`🔧 Converted hex to string "${decodedString}" and re-encoded as bytes32`);
-				} catch (error) {
-					// If conversion fails, pad the hex string to 32 bytes
-					const hexWithoutPrefix = pondType.slice(2);
-					pondType = "0x" + hexWithoutPrefix.padEnd(64, '0');
-					console.log(`🔧 Padded short hex string to bytes32`);
-				}
-			}
-		} else {
-			// If it's a plain string, encode it as bytes32
-			pondType = ethers.encodeBytes32String(pondType);
-		}
+		// Bytes32 ID, or a standard period with optional token ("daily", "daily:0x...")
+		const pondType = parsePondId(taskArgs.pondtype);
 
 		console.log(`🏊 Processing pond: ${pondType}`);
 
 		try {
 			// Get pond status to verify it exists
-			const pondStatus = await pondCore.getPondStatus(pondType);
+			const pond = await client.getPondStatus(pondType);
 			const participants = await pondCore.getPondParticipants(pondType);
 
-			console.log("\n📊 Pond Information:");
-			console.log(`- Name: ${pondStatus[0]}`);
-			console.log(`- Total Participants: ${pondStatus[5]}`);
-			console.log(`- Total Value: ${formatEther(pondStatus[4])}`);
-			console.log(
-				`- Token Type: ${
-					Number(pondStatus[10]) === 0 ? "NATIVE ETH" : "ERC20"
-				}`,
-			);
-			console.log(`- Prize Distributed: ${pondStatus[6]}`);
+			// Refunds are paid in the pond's own token
+			const formatValue = (amount) => formatAmount(amount, pond.token);
 
-			if (pondStatus[10] === 1) {
-				console.log(`- Token Address: ${pondStatus[11]}`);
+			console.log("\n📊 Pond Information:");
+			console.log(`- Name: ${pond.name}`);
+			console.log(`- Period: ${pond.periodName}`);
+			console.log(`- Total Participants: ${pond.totalParticipants}`);
+			console.log(`- Total Value: ${pond.formatted.totalValue}`);
+			console.log(`- Token Type: ${pond.tokenTypeName} (${pond.token.symbol})`);
+			console.log(`- Prize Distributed: ${pond.prizeDistributed}`);
+
+			if (!pond.isNative) {
+				console.log(`- Token Address: ${pond.tokenAddress}`);
 			}
 
 			const totalParticipants = participants.length;
@@ -196,7 +112,7 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 				table.addRow({
 					index: i,
 					address: participant.participant,
-					amount: formatEther(participant.tossAmount),
+					amount: formatValue(participant.tossAmount),
 				});
 			}
 
@@ -241,9 +157,9 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 						for (let i = currentStart; i < currentEnd; i++) {
 							batchTotal = batchTotal + participants[i].tossAmount;
 						}
-						console.log(`💰 Batch total: ${formatEther(batchTotal)}`);
+						console.log(`💰 Batch total: ${formatValue(batchTotal)}`);
 					} catch (error) {
-						console.error(`❌ Gas estimation failed: ${error.message}`);
+						console.error(`❌ Gas estimation failed: ${client.describeError(error)}`);
 					}
 
 					currentStart = currentEnd;
@@ -261,6 +177,7 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 			// Real execution
 			console.log("\n🚀 EXECUTING EMERGENCY REFUND");
 
+			const txs = client.transactions();
 			let currentStart = startIndex;
 			let batchNumber = 1;
 			let totalRefunded = 0n;
@@ -283,19 +200,21 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 					);
 
 					// Execute the transaction
-					const tx = await pondCore.emergencyRefundBatch(
-						pondType,
-						currentStart,
-						currentEnd,
-						{
-							gasLimit: gasEstimate + (gasEstimate * 20n) / 100n, // Add 20% buffer
-						},
+					const tx = await txs.submit(
+						await pondCore.emergencyRefundBatch.populateTransaction(
+							pondType,
+							currentStart,
+							currentEnd,
+							{
+								gasLimit: gasEstimate + (gasEstimate * 20n) / 100n, // Add 20% buffer
+							},
+						),
 					);
 
 					console.log(`📤 Transaction: ${tx.hash}`);
 					console.log("⏳ Waiting for confirmation...");
 
-					const receipt = await tx.wait();
+					const receipt = await txs.wait(tx);
 					console.log(`✅ Batch ${batchNumber} completed!`);
 					console.log(`⛽ Gas used: ${receipt.gasUsed.toString()}`);
 					console.log(`📦 Block: ${receipt.blockNumber}`);
@@ -323,22 +242,13 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 						const parsed = pondCore.interface.parseLog(log);
 						const amount = parsed.args.amount;
 						batchRefunded = batchRefunded + amount;
-						console.log(`  - ${parsed.args.recipient}: ${formatEther(amount)}`);
+						console.log(`  - ${parsed.args.recipient}: ${formatValue(amount)}`);
 					}
 
 					totalRefunded = totalRefunded + batchRefunded;
-					console.log(`📊 Batch total: ${formatEther(batchRefunded)}`);
+					console.log(`📊 Batch total: ${formatValue(batchRefunded)}`);
 				} catch (error) {
-					console.error(`❌ Batch ${batchNumber} failed: ${error.message}`);
-
-					if (error.message.includes("InvalidParameters")) {
-						console.error("💡 Invalid parameters provided");
-					} else if (error.message.includes("InvalidPondType")) {
-						console.error("💡 Pond type does not exist");
-					} else if (error.message.includes("AccessControl")) {
-						console.error("💡 Insufficient permissions - need ADMIN_ROLE");
-					}
-
+					console.error(`❌ Batch ${batchNumber} failed: ${client.describeError(error)}`);
 					throw error; // Stop execution on error
 				}
 
@@ -357,20 +267,14 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 			console.log("📊 Summary:");
 			console.log(`- Batches processed: ${batchNumber - 1}`);
 			console.log(`- Participants refunded: ${endIndex - startIndex}`);
-			console.log(`- Total refunded: ${formatEther(totalRefunded)}`);
+			console.log(`- Total refunded: ${formatValue(totalRefunded)}`);
 			console.log(`- Total gas used: ${totalGasUsed.toString()}`);
 
 			if (endIndex === totalParticipants) {
 				console.log("🔄 All participants processed - pond should now be reset");
 			}
 		} catch (error) {
-			console.error(`❌ Emergency refund failed: ${error.message}`);
-
-			if (error.code === "CALL_EXCEPTION") {
-				console.error(
-					"💡 This might be due to insufficient permissions or invalid pond state",
-				);
-			}
+			console.error(`❌ Emergency refund failed: ${client.describeError(error)}`);
 
 			throw error;
 		}
@@ -379,4 +283,5 @@ task("emergency-refund", "Execute emergency refund for a pond in batches")
 module.exports = {};
 
 
-// npx hardhat emergency-refund --pondtype 0x706f6e645f74797065 --batchsize 5 --startindex 0
\ No newline at end of file
+// npx hardhat emergency-refund --pondtype 0x7e2e0d62f23e914064ef89ff0bef604eb0ba94f464ed2bcbf9a669dbabb3636e --batchsize 5 --startindex 0
+// npx hardhat emergency-refund --pondtype hourly:0x7DCfFCb06B40344eecED2d1Cbf096B299fE4b405 --dryrun
\ No newline at end of file
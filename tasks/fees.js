@@ -0,0 +1,128 @@
+// tasks/fees.js
+const { Table } = require("console-table-printer");
+const { PondClient } = require("../lib/client");
+const { parsePondId } = require("../lib/pond-ids");
+const { PERIOD_LABELS } = require("../lib/models");
+const { DEFAULT_LOG_CHUNK, readFees, resolveBlockRange, summarizeFees } = require("../lib/history");
+const { formatRecords, resolveFormat, writeOutput } = require("../lib/output");
+
+task("fees", "Protocol fee revenue per month, token and pond period, rebuilt from winner events")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("pond", "Only this pond: ID (bytes32) or standard period with optional token, e.g. daily:0x...")
+	.addOptionalParam("token", "Only ponds in this token: address, symbol or 'native'")
+	.addOptionalParam("since", "Start date (ISO date or unix seconds)")
+	.addOptionalParam("until", "End date (ISO date or unix seconds)")
+	.addOptionalParam("from", "Start block (default: the PondCore deployment block)")
+	.addOptionalParam("to", "End block (default: latest)")
+	.addOptionalParam("chunk", "Blocks per getLogs request", String(DEFAULT_LOG_CHUNK))
+	.addOptionalParam("format", "Output format: table, json, ndjson or csv (default: from --out, else table)")
+	.addOptionalParam("out", "Write the report to this file instead of stdout")
+	.addFlag("rounds", "Output every round instead of the monthly breakdown")
+	.setAction(async (taskArgs, hre) => {
+		const format = resolveFormat(taskArgs.format, taskArgs.out);
+		const quiet = format !== "table" && !taskArgs.out;
+		const log = quiet ? () => {} : console.log;
+
+		const chunk = Number.parseInt(taskArgs.chunk);
+		if (!(chunk > 0)) {
+			throw new Error(`❌ Invalid --chunk: ${taskArgs.chunk}`);
+		}
+
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract, readOnly: true });
+		if (!quiet) {
+			await client.printSummary();
+		}
+
+		const { fromBlock, toBlock } = await resolveBlockRange(client, taskArgs);
+		log(`\n🔍 Scanning blocks ${fromBlock} - ${toBlock} for winners and fee changes...`);
+
+		const rounds = await readFees(client, {
+			pond: taskArgs.pond ? parsePondId(taskArgs.pond) : undefined,
+			token: taskArgs.token,
+			fromBlock,
+			toBlock,
+			chunk,
+			onChunk: ({ toBlock: scanned, found }) => {
+				if (!quiet && toBlock > fromBlock) {
+					const percent = Math.floor(((scanned - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100);
+					process.stdout.write(`\r📦 ${percent}% scanned, ${found} events`);
+				}
+			},
+		});
+		if (!quiet) process.stdout.write("\n");
+		const summary = await summarizeFees(client, rounds);
+
+		if (format !== "table") {
+			const records = taskArgs.rounds ? rounds : summary;
+			writeOutput(formatRecords(records, format), taskArgs.out);
+			log(`\n💾 Wrote ${records.length} ${taskArgs.rounds ? "rounds" : "rows"} as ${format}${taskArgs.out ? ` to ${taskArgs.out}` : ""}`);
+			return;
+		}
+
+		if (rounds.length === 0) {
+			console.log("\n❌ No winner selections found matching criteria");
+			return;
+		}
+
+		if (taskArgs.rounds) {
+			const table = new Table({
+				title: `Fees per Round (${rounds.length})`,
+				columns: [
+					{ name: "time", title: "Selected", alignment: "left" },
+					{ name: "pond", title: "Pond", alignment: "left" },
+					{ name: "rate", title: "Rate", alignment: "right" },
+					{ name: "fee", title: "Fee", alignment: "right" },
+					{ name: "block", title: "Block", alignment: "right" },
+				],
+			});
+			for (const round of rounds) {
+				table.addRow({
+					time: new Date(round.timestamp * 1000).toLocaleString(),
+					pond: round.pondName,
+					rate: `${round.feePercent}%`,
+					fee: round.feeFormatted,
+					block: round.blockNumber,
+				});
+			}
+			table.printTable();
+		}
+
+		const table = new Table({
+			title: "Fee Revenue",
+			columns: [
+				{ name: "month", title: "Month", alignment: "left" },
+				{ name: "token", title: "Token", alignment: "center" },
+				{ name: "period", title: "Period", alignment: "center" },
+				{ name: "rounds", title: "Rounds", alignment: "right" },
+				{ name: "prizes", title: "Prizes Paid", alignment: "right" },
+				{ name: "fees", title: "Fees", alignment: "right" },
+			],
+		});
+		for (const row of summary) {
+			table.addRow({
+				month: row.month,
+				token: row.tokenSymbol,
+				period: PERIOD_LABELS[row.period] || "Removed",
+				rounds: row.rounds,
+				prizes: row.prizesFormatted,
+				fees: row.feesFormatted,
+			});
+		}
+		table.printTable();
+
+		// Totals per token
+		const totals = new Map();
+		for (const row of summary) {
+			totals.set(row.tokenAddress, (totals.get(row.tokenAddress) || 0n) + row.fees);
+		}
+		for (const [tokenAddress, total] of totals) {
+			console.log(`💰 Total: ${await client.formatToken(total, tokenAddress)} in fees`);
+		}
+		console.log(`📈 Current fee: ${(await client.getConfig()).feePercent}%`);
+	});
+
+module.exports = {};
+
+// npx hardhat fees --network hyperliquid_mainnet
+// npx hardhat fees --since 2025-01-01 --token native --network hyperliquid_mainnet
+// npx hardhat fees --rounds --pond daily --out reports/fees.csv --network hyperliquid_mainnet
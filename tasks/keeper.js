@@ -0,0 +1,88 @@
+// tasks/keeper.js
+const { PondClient } = require("../lib/client");
+const { Keeper } = require("../lib/keeper");
+const { loadPolicy } = require("../lib/keeper-policy");
+const { startKeeperServer } = require("../lib/keeper-metrics");
+const { createDispatcher, loadAlertConfig } = require("../lib/alerts");
+const { createKeeperLease } = require("../lib/lease");
+
+task("keeper", "Run winner selection for every pond as soon as it becomes eligible")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("interval", "Longest sleep between cycles; new ponds and config changes are picked up this often", "60")
+	.addOptionalParam("resync", "Seconds between full re-reads of every pond", "3600")
+	.addOptionalParam("maxbackoff", "Longest wait between retries after RPC errors, in seconds", "300")
+	.addOptionalParam("cleargas", "Target gas per batchClearParticipants chunk after large-pond resets", "5000000")
+	.addOptionalParam("stuckafter", "Seconds an upkeep may stay pending before it is rebroadcast with higher fees", "60")
+	.addOptionalParam("maxfeegwei", "Never bump fees of stuck transactions past this many gwei")
+	.addOptionalParam("policy", "JSON file with gas price ceilings, spend budgets and the fee rule")
+	.addOptionalParam("alerts", "JSON file with alert sinks (webhook, Slack, Discord, file), dedupe and rate limits")
+	.addOptionalParam("lowbalance", "Alert when the keeper wallet holds less than this much native token")
+	.addOptionalParam("metricsport", "Serve /healthz and Prometheus /metrics on this port")
+	.addOptionalParam("metricshost", "Address for the metrics server to listen on", "127.0.0.1")
+	.addOptionalParam("healthmaxage", "Seconds without a completed cycle before /healthz reports unhealthy", "600")
+	.addOptionalParam("lease", "Lease server URL shared by keepers on several hosts (see the lease-server task)")
+	.addOptionalParam("leasettl", "Seconds a keeper lease lasts without renewal; keep it above the interval", "300")
+	.addOptionalParam("state", "State file (default: keeper-state/chain-<id>-<pondcore>.json)")
+	.addFlag("once", "Run a single cycle and exit")
+	.setAction(async (taskArgs, hre) => {
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract });
+		await client.printSummary();
+
+		let alerts;
+		let lowBalance = taskArgs.lowbalance;
+		if (taskArgs.alerts) {
+			const { config, baseDir } = loadAlertConfig(taskArgs.alerts);
+			alerts = createDispatcher(config, { baseDir, source: `keeper ${client.network.name}` });
+			lowBalance = lowBalance ?? config.lowBalance;
+			console.log(`📣 Alerts to ${alerts.sinks.map((sink) => sink.name).join(", ") || "nowhere (no sinks)"}`);
+		}
+
+		// Only one keeper acts per PondCore: a file lock on this host, plus the lease server if given
+		const leaseTtl = Number.parseInt(taskArgs.leasettl);
+		if (leaseTtl <= Number.parseInt(taskArgs.interval)) {
+			console.warn(`⚠️ --leasettl ${leaseTtl} is not above --interval ${taskArgs.interval}, the lease may lapse between cycles`);
+		}
+		const lease = createKeeperLease(client, { url: taskArgs.lease, token: process.env.LEASE_TOKEN, ttl: leaseTtl });
+		console.log(`🔒 Keeper lease: ${lease.leases.map((entry) => entry.name).join(" + ")} as ${lease.owner}`);
+
+		const keeper = new Keeper(client, {
+			interval: Number.parseInt(taskArgs.interval),
+			resyncInterval: Number.parseInt(taskArgs.resync),
+			maxBackoff: Number.parseInt(taskArgs.maxbackoff),
+			clearGasTarget: BigInt(taskArgs.cleargas),
+			stuckAfter: Number.parseInt(taskArgs.stuckafter),
+			maxFeePerGas: taskArgs.maxfeegwei ? hre.ethers.parseUnits(taskArgs.maxfeegwei, "gwei") : null,
+			stateFile: taskArgs.state,
+			policy: taskArgs.policy ? loadPolicy(taskArgs.policy) : undefined,
+			alerts,
+			lowBalance: lowBalance ? hre.ethers.parseEther(String(lowBalance)) : null,
+			lease,
+		});
+
+		let server = null;
+		if (taskArgs.metricsport) {
+			server = await startKeeperServer(keeper, {
+				port: Number.parseInt(taskArgs.metricsport),
+				host: taskArgs.metricshost,
+				maxAge: Number.parseInt(taskArgs.healthmaxage),
+			});
+			const { address, port } = server.address();
+			console.log(`📈 Metrics on http://${address}:${port}/metrics, health on /healthz`);
+		}
+
+		try {
+			await keeper.run({ maxCycles: taskArgs.once ? 1 : Infinity });
+		} finally {
+			if (server) server.close();
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat keeper --network hyperliquid_testnet
+// npx hardhat keeper --interval 60 --state ./keeper-state.json --network hyperliquid_mainnet
+// npx hardhat keeper --policy ./keeper-policy.json --network hyperliquid_mainnet
+// npx hardhat keeper --metricsport 9464 --network hyperliquid_mainnet
+// npx hardhat keeper --alerts ./alerts.json --lowbalance 0.5 --network hyperliquid_mainnet
+// LEASE_TOKEN=... npx hardhat keeper --lease http://10.0.0.5:9465 --network hyperliquid_mainnet
+// npx hardhat keeper --once --network localhost
@@ -0,0 +1,116 @@
+// tasks/leaderboard.js
+const { Table } = require("console-table-printer");
+const { PondClient } = require("../lib/client");
+const { parsePondId } = require("../lib/pond-ids");
+const { DEFAULT_LOG_CHUNK, LEADERBOARD_VIEWS, readLeaderboard, resolveBlockRange } = require("../lib/history");
+const { formatRecords, resolveFormat, writeOutput } = require("../lib/output");
+
+task("leaderboard", "Rank participants by tosses from CoinTossed events, with wins from LuckyWinnerSelected")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("view", `Group by ${LEADERBOARD_VIEWS.join(", ")}`, "token")
+	.addOptionalParam("pond", "Only this pond: ID (bytes32) or standard period with optional token, e.g. daily:0x...")
+	.addOptionalParam("token", "Only ponds in this token: address, symbol or 'native'")
+	.addOptionalParam("since", "Start date (ISO date or unix seconds)")
+	.addOptionalParam("until", "End date (ISO date or unix seconds)")
+	.addOptionalParam("from", "Start block (default: the PondCore deployment block)")
+	.addOptionalParam("to", "End block (default: latest)")
+	.addOptionalParam("top", "Participants to keep per group (0 for everyone)", "25")
+	.addOptionalParam("chunk", "Blocks per getLogs request", String(DEFAULT_LOG_CHUNK))
+	.addOptionalParam("format", "Output format: table, json, ndjson or csv (default: from --out, else table)")
+	.addOptionalParam("out", "Write the leaderboard to this file instead of stdout")
+	.setAction(async (taskArgs, hre) => {
+		const format = resolveFormat(taskArgs.format, taskArgs.out);
+		const quiet = format !== "table" && !taskArgs.out;
+		const log = quiet ? () => {} : console.log;
+
+		const top = Number.parseInt(taskArgs.top);
+		const chunk = Number.parseInt(taskArgs.chunk);
+		if (!(top >= 0)) {
+			throw new Error(`❌ Invalid --top: ${taskArgs.top}`);
+		}
+		if (!(chunk > 0)) {
+			throw new Error(`❌ Invalid --chunk: ${taskArgs.chunk}`);
+		}
+
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract, readOnly: true });
+		if (!quiet) {
+			await client.printSummary();
+		}
+
+		const { fromBlock, toBlock } = await resolveBlockRange(client, taskArgs);
+		log(`\n🔍 Scanning blocks ${fromBlock} - ${toBlock} for tosses...`);
+
+		const rows = (
+			await readLeaderboard(client, {
+				view: taskArgs.view,
+				pond: taskArgs.pond ? parsePondId(taskArgs.pond) : undefined,
+				token: taskArgs.token,
+				fromBlock,
+				toBlock,
+				chunk,
+				onChunk: ({ toBlock: scanned, found }) => {
+					if (!quiet && toBlock > fromBlock) {
+						const percent = Math.floor(((scanned - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100);
+						process.stdout.write(`\r📦 ${percent}% scanned, ${found} events`);
+					}
+				},
+			})
+		).filter((row) => top === 0 || row.rank <= top);
+		if (!quiet) process.stdout.write("\n");
+
+		if (format !== "table") {
+			writeOutput(formatRecords(rows, format), taskArgs.out);
+			log(`\n💾 Wrote ${rows.length} leaderboard rows as ${format}${taskArgs.out ? ` to ${taskArgs.out}` : ""}`);
+			return;
+		}
+
+		if (rows.length === 0) {
+			console.log("\n❌ No tosses found matching criteria");
+			return;
+		}
+
+		// One table per pond or token, a single one for the global view
+		const groups = new Map();
+		for (const row of rows) {
+			const key = row.pondType || row.tokenAddress || "all";
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(row);
+		}
+
+		for (const group of groups.values()) {
+			const [first] = group;
+			const table = new Table({
+				title: `${first.pondName || (first.tokenSymbol ? `${first.tokenSymbol} Ponds` : "All Ponds")} Leaderboard`,
+				columns: [
+					{ name: "rank", title: "#", alignment: "right" },
+					{ name: "participant", title: "Participant", alignment: "left" },
+					{ name: "volumeFormatted", title: "Volume", alignment: "right" },
+					{ name: "tosses", title: "Tosses", alignment: "right" },
+					{ name: "rounds", title: "Rounds", alignment: "right" },
+					{ name: "wins", title: "Wins", alignment: "right" },
+					{ name: "wonFormatted", title: "Won", alignment: "right" },
+				],
+			});
+			for (const row of group) {
+				table.addRow(
+					{
+						rank: row.rank,
+						participant: row.participant,
+						volumeFormatted: row.volumeFormatted,
+						tosses: row.tosses,
+						rounds: row.rounds,
+						wins: row.wins,
+						wonFormatted: row.wonFormatted,
+					},
+					{ color: row.wins > 0 ? "green" : "white" },
+				);
+			}
+			table.printTable();
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat leaderboard --since 2025-06-02 --until 2025-06-08 --network hyperliquid_mainnet
+// npx hardhat leaderboard --view pond --pond weekly --network hyperliquid_mainnet
+// npx hardhat leaderboard --view global --top 0 --out reports/leaderboard.csv --network hyperliquid_mainnet
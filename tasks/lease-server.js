@@ -0,0 +1,38 @@
+// tasks/lease-server.js
+const { startLeaseServer } = require("../lib/lease");
+
+task("lease-server", "Run the lease server that keepers on several hosts share, so only one acts at a time")
+	.addOptionalParam("port", "Port to listen on", "9465")
+	.addOptionalParam("host", "Address to listen on; use 0.0.0.0 to accept other hosts", "127.0.0.1")
+	.addOptionalParam("maxttl", "Longest lease a keeper may ask for, in seconds", "3600")
+	.setAction(async (taskArgs) => {
+		const token = process.env.LEASE_TOKEN;
+		if (!token && taskArgs.host !== "127.0.0.1") {
+			console.warn("⚠️ LEASE_TOKEN is not set: anyone who can reach this server can take the keeper lease");
+		}
+
+		const server = await startLeaseServer({
+			port: Number.parseInt(taskArgs.port),
+			host: taskArgs.host,
+			maxTtl: Number.parseInt(taskArgs.maxttl),
+			token,
+		});
+		const { address, port } = server.address();
+		console.log(`🔒 Lease server on http://${address}:${port} (leases are kept in memory)`);
+
+		await new Promise((resolve) => {
+			const onSignal = () => {
+				console.log("\n🛑 Stopping lease server...");
+				process.off("SIGINT", onSignal);
+				process.off("SIGTERM", onSignal);
+				server.close(resolve);
+			};
+			process.on("SIGINT", onSignal);
+			process.on("SIGTERM", onSignal);
+		});
+	});
+
+module.exports = {};
+
+// LEASE_TOKEN=... npx hardhat lease-server --host 0.0.0.0 --port 9465
+// LEASE_TOKEN=... npx hardhat keeper --lease http://<lease-server-host>:9465 --network hyperliquid_mainnet
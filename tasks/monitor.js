@@ -0,0 +1,108 @@
+// tasks/monitor.js
+const { PondClient } = require("../lib/client");
+const { PondMonitor } = require("../lib/monitor");
+const { createDispatcher, loadAlertConfig } = require("../lib/alerts");
+
+task("monitor", "Watch PondCore events, overdue ponds, wallet balances and keeper health, and send alerts")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("alerts", "JSON file with alert sinks (webhook, Slack, Discord, file), dedupe and rate limits")
+	.addOptionalParam("webhook", "Webhook URL to alert, instead of or on top of --alerts")
+	.addOptionalParam("format", "Payload format for --webhook: json, slack or discord", "json")
+	.addOptionalParam("file", "Also append alerts to this JSON-lines file")
+	.addOptionalParam("interval", "Seconds between checks", "60")
+	.addOptionalParam("overdue", "Alert when a pond stays unselected this many seconds past eligibility", "900")
+	.addOptionalParam("wallets", "Comma-separated addresses whose balance to watch (e.g. the keeper)")
+	.addOptionalParam("lowbalance", "Alert when a watched wallet holds less than this much native token")
+	.addOptionalParam("keeperurl", "Keeper /healthz URL to poll, e.g. http://127.0.0.1:9464/healthz")
+	.addOptionalParam("from", "Block to start reading events from (default: latest)")
+	.addFlag("once", "Run a single check and exit")
+	.setAction(async (taskArgs, hre) => {
+		const { ethers } = hre;
+		const interval = Number.parseInt(taskArgs.interval);
+		const overdue = Number.parseInt(taskArgs.overdue);
+		if (!(interval > 0)) {
+			throw new Error(`❌ Invalid --interval: ${taskArgs.interval}`);
+		}
+		if (!(overdue >= 0)) {
+			throw new Error(`❌ Invalid --overdue: ${taskArgs.overdue}`);
+		}
+
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract, readOnly: true });
+		await client.printSummary();
+
+		const { config, baseDir } = taskArgs.alerts ? loadAlertConfig(taskArgs.alerts) : { config: {}, baseDir: undefined };
+		const sinks = [...(config.sinks || [])];
+		if (taskArgs.webhook) sinks.push({ type: "webhook", url: taskArgs.webhook, format: taskArgs.format });
+		if (taskArgs.file) sinks.push({ type: "file", path: taskArgs.file });
+		if (sinks.length === 0) {
+			console.warn("⚠️ No alert sinks configured, alerts are only logged here");
+		}
+
+		const alerts = createDispatcher(
+			{ ...config, sinks },
+			{ baseDir, source: `monitor ${client.network.name}` },
+		);
+		const wallets = (taskArgs.wallets || "")
+			.split(",")
+			.map((address) => address.trim())
+			.filter(Boolean)
+			.map((address) => {
+				if (!ethers.isAddress(address)) throw new Error(`❌ Invalid wallet address: ${address}`);
+				return ethers.getAddress(address);
+			});
+		const lowBalance = taskArgs.lowbalance ?? config.lowBalance;
+
+		const monitor = new PondMonitor(client, alerts, {
+			overdue,
+			wallets,
+			lowBalance: lowBalance ? ethers.parseEther(String(lowBalance)) : null,
+			keeperUrl: taskArgs.keeperurl,
+			fromBlock: taskArgs.from === undefined ? undefined : Number.parseInt(taskArgs.from),
+		});
+
+		console.log(`👀 Monitoring every ${interval}s; alerts to ${alerts.sinks.map((sink) => sink.name).join(", ") || "the log only"}`);
+
+		let stopping = false;
+		let wake = null;
+		const onSignal = () => {
+			console.log("\n🛑 Stopping monitor...");
+			stopping = true;
+			if (wake) wake();
+		};
+		process.on("SIGINT", onSignal);
+		process.on("SIGTERM", onSignal);
+
+		try {
+			while (!stopping) {
+				try {
+					const raised = await monitor.check();
+					if (raised.length === 0) {
+						console.log(`✅ ${new Date().toLocaleTimeString()}: all clear`);
+					}
+				} catch (error) {
+					if (taskArgs.once) {
+						throw new Error(`❌ Check failed: ${client.describeError(error)}`);
+					}
+					console.error(`❌ Check failed: ${client.describeError(error)}`);
+				}
+
+				if (taskArgs.once) break;
+				await new Promise((resolve) => {
+					const timer = setTimeout(resolve, interval * 1000);
+					wake = () => {
+						clearTimeout(timer);
+						resolve();
+					};
+				});
+			}
+		} finally {
+			process.off("SIGINT", onSignal);
+			process.off("SIGTERM", onSignal);
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat monitor --alerts ./alerts.json --network hyperliquid_mainnet
+// npx hardhat monitor --webhook https://hooks.slack.com/services/... --format slack --wallets 0x... --lowbalance 0.5 --network hyperliquid_mainnet
+// npx hardhat monitor --keeperurl http://127.0.0.1:9464/healthz --file logs/alerts.jsonl --network hyperliquid_testnet
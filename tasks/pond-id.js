@@ -0,0 +1,97 @@
+// tasks/pond-id.js
+const { PondClient } = require("../lib/client");
+const {
+	STANDARD_PERIODS,
+	standardPondId,
+	standardPondIds,
+	labelPondId,
+	customPondId,
+	findStandardPond,
+} = require("../lib/pond-ids");
+
+task("pond-id", "Derive pond IDs the way PondFactory does, or look up an unknown ID")
+	.addOptionalParam("token", "Token address (omit or 'native' for native ponds)")
+	.addOptionalParam("period", `Standard period (${STANDARD_PERIODS.join(", ")}); omit to list all five`)
+	.addOptionalParam("name", "Raw seed to hash instead of a period, e.g. POND_DAILY")
+	.addOptionalParam("start", "Custom pond start time (with --end and --created)")
+	.addOptionalParam("end", "Custom pond end time")
+	.addOptionalParam("created", "Timestamp of the block that created the custom pond")
+	.addOptionalParam("id", "Pond ID (bytes32) to reverse-lookup against supported tokens")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.setAction(async (taskArgs, hre) => {
+		const { ethers } = hre;
+
+		const token = !taskArgs.token || taskArgs.token.toLowerCase() === "native"
+			? ethers.ZeroAddress
+			: taskArgs.token;
+		if (!ethers.isAddress(token)) {
+			throw new Error(`❌ Invalid token address: ${taskArgs.token}`);
+		}
+
+		// Reverse lookup needs the chain for the supported token list
+		if (taskArgs.id) {
+			if (!ethers.isHexString(taskArgs.id, 32)) {
+				throw new Error(`❌ Pond ID must be 32 bytes: ${taskArgs.id}`);
+			}
+
+			const client = await PondClient.fromHre(hre, {
+				core: taskArgs.contract,
+				readOnly: true,
+				requireFactory: true,
+			});
+			await client.printSummary();
+
+			// The native token is always tried, so drop it from the factory's list
+			const supportedTokens = (await client.factory.getAllSupportedTokens()).filter(
+				(address) => address !== ethers.ZeroAddress,
+			);
+			console.log(`\n🔍 Checking ${taskArgs.id} against native + ${supportedTokens.length} supported tokens...`);
+
+			const match = findStandardPond(taskArgs.id, supportedTokens);
+			if (match) {
+				const tokenInfo = await client.token(match.tokenAddress);
+				console.log(`✅ Standard ${match.periodLabel} pond for ${tokenInfo.symbol} (${match.tokenAddress})`);
+			} else {
+				console.log("❓ Not a standard pond ID for any supported token (custom pond or unknown)");
+			}
+
+			try {
+				const pond = await client.getPondStatus(taskArgs.id);
+				console.log(`🏊 On chain: "${pond.name}" (${pond.periodName}, ${pond.token.symbol})`);
+			} catch (error) {
+				console.log("❌ No pond with this ID exists on PondCore");
+			}
+			return;
+		}
+
+		// Custom pond: needs the creation block timestamp
+		if (taskArgs.start || taskArgs.end || taskArgs.created) {
+			if (!taskArgs.start || !taskArgs.end || !taskArgs.created) {
+				throw new Error("❌ Custom pond IDs need --start, --end and --created");
+			}
+			console.log(customPondId(token, taskArgs.start, taskArgs.end, taskArgs.created));
+			return;
+		}
+
+		if (taskArgs.name) {
+			console.log(labelPondId(taskArgs.name, token));
+			return;
+		}
+
+		if (taskArgs.period) {
+			console.log(standardPondId(taskArgs.period, token));
+			return;
+		}
+
+		console.log(`🪙 Token: ${token === ethers.ZeroAddress ? "native" : token}`);
+		for (const [period, id] of Object.entries(standardPondIds(token))) {
+			console.log(`- ${period}: ${id}`);
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat pond-id --period daily
+// npx hardhat pond-id --token 0x7DCfFCb06B40344eecED2d1Cbf096B299fE4b405
+// npx hardhat pond-id --token 0x7DCfFCb06B40344eecED2d1Cbf096B299fE4b405 --start 1718000000 --end 1718086399 --created 1717999000
+// npx hardhat pond-id --id 0x... --network hyperliquid_testnet
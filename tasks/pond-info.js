@@ -0,0 +1,128 @@
+// tasks/pond-info.js
+const { Table } = require("console-table-printer");
+const { PondClient } = require("../lib/client");
+const { parsePondId } = require("../lib/pond-ids");
+const { formatAmount } = require("../lib/tokens");
+const { formatRecords, plain, resolveFormat, writeOutput } = require("../lib/output");
+const { DEFAULT_PAGE_SIZE, readParticipants } = require("../lib/participants");
+
+// Helper function to format timestamps
+function formatDate(timestamp) {
+	return new Date(timestamp * 1000).toLocaleString();
+}
+
+function formatPercent(probability) {
+	return `${(probability * 100).toFixed(4)}%`;
+}
+
+task("pond-info", "Show one pond's status, last winner and every participant with their odds")
+	.addParam("pond", "Pond ID (bytes32) or standard period with optional token, e.g. daily:0x...")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("pagesize", "Participants/tosses read per page on large ponds", String(DEFAULT_PAGE_SIZE))
+	.addOptionalParam("format", "Participant output format: table, json, ndjson or csv (default: from --out, else table)")
+	.addOptionalParam("out", "Write the participants to this file instead of stdout")
+	.setAction(async (taskArgs, hre) => {
+		const format = resolveFormat(taskArgs.format, taskArgs.out);
+		const quiet = format !== "table" && !taskArgs.out;
+		const log = quiet ? () => {} : console.log;
+
+		const pageSize = Number.parseInt(taskArgs.pagesize);
+		if (!(pageSize > 0)) {
+			throw new Error(`❌ Invalid --pagesize: ${taskArgs.pagesize}`);
+		}
+
+		const client = await PondClient.fromHre(hre, {
+			core: taskArgs.contract,
+			readOnly: true,
+		});
+		if (!quiet) {
+			await client.printSummary();
+		}
+
+		const pondType = parsePondId(taskArgs.pond);
+		const status = await client.getPondStatus(pondType).catch((error) => {
+			throw new Error(`❌ Pond ${pondType} could not be read: ${client.describeError(error)}`);
+		});
+
+		const { pond, participants, stale } = await readParticipants(client, pondType, {
+			pageSize,
+			onPage: status.totalParticipants > pageSize
+				? (kind, count) => log(`📄 Read ${count} ${kind}...`)
+				: undefined,
+		});
+		const [lastWinner, lastPrize] = await Promise.all([
+			client.core.lastWinner(pondType),
+			client.core.lastPrize(pondType),
+		]);
+		const { token } = status;
+
+		if (format !== "table") {
+			const records = participants.map((participant) => plain({
+				address: participant.address,
+				index: participant.index,
+				amount: participant.amount,
+				amountFormatted: formatAmount(participant.amount, token),
+				tosses: participant.tosses,
+				probability: participant.probability,
+			}));
+			writeOutput(formatRecords(records, format), taskArgs.out);
+			log(`\n💾 Wrote ${records.length} participants as ${format}${taskArgs.out ? ` to ${taskArgs.out}` : ""}`);
+			return;
+		}
+
+		console.log(`\n🏊 ${status.name} (${status.periodLabel}, ${token.symbol})`);
+		console.log(`🆔 ${pondType}`);
+		console.log(`🪙 Token: ${token.symbol} (${status.tokenAddress})`);
+		console.log(`📅 Round: ${formatDate(status.startTime)} - ${formatDate(status.endTime)}`);
+		console.log(`🚦 ${status.isOpen ? `Open, ${status.timeUntilEnd}s left` : status.timeUntilEnd > 0 ? "Not open yet" : "Closed"}`);
+		console.log(`🎲 ${status.totalTosses} tosses by ${status.totalParticipants} participants, 💰 ${status.formatted.totalValue}`);
+		console.log(`💵 Min toss ${status.formatted.minTossPrice}, max ${status.formatted.maxTotalTossAmount} per participant`);
+		console.log(`⏱️  Winner selectable from ${formatDate(status.selectionEligibleAt)} (timelock ${status.effectiveTimelock}s)`);
+		if (status.isSelectionEligible) {
+			console.log("⚡ Waiting for winner selection");
+		}
+		if (status.prizeDistributed) {
+			console.log("🏁 Prize already distributed for this round");
+		}
+		if (lastWinner !== hre.ethers.ZeroAddress) {
+			console.log(`🏆 Last winner: ${lastWinner} (${formatAmount(lastPrize, token)})`);
+		} else {
+			console.log("🏆 No winner yet");
+		}
+		if (stale > 0) {
+			console.log(`🧹 ${stale} participants from the previous round are waiting for batchClearParticipants`);
+		}
+
+		if (participants.length === 0) {
+			console.log("\n🫙 No participants this round");
+			return;
+		}
+
+		const table = new Table({
+			title: `Participants (${participants.length})`,
+			columns: [
+				{ name: "rank", title: "#", alignment: "right" },
+				{ name: "address", title: "Participant", alignment: "left" },
+				{ name: "amount", title: "Tossed", alignment: "right" },
+				{ name: "tosses", title: "Tosses", alignment: "right" },
+				{ name: "odds", title: "Win Chance", alignment: "right" },
+			],
+		});
+		participants.forEach((participant, rank) => {
+			table.addRow({
+				rank: rank + 1,
+				address: participant.address,
+				amount: formatAmount(participant.amount, token),
+				tosses: participant.tosses,
+				odds: formatPercent(participant.probability),
+			});
+		});
+		table.printTable();
+		console.log(`🐸 Total frog value: ${formatAmount(pond.totalFrogValue, token)}`);
+	});
+
+module.exports = {};
+
+// npx hardhat pond-info --pond daily --network hyperliquid_mainnet
+// npx hardhat pond-info --pond hourly:0x... --pagesize 500 --network hyperliquid_mainnet
+// npx hardhat pond-info --pond 0x... --out reports/participants.csv --network hyperliquid_testnet
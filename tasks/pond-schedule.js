@@ -0,0 +1,74 @@
+// tasks/pond-schedule.js
+const { Table } = require("console-table-printer");
+const { PondClient } = require("../lib/client");
+const { parsePondId } = require("../lib/pond-ids");
+const { projectSchedule } = require("../lib/schedule");
+
+// Helper function to format timestamps
+function formatDate(timestamp) {
+	return new Date(timestamp * 1000).toLocaleString();
+}
+
+task("pond-schedule", "Print the upcoming rounds of a pond and when winners can be selected")
+	.addParam("pond", "Pond ID (bytes32) or standard period with optional token, e.g. daily:0x...")
+	.addOptionalParam("count", "Number of rounds to show, including the current one", "5")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.setAction(async (taskArgs, hre) => {
+		const client = await PondClient.fromHre(hre, {
+			core: taskArgs.contract,
+			readOnly: true,
+		});
+		await client.printSummary();
+
+		const pondType = parsePondId(taskArgs.pond);
+		const [pond, config, now] = await Promise.all([
+			client.getPondStatus(pondType),
+			client.getConfig(),
+			client.now(),
+		]);
+
+		console.log(`\n🏊 ${pond.name} (${pond.periodLabel}, ${pond.token.symbol})`);
+		console.log(`🆔 ${pondType}`);
+		console.log(`⏱️  Effective timelock: ${pond.effectiveTimelock}s`);
+		console.log(`🕒 Chain time: ${formatDate(now)}`);
+		if (pond.isSelectionEligible) {
+			console.log("⚡ Current round is waiting for winner selection");
+		}
+
+		const rounds = projectSchedule(pond, config, {
+			count: Number.parseInt(taskArgs.count),
+			now,
+		});
+
+		const table = new Table({
+			columns: [
+				{ name: "round", title: "#", alignment: "right" },
+				{ name: "start", title: "Opens", alignment: "left" },
+				{ name: "end", title: "Closes", alignment: "left" },
+				{ name: "eligible", title: "Winner Selectable From", alignment: "left" },
+			],
+		});
+
+		for (const round of rounds) {
+			table.addRow(
+				{
+					round: round.round === 0 ? "current" : round.round,
+					start: formatDate(round.startTime),
+					end: formatDate(round.endTime),
+					eligible: formatDate(round.selectionEligibleAt),
+				},
+				{ color: round.round === 0 ? "green" : "white" },
+			);
+		}
+
+		table.printTable();
+		console.log("💡 Later rounds assume each winner is selected as soon as the timelock allows");
+		if (pond.periodName === "CUSTOM") {
+			console.log("💡 Custom ponds restart at selection time, so late upkeep shifts every later round");
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat pond-schedule --pond daily --network hyperliquid_testnet
+// npx hardhat pond-schedule --pond hourly:0x7DCfFCb06B40344eecED2d1Cbf096B299fE4b405 --count 10 --network hyperliquid_mainnet
@@ -0,0 +1,83 @@
+// tasks/ponds-watch.js
+const { PondClient } = require("../lib/client");
+const { PondDashboard } = require("../lib/dashboard");
+const { parsePondId } = require("../lib/pond-ids");
+
+// Clear the screen and move the cursor home
+const CLEAR_SCREEN = "\x1b[2J\x1b[H";
+
+task("ponds-watch", "Live terminal dashboard of every pond with a feed of tosses, top-ups and winners")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("interval", "Seconds between refreshes", "5")
+	.addOptionalParam("feed", "Number of recent events to show", "15")
+	.addOptionalParam("ponds", "Comma-separated ponds to show (IDs or standard periods, e.g. hourly,daily:0x...)")
+	.addOptionalParam("from", "Block to start the event feed from (default: latest)")
+	.addFlag("once", "Draw the dashboard once and exit")
+	.setAction(async (taskArgs, hre) => {
+		const interval = Number.parseInt(taskArgs.interval);
+		const feedSize = Number.parseInt(taskArgs.feed);
+		if (!(interval > 0)) {
+			throw new Error(`❌ Invalid --interval: ${taskArgs.interval}`);
+		}
+		if (!(feedSize > 0)) {
+			throw new Error(`❌ Invalid --feed: ${taskArgs.feed}`);
+		}
+
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract, readOnly: true });
+		const pondTypes = taskArgs.ponds
+			? taskArgs.ponds.split(",").map((pond) => pond.trim()).filter(Boolean).map(parsePondId)
+			: null;
+		const dashboard = new PondDashboard(client, {
+			feedSize,
+			pondTypes,
+			fromBlock: taskArgs.from === undefined ? undefined : Number.parseInt(taskArgs.from),
+		});
+
+		let stopping = false;
+		let wake = null;
+		const onSignal = () => {
+			stopping = true;
+			if (wake) wake();
+		};
+		process.on("SIGINT", onSignal);
+		process.on("SIGTERM", onSignal);
+
+		try {
+			while (!stopping) {
+				try {
+					await dashboard.refresh();
+					const screen = dashboard.render();
+					// Redraw in one write to avoid flicker; --once just prints
+					process.stdout.write(taskArgs.once ? screen : `${CLEAR_SCREEN}${screen}\n🔁 Refreshing every ${interval}s, Ctrl+C to stop\n`);
+				} catch (error) {
+					// A one-off draw is scripted, so fail it; a live dashboard retries on the next refresh
+					if (taskArgs.once) {
+						throw new Error(`❌ Refresh failed: ${client.describeError(error)}`);
+					}
+					console.error(`❌ Refresh failed: ${client.describeError(error)}`);
+				}
+
+				if (taskArgs.once && dashboard.error) {
+					throw new Error(`❌ ${dashboard.error}`);
+				}
+
+				if (taskArgs.once) break;
+				await new Promise((resolve) => {
+					const timer = setTimeout(resolve, interval * 1000);
+					wake = () => {
+						clearTimeout(timer);
+						resolve();
+					};
+				});
+			}
+		} finally {
+			process.off("SIGINT", onSignal);
+			process.off("SIGTERM", onSignal);
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat ponds-watch --network hyperliquid_mainnet
+// npx hardhat ponds-watch --ponds hourly,daily --interval 2 --network hyperliquid_mainnet
+// npx hardhat ponds-watch --once --from 1200000 --network hyperliquid_testnet
@@ -1,40 +1,15 @@
 // tasks/query-ponds.js
 const { Table } = require("console-table-printer");
+const { PondClient } = require("../lib/client");
+const { formatRecords, pondRecord, resolveFormat, writeOutput } = require("../lib/output");
+const { POND_PERIODS, periodValue } = require("../lib/models");
+const { matchesToken } = require("../lib/tokens");
 
 // Helper function to format timestamps
 function formatDate(timestamp) {
 	return new Date(timestamp * 1000).toLocaleString();
 }
 
-// Helper function to format token amounts with correct decimals
-async function formatTokenAmount(amount, tokenType, tokenAddress, tokenSymbol = null, decimals = null, ethersInstance = null) {
-	if (tokenType === 0) {
-		// Native ETH
-		return `${ethersInstance ? ethersInstance.formatEther(amount) : ethers.formatEther(amount)} ETH`;
-	} else if (tokenType === 1 && tokenAddress && tokenAddress !== (ethersInstance ? ethersInstance.ZeroAddress : ethers.ZeroAddress)) {
-		// ERC20 token
-		try {
-			if (decimals === null && ethersInstance) {
-				const tokenContract = await ethersInstance.getContractAt("IERC20Metadata", tokenAddress);
-				decimals = await tokenContract.decimals();
-			}
-			const symbol = tokenSymbol || "TOKEN";
-			return `${ethersInstance ? ethersInstance.formatUnits(amount, decimals) : ethers.formatUnits(amount, decimals)} ${symbol}`;
-		} catch (error) {
-			// Fallback to ETH formatting if we can't get decimals
-			return `${ethersInstance ? ethersInstance.formatEther(amount) : ethers.formatEther(amount)} TOKEN`;
-		}
-	} else {
-		// Fallback
-		return `${ethersInstance ? ethersInstance.formatEther(amount) : ethers.formatEther(amount)} TOKEN`;
-	}
-}
-
-// Helper function to format ETH amounts (legacy support)
-function formatEther(amount) {
-	return `${ethers.formatEther(amount)} ETH`;
-}
-
 // Helper function to format time remaining
 function formatTimeRemaining(seconds) {
 	if (seconds <= 0) return "Ended";
@@ -51,371 +26,218 @@ function formatTimeRemaining(seconds) {
 	return result;
 }
 
-// Token type mapping for readability
-const TOKEN_TYPES = {
-	0: "Native ETH",
-	1: "ERC20",
+// Display names for PondCore TokenType values
+const TOKEN_TYPE_LABELS = {
+	NATIVE: "Native",
+	ERC20: "ERC20",
 };
 
-// Period type mapping for readability
-const PERIOD_TYPES = {
-	0: "Five-Min",
-	1: "Hourly",
-	2: "Daily",
-	3: "Weekly",
-	4: "Monthly",
-	5: "Custom",
-};
+// Add the display-only fields the table and extended view use
+function toDisplayRow(pond, type) {
+	return {
+		...pond,
+		type,
+		typeHash: `${pond.pondType.slice(0, 8)}...`, // Truncated hash
+		formattedStartTime: formatDate(pond.startTime),
+		formattedEndTime: formatDate(pond.endTime),
+		formattedValue: pond.formatted.totalValue,
+		formattedMinPrice: pond.formatted.minTossPrice,
+		formattedMaxAmount: pond.formatted.maxTotalTossAmount,
+		formattedTimeLeft: formatTimeRemaining(pond.timeUntilEnd),
+		tokenTypeLabel: TOKEN_TYPE_LABELS[pond.tokenTypeName],
+		tokenSymbol: pond.token.symbol,
+		tokenDecimals: pond.token.decimals,
+		status: pond.timeUntilEnd > 0 ? "Active" : "Ended",
+	};
+}
 
-task("query-ponds", "Query all ponds in the system")
+task("query-ponds", "Query the ponds of every supported token, grouped by token and period")
 	.addOptionalParam("core", "PondCore address (will use env if not provided)")
 	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
-	.addFlag("all", "Show all ponds, not just standard ones")
+	.addOptionalParam("token", "Only ponds in this token: address, symbol or 'native'")
+	.addOptionalParam("period", `Only ponds of this period (${POND_PERIODS.join(", ")})`)
+	.addFlag("all", "Show custom ponds too, not just the standard ones")
 	.addFlag("active", "Show only active ponds")
 	.addFlag("extended", "Show extended details for each pond")
+	.addOptionalParam("format", "Output format: table, json, ndjson or csv (default: from --out, else table)")
+	.addOptionalParam("out", "Write json/ndjson/csv output to this file instead of stdout")
 	.setAction(async (taskArgs, hre) => {
-		const { ethers } = hre;
-
-		console.log("🔍 Querying ponds...");
-
-		// Get network information
-		const network = await ethers.provider.getNetwork();
-		const networkName = network.name;
-		const isTestnet =
-			networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-		const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
-
-		console.log(
-			`🌐 Network: ${networkName} (${isTestnet ? "🧪 Testnet" : "🔴 Mainnet"})`,
-		);
-
-		// Get PondCore address - from task args or environment
-		const pondCoreAddress =
-			taskArgs.contract || taskArgs.core || process.env[`${configPrefix}_POND_CORE_ADDRESS`];
-
-		if (!pondCoreAddress || !ethers.isAddress(pondCoreAddress)) {
-			throw new Error(
-				"❌ No valid PondCore address provided or found in environment variables",
-			);
+		const format = resolveFormat(taskArgs.format, taskArgs.out);
+		// Progress logs would corrupt machine-readable output on stdout; errors still go to stderr
+		const quiet = format !== "table" && !taskArgs.out;
+		const log = quiet ? () => {} : console.log;
+
+		const period = taskArgs.period ? POND_PERIODS[periodValue(taskArgs.period)] : null;
+		const withCustom = taskArgs.all || period === "CUSTOM";
+		if (taskArgs.token?.startsWith("0x") && !hre.ethers.isAddress(taskArgs.token)) {
+			throw new Error(`❌ Invalid token address: ${taskArgs.token}`);
 		}
 
-		console.log(`🌟 Using PondCore: ${pondCoreAddress}`);
+		log("🔍 Querying ponds...");
 
-		// Connect to PondCore
-		const pondCore = await ethers.getContractAt("PondCore", pondCoreAddress);
-
-		// Get standard pond types
-		const standardTypes = await pondCore.getStandardPondTypes();
-
-		// Create an object with all standard pond identifiers
-		const standardPonds = {
-			"Five-Min": standardTypes[0],
-			Hourly: standardTypes[1],
-			Daily: standardTypes[2],
-			Weekly: standardTypes[3],
-			Monthly: standardTypes[4],
-		};
-
-		console.log("📊 Standard pond identifiers:");
-		for (const [name, hash] of Object.entries(standardPonds)) {
-			console.log(`- ${name}: ${hash}`);
+		const client = await PondClient.fromHre(hre, {
+			core: taskArgs.contract || taskArgs.core,
+			readOnly: true,
+		});
+		if (!quiet) {
+			await client.printSummary();
+		}
+		if (!client.factory) {
+			console.warn("⚠️ No PondFactory address: only native standard ponds can be told apart from custom ones");
 		}
 
-		// Check for ERC20 token ponds if displaying all ponds
-		let tokenPonds = [];
-		if (taskArgs.all) {
-			try {
-				console.log("\n🔍 Searching for custom or ERC20 token ponds...");
-
-				// Get all pond types
-				const allPondTypes = await pondCore.getAllPondTypes();
-				console.log(`📊 Found ${allPondTypes.length} total ponds`);
-
-				// Filter out standard ponds
-				const standardPondValues = Object.values(standardPonds);
-				tokenPonds = allPondTypes.filter(
-					(pondType) => !standardPondValues.some((std) => std === pondType),
-				);
+		// Supported tokens' standard ponds in period order, then custom ponds
+		const catalog = await client.listPonds();
+		const tokenCount = new Set(catalog.filter((entry) => entry.standard).map((entry) => entry.tokenAddress)).size;
+		const customCount = catalog.filter((entry) => !entry.standard).length;
+		log(
+			`📊 Found ${catalog.length - customCount} standard ponds across ${tokenCount} tokens and ${customCount} custom ponds`,
+		);
 
-				console.log(`📊 Found ${tokenPonds.length} custom/token ponds`);
-			} catch (error) {
-				console.error(`❌ Error getting all pond types: ${error.message}`);
+		const allPondData = [];
+		log("\n🔍 Checking pond status...");
+		for (const entry of catalog) {
+			if (!entry.standard && !withCustom) continue;
+			// Skip what the filters rule out before reading the pond
+			if (entry.standard && period && entry.period !== period) continue;
+			if (entry.standard && taskArgs.token && !matchesToken(taskArgs.token, entry.tokenAddress, await client.token(entry.tokenAddress))) {
+				continue;
 			}
-		}
-
-		// Check each pond and collect data
-		const standardPondData = [];
-		const tokenCache = {}; // Cache token info to avoid redundant calls
 
-		console.log("\n🔍 Checking standard pond status...");
-		for (const [name, pondType] of Object.entries(standardPonds)) {
+			let pond;
 			try {
-				const status = await pondCore.getPondStatus(pondType);
-
-				// Parse the pond data
-				const pondData = {
-					name: status[0] || name,
-					type: name,
-					typeHash: `${pondType.slice(0, 8)}...`, // Truncated hash
-					startTime: Number(status[1]),
-					endTime: Number(status[2]),
-					totalTosses: Number(status[3]),
-					totalValue: status[4],
-					totalParticipants: Number(status[5]),
-					prizeDistributed: status[6],
-					timeUntilEnd: Number(status[7]),
-					minTossPrice: status[8],
-					maxTotalTossAmount: status[9],
-					tokenType: Number(status[10]),
-					tokenAddress: status[11],
-					period: Number(status[12]),
-				};
-
-				// Get token info if it's an ERC20 token
-				let tokenSymbol = "ETH";
-				let tokenDecimals = 18;
-				
-				if (pondData.tokenType === 1 && pondData.tokenAddress !== ethers.ZeroAddress) {
-					if (!tokenCache[pondData.tokenAddress]) {
-						try {
-							const tokenContract = await ethers.getContractAt("IERC20Metadata", pondData.tokenAddress);
-							tokenSymbol = await tokenContract.symbol();
-							tokenDecimals = await tokenContract.decimals();
-							tokenCache[pondData.tokenAddress] = { symbol: tokenSymbol, decimals: tokenDecimals };
-						} catch (error) {
-							console.warn(`⚠️ Could not fetch token info for ${pondData.tokenAddress}: ${error.message}`);
-							tokenSymbol = "TOKEN";
-							tokenDecimals = 18;
-							tokenCache[pondData.tokenAddress] = { symbol: tokenSymbol, decimals: tokenDecimals };
-						}
-					} else {
-						tokenSymbol = tokenCache[pondData.tokenAddress].symbol;
-						tokenDecimals = tokenCache[pondData.tokenAddress].decimals;
-					}
-				}
-
-				// Format for display with correct decimals
-				pondData.formattedStartTime = formatDate(pondData.startTime);
-				pondData.formattedEndTime = formatDate(pondData.endTime);
-				pondData.formattedValue = await formatTokenAmount(pondData.totalValue, pondData.tokenType, pondData.tokenAddress, tokenSymbol, tokenDecimals, ethers);
-				pondData.formattedMinPrice = await formatTokenAmount(pondData.minTossPrice, pondData.tokenType, pondData.tokenAddress, tokenSymbol, tokenDecimals, ethers);
-				pondData.formattedMaxAmount = await formatTokenAmount(pondData.maxTotalTossAmount, pondData.tokenType, pondData.tokenAddress, tokenSymbol, tokenDecimals, ethers);
-				pondData.formattedTimeLeft = formatTimeRemaining(pondData.timeUntilEnd);
-				pondData.tokenTypeName = TOKEN_TYPES[pondData.tokenType];
-				pondData.periodName = PERIOD_TYPES[pondData.period];
-				pondData.tokenSymbol = tokenSymbol;
-				pondData.tokenDecimals = tokenDecimals;
-				pondData.status = pondData.timeUntilEnd > 0 ? "Active" : "Ended";
-
-				// Only add if all ponds requested, or it's active and only active requested
-				if (!taskArgs.active || pondData.timeUntilEnd > 0) {
-					standardPondData.push(pondData);
-				}
+				pond = await client.getPondStatus(entry.pondType);
 			} catch (error) {
-				console.log(
-					`❌ ${name} pond does not exist or error: ${error.message}`,
-				);
+				console.error(`❌ Pond ${entry.pondType.slice(0, 8)}... could not be read: ${client.describeError(error)}`);
+				continue;
 			}
-		}
 
-		// Get custom/token pond data if requested
-		const customPondData = [];
-		if (taskArgs.all && tokenPonds.length > 0) {
-			console.log("\n🔍 Checking custom/token pond status...");
-
-			for (const pondType of tokenPonds) {
-				try {
-					const status = await pondCore.getPondStatus(pondType);
-
-					// Parse the pond data
-					const pondData = {
-						name: status[0],
-						type: "Custom",
-						typeHash: `${pondType.slice(0, 8)}...`, // Truncated hash
-						startTime: Number(status[1]),
-						endTime: Number(status[2]),
-						totalTosses: Number(status[3]),
-						totalValue: status[4],
-						totalParticipants: Number(status[5]),
-						prizeDistributed: status[6],
-						timeUntilEnd: Number(status[7]),
-						minTossPrice: status[8],
-						maxTotalTossAmount: status[9],
-						tokenType: Number(status[10]),
-						tokenAddress: status[11],
-						period: Number(status[12]),
-					};
-
-					// Get token info if it's an ERC20 token
-					let tokenSymbol = "ETH";
-					let tokenDecimals = 18;
-					
-					if (pondData.tokenType === 1 && pondData.tokenAddress !== ethers.ZeroAddress) {
-						if (!tokenCache[pondData.tokenAddress]) {
-							try {
-								const tokenContract = await ethers.getContractAt("IERC20Metadata", pondData.tokenAddress);
-								tokenSymbol = await tokenContract.symbol();
-								tokenDecimals = await tokenContract.decimals();
-								tokenCache[pondData.tokenAddress] = { symbol: tokenSymbol, decimals: tokenDecimals };
-								pondData.name = `${tokenSymbol} ${pondData.periodName} Pond`;
-							} catch (error) {
-								console.warn(`⚠️ Could not fetch token info for ${pondData.tokenAddress}: ${error.message}`);
-								tokenSymbol = "TOKEN";
-								tokenDecimals = 18;
-								tokenCache[pondData.tokenAddress] = { symbol: tokenSymbol, decimals: tokenDecimals };
-							}
-						} else {
-							tokenSymbol = tokenCache[pondData.tokenAddress].symbol;
-							tokenDecimals = tokenCache[pondData.tokenAddress].decimals;
-							pondData.name = `${tokenSymbol} ${pondData.periodName} Pond`;
-						}
-					}
-
-					// Format for display with correct decimals
-					pondData.formattedStartTime = formatDate(pondData.startTime);
-					pondData.formattedEndTime = formatDate(pondData.endTime);
-					pondData.formattedValue = await formatTokenAmount(pondData.totalValue, pondData.tokenType, pondData.tokenAddress, tokenSymbol, tokenDecimals, ethers);
-					pondData.formattedMinPrice = await formatTokenAmount(pondData.minTossPrice, pondData.tokenType, pondData.tokenAddress, tokenSymbol, tokenDecimals, ethers);
-					pondData.formattedMaxAmount = await formatTokenAmount(pondData.maxTotalTossAmount, pondData.tokenType, pondData.tokenAddress, tokenSymbol, tokenDecimals, ethers);
-					pondData.formattedTimeLeft = formatTimeRemaining(pondData.timeUntilEnd);
-					pondData.tokenTypeName = TOKEN_TYPES[pondData.tokenType];
-					pondData.periodName = PERIOD_TYPES[pondData.period];
-					pondData.tokenSymbol = tokenSymbol;
-					pondData.tokenDecimals = tokenDecimals;
-					pondData.status = pondData.timeUntilEnd > 0 ? "Active" : "Ended";
-
-					// Only add if all ponds requested, or it's active and only active requested
-					if (!taskArgs.active || pondData.timeUntilEnd > 0) {
-						customPondData.push(pondData);
-					}
-				} catch (error) {
-					console.log(
-						`❌ Pond ${pondType.slice(0, 8)}... does not exist or error: ${
-							error.message
-						}`,
-					);
-				}
-			}
+			if (period && pond.periodName !== period) continue;
+			if (taskArgs.token && !matchesToken(taskArgs.token, pond.tokenAddress, pond.token)) continue;
+			if (taskArgs.active && pond.timeUntilEnd <= 0) continue;
+
+			allPondData.push({ ...toDisplayRow(pond, entry.standard ? pond.token.symbol : "Custom"), standard: entry.standard });
 		}
 
-		// Combine all pond data
-		const allPondData = [...standardPondData, ...customPondData];
+		if (format !== "table") {
+			const records = allPondData.map((pond) => ({ ...pondRecord(pond), standard: pond.standard, status: pond.status }));
+			writeOutput(formatRecords(records, format), taskArgs.out);
+			log(`\n💾 Wrote ${records.length} ponds as ${format}${taskArgs.out ? ` to ${taskArgs.out}` : ""}`);
+			return;
+		}
 
 		if (allPondData.length === 0) {
-			console.log("\n❌ No ponds found matching criteria");
+			log("\n❌ No ponds found matching criteria");
 			return;
 		}
 
-		// Sort ponds by status (active first) then by name
-		allPondData.sort((a, b) => {
-			// First by status (active first)
-			const statusCompare =
-				a.status === "Active" ? -1 : b.status === "Active" ? 1 : 0;
-			if (statusCompare !== 0) return statusCompare;
-
-			// Then by name
-			return a.name.localeCompare(b.name);
-		});
-
-		// Display results in a table
-		console.log(
-			`\n📊 Found ${allPondData.length} ponds (${
-				taskArgs.active ? "active only" : "all"
-			}):`,
-		);
-
-		// Create the table
-		const table = new Table({
-			title: taskArgs.active ? "Active Ponds" : "All Ponds",
-			columns: [
-				{ name: "name", title: "Pond Name", alignment: "left" },
-				{ name: "status", title: "Status", alignment: "center" },
-				{ name: "type", title: "Type", alignment: "center" },
-				{ name: "totalTosses", title: "Tosses", alignment: "right" },
-				{ name: "totalParticipants", title: "Users", alignment: "right" },
-				{ name: "formattedValue", title: "Total Value", alignment: "right" },
-				{ name: "formattedMinPrice", title: "Min Toss", alignment: "right" },
-				{ name: "formattedMaxAmount", title: "Max Total", alignment: "right" },
-				{ name: "formattedTimeLeft", title: "Time Left", alignment: "center" },
-			],
-		});
+		log(`\n📊 Showing ${allPondData.length} ponds (${taskArgs.active ? "active only" : "all"}):`);
+
+		// Table columns, plus extended columns if requested
+		const columns = [
+			{ name: "name", title: "Pond Name", alignment: "left" },
+			{ name: "status", title: "Status", alignment: "center" },
+			{ name: "type", title: "Period", alignment: "center" },
+			{ name: "totalTosses", title: "Tosses", alignment: "right" },
+			{ name: "totalParticipants", title: "Users", alignment: "right" },
+			{ name: "formattedValue", title: "Total Value", alignment: "right" },
+			{ name: "formattedMinPrice", title: "Min Toss", alignment: "right" },
+			{ name: "formattedMaxAmount", title: "Max Total", alignment: "right" },
+			{ name: "formattedTimeLeft", title: "Time Left", alignment: "center" },
+		];
 
-		// Add extended columns if requested
 		if (taskArgs.extended) {
-			table.columns.push(
+			columns.push(
 				{
 					name: "formattedStartTime",
 					title: "Start Time",
 					alignment: "center",
 				},
 				{ name: "formattedEndTime", title: "End Time", alignment: "center" },
-				{ name: "tokenTypeName", title: "Token Type", alignment: "center" },
-				{ name: "formattedMinPrice", title: "Min Price", alignment: "right" },
+				{ name: "tokenTypeLabel", title: "Token Type", alignment: "center" },
 				{ name: "typeHash", title: "ID", alignment: "center" },
 			);
 		}
 
-		// Add rows to the table
+		// One table per token's standard ponds, then one for custom ponds
+		const groups = new Map();
 		for (const pond of allPondData) {
-			const row = {
-				name: pond.name,
-				status: pond.status,
-				type: pond.periodName,
-				totalTosses: pond.totalTosses,
-				totalParticipants: pond.totalParticipants,
-				formattedValue: pond.formattedValue,
-				formattedMinPrice: pond.formattedMinPrice,
-				formattedMaxAmount: pond.formattedMaxAmount,
-				formattedTimeLeft: pond.formattedTimeLeft,
-			};
-
-			// Add extended info if requested
-			if (taskArgs.extended) {
-				row.formattedStartTime = pond.formattedStartTime;
-				row.formattedEndTime = pond.formattedEndTime;
-				row.tokenTypeName = pond.tokenTypeName;
-				row.formattedMinPrice = pond.formattedMinPrice;
-				row.typeHash = pond.typeHash;
-			}
+			const key = pond.standard ? pond.tokenAddress : "custom";
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(pond);
+		}
+
+		for (const [key, ponds] of groups) {
+			const custom = key === "custom";
+			const table = new Table({
+				title: custom ? "Custom Ponds" : `${ponds[0].tokenSymbol} Standard Ponds`,
+				columns: custom
+					? [...columns.slice(0, 2), { name: "tokenSymbol", title: "Token", alignment: "center" }, ...columns.slice(2)]
+					: columns,
+			});
+
+			for (const pond of ponds) {
+				const row = {
+					name: pond.name,
+					status: pond.status,
+					type: pond.periodLabel,
+					totalTosses: pond.totalTosses,
+					totalParticipants: pond.totalParticipants,
+					formattedValue: pond.formattedValue,
+					formattedMinPrice: pond.formattedMinPrice,
+					formattedMaxAmount: pond.formattedMaxAmount,
+					formattedTimeLeft: pond.formattedTimeLeft,
+				};
 
-			// Color coding based on status
-			if (pond.status === "Active") {
-				table.addRow(row, { color: "green" });
-			} else {
-				table.addRow(row, { color: "gray" });
+				if (custom) {
+					row.tokenSymbol = pond.tokenSymbol;
+				}
+
+				// Add extended info if requested
+				if (taskArgs.extended) {
+					row.formattedStartTime = pond.formattedStartTime;
+					row.formattedEndTime = pond.formattedEndTime;
+					row.tokenTypeLabel = pond.tokenTypeLabel;
+					row.typeHash = pond.typeHash;
+				}
+
+				// Color coding based on status
+				table.addRow(row, { color: pond.status === "Active" ? "green" : "gray" });
 			}
-		}
 
-		// Print the table
-		table.printTable();
+			table.printTable();
+		}
 
 		// Additional details for specific ponds if extended info requested
 		if (taskArgs.extended) {
-			console.log("\n📝 Additional Details for Active Ponds:");
+			log("\n📝 Additional Details for Active Ponds:");
 
 			for (const pond of allPondData.filter((p) => p.status === "Active")) {
-				console.log(`\n🏊 ${pond.name} (${pond.typeHash}):`);
-				console.log(`- Period: ${pond.periodName}`);
-				console.log(
-					`- Token: ${pond.tokenTypeName}${
+				log(`\n🏊 ${pond.name} (${pond.typeHash}):`);
+				log(`- Period: ${pond.periodLabel}`);
+				log(
+					`- Token: ${pond.tokenTypeLabel}${
 						pond.tokenSymbol ? ` (${pond.tokenSymbol})` : ""
 					}`,
 				);
 
-				if (pond.tokenType === 1) {
-					console.log(`- Token Address: ${pond.tokenAddress}`);
+				if (!pond.isNative) {
+					log(`- Token Address: ${pond.tokenAddress}`);
 				}
 
-				console.log(
+				log(
 					`- Time Window: ${pond.formattedStartTime} to ${pond.formattedEndTime}`,
 				);
-				console.log(`- Time Remaining: ${pond.formattedTimeLeft}`);
-				console.log(`- Min Toss Price: ${pond.formattedMinPrice}`);
-				console.log(`- Max Total Amount: ${pond.formattedMaxAmount}`);
-				console.log(
+				log(`- Time Remaining: ${pond.formattedTimeLeft}`);
+				log(
+					`- Winner Selection: from ${formatDate(pond.selectionEligibleAt)} (timelock ${pond.effectiveTimelock}s)`,
+				);
+				log(`- Min Toss Price: ${pond.formattedMinPrice}`);
+				log(`- Max Total Amount: ${pond.formattedMaxAmount}`);
+				log(
 					`- Activity: ${pond.totalTosses} tosses from ${pond.totalParticipants} participants`,
 				);
-				console.log(`- Total Value: ${pond.formattedValue}`);
+				log(`- Total Value: ${pond.formattedValue}`);
 			}
 		}
 	});
@@ -424,4 +246,8 @@ module.exports = {};
 
 
 // TESTNET npx hardhat query-ponds --network hyperliquid_testnet --all
-// MAINNET npx hardhat query-ponds --network hyperliquid_mainnet --all
\ No newline at end of file
+// MAINNET npx hardhat query-ponds --network hyperliquid_mainnet --all
+// npx hardhat query-ponds --all --format json --network hyperliquid_mainnet > ponds.json
+// npx hardhat query-ponds --all --out reports/ponds.csv --network hyperliquid_mainnet
+// npx hardhat query-ponds --token USDC --period daily --network hyperliquid_mainnet
+// npx hardhat query-ponds --period custom --network hyperliquid_mainnet
\ No newline at end of file
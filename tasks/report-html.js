@@ -0,0 +1,63 @@
+// tasks/report-html.js
+const path = require("node:path");
+const { PondClient } = require("../lib/client");
+const { DEFAULT_LOG_CHUNK, deploymentBlock, resolveBlockRange } = require("../lib/history");
+const { collectReport, renderReportHtml } = require("../lib/report");
+const { writeOutput } = require("../lib/output");
+
+task("report-html", "Write a self-contained HTML status report: ponds, winners, fees, participants, config and roles")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("out", "HTML file to write (default: reports/status_<network>_<date>.html)")
+	.addOptionalParam("since", "Start of the winners/fees window (ISO date or unix seconds; default: 7 days ago)")
+	.addOptionalParam("until", "End of the winners/fees window (ISO date or unix seconds)")
+	.addOptionalParam("from", "Start block of the winners/fees window, instead of --since")
+	.addOptionalParam("to", "End block (default: latest)")
+	.addOptionalParam("winners", "Most recent winners to list", "20")
+	.addOptionalParam("top", "Participants per distribution chart before the rest are grouped", "10")
+	.addOptionalParam("chunk", "Blocks per getLogs request", String(DEFAULT_LOG_CHUNK))
+	.setAction(async (taskArgs, hre) => {
+		const winners = Number.parseInt(taskArgs.winners);
+		const top = Number.parseInt(taskArgs.top);
+		const chunk = Number.parseInt(taskArgs.chunk);
+		for (const [name, value] of [["winners", winners], ["top", top], ["chunk", chunk]]) {
+			if (!(value > 0)) throw new Error(`❌ Invalid --${name}: ${taskArgs[name]}`);
+		}
+
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract, readOnly: true });
+		await client.printSummary();
+
+		// A weekly window unless told otherwise
+		const since = taskArgs.from === undefined && taskArgs.since === undefined
+			? (await client.now()) - 7 * 86400
+			: taskArgs.since;
+		const { fromBlock, toBlock } = await resolveBlockRange(client, { ...taskArgs, since });
+
+		// Roles need every grant since deployment
+		let rolesFromBlock = await deploymentBlock(client);
+		if (rolesFromBlock === null) {
+			rolesFromBlock = fromBlock;
+			console.warn(`⚠️ PondCore deployment block unknown, roles are only rebuilt from block ${fromBlock}`);
+		}
+
+		console.log(`\n🔍 Collecting report data (winners and fees from blocks ${fromBlock} - ${toBlock})...`);
+		const report = await collectReport(client, {
+			fromBlock,
+			toBlock,
+			rolesFromBlock,
+			chunk,
+			winners,
+			top,
+			onProgress: (step) => console.log(`📊 Reading ${step}...`),
+		});
+
+		const out = taskArgs.out
+			|| path.join("reports", `status_${client.network.name}_${new Date().toISOString().slice(0, 10)}.html`);
+		writeOutput(renderReportHtml(report), out);
+		console.log(`\n💾 Report saved to: ${out}`);
+		console.log(`🏊 ${report.ponds.length} ponds, 🏆 ${report.winners.length} winners, 💰 ${report.fees.rounds} fee rounds`);
+	});
+
+module.exports = {};
+
+// npx hardhat report-html --network hyperliquid_mainnet
+// npx hardhat report-html --since 2025-06-01 --until 2025-06-30 --out reports/june.html --network hyperliquid_mainnet
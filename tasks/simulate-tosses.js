@@ -2,6 +2,7 @@
 const { task } = require("hardhat/config");
 const fs = require("node:fs");
 const path = require("node:path");
+const { PondClient } = require("../lib/client");
 
 task(
 	"simulate-tosses",
@@ -53,9 +54,12 @@ task(
 		const minTosses = Math.max(1, Math.min(20, taskArgs.mintoss));
 		const maxTosses = Math.max(minTosses, Math.min(20, taskArgs.maxtoss));
 
-		// Parse ETH amounts
-		const minTossAmount = ethers.parseEther(taskArgs.mintossamount);
-		const maxTossAmount = ethers.parseEther(taskArgs.maxtossamount);
+		const client = await PondClient.fromHre(hre, { readOnly: true });
+		await client.printSummary();
+
+		// Parse native token amounts
+		const minTossAmount = await client.parseToken(taskArgs.mintossamount, ethers.ZeroAddress);
+		const maxTossAmount = await client.parseToken(taskArgs.maxtossamount, ethers.ZeroAddress);
 
 		if (minTossAmount > maxTossAmount) {
 			throw new Error(
@@ -67,32 +71,11 @@ task(
 		console.log(`- Ponds per account: ${minPonds} to ${maxPonds}`);
 		console.log(`- Tosses per pond: ${minTosses} to ${maxTosses}`);
 		console.log(
-			`- Toss amount range: ${ethers.formatEther(
+			`- Toss amount range: ${client.formatNative(
 				minTossAmount,
-			)} ETH to ${ethers.formatEther(maxTossAmount)} ETH`,
-		);
-
-		// Get network information
-		const network = await ethers.provider.getNetwork();
-		const networkName = network.name;
-		const isTestnet =
-			networkName.includes("testnet") || networkName === "hyperliquid_testnet";
-		const configPrefix = isTestnet ? "TESTNET" : "MAINNET";
-
-		console.log(
-			`🌐 Network: ${networkName} (${isTestnet ? "🧪 Testnet" : "🔴 Mainnet"})`,
+			)} to ${client.formatNative(maxTossAmount)}`,
 		);
 
-		// Load contract addresses from environment
-		const pondCoreAddress = process.env[`${configPrefix}_POND_CORE_ADDRESS`];
-		if (!pondCoreAddress || !ethers.isAddress(pondCoreAddress)) {
-			throw new Error(
-				`❌ Missing or invalid ${configPrefix}_POND_CORE_ADDRESS`,
-			);
-		}
-
-		console.log(`🌟 PondCore: ${pondCoreAddress}`);
-
 		// Load simulation accounts
 		const accountsPath = path.join(
 			__dirname,
@@ -107,8 +90,7 @@ task(
 		const accounts = JSON.parse(fs.readFileSync(accountsPath, "utf8"));
 		console.log(`👥 Loaded ${accounts.length} simulation accounts`);
 
-		// Connect to PondCore
-		const pondCore = await ethers.getContractAt("PondCore", pondCoreAddress);
+		const pondCore = client.core;
 
 		// Get standard pond types
 		console.log("🔍 Getting standard pond types...");
@@ -127,22 +109,21 @@ task(
 
 		for (const pond of standardPonds) {
 			try {
-				const pondStatus = await pondCore.getPondStatus(pond.typeHash);
-				const isActive = Number(pondStatus[7]) > 0; // timeUntilEnd > 0
+				const pondStatus = await client.getPondStatus(pond.typeHash);
 
-				if (isActive) {
+				if (pondStatus.timeUntilEnd > 0) {
 					console.log(`✅ ${pond.name} pond is active`);
 					activePonds.push({
 						name: pond.name,
 						typeHash: pond.typeHash,
-						minTossPrice: pondStatus[8], // minTossPrice from getPondStatus
+						minTossPrice: pondStatus.minTossPrice,
 					});
 				} else {
 					console.log(`❌ ${pond.name} pond is not active`);
 				}
 			} catch (error) {
 				console.log(
-					`❌ ${pond.name} pond does not exist or error: ${error.message}`,
+					`❌ ${pond.name} pond does not exist or error: ${client.describeError(error)}`,
 				);
 			}
 		}
@@ -160,7 +141,7 @@ task(
 		// Simulate tosses
 		const simulationResults = {
 			timestamp: new Date().toISOString(),
-			network: networkName,
+			network: client.network.name,
 			accounts: [],
 			totalTosses: 0,
 			totalValueTossed: ethers.parseEther("0"),
@@ -195,10 +176,11 @@ task(
 			try {
 				// Create signer from private key
 				const wallet = new ethers.Wallet(account.privateKey, ethers.provider);
+				const txs = client.connect(wallet).transactions();
 
 				// Check account balance
 				const balance = await ethers.provider.getBalance(account.address);
-				console.log(`💰 Balance: ${ethers.formatEther(balance)} ETH`);
+				console.log(`💰 Balance: ${client.formatNative(balance)}`);
 
 				if (balance < minTossAmount) {
 					console.log(
@@ -242,26 +224,28 @@ task(
 							tossAmount > pondMinToss ? tossAmount : pondMinToss;
 
 						console.log(
-							`  📤 Toss ${j + 1}/${numTosses}: ${ethers.formatEther(
+							`  📤 Toss ${j + 1}/${numTosses}: ${client.formatNative(
 								finalTossAmount,
-							)} ETH`,
+							)}`,
 						);
 
 						try {
 							// Execute the toss transaction
-							const tx = await pondCore.connect(wallet).toss(
-								pond.typeHash,
-								0, // amount parameter (ignored for native ETH)
-								{
-									value: finalTossAmount,
-									gasLimit: 300000, // Set a reasonable gas limit
-								},
+							const tx = await txs.submit(
+								await pondCore.toss.populateTransaction(
+									pond.typeHash,
+									0, // amount parameter (ignored for native ETH)
+									{
+										value: finalTossAmount,
+										gasLimit: 300000, // Set a reasonable gas limit
+									},
+								),
 							);
 
 							console.log(`  📝 Transaction sent: ${tx.hash}`);
 
 							// Wait for transaction to be mined
-							const receipt = await tx.wait();
+							const receipt = await txs.wait(tx);
 
 							console.log(`  ✅ Toss successful! Gas used: ${receipt.gasUsed}`);
 
@@ -278,7 +262,7 @@ task(
 							const delay = getRandomInt(1000, 3000);
 							await new Promise((resolve) => setTimeout(resolve, delay));
 						} catch (error) {
-							console.error(`  ❌ Toss failed: ${error.message}`);
+							console.error(`  ❌ Toss failed: ${client.describeError(error)}`);
 
 							// If we got a specific error that indicates we should stop
 							if (error.message.includes("insufficient funds")) {
@@ -304,7 +288,7 @@ task(
 				simulationResults.accounts.push(accountResult);
 			} catch (error) {
 				console.error(
-					`❌ Error processing account ${account.address}: ${error.message}`,
+					`❌ Error processing account ${account.address}: ${client.describeError(error)}`,
 				);
 			}
 		}
@@ -330,9 +314,9 @@ task(
 		console.log("\n🎮 Simulation complete!");
 		console.log(`📊 Total tosses: ${simulationResults.totalTosses}`);
 		console.log(
-			`💰 Total value tossed: ${ethers.formatEther(
+			`💰 Total value tossed: ${client.formatNative(
 				simulationResults.totalValueTossed,
-			)} ETH`,
+			)}`,
 		);
 		console.log(`💾 Results saved to: ${resultsPath}`);
 	});
@@ -0,0 +1,153 @@
+// tasks/upkeep.js
+// One-shot winner selection. Use `npx hardhat keeper` to process every eligible pond continuously.
+const fs = require("node:fs");
+const path = require("node:path");
+const { PondClient } = require("../lib/client");
+const { parsePondId } = require("../lib/pond-ids");
+const { createKeeperLease } = require("../lib/lease");
+const { findUpkeepTargets, runUpkeep } = require("../lib/upkeep");
+
+function formatDate(timestamp) {
+	return new Date(timestamp * 1000).toLocaleString();
+}
+
+// Human-readable report of one pond's upkeep
+function printResult(result) {
+	console.log(`\n🏊 ${result.name} (${result.period}, ${result.token})`);
+	console.log(`🆔 ${result.pondType}`);
+	console.log(`👥 ${result.participants} participants, 💰 ${result.totalValueFormatted}`);
+
+	if (result.status === "skipped") {
+		console.log(`⏭️ Skipped, the selection would revert: ${result.reason}`);
+		return;
+	}
+
+	console.log(`⛽ Estimated gas: ${Number(result.gasEstimate).toLocaleString()} units`);
+	if (result.estimatedCost) {
+		console.log(`💸 Estimated cost: ${result.estimatedCost}`);
+	}
+	if (result.status === "dry-run") {
+		console.log("🧪 Dry run: simulation succeeded, nothing sent");
+		return;
+	}
+
+	console.log(`🔗 Transaction: ${result.hash} (block ${result.blockNumber})`);
+	console.log(`⛽ Gas used: ${Number(result.gasUsed).toLocaleString()} units (${result.cost})`);
+	if (result.status === "reverted") {
+		console.log(`❌ ${result.reason}`);
+		return;
+	}
+
+	if (result.winner) {
+		console.log(`🏆 Winner: ${result.winner.address}`);
+		console.log(`💰 Prize: ${result.winner.prizeFormatted}`);
+		console.log(`🙋 Selected by: ${result.winner.selector}`);
+	} else {
+		console.log("🔄 No tosses this round, the pond was reset");
+	}
+	if (result.selection) {
+		const { entropySource, randomValue, winningThreshold, totalFrogValue, blockNumber } = result.selection;
+		console.log(`🎲 Random value ${randomValue} of ${totalFrogValue} total toss value, winner's threshold ${winningThreshold}`);
+		console.log(`🌱 Entropy ${entropySource} (block ${blockNumber})`);
+	}
+	for (const report of result.gasReports) {
+		// selectLuckyWinner reports after the reset, so its participant count is 0
+		const participants = report.participantCount > 0 ? ` for ${report.participantCount} participants` : "";
+		console.log(`📊 GasUsageReport ${report.operation}: ${Number(report.gasUsed).toLocaleString()} gas${participants}`);
+	}
+	for (const action of result.pondActions) {
+		console.log(`🗓️ ${action.name} ${action.actionType}: ${formatDate(action.startTime)} - ${formatDate(action.endTime)}`);
+	}
+	for (const action of result.emergencyActions) {
+		if (action.actionType === "largePondReset") {
+			console.log(`🚨 Large pond reset: ${action.amount} participants need batchClearParticipants (the keeper does this)`);
+		}
+	}
+}
+
+task("upkeep", "Select the winner of eligible ponds once: checkUpkeep's first hit, one --pond or --all")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("pond", "Pond ID (bytes32) or standard period with optional token, e.g. daily:0x...")
+	.addOptionalParam("lease", "Lease server URL shared with keepers on other hosts (see the lease-server task)")
+	.addFlag("all", "Run upkeep for every eligible pond, not just the first")
+	.addFlag("dryRun", "Simulate and estimate gas without sending anything")
+	.addFlag("json", "Print the results as JSON instead of a report")
+	.setAction(async (taskArgs, hre) => {
+		if (taskArgs.pond && taskArgs.all) {
+			throw new Error("❌ Use either --pond or --all, not both");
+		}
+
+		const log = taskArgs.json ? () => {} : console.log;
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract });
+		if (!taskArgs.json) {
+			await client.printSummary({ chainId: true });
+		}
+
+		const report = {
+			network: client.network.name,
+			chainId: Number(client.network.chainId),
+			pondCore: client.coreAddress,
+			dryRun: taskArgs.dryRun,
+			results: [],
+		};
+		const finish = () => {
+			if (taskArgs.json) {
+				console.log(JSON.stringify(report, null, 2));
+			}
+		};
+
+		// Hold the keeper lease while sending, so this can't race a running keeper
+		const lease = taskArgs.dryRun
+			? null
+			: createKeeperLease(client, { url: taskArgs.lease, token: process.env.LEASE_TOKEN });
+		if (lease && !(await lease.acquire())) {
+			report.lease = lease.holder;
+			log(`\n🔒 ${lease.holder.owner} holds the ${lease.holder.lease} lease, not running upkeep.`);
+			return finish();
+		}
+
+		try {
+			const pond = taskArgs.pond ? parsePondId(taskArgs.pond) : undefined;
+			const targets = await findUpkeepTargets(client, { pond, all: taskArgs.all });
+			if (targets.length === 0) {
+				log("\n✅ No upkeep needed at this time.");
+				log("💡 This means either no ponds have ended or timelock periods haven't passed yet.");
+				return finish();
+			}
+			log(`\n🚨 ${targets.length} pond${targets.length === 1 ? "" : "s"} to upkeep${taskArgs.dryRun ? " (dry run)" : ""}`);
+
+			for (const pondType of targets) {
+				const result = await runUpkeep(client, pondType, {
+					dryRun: taskArgs.dryRun,
+					onSent: (sent) => log(`\n📤 ${sent.name}: upkeep sent ${sent.hash}, waiting for confirmation...`),
+				});
+				report.results.push(result);
+				if (!taskArgs.json) printResult(result);
+			}
+		} finally {
+			if (lease) await lease.release();
+		}
+
+		// Keep a record of what was sent, like the old upkeep scripts did
+		if (!taskArgs.dryRun && report.results.some((result) => result.hash)) {
+			const logsDir = path.join(__dirname, "../logs");
+			fs.mkdirSync(logsDir, { recursive: true });
+			const logPath = path.join(logsDir, `upkeep_${Math.floor(Date.now() / 1000)}.json`);
+			fs.writeFileSync(logPath, JSON.stringify({ timestamp: new Date().toISOString(), ...report }, null, 2));
+			log(`\n💾 Upkeep log saved to: ${logPath}`);
+		}
+
+		const counts = {};
+		for (const result of report.results) {
+			counts[result.status] = (counts[result.status] || 0) + 1;
+		}
+		log(`\n🏁 Done: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(", ")}`);
+		finish();
+	});
+
+module.exports = {};
+
+// npx hardhat upkeep --network hyperliquid_testnet
+// npx hardhat upkeep --all --network hyperliquid_mainnet
+// npx hardhat upkeep --pond hourly --dry-run --network hyperliquid_mainnet
+// npx hardhat upkeep --contract 0xe225F846DFa0DE15dd60f4E4238a41E7e4f283ED --pond daily:0x... --json --network hyperliquid_mainnet
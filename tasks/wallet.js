@@ -0,0 +1,165 @@
+// tasks/wallet.js
+const { Table } = require("console-table-printer");
+const { PondClient } = require("../lib/client");
+const { DEFAULT_LOG_CHUNK, resolveBlockRange } = require("../lib/history");
+const { formatCountdown } = require("../lib/dashboard");
+const { DEFAULT_BATCH_SIZE, readWallet } = require("../lib/wallet");
+const { formatRecords, resolveFormat, writeOutput } = require("../lib/output");
+
+const PHASE_LABELS = {
+	upcoming: "🕒 Upcoming",
+	open: "🟢 Open",
+	timelock: "⏳ Awaiting selection",
+	selectable: "⚡ Selectable",
+};
+
+task("wallet", "A wallet's position in every pond plus its lifetime tosses, wins and net result")
+	.addParam("address", "Wallet address to look up")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("since", "Start of the lifetime summary (ISO date or unix seconds)")
+	.addOptionalParam("until", "End of the lifetime summary (ISO date or unix seconds)")
+	.addOptionalParam("from", "Start block (default: the PondCore deployment block)")
+	.addOptionalParam("to", "End block (default: latest)")
+	.addOptionalParam("batch", "Ponds per Multicall3 request (concurrent reads where Multicall3 is missing)", String(DEFAULT_BATCH_SIZE))
+	.addOptionalParam("chunk", "Blocks per getLogs request", String(DEFAULT_LOG_CHUNK))
+	.addOptionalParam("format", "Output format: table, json, ndjson or csv (default: from --out, else table)")
+	.addOptionalParam("out", "Write the positions to this file instead of stdout")
+	.addFlag("all", "List every pond, not only the ones the wallet is in")
+	.setAction(async (taskArgs, hre) => {
+		const { ethers } = hre;
+		const format = resolveFormat(taskArgs.format, taskArgs.out);
+		const quiet = format !== "table" && !taskArgs.out;
+		const log = quiet ? () => {} : console.log;
+
+		if (!ethers.isAddress(taskArgs.address)) {
+			throw new Error(`❌ Invalid address: ${taskArgs.address}`);
+		}
+		const address = ethers.getAddress(taskArgs.address);
+		const batchSize = Number.parseInt(taskArgs.batch);
+		const chunk = Number.parseInt(taskArgs.chunk);
+		if (!(batchSize > 0)) {
+			throw new Error(`❌ Invalid --batch: ${taskArgs.batch}`);
+		}
+		if (!(chunk > 0)) {
+			throw new Error(`❌ Invalid --chunk: ${taskArgs.chunk}`);
+		}
+
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract, readOnly: true });
+		if (!quiet) {
+			await client.printSummary();
+		}
+
+		const { fromBlock, toBlock } = await resolveBlockRange(client, taskArgs);
+		log(`\n🔍 Reading ${address} across all ponds, history from blocks ${fromBlock} - ${toBlock}...`);
+
+		const { now, positions, summary } = await readWallet(client, address, {
+			fromBlock,
+			toBlock,
+			chunk,
+			batchSize,
+			onChunk: ({ fromBlock: start, toBlock: scanned, found, refunds }) => {
+				if (!quiet && toBlock > fromBlock) {
+					const percent = Math.floor(((scanned - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100);
+					// The refund scan gets a line of its own
+					const line = refunds && start === fromBlock ? "\n" : "\r";
+					process.stdout.write(`${line}📦 ${refunds ? "Refunds" : "Tosses and wins"}: ${percent}% scanned, ${found} events`);
+				}
+			},
+		});
+		if (!quiet) process.stdout.write("\n");
+		const shown = positions.filter((position) => taskArgs.all || position.amount > 0n);
+
+		if (format !== "table") {
+			writeOutput(formatRecords(shown, format), taskArgs.out);
+			log(`\n💾 Wrote ${shown.length} positions as ${format}${taskArgs.out ? ` to ${taskArgs.out}` : ""}`);
+			return;
+		}
+
+		if (shown.length === 0) {
+			console.log(`\n💤 ${address} has nothing in any of the ${positions.length} ponds right now`);
+		} else {
+			const table = new Table({
+				title: `Positions of ${address}`,
+				columns: [
+					{ name: "pond", title: "Pond", alignment: "left" },
+					{ name: "amount", title: "Tossed", alignment: "right" },
+					{ name: "tosses", title: "Tosses", alignment: "right" },
+					{ name: "odds", title: "Win Chance", alignment: "right" },
+					{ name: "pondValue", title: "Pond Value", alignment: "right" },
+					{ name: "phase", title: "Phase", alignment: "left" },
+					{ name: "selection", title: "Selection", alignment: "right" },
+				],
+			});
+			for (const position of shown) {
+				const untilSelection = position.selectionEligibleAt - now;
+				table.addRow(
+					{
+						pond: `${position.name}${position.wonLastRound ? " 🏆" : ""}`,
+						amount: position.stale ? `${position.amountFormatted} (stale)` : position.amountFormatted,
+						tosses: position.tosses ?? "?",
+						odds: `${(position.probability * 100).toFixed(2)}%`,
+						pondValue: position.totalValueFormatted,
+						phase: PHASE_LABELS[position.phase],
+						selection: untilSelection > 0 ? `in ${formatCountdown(untilSelection)}` : "now",
+					},
+					{ color: position.stale || position.amount === 0n ? "gray" : position.phase === "open" ? "green" : "yellow" },
+				);
+			}
+			table.printTable();
+			if (shown.some((position) => position.wonLastRound)) {
+				console.log("🏆 = won the last round of that pond");
+			}
+			if (shown.some((position) => position.stale)) {
+				console.log("💡 stale = left over from a large pond reset, not in this round");
+			}
+			if (shown.some((position) => position.tosses === null)) {
+				console.log("💡 ? = the history range doesn't cover the whole current round");
+			}
+		}
+
+		if (summary.length === 0) {
+			console.log(`\n📭 No tosses, top-ups, wins or refunds for ${address} in blocks ${fromBlock} - ${toBlock}`);
+			return;
+		}
+
+		const table = new Table({
+			title: "Lifetime Summary",
+			columns: [
+				{ name: "token", title: "Token", alignment: "center" },
+				{ name: "ponds", title: "Ponds", alignment: "right" },
+				{ name: "tosses", title: "Tosses", alignment: "right" },
+				{ name: "tossed", title: "Tossed", alignment: "right" },
+				{ name: "toppedUp", title: "Topped Up", alignment: "right" },
+				{ name: "wins", title: "Wins", alignment: "right" },
+				{ name: "won", title: "Won", alignment: "right" },
+				{ name: "refunded", title: "Refunded", alignment: "right" },
+				{ name: "inPlay", title: "In Play", alignment: "right" },
+				{ name: "net", title: "Net", alignment: "right" },
+			],
+		});
+		for (const row of summary) {
+			table.addRow(
+				{
+					token: row.tokenSymbol,
+					ponds: row.ponds,
+					tosses: row.tosses,
+					tossed: row.tossedFormatted,
+					toppedUp: row.toppedUpFormatted,
+					wins: row.wins,
+					won: row.wonFormatted,
+					refunded: row.refundedFormatted,
+					inPlay: row.inPlayFormatted,
+					net: row.netFormatted,
+				},
+				{ color: row.net >= 0n ? "green" : "red" },
+			);
+		}
+		table.printTable();
+		console.log("💡 Net = won + refunded - tossed - topped up; stakes still in play count as tossed");
+	});
+
+module.exports = {};
+
+// npx hardhat wallet --address 0x... --network hyperliquid_mainnet
+// npx hardhat wallet --address 0x... --all --since 2025-01-01 --network hyperliquid_mainnet
+// npx hardhat wallet --address 0x... --out reports/wallet.csv --network hyperliquid_testnet
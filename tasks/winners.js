@@ -0,0 +1,128 @@
+// tasks/winners.js
+const { Table } = require("console-table-printer");
+const { PondClient } = require("../lib/client");
+const { parsePondId } = require("../lib/pond-ids");
+const { DEFAULT_LOG_CHUNK, readWinners, resolveBlockRange } = require("../lib/history");
+const { formatRecords, resolveFormat, writeOutput } = require("../lib/output");
+
+// Helper function to format timestamps
+function formatDate(timestamp) {
+	return new Date(timestamp * 1000).toLocaleString();
+}
+
+function shortAddress(address) {
+	return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+task("winners", "Winner history from LuckyWinnerSelected events, round by round")
+	.addOptionalParam("contract", "Custom PondCore contract address to use instead of deployed one")
+	.addOptionalParam("pond", "Only this pond: ID (bytes32) or standard period with optional token, e.g. daily:0x...")
+	.addOptionalParam("token", "Only ponds in this token: address, symbol or 'native'")
+	.addOptionalParam("winner", "Only rounds won by this address")
+	.addOptionalParam("since", "Start date (ISO date or unix seconds)")
+	.addOptionalParam("until", "End date (ISO date or unix seconds)")
+	.addOptionalParam("from", "Start block (default: the PondCore deployment block)")
+	.addOptionalParam("to", "End block (default: latest)")
+	.addOptionalParam("chunk", "Blocks per getLogs request", String(DEFAULT_LOG_CHUNK))
+	.addOptionalParam("format", "Output format: table, json, ndjson or csv (default: from --out, else table)")
+	.addOptionalParam("out", "Write the history to this file instead of stdout")
+	.setAction(async (taskArgs, hre) => {
+		const { ethers } = hre;
+		const format = resolveFormat(taskArgs.format, taskArgs.out);
+		const quiet = format !== "table" && !taskArgs.out;
+		const log = quiet ? () => {} : console.log;
+
+		if (taskArgs.winner && !ethers.isAddress(taskArgs.winner)) {
+			throw new Error(`❌ Invalid winner address: ${taskArgs.winner}`);
+		}
+		const chunk = Number.parseInt(taskArgs.chunk);
+		if (!(chunk > 0)) {
+			throw new Error(`❌ Invalid --chunk: ${taskArgs.chunk}`);
+		}
+
+		const client = await PondClient.fromHre(hre, { core: taskArgs.contract, readOnly: true });
+		if (!quiet) {
+			await client.printSummary();
+		}
+
+		const { fromBlock, toBlock } = await resolveBlockRange(client, taskArgs);
+		log(`\n🔍 Scanning blocks ${fromBlock} - ${toBlock} for winners...`);
+
+		const rounds = await readWinners(client, {
+			pond: taskArgs.pond ? parsePondId(taskArgs.pond) : undefined,
+			winner: taskArgs.winner,
+			token: taskArgs.token,
+			fromBlock,
+			toBlock,
+			chunk,
+			onChunk: ({ toBlock: scanned, found }) => {
+				if (!quiet && toBlock > fromBlock) {
+					const percent = Math.floor(((scanned - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100);
+					process.stdout.write(`\r📦 ${percent}% scanned, ${found} events`);
+				}
+			},
+		});
+		if (!quiet) process.stdout.write("\n");
+
+		if (format !== "table") {
+			writeOutput(formatRecords(rounds, format), taskArgs.out);
+			log(`\n💾 Wrote ${rounds.length} rounds as ${format}${taskArgs.out ? ` to ${taskArgs.out}` : ""}`);
+			return;
+		}
+
+		if (rounds.length === 0) {
+			console.log("\n❌ No winners found matching criteria");
+			return;
+		}
+
+		const table = new Table({
+			title: `Winners (${rounds.length} rounds)`,
+			columns: [
+				{ name: "time", title: "Selected", alignment: "left" },
+				{ name: "pond", title: "Pond", alignment: "left" },
+				{ name: "winner", title: "Winner", alignment: "left" },
+				{ name: "prize", title: "Prize", alignment: "right" },
+				{ name: "fee", title: "Fee", alignment: "right" },
+				{ name: "participants", title: "Users", alignment: "right" },
+				{ name: "selector", title: "Selected By", alignment: "left" },
+				{ name: "block", title: "Block", alignment: "right" },
+			],
+		});
+		for (const round of rounds) {
+			table.addRow({
+				time: formatDate(round.timestamp),
+				pond: round.pondName,
+				winner: round.winner,
+				prize: round.prizeFormatted,
+				fee: round.feeFormatted,
+				participants: round.participants ?? "?",
+				selector: shortAddress(round.selector),
+				block: round.blockNumber,
+			});
+		}
+		table.printTable();
+
+		// Totals per token
+		const totals = new Map();
+		for (const round of rounds) {
+			const total = totals.get(round.tokenAddress) || { prize: 0n, fee: 0n };
+			total.prize += round.prize;
+			total.fee += round.fee;
+			totals.set(round.tokenAddress, total);
+		}
+		for (const [tokenAddress, total] of totals) {
+			console.log(
+				`💰 ${await client.formatToken(total.prize, tokenAddress)} in prizes, ${await client.formatToken(total.fee, tokenAddress)} in fees`,
+			);
+		}
+		if (rounds.some((round) => round.participants === null)) {
+			console.log("💡 ? = the scan starts after that round's first toss; use an earlier --from or --since to count its users");
+		}
+	});
+
+module.exports = {};
+
+// npx hardhat winners --network hyperliquid_mainnet
+// npx hardhat winners --pond daily --since 2025-06-01 --network hyperliquid_mainnet
+// npx hardhat winners --token USDC --winner 0x... --network hyperliquid_mainnet
+// npx hardhat winners --from 1200000 --out reports/winners.csv --network hyperliquid_testnet
@@ -0,0 +1,236 @@
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const { Keeper } = require("../lib/keeper");
+const { PondMonitor } = require("../lib/monitor");
+const { AlertDispatcher, createDispatcher, webhookSink } = require("../lib/alerts");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Local stand-in for Slack / Discord / webhook endpoints: records every POST body
+async function startWebhookServer({ status = 200 } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, requests, url: (route) => `http://127.0.0.1:${server.address().port}${route}` };
+}
+
+const alert = (overrides = {}) => ({
+  key: "low-balance",
+  severity: "warning",
+  title: "Wallet balance low",
+  message: "0xabc holds 0.1 ETH",
+  fields: { Wallet: "0xabc", Balance: "0.1 ETH" },
+  ...overrides,
+});
+
+describe("Alerts", function () {
+  let hook;
+  let tmpDir;
+
+  beforeEach(async function () {
+    hook = await startWebhookServer();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+  });
+
+  afterEach(function () {
+    hook.server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("posts JSON, Slack and Discord payloads and appends to a file", async function () {
+    const file = path.join(tmpDir, "alerts.jsonl");
+    const alerts = createDispatcher(
+      {
+        sinks: [
+          { type: "webhook", url: hook.url("/json") },
+          { type: "slack", url: hook.url("/slack") },
+          { type: "discord", url: hook.url("/discord") },
+          { type: "file", path: file },
+        ],
+      },
+      { logger: silent },
+    );
+
+    expect(await alerts.notify(alert({ severity: "critical" }))).to.deep.equal({ sent: true, reason: null });
+
+    const byRoute = Object.fromEntries(hook.requests.map((request) => [request.url, request.body]));
+    expect(byRoute["/json"]).to.include({ key: "low-balance", severity: "critical", title: "Wallet balance low" });
+    expect(byRoute["/slack"].text).to.equal("🚨 Wallet balance low\n0xabc holds 0.1 ETH");
+    expect(byRoute["/slack"].attachments[0].fields).to.deep.include({ title: "Balance", value: "0.1 ETH", short: true });
+    expect(byRoute["/discord"].embeds[0]).to.include({ title: "Wallet balance low", color: 0xdc2626 });
+    expect(byRoute["/discord"].embeds[0].fields[0]).to.deep.equal({ name: "Wallet", value: "0xabc", inline: true });
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+    expect(JSON.parse(lines[0]).title).to.equal("Wallet balance low");
+  });
+
+  it("deduplicates by key until resolved and reports the repeats", async function () {
+    let now = 1000;
+    const alerts = new AlertDispatcher([webhookSink(hook.url("/"))], { dedupeWindow: 600, now: () => now, logger: silent });
+
+    await alerts.notify(alert());
+    expect(await alerts.notify(alert())).to.deep.equal({ sent: false, reason: "duplicate" });
+    expect(await alerts.notify(alert())).to.deep.equal({ sent: false, reason: "duplicate" });
+    expect((await alerts.notify(alert({ key: "other" }))).sent).to.equal(true);
+
+    now += 600;
+    await alerts.notify(alert());
+    expect(hook.requests).to.have.length(3);
+    expect(hook.requests[2].body.fields.Repeated).to.equal("2 more times since the last alert");
+
+    alerts.resolve("low-balance");
+    expect((await alerts.notify(alert())).sent).to.equal(true);
+  });
+
+  it("rate limits across keys and reports what was dropped", async function () {
+    let now = 1000;
+    const alerts = new AlertDispatcher([webhookSink(hook.url("/"))], {
+      rateLimit: 2,
+      rateWindow: 60,
+      now: () => now,
+      logger: silent,
+    });
+
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push((await alerts.notify(alert({ key: `pond-${i}` }))).reason);
+    }
+    expect(results).to.deep.equal([null, null, "rate-limited", "rate-limited", "rate-limited"]);
+
+    now += 60;
+    await alerts.notify(alert({ key: "pond-5" }));
+    expect(hook.requests).to.have.length(3);
+    expect(hook.requests[2].body.fields["Rate limited"]).to.equal("3 other alerts dropped");
+  });
+
+  it("logs failing sinks without throwing", async function () {
+    const failing = await startWebhookServer({ status: 500 });
+    const warnings = [];
+    const alerts = new AlertDispatcher([webhookSink(failing.url("/")), webhookSink(hook.url("/"))], {
+      logger: { ...silent, warn: (line) => warnings.push(line) },
+    });
+
+    expect((await alerts.notify(alert())).sent).to.equal(true);
+    failing.server.close();
+
+    expect(hook.requests).to.have.length(1);
+    expect(warnings[0]).to.include("HTTP 500");
+  });
+
+  describe("keeper and monitor", function () {
+    async function deployFixture() {
+      const [, alice, bob, carol] = await ethers.getSigners();
+
+      // Room for three participants per pond, so the third one triggers ParticipantLimitWarning
+      const { pondCore } = await deployPonds({ maxParticipants: 3 });
+
+      return { pondCore, hourly: standardPondId("HOURLY"), players: [alice, bob, carol] };
+    }
+
+    async function newClient(pondCore) {
+      return PondClient.fromHre(hre, { core: await pondCore.getAddress() });
+    }
+
+    it("alerts from the keeper on participant warnings and a low balance, once each", async function () {
+      const { pondCore, hourly, players } = await loadFixture(deployFixture);
+      const alerts = new AlertDispatcher([webhookSink(hook.url("/slack"), { format: "slack" })], { logger: silent });
+      const keeper = new Keeper(await newClient(pondCore), {
+        stateFile: path.join(tmpDir, "state.json"),
+        logger: silent,
+        alerts,
+        lowBalance: ethers.parseEther("1000000"),
+      });
+
+      await keeper.runCycle();
+      for (const player of players) {
+        await pondCore.connect(player).toss(hourly, 0, { value: ethers.parseEther("0.1") });
+      }
+      await keeper.runCycle();
+      await keeper.runCycle();
+
+      const texts = hook.requests.map((request) => request.body.text.split("\n")[0]);
+      expect(texts).to.deep.equal([
+        "⚠️ Keeper wallet balance low",
+        "⚠️ Pond close to its participant limit",
+      ]);
+      expect(hook.requests[1].body.text).to.include("3 participants, over the warning threshold of 2");
+    });
+
+    it("alerts when the keeper's upkeep reverts", async function () {
+      const { pondCore } = await loadFixture(deployFixture);
+      const alerts = new AlertDispatcher([webhookSink(hook.url("/discord"), { format: "discord" })], { logger: silent });
+      const keeper = new Keeper(await newClient(pondCore), {
+        stateFile: path.join(tmpDir, "state.json"),
+        logger: silent,
+        alerts,
+      });
+
+      keeper.finalize(
+        { pondType: standardPondId("DAILY"), name: "Daily ETH", endTime: 0 },
+        { hash: ethers.ZeroHash, blockNumber: 7, gasUsed: 21_000n, gasPrice: 1n, status: 0, logs: [] },
+      );
+      await keeper.flushAlerts();
+
+      expect(hook.requests).to.have.length(1);
+      expect(hook.requests[0].body.embeds[0].title).to.equal("selectLuckyWinner reverted");
+      expect(hook.requests[0].body.embeds[0].description).to.include("Daily ETH");
+    });
+
+    it("monitors events, overdue ponds and wallets", async function () {
+      const { pondCore, hourly, players } = await loadFixture(deployFixture);
+      const file = path.join(tmpDir, "alerts.jsonl");
+      const alerts = createDispatcher(
+        { sinks: [{ type: "webhook", url: hook.url("/") }, { type: "file", path: file }] },
+        { logger: silent },
+      );
+      const [alice] = players;
+      const monitor = new PondMonitor(await newClient(pondCore), alerts, {
+        overdue: 600,
+        wallets: [alice.address],
+        lowBalance: ethers.parseEther("1000000"),
+        logger: silent,
+      });
+
+      await monitor.check();
+      expect(hook.requests.map((request) => request.body.title)).to.deep.equal(["Wallet balance low"]);
+
+      for (const player of players) {
+        await pondCore.connect(player).toss(hourly, 0, { value: ethers.parseEther("0.1") });
+      }
+      await pondCore.setFeePercent(6);
+      const pond = await pondCore.ponds(hourly);
+      await time.increaseTo(Number(pond.endTime) + 61 + 600);
+
+      await monitor.check();
+      const titles = hook.requests.slice(1).map((request) => request.body.title);
+      expect(titles).to.include.members([
+        "Pond close to its participant limit",
+        "Config changed: feePercent",
+        "Pond overdue for winner selection",
+      ]);
+      expect(titles).not.to.include("Wallet balance low");
+
+      const overdue = hook.requests.find((request) => request.body.key === `overdue:${hourly}`).body;
+      expect(overdue.severity).to.equal("critical");
+      expect(String(overdue.fields.Participants)).to.equal("3");
+      expect(fs.readFileSync(file, "utf8").trim().split("\n")).to.have.length(hook.requests.length);
+    });
+  });
+});
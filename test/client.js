@@ -0,0 +1,135 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient, resolveContractAddress } = require("../lib/client");
+const { recordDeployment } = require("../lib/deployments");
+const { getNetworkInfo } = require("../lib/networks");
+const { STANDARD_PERIODS, standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("PondClient", function () {
+  const network = getNetworkInfo(31337);
+  const coreKey = `${network.configPrefix}_POND_CORE_ADDRESS`;
+  const factoryKey = `${network.configPrefix}_POND_FACTORY_ADDRESS`;
+  let saved;
+  let deploymentsDir;
+
+  beforeEach(function () {
+    saved = { [coreKey]: process.env[coreKey], [factoryKey]: process.env[factoryKey] };
+    delete process.env[coreKey];
+    delete process.env[factoryKey];
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "client-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  async function deployFixture() {
+    const { pondCore, pondFactory } = await deployPonds();
+    return { pondFactory, coreAddress: await pondCore.getAddress(), factoryAddress: await pondFactory.getAddress() };
+  }
+
+  it("resolves contract addresses from an argument, then the network's env vars, then the registry", function () {
+    const address = "0x1111111111111111111111111111111111111111";
+    const registered = "0x2222222222222222222222222222222222222222";
+    const lookup = { deploymentsDir };
+    const resolve = (name, explicit) => resolveContractAddress(name, network, explicit, ethers, lookup);
+
+    expect(resolve("PondCore", address)).to.deep.equal({ address, source: "argument" });
+    expect(() => resolve("PondCore", "0x1234")).to.throw(/Invalid PondCore address/);
+
+    expect(resolve("PondFactory")).to.deep.equal({ address: null, source: factoryKey });
+    const { deployment, file } = recordDeployment(
+      31337,
+      { network: "hardhat", contracts: { PondCore: registered, PondFactory: registered } },
+      { dir: deploymentsDir }
+    );
+    expect(resolve("PondFactory")).to.deep.equal({ address: registered, source: `${file} (${deployment.id})` });
+
+    process.env[coreKey] = address;
+    expect(resolve("PondCore")).to.deep.equal({ address, source: coreKey });
+    process.env[coreKey] = "not-an-address";
+    expect(() => resolve("PondCore")).to.throw(`Invalid ${coreKey}`);
+  });
+
+  it("connects from a plain ethers provider without the Hardhat runtime", async function () {
+    const { coreAddress, factoryAddress } = await loadFixture(deployFixture);
+    const artifactsDir = hre.config.paths.artifacts;
+
+    process.env[coreKey] = coreAddress.toLowerCase();
+    process.env[factoryKey] = factoryAddress;
+    const client = await PondClient.fromProvider(ethers.provider, { artifactsDir, deploymentsDir });
+    expect(client.hre).to.equal(null);
+    expect(client.signer).to.equal(null);
+    expect(client.network).to.include({ chainId: 31337, name: "hardhat", nativeSymbol: "ETH" });
+    expect(client.coreAddress).to.equal(coreAddress);
+    expect(client.addresses.PondCore.source).to.equal(coreKey);
+    expect(client.factoryAddress).to.equal(factoryAddress);
+    expect(await client.core.getAllPondTypes()).to.have.length(5);
+    expect(await client.factory.pondCore()).to.equal(coreAddress);
+
+    const wallet = ethers.Wallet.createRandom();
+    const signed = await PondClient.fromProvider(ethers.provider, { artifactsDir, deploymentsDir, privateKey: wallet.privateKey });
+    expect(signed.signerAddress).to.equal(wallet.address);
+  });
+
+  it("refuses to connect without a PondCore, or without a factory when one is required", async function () {
+    const { coreAddress } = await loadFixture(deployFixture);
+
+    await expect(PondClient.fromHre(hre, { deploymentsDir })).to.be.rejectedWith(
+      `Missing or invalid ${coreKey} and no current deployment for chain 31337`
+    );
+    await expect(
+      PondClient.fromHre(hre, { core: coreAddress, requireFactory: true, deploymentsDir })
+    ).to.be.rejectedWith(`Missing or invalid ${factoryKey}`);
+
+    const client = await PondClient.fromHre(hre, { core: coreAddress, readOnly: true, deploymentsDir });
+    expect(client.signer).to.equal(null);
+    expect(client.factory).to.equal(null);
+  });
+
+  it("lists standard ponds per supported token and period, with custom ponds kept apart", async function () {
+    const { pondFactory, coreAddress, factoryAddress } = await loadFixture(deployFixture);
+    const token = "0x1111111111111111111111111111111111111111";
+
+    await pondFactory.addSupportedToken(token, "TKN");
+    await pondFactory.createStandardPonds(token, "TKN", 1n, 10n ** 18n, [2, 1]);
+    const start = (await time.latest()) + 100;
+    await pondFactory.createCustomPond(ethers.ZeroAddress, "ETH", "", start, start + 3600, 1n, 10n ** 18n);
+
+    const client = await PondClient.fromHre(hre, { core: coreAddress, factory: factoryAddress, readOnly: true });
+    const ponds = await client.listPonds();
+    const native = STANDARD_PERIODS.map((period) => ({
+      pondType: standardPondId(period).toLowerCase(),
+      tokenAddress: ethers.ZeroAddress,
+      period,
+      standard: true,
+    }));
+    const tokenPonds = ["HOURLY", "DAILY"].map((period) => ({
+      pondType: standardPondId(period, token).toLowerCase(),
+      tokenAddress: token,
+      period,
+      standard: true,
+    }));
+    expect(ponds.slice(0, 7)).to.deep.equal([...native, ...tokenPonds]);
+    expect(ponds).to.have.length(8);
+    expect(ponds[7]).to.include({ tokenAddress: null, period: null, standard: false });
+    expect(standardPondId("HOURLY", token).toLowerCase()).to.not.equal(ponds[7].pondType);
+
+    // Without a factory the token's ponds can't be told from custom ones
+    const bare = await PondClient.fromHre(hre, { core: coreAddress, readOnly: true, deploymentsDir });
+    const listed = await bare.listPonds();
+    expect(listed.filter((pond) => pond.standard)).to.deep.equal(native);
+    expect(listed.filter((pond) => !pond.standard)).to.have.length(3);
+  });
+});
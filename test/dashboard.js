@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const { PondDashboard, formatCountdown, pondPhase } = require("../lib/dashboard");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Dashboard", function () {
+  async function deployFixture() {
+    const [, alice] = await ethers.getSigners();
+
+    const { pondCore } = await deployPonds();
+
+    const client = await PondClient.fromHre(hre, { core: await pondCore.getAddress(), readOnly: true });
+    return { pondCore, client, alice };
+  }
+
+  it("formats countdowns and pond phases", function () {
+    expect(formatCountdown(0)).to.equal("0s");
+    expect(formatCountdown(249)).to.equal("4m 09s");
+    expect(formatCountdown(3900)).to.equal("1h 05m");
+    expect(formatCountdown(2 * 86400 + 3 * 3600)).to.equal("2d 03h");
+
+    const pond = { startTime: 100, endTime: 199, selectionEligibleAt: 260 };
+    expect(pondPhase(pond, 50)).to.deep.equal({ phase: "upcoming", remaining: 50 });
+    expect(pondPhase(pond, 199)).to.deep.equal({ phase: "open", remaining: 0 });
+    expect(pondPhase(pond, 200)).to.deep.equal({ phase: "timelock", remaining: 60 });
+    expect(pondPhase(pond, 300)).to.deep.equal({ phase: "selectable", remaining: 40 });
+  });
+
+  it("feeds tosses, top-ups and winners and flags ponds awaiting selection", async function () {
+    const { pondCore, client, alice } = await loadFixture(deployFixture);
+    const hourly = standardPondId("HOURLY");
+    const dashboard = new PondDashboard(client, { feedSize: 2 });
+
+    await dashboard.refresh();
+    expect(dashboard.ponds).to.have.length(5);
+    expect(dashboard.feed).to.deep.equal([]);
+    expect(dashboard.render()).to.include("waiting for tosses");
+
+    await pondCore.connect(alice).toss(hourly, 0, { value: ethers.parseEther("0.2") });
+    await pondCore.topUpPond(hourly, 0, { value: ethers.parseEther("0.1") });
+    await dashboard.refresh();
+    expect(dashboard.feed).to.have.length(2);
+    expect(dashboard.feed[0]).to.match(/0x7099\.\.\.79C8 tossed 0\.2 ETH into Hourly ETH Pond \(toss #1/);
+    expect(dashboard.feed[1]).to.include("topped up Hourly ETH Pond with 0.1 ETH");
+
+    // Ended: first in the timelock, then past it
+    const { endTime } = await pondCore.ponds(hourly);
+    await time.increaseTo(Number(endTime) + 1);
+    await dashboard.refresh();
+    expect(dashboard.render()).to.match(/Awaiting selection[^\n]*selectable in/);
+    await time.increaseTo(Number(endTime) + 120);
+    await dashboard.refresh();
+    const screen = dashboard.render();
+    expect(screen).to.include("Past timelock");
+    expect(screen).to.include("1 pond waiting for winner selection");
+
+    await pondCore.selectLuckyWinner(hourly);
+    await dashboard.refresh();
+    expect(dashboard.feed).to.have.length(2);
+    expect(dashboard.feed[1]).to.match(/won 0\.2\d* ETH in Hourly ETH Pond/);
+  });
+
+  it("feeds only the events of the selected ponds", async function () {
+    const { pondCore, client, alice } = await loadFixture(deployFixture);
+    const daily = standardPondId("DAILY");
+    const dashboard = new PondDashboard(client, { pondTypes: [daily] });
+
+    await dashboard.refresh();
+    await pondCore.connect(alice).toss(standardPondId("HOURLY"), 0, { value: ethers.parseEther("0.2") });
+    await pondCore.connect(alice).toss(daily, 0, { value: ethers.parseEther("0.3") });
+    await dashboard.refresh();
+    expect(dashboard.ponds).to.have.length(1);
+    expect(dashboard.feed).to.have.length(1);
+    expect(dashboard.feed[0]).to.match(/tossed 0\.3 ETH into Daily ETH Pond/);
+  });
+});
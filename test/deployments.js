@@ -0,0 +1,106 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const {
+  SCHEMA_VERSION,
+  diffDeployments,
+  getContractAddress,
+  importLegacyDeployments,
+  loadRegistry,
+  promoteDeployment,
+  recordDeployment,
+} = require("../lib/deployments");
+
+const CHAIN_ID = 998;
+const CORE_A = "0x1111111111111111111111111111111111111111";
+const CORE_B = "0x2222222222222222222222222222222222222222";
+const FACTORY = "0x3333333333333333333333333333333333333333";
+
+describe("Deployment registry", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function record(timestamp, contracts, options = {}) {
+    const { status, ...rest } = options;
+    return recordDeployment(CHAIN_ID, { timestamp, network: "hyperliquid_testnet", status, contracts }, { dir, ...rest })
+      .deployment;
+  }
+
+  it("records history and promotes complete deployments only", function () {
+    expect(loadRegistry(CHAIN_ID, { dir })).to.include({ schemaVersion: SCHEMA_VERSION, current: null });
+
+    const first = record("2025-01-01T00:00:00.000Z", { PondCore: CORE_A, PondFactory: FACTORY });
+    record("2025-02-01T00:00:00.000Z", { PondCore: CORE_B }, { status: "partial" });
+    record("2025-03-01T00:00:00.000Z", { PondCore: CORE_B }, { promote: false });
+
+    const registry = loadRegistry(CHAIN_ID, { dir });
+    expect(registry.deployments).to.have.length(3);
+    expect(registry.current).to.equal(first.id);
+    expect(getContractAddress(CHAIN_ID, "PondCore", { dir })).to.deep.equal({ address: CORE_A, deploymentId: first.id });
+    expect(getContractAddress(CHAIN_ID, "LuckyPondsDistributor", { dir })).to.equal(null);
+    expect(() => recordDeployment(CHAIN_ID, { id: first.id }, { dir })).to.throw(/already exists/);
+  });
+
+  it("promotes by id and refuses partial deployments", function () {
+    const first = record("2025-01-01T00:00:00.000Z", { PondCore: CORE_A });
+    const partial = record("2025-02-01T00:00:00.000Z", { PondCore: CORE_B }, { status: "partial" });
+    const second = record("2025-03-01T00:00:00.000Z", { PondCore: CORE_B });
+
+    expect(promoteDeployment(CHAIN_ID, first.id, { dir })).to.include({ previous: second.id, current: first.id });
+    expect(() => promoteDeployment(CHAIN_ID, partial.id, { dir })).to.throw(/partial and cannot be promoted/);
+    expect(() => promoteDeployment(CHAIN_ID, "404", { dir })).to.throw(/No deployment 404/);
+    expect(loadRegistry(CHAIN_ID, { dir }).current).to.equal(first.id);
+  });
+
+  it("rejects registries written by a newer schema", function () {
+    record("2025-01-01T00:00:00.000Z", { PondCore: CORE_A });
+    const file = path.join(dir, `chain-${CHAIN_ID}.json`);
+    const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+    fs.writeFileSync(file, JSON.stringify({ ...registry, schemaVersion: SCHEMA_VERSION + 1 }));
+
+    expect(() => loadRegistry(CHAIN_ID, { dir })).to.throw(/only understands/);
+  });
+
+  it("diffs contracts, config and status case-insensitively", function () {
+    const from = { contracts: { PondCore: CORE_A, PondFactory: FACTORY }, config: { feePercent: 5 }, status: "complete" };
+    const to = { contracts: { PondCore: CORE_B, PondFactory: FACTORY.toUpperCase() }, config: { feePercent: 7 }, status: "partial" };
+
+    expect(diffDeployments(from, to)).to.deep.equal([
+      { field: "contracts.PondCore", from: CORE_A, to: CORE_B },
+      { field: "config.feePercent", from: 5, to: 7 },
+      { field: "deployment.status", from: "complete", to: "partial" },
+    ]);
+  });
+
+  it("imports legacy files once, without replacing a newer current deployment", function () {
+    const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify({ chainId: CHAIN_ID, ...data }));
+    write("hyperliquid_testnet_1735689600.json", { pondCore: CORE_A, feeAddress: FACTORY });
+    write("hyperliquid_testnet_1738368000_partial.json", { pondCore: CORE_B });
+    write("hyperliquid_testnet_1740787200.json", { PondCore: CORE_B });
+
+    const imported = importLegacyDeployments({ dir });
+    expect(imported).to.have.length(3);
+    let registry = loadRegistry(CHAIN_ID, { dir });
+    expect(registry.deployments.map((deployment) => deployment.status)).to.deep.equal(["complete", "partial", "complete"]);
+    expect(registry.deployments[0].config.feeAddress).to.equal(FACTORY);
+    // Among imports the newest complete one is current
+    expect(registry.current).to.equal(imported[2].id);
+    expect(importLegacyDeployments({ dir })).to.deep.equal([]);
+
+    // A deployment recorded by deploy.js stays current through later imports
+    const fresh = record("2025-06-01T00:00:00.000Z", { PondCore: CORE_A });
+    write("hyperliquid_testnet_1743465600.json", { pondCore: CORE_B });
+    expect(importLegacyDeployments({ dir })).to.have.length(1);
+    registry = loadRegistry(CHAIN_ID, { dir });
+    expect(registry.current).to.equal(fresh.id);
+    expect(registry.deployments).to.have.length(5);
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { Interface, id } = require("ethers");
+const { decodeRevertData, extractRevertData, decodeError, isContractError } = require("../lib/errors");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Revert decoding", function () {
+  const options = { hre };
+
+  async function deployFixture() {
+    const [, alice] = await ethers.getSigners();
+    const { pondCore } = await deployPonds();
+    return { pondCore, alice };
+  }
+
+  it("decodes PondCore and OpenZeppelin errors thrown by real calls", async function () {
+    const { pondCore, alice } = await loadFixture(deployFixture);
+
+    const unknownPond = await pondCore
+      .toss(id("NO_SUCH_POND"), 0, { value: ethers.parseEther("0.01") })
+      .catch((e) => e);
+    const decoded = decodeError(unknownPond, options);
+    expect(decoded.name).to.equal("InvalidPondType");
+    expect(decoded.contracts).to.include("PondCore");
+    expect(decoded.explanation).to.match(/No pond exists/);
+    expect(isContractError(unknownPond, "InvalidPondType", options)).to.equal(true);
+    expect(isContractError(unknownPond, "TimelockActive", options)).to.equal(false);
+
+    const notAdmin = await pondCore.connect(alice).setFeePercent(3).catch((e) => e);
+    const denied = decodeError(notAdmin, options);
+    expect(denied.name).to.equal("AccessControlUnauthorizedAccount");
+    expect(denied.contracts).to.include("AccessControl");
+    expect(denied.args.map((arg) => arg.name)).to.deep.equal(["account", "neededRole"]);
+    expect(denied.args[0].value).to.equal(alice.address);
+    expect(denied.args[1].display).to.equal(`ADMIN_ROLE (${id("ADMIN_ROLE")})`);
+  });
+
+  it("decodes reason strings, panics and unknown selectors", function () {
+    const builtIn = new Interface(["error Error(string)", "error Panic(uint256)"]);
+
+    const reason = decodeRevertData(builtIn.encodeErrorResult("Error", ["nope"]), options);
+    expect(reason.name).to.equal("Error");
+    expect(reason.contracts).to.deep.equal(["Solidity"]);
+    expect(reason.args[0]).to.include({ name: "reason", display: "nope" });
+    expect(reason.explanation).to.equal('Reverted with reason: "nope"');
+
+    const panic = decodeRevertData(builtIn.encodeErrorResult("Panic", [0x11]), options);
+    expect(panic.name).to.equal("Panic");
+    expect(panic.args[0]).to.include({ name: "code", display: "17" });
+    expect(panic.explanation).to.equal("Solidity panic 0x11: arithmetic overflow or underflow");
+
+    const unknown = decodeRevertData("0xDEADBEEF", options);
+    expect(unknown).to.include({ selector: "0xdeadbeef", name: null, signature: null });
+    expect(unknown.explanation).to.match(/Unknown error selector 0xdeadbeef/);
+
+    expect(decodeRevertData("0x", options)).to.equal(null);
+    expect(decodeRevertData(null, options)).to.equal(null);
+    expect(decodeRevertData("not hex", options)).to.equal(null);
+  });
+
+  it("finds revert data however the provider nests it", function () {
+    const data = "0x12345678";
+    expect(extractRevertData({ data })).to.equal(data);
+    expect(extractRevertData({ data: { data } })).to.equal(data);
+    expect(extractRevertData({ error: { data } })).to.equal(data);
+    expect(extractRevertData({ info: { error: { data } } })).to.equal(data);
+    expect(extractRevertData({ cause: { revert: { data } } })).to.equal(data);
+    expect(extractRevertData({ data: "not hex", error: { data } })).to.equal(data);
+
+    // Too deep, or nothing there at all
+    let nested = { data };
+    for (let i = 0; i < 7; i++) nested = { error: nested };
+    expect(extractRevertData(nested)).to.equal(null);
+    expect(extractRevertData(new Error("network down"))).to.equal(null);
+    expect(extractRevertData(null)).to.equal(null);
+    expect(decodeError(new Error("network down"), options)).to.equal(null);
+  });
+});
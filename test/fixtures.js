@@ -0,0 +1,43 @@
+// test/fixtures.js
+// Shared deployment for the tests: PondCore and PondFactory with the native
+// standard ponds, set up the way scripts/deploy.js does it.
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Deploy PondCore (5% fee, 60s timelock) and a PondFactory holding
+ * FACTORY_ROLE, then create the five native standard ponds. The clock first
+ * moves just past the next multiple of `alignTo` seconds (0 leaves it) so the
+ * first rounds have room for the tosses a test makes. `startBlock` is the
+ * first block of the deployment, `createdAt` the time the ponds were created.
+ */
+async function deployPonds({ alignTo = 3600, maxParticipants = 1000, maxTossAmount = "10" } = {}) {
+  const [owner] = await ethers.getSigners();
+
+  if (alignTo > 0) {
+    const now = await time.latest();
+    await time.increaseTo(Math.ceil(now / alignTo) * alignTo + 10);
+  }
+  const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+  const PondCore = await ethers.getContractFactory("PondCore");
+  const pondCore = await PondCore.deploy(owner.address, 5, 60, maxParticipants);
+  const PondFactory = await ethers.getContractFactory("PondFactory");
+  const pondFactory = await PondFactory.deploy(await pondCore.getAddress());
+  await pondCore.grantRole(await pondCore.FACTORY_ROLE(), await pondFactory.getAddress());
+
+  const createTx = await pondFactory.createStandardPonds(
+    ethers.ZeroAddress,
+    "ETH",
+    ethers.parseEther("0.01"),
+    ethers.parseEther(maxTossAmount),
+    [0, 1, 2, 3, 4]
+  );
+  const createdAt = (await ethers.provider.getBlock((await createTx.wait()).blockNumber)).timestamp;
+
+  return { pondCore, pondFactory, startBlock, createdAt };
+}
+
+module.exports = {
+  deployPonds,
+};
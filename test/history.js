@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const {
+  blockAtTime,
+  feeFromPrize,
+  parseTime,
+  readFees,
+  readLeaderboard,
+  readWinners,
+  resolveBlockRange,
+  summarizeFees,
+} = require("../lib/history");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("History", function () {
+  async function deployFixture() {
+    const [, alice, bob, keeper] = await ethers.getSigners();
+
+    const { pondCore, startBlock } = await deployPonds();
+
+    const hourly = standardPondId("HOURLY");
+    await pondCore.connect(alice).toss(hourly, 0, { value: ethers.parseEther("0.1") });
+    await pondCore.connect(bob).toss(hourly, 0, { value: ethers.parseEther("0.3") });
+    await pondCore.connect(alice).toss(standardPondId("DAILY"), 0, { value: ethers.parseEther("0.5") });
+    const pond = await pondCore.ponds(hourly);
+    await time.increaseTo(Number(pond.endTime) + 61);
+    await pondCore.connect(keeper).selectLuckyWinner(hourly);
+
+    const client = await PondClient.fromHre(hre, { core: await pondCore.getAddress(), readOnly: true });
+    return { pondCore, client, hourly, startBlock, players: [alice.address, bob.address], alice, keeper };
+  }
+
+  it("reads the winner history with prize, fee, participants and selector", async function () {
+    const { client, hourly, startBlock, players, keeper } = await loadFixture(deployFixture);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    const chunks = [];
+    const rounds = await readWinners(client, {
+      fromBlock: startBlock,
+      toBlock,
+      chunk: 3,
+      onChunk: (range) => chunks.push(range),
+    });
+    expect(chunks.length).to.equal(Math.ceil((toBlock - startBlock + 1) / 3));
+    expect(rounds).to.have.length(1);
+    expect(players).to.include(rounds[0].winner);
+    expect(rounds[0]).to.include({
+      pondType: hourly,
+      pondName: "Hourly ETH Pond",
+      period: "HOURLY",
+      tokenSymbol: "ETH",
+      prize: ethers.parseEther("0.38"),
+      prizeFormatted: "0.38 ETH",
+      fee: ethers.parseEther("0.02"),
+      participants: 2,
+      selector: keeper.address,
+      totalFrogValue: ethers.parseEther("0.4"),
+    });
+  });
+
+  it("filters by pond, token and winner", async function () {
+    const { client, hourly, startBlock, players } = await loadFixture(deployFixture);
+    const range = { fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber() };
+
+    const [round] = await readWinners(client, range);
+    const loser = players.find((player) => player !== round.winner);
+    expect(await readWinners(client, { ...range, winner: round.winner })).to.have.length(1);
+    expect(await readWinners(client, { ...range, winner: loser })).to.have.length(0);
+    expect(await readWinners(client, { ...range, pond: standardPondId("DAILY") })).to.have.length(0);
+    expect(await readWinners(client, { ...range, pond: hourly, token: "native" })).to.have.length(1);
+    expect(await readWinners(client, { ...range, token: "usdc" })).to.have.length(0);
+  });
+
+  it("ranks participants per token, per pond and globally", async function () {
+    const { client, hourly, startBlock, players } = await loadFixture(deployFixture);
+    const range = { fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber() };
+    const [alice, bob] = players;
+    const [round] = await readWinners(client, range);
+
+    const byToken = await readLeaderboard(client, range);
+    expect(byToken.map((row) => [row.rank, row.participant, row.volume])).to.deep.equal([
+      [1, alice, ethers.parseEther("0.6")],
+      [2, bob, ethers.parseEther("0.3")],
+    ]);
+    const winnerRow = byToken.find((row) => row.participant === round.winner);
+    expect(winnerRow).to.include({ wins: 1, won: ethers.parseEther("0.38"), wonFormatted: "0.38 ETH", tokenSymbol: "ETH" });
+    expect(byToken[0]).to.include({ tosses: 2, rounds: 2, volumeFormatted: "0.6 ETH" });
+
+    const byPond = await readLeaderboard(client, { ...range, view: "pond", pond: hourly });
+    expect(byPond.map((row) => [row.participant, row.pondName, row.volume])).to.deep.equal([
+      [bob, "Hourly ETH Pond", ethers.parseEther("0.3")],
+      [alice, "Hourly ETH Pond", ethers.parseEther("0.1")],
+    ]);
+
+    const global = await readLeaderboard(client, { ...range, view: "global" });
+    expect(global[0]).to.include({ rank: 1, participant: alice, tosses: 2, volumeFormatted: "0.6 ETH" });
+    expect(global[0]).to.not.have.property("volume");
+    await expect(readLeaderboard(client, { ...range, view: "weekly" })).to.be.rejectedWith("Unknown leaderboard view");
+  });
+
+  it("recovers the fee from a prize", function () {
+    expect(feeFromPrize(ethers.parseEther("0.38"), 5)).to.deep.equal({
+      fee: ethers.parseEther("0.02"),
+      totalValue: ethers.parseEther("0.4"),
+    });
+    for (const totalValue of [1n, 98n, 12345n, 10n ** 18n + 7n]) {
+      for (const percent of [0n, 1n, 3n, 10n]) {
+        const fee = (totalValue * percent) / 100n;
+        expect(feeFromPrize(totalValue - fee, percent)).to.deep.equal({ fee, totalValue });
+      }
+    }
+  });
+
+  it("applies the fee rate in force at each round and sums per month, token and period", async function () {
+    const { pondCore, client, hourly, startBlock, alice, keeper } = await loadFixture(deployFixture);
+
+    await pondCore.setFeePercent(3);
+    await pondCore.connect(alice).toss(hourly, 0, { value: ethers.parseEther("1") });
+    await time.increaseTo(Number((await pondCore.ponds(hourly)).endTime) + 61);
+    await pondCore.connect(keeper).selectLuckyWinner(hourly);
+    const range = { fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber() };
+
+    const rounds = await readFees(client, range);
+    expect(rounds.map((round) => [round.feePercent, round.fee])).to.deep.equal([
+      [5, ethers.parseEther("0.02")],
+      [3, ethers.parseEther("0.03")],
+    ]);
+    expect(rounds[1]).to.include({ period: "HOURLY", tokenSymbol: "ETH", feeFormatted: "0.03 ETH" });
+
+    // A range that starts after the change falls back to the current rate
+    const [latest] = await readFees(client, { ...range, fromBlock: rounds[1].blockNumber });
+    expect(latest.feePercent).to.equal(3);
+    expect(await readFees(client, { ...range, pond: standardPondId("DAILY") })).to.have.length(0);
+
+    // A range that ends before the change still uses the rate of its time
+    const [first] = await readFees(client, { ...range, toBlock: rounds[0].blockNumber });
+    expect(first).to.include({ feePercent: 5, fee: ethers.parseEther("0.02"), totalValue: ethers.parseEther("0.4") });
+
+    const summary = await summarizeFees(client, rounds);
+    const months = [...new Set(rounds.map((round) => round.month))];
+    expect(summary).to.have.length(months.length);
+    expect(summary.reduce((sum, row) => sum + row.fees, 0n)).to.equal(ethers.parseEther("0.05"));
+    expect(summary.reduce((sum, row) => sum + row.rounds, 0)).to.equal(2);
+    expect(summary[0]).to.include({ month: rounds[0].month, period: "HOURLY", tokenSymbol: "ETH" });
+  });
+
+  it("prices winners like readFees and counts users only for rounds the scan covers", async function () {
+    const { pondCore, client, hourly, startBlock, alice, keeper } = await loadFixture(deployFixture);
+    const [, , bob] = await ethers.getSigners();
+
+    await pondCore.setFeePercent(3);
+    await pondCore.connect(alice).toss(hourly, 0, { value: ethers.parseEther("1") });
+    const bobToss = await (await pondCore.connect(bob).toss(hourly, 0, { value: ethers.parseEther("0.5") })).wait();
+    await pondCore.connect(keeper).topUpPond(hourly, 0, { value: ethers.parseEther("0.1") });
+    await time.increaseTo(Number((await pondCore.ponds(hourly)).endTime) + 61);
+    await pondCore.connect(keeper).selectLuckyWinner(hourly);
+    const range = { fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber() };
+
+    const winners = await readWinners(client, range);
+    const fees = await readFees(client, range);
+    expect(winners.map((round) => round.fee)).to.deep.equal(fees.map((round) => round.fee));
+    // The top-up is in the prize but not in totalFrogValue
+    expect(winners[1]).to.include({
+      fee: ethers.parseEther("0.048"),
+      participants: 2,
+      totalFrogValue: ethers.parseEther("1.5"),
+    });
+
+    const [late] = await readWinners(client, { ...range, fromBlock: bobToss.blockNumber });
+    expect(late).to.include({ fee: ethers.parseEther("0.048"), participants: null });
+  });
+
+  it("turns dates into block ranges", async function () {
+    const { client } = await loadFixture(deployFixture);
+    const latest = await ethers.provider.getBlock("latest");
+
+    expect(parseTime("1735689600")).to.equal(1735689600);
+    expect(parseTime("2025-01-01")).to.equal(1735689600);
+    expect(() => parseTime("someday")).to.throw("Invalid date");
+
+    expect(await blockAtTime(ethers.provider, latest.timestamp)).to.equal(latest.number);
+    expect(await blockAtTime(ethers.provider, latest.timestamp + 1)).to.equal(latest.number + 1);
+    expect(await resolveBlockRange(client, { since: latest.timestamp, until: latest.timestamp })).to.deep.equal({
+      fromBlock: latest.number,
+      toBlock: latest.number,
+    });
+    await expect(resolveBlockRange(client, {})).to.be.rejectedWith("pass --from");
+  });
+});
@@ -0,0 +1,700 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const { Keeper, backoffDelay } = require("../lib/keeper");
+const { KeeperPolicy } = require("../lib/keeper-policy");
+const { BatchClearer, newClearJob } = require("../lib/batch-clear");
+const { keeperHealth, startKeeperServer } = require("../lib/keeper-metrics");
+const { FileLease, KeeperLease } = require("../lib/lease");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+describe("Keeper", function () {
+  let stateDir;
+
+  beforeEach(function () {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+  });
+
+  afterEach(async function () {
+    await ethers.provider.send("evm_setAutomine", [true]);
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [, alice, bob] = await ethers.getSigners();
+
+    const { pondCore } = await deployPonds();
+
+    // Tosses in the five-minute and hourly ponds; the others stay empty
+    const fiveMin = standardPondId("FIVE_MINUTES");
+    const hourly = standardPondId("HOURLY");
+    for (const signer of [alice, bob]) {
+      await pondCore.connect(signer).toss(fiveMin, 0, { value: ethers.parseEther("0.1") });
+      await pondCore.connect(signer).toss(hourly, 0, { value: ethers.parseEther("0.2") });
+    }
+
+    return { pondCore, fiveMin, hourly };
+  }
+
+  async function newKeeper(pondCore, options = {}) {
+    const client = await PondClient.fromHre(hre, { core: await pondCore.getAddress() });
+    return new Keeper(client, {
+      stateFile: path.join(stateDir, "state.json"),
+      logger: silent,
+      ...options,
+    });
+  }
+
+  // Past the end of the hourly round plus the selection timelock
+  async function passHourlyRound(pondCore, hourly) {
+    const pond = await pondCore.ponds(hourly);
+    await time.increaseTo(Number(pond.endTime) + 61);
+  }
+
+  it("does nothing while no pond is eligible", async function () {
+    const { pondCore } = await loadFixture(deployFixture);
+    const keeper = await newKeeper(pondCore);
+
+    const summary = await keeper.runCycle();
+    expect(summary.eligible).to.equal(0);
+    expect(keeper.state.history).to.be.empty;
+  });
+
+  it("processes every eligible pond in one cycle", async function () {
+    const { pondCore, fiveMin, hourly } = await loadFixture(deployFixture);
+    await passHourlyRound(pondCore, hourly);
+
+    // checkUpkeep only ever reports the first of these
+    const keeper = await newKeeper(pondCore);
+    const summary = await keeper.runCycle();
+
+    expect(summary.eligible).to.equal(2);
+    expect(summary.confirmed).to.equal(2);
+
+    const byPond = Object.fromEntries(keeper.state.history.map((entry) => [entry.pondType, entry]));
+    expect(byPond[fiveMin].status).to.equal("winner");
+    expect(byPond[hourly].status).to.equal("winner");
+    expect((await keeper.findEligiblePonds()).map((pond) => pond.pondType)).to.be.empty;
+
+    // Both ponds were reset into a new round
+    const [upkeepNeeded] = await pondCore.checkUpkeep("0x");
+    expect(upkeepNeeded).to.equal(false);
+  });
+
+  it("resets empty ponds when their round is over", async function () {
+    const { pondCore } = await loadFixture(deployFixture);
+    const daily = standardPondId("DAILY");
+    const pond = await pondCore.ponds(daily);
+    await time.increaseTo(Number(pond.endTime) + 61);
+
+    const keeper = await newKeeper(pondCore);
+    await keeper.runCycle();
+
+    const entry = keeper.state.history.find((item) => item.pondType === daily);
+    expect(entry.status).to.equal("reset");
+    expect((await pondCore.ponds(daily)).endTime).to.be.greaterThan(pond.endTime);
+  });
+
+  it("does not resubmit a pending upkeep after a restart", async function () {
+    const { pondCore, hourly } = await loadFixture(deployFixture);
+    const [owner] = await ethers.getSigners();
+    await passHourlyRound(pondCore, hourly);
+
+    // Keep the upkeep transactions in the mempool
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const first = await newKeeper(pondCore, { confirmTimeout: 1 });
+    const summary = await first.runCycle();
+    expect(summary.pending).to.equal(2);
+
+    const nonceBefore = await ethers.provider.getTransactionCount(owner.address, "pending");
+    const inFlight = Object.values(first.state.inFlight);
+    expect(inFlight).to.have.length(2);
+    expect(inFlight.every((entry) => entry.hash)).to.equal(true);
+
+    // A fresh keeper reads the same state file and leaves them alone
+    const restarted = await newKeeper(pondCore, { confirmTimeout: 1 });
+    const again = await restarted.runCycle();
+    expect(again.inFlight).to.equal(2);
+    expect(await ethers.provider.getTransactionCount(owner.address, "pending")).to.equal(nonceBefore);
+
+    // Once mined, the next cycle records them and finds nothing left to do
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_setAutomine", [true]);
+    const settled = await restarted.runCycle();
+    expect(settled.eligible).to.equal(0);
+    expect(restarted.state.inFlight).to.deep.equal({});
+    expect(restarted.state.history.map((entry) => entry.status)).to.deep.equal(["winner", "winner"]);
+  });
+
+  it("rebroadcasts stuck upkeeps with higher fees", async function () {
+    const { pondCore, hourly } = await loadFixture(deployFixture);
+    await passHourlyRound(pondCore, hourly);
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const keeper = await newKeeper(pondCore, { confirmTimeout: 1, stuckAfter: 0 });
+    keeper.txs.options.pollInterval = 0.1;
+    keeper.txs.options.maxBumps = 1;
+    expect((await keeper.runCycle()).pending).to.equal(2);
+
+    const inFlight = Object.values(keeper.state.inFlight);
+    expect(inFlight.every((entry) => entry.hashes.length === 2 && entry.hash === entry.hashes[1])).to.equal(true);
+    const saved = JSON.parse(fs.readFileSync(keeper.stateFile, "utf8"));
+    expect(Object.values(saved.inFlight).map((entry) => entry.hash)).to.deep.equal(inFlight.map((entry) => entry.hash));
+
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_setAutomine", [true]);
+    await keeper.runCycle();
+    expect(keeper.state.history.map((entry) => entry.hash)).to.have.members(inFlight.map((entry) => entry.hash));
+  });
+
+  it("forgets an upkeep that was recorded but never sent", async function () {
+    const { pondCore, hourly } = await loadFixture(deployFixture);
+    const [owner] = await ethers.getSigners();
+    await passHourlyRound(pondCore, hourly);
+
+    const keeper = await newKeeper(pondCore);
+    const pond = await keeper.client.getPondStatus(hourly);
+    keeper.state.inFlight[hourly] = {
+      pondType: hourly,
+      name: pond.name,
+      endTime: pond.endTime,
+      from: owner.address,
+      nonce: await ethers.provider.getTransactionCount(owner.address, "pending"),
+      hash: null,
+      submittedAt: Math.floor(Date.now() / 1000),
+    };
+    keeper.save();
+
+    const summary = await (await newKeeper(pondCore)).runCycle();
+    expect(summary.confirmed).to.equal(2);
+  });
+
+  it("backs off exponentially while cycles fail", async function () {
+    const { pondCore } = await loadFixture(deployFixture);
+    const delays = [];
+    const keeper = await newKeeper(pondCore, {
+      interval: 30,
+      retryDelay: 5,
+      maxBackoff: 15,
+      sleep: async (seconds) => delays.push(seconds),
+    });
+
+    let calls = 0;
+    keeper.runCycle = async () => {
+      calls++;
+      if (calls <= 3) throw new Error("connection refused");
+      return { eligible: 0 };
+    };
+
+    await keeper.run({ maxCycles: 5 });
+    expect(delays).to.deep.equal([5, 10, 15, 30]);
+    expect(backoffDelay(1, { retryDelay: 5, maxBackoff: 300 })).to.equal(5);
+    expect(backoffDelay(7, { retryDelay: 5, maxBackoff: 300 })).to.equal(300);
+  });
+
+  describe("timeline", function () {
+    it("sleeps until the first pond becomes eligible", async function () {
+      const { pondCore, fiveMin } = await loadFixture(deployFixture);
+      const keeper = await newKeeper(pondCore, { interval: 3600 });
+      await keeper.runCycle();
+
+      // Five-minute ponds use a third of the 60s timelock
+      const pond = await pondCore.ponds(fiveMin);
+      const eligibleAt = Number(pond.endTime) + 20 + 1;
+      expect(keeper.timeline.nextWakeAt()).to.equal(eligibleAt);
+
+      const delay = keeper.nextDelay();
+      const expected = eligibleAt - (await time.latest());
+      expect(delay).to.be.within(expected - 2, expected + 1);
+
+      // Capped by the interval so events keep being read
+      keeper.options.interval = 10;
+      expect(keeper.nextDelay()).to.equal(10);
+    });
+
+    it("re-plans every pond when the selection timelock changes", async function () {
+      const { pondCore, fiveMin, hourly } = await loadFixture(deployFixture);
+      const keeper = await newKeeper(pondCore);
+      await keeper.runCycle();
+
+      await pondCore.setSelectionTimelock(600);
+      keeper.loadPonds = async () => {
+        throw new Error("unexpected full re-read");
+      };
+      await keeper.runCycle();
+
+      const hourlyEnd = Number((await pondCore.ponds(hourly)).endTime);
+      const fiveMinEnd = Number((await pondCore.ponds(fiveMin)).endTime);
+      expect(keeper.timeline.ponds.get(hourly).eligibleAt).to.equal(hourlyEnd + 600 + 1);
+      expect(keeper.timeline.ponds.get(fiveMin).eligibleAt).to.equal(fiveMinEnd + 200 + 1);
+    });
+
+    it("refreshes the cached config on any config change", async function () {
+      const { pondCore } = await loadFixture(deployFixture);
+      const keeper = await newKeeper(pondCore);
+      await keeper.runCycle();
+      expect((await keeper.client.getConfig()).feePercent).to.equal(5);
+
+      await pondCore.setFeePercent(8);
+      await keeper.runCycle();
+      expect((await keeper.client.getConfig()).feePercent).to.equal(8);
+    });
+
+    it("follows created ponds and resets by other callers from events", async function () {
+      const { pondCore, fiveMin, hourly } = await loadFixture(deployFixture);
+      const [owner, alice] = await ethers.getSigners();
+      const keeper = await newKeeper(pondCore);
+      await keeper.runCycle();
+      keeper.loadPonds = async () => {
+        throw new Error("unexpected full re-read");
+      };
+
+      await pondCore.grantRole(await pondCore.FACTORY_ROLE(), owner.address);
+      const custom = ethers.id("KEEPER_CUSTOM");
+      const now = await time.latest();
+      await pondCore.createPond(
+        custom,
+        "Keeper Custom",
+        now,
+        now + 7200,
+        ethers.parseEther("0.01"),
+        ethers.parseEther("1"),
+        0,
+        ethers.ZeroAddress,
+        5
+      );
+
+      // Someone else selects the hourly winner before the keeper wakes up
+      await passHourlyRound(pondCore, hourly);
+      await pondCore.connect(alice).selectLuckyWinner(hourly);
+
+      const summary = await keeper.runCycle();
+      expect(keeper.timeline.ponds.get(custom).endTime).to.equal(now + 7200);
+      expect(keeper.timeline.ponds.get(hourly).endTime).to.equal(Number((await pondCore.ponds(hourly)).endTime));
+
+      // Only the five-minute pond was left for the keeper
+      expect(summary.confirmed).to.equal(1);
+      expect(keeper.state.history.map((entry) => entry.pondType)).to.deep.equal([fiveMin]);
+    });
+  });
+
+  describe("large pond resets", function () {
+    // Hourly pond with more participants than the emergency batch size
+    async function largePondFixture() {
+      const base = await deployFixture();
+      const { pondCore, hourly } = base;
+      const signers = (await ethers.getSigners()).slice(3, 9);
+      for (const signer of signers) {
+        await pondCore.connect(signer).toss(hourly, 0, { value: ethers.parseEther("0.05") });
+      }
+      await pondCore.updateEmergencyBatchSize(3);
+      return { ...base, signers };
+    }
+
+    it("batch clears every participant after the selection", async function () {
+      const { pondCore, hourly, signers } = await loadFixture(largePondFixture);
+      await passHourlyRound(pondCore, hourly);
+
+      // A tiny gas target forces several chunks
+      const keeper = await newKeeper(pondCore, { clearGasTarget: 30_000n });
+      const summary = await keeper.runCycle();
+
+      expect(summary.cleared).to.equal(1);
+      expect(keeper.state.clears).to.deep.equal({});
+      expect(await pondCore.getPondParticipants(hourly)).to.be.empty;
+      for (const signer of signers) {
+        expect(await pondCore.getUserTossAmount(hourly, signer.address)).to.equal(0n);
+      }
+    });
+
+    it("resumes an interrupted clear from the state file", async function () {
+      const { pondCore, hourly } = await loadFixture(largePondFixture);
+      await passHourlyRound(pondCore, hourly);
+
+      const first = await newKeeper(pondCore, { clearGasTarget: 30_000n });
+      let chunks = 0;
+      const run = first.clearer.run.bind(first.clearer);
+      first.clearer.run = (job, hooks) =>
+        run(job, { ...hooks, shouldStop: () => chunks++ > 0 });
+      await first.runCycle();
+
+      const job = first.state.clears[hourly];
+      expect(job.participantCount).to.equal(8);
+      expect(job.nextIndex).to.be.greaterThan(0).and.lessThan(8);
+
+      const restarted = await newKeeper(pondCore, { clearGasTarget: 30_000n });
+      const summary = await restarted.runCycle();
+      expect(summary.cleared).to.equal(1);
+      expect(await pondCore.getPondParticipants(hourly)).to.be.empty;
+    });
+
+    it("picks up large resets by other callers and keeps new-round participants", async function () {
+      const { pondCore, hourly } = await loadFixture(largePondFixture);
+      const [, , , , , , , , , newcomer] = await ethers.getSigners();
+      const keeper = await newKeeper(pondCore);
+      await keeper.runCycle();
+
+      await passHourlyRound(pondCore, hourly);
+      await pondCore.selectLuckyWinner(hourly);
+      await pondCore.connect(newcomer).toss(hourly, 0, { value: ethers.parseEther("0.05") });
+
+      await keeper.runCycle();
+
+      // The old round's eight entries are cleared, the newcomer keeps their toss
+      const remaining = await pondCore.getPondParticipants(hourly);
+      expect(remaining).to.have.length(9);
+      expect(remaining[8].participant).to.equal(newcomer.address);
+      expect(await pondCore.getUserTossAmount(hourly, newcomer.address)).to.equal(ethers.parseEther("0.05"));
+      expect(remaining.slice(0, 8).every((entry) => entry.tossAmount === 0n)).to.equal(true);
+    });
+
+    it("does not clear a finished reset again when the event scan reaches it", async function () {
+      const { pondCore, hourly } = await loadFixture(largePondFixture);
+      const [, , , , , , , , , newcomer] = await ethers.getSigners();
+      await passHourlyRound(pondCore, hourly);
+
+      const keeper = await newKeeper(pondCore);
+      expect((await keeper.runCycle()).cleared).to.equal(1);
+      await pondCore.connect(newcomer).toss(hourly, 0, { value: ethers.parseEther("0.05") });
+
+      await keeper.runCycle();
+      expect(keeper.state.clears).to.deep.equal({});
+      expect(await pondCore.getUserTossAmount(hourly, newcomer.address)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("extends a queued clear when the pond is reset again before it finishes", async function () {
+      const { pondCore, hourly } = await loadFixture(largePondFixture);
+      const newcomers = (await ethers.getSigners()).slice(9, 13);
+      const keeper = await newKeeper(pondCore);
+      await keeper.runCycle();
+
+      const run = keeper.clearer.run.bind(keeper.clearer);
+      keeper.clearer.run = async () => "stopped";
+      await passHourlyRound(pondCore, hourly);
+      await pondCore.selectLuckyWinner(hourly);
+      await keeper.runCycle();
+      expect(keeper.state.clears[hourly].participantCount).to.equal(8);
+
+      for (const signer of newcomers) {
+        await pondCore.connect(signer).toss(hourly, 0, { value: ethers.parseEther("0.05") });
+      }
+      await passHourlyRound(pondCore, hourly);
+      await pondCore.selectLuckyWinner(hourly);
+      keeper.clearer.run = run;
+      const summary = await keeper.runCycle();
+
+      expect(summary.cleared).to.equal(1);
+      expect(await pondCore.getPondParticipants(hourly)).to.be.empty;
+      for (const signer of newcomers) {
+        expect(await pondCore.getUserTossAmount(hourly, signer.address)).to.equal(0n);
+      }
+    });
+
+    it("finds resets made while it was down", async function () {
+      const { pondCore, hourly } = await loadFixture(largePondFixture);
+      await (await newKeeper(pondCore)).runCycle();
+
+      await passHourlyRound(pondCore, hourly);
+      await pondCore.selectLuckyWinner(hourly);
+
+      const restarted = await newKeeper(pondCore);
+      const summary = await restarted.runCycle();
+      expect(summary.cleared).to.equal(1);
+      expect(await pondCore.getPondParticipants(hourly)).to.be.empty;
+    });
+
+    it("keeps the chunk that deletes the list within the gas target", async function () {
+      const { pondCore, hourly } = await loadFixture(largePondFixture);
+      await passHourlyRound(pondCore, hourly);
+      await pondCore.selectLuckyWinner(hourly);
+
+      const client = await PondClient.fromHre(hre, { core: await pondCore.getAddress() });
+      // Just short of the whole list in one go, which the per-participant probe would allow
+      const gasTarget = (await pondCore.batchClearParticipants.estimateGas(hourly, 0, 8)) - 1n;
+      const receipts = [];
+      const clearer = new BatchClearer(client, {
+        gasTarget,
+        probeSize: 7,
+        logger: silent,
+        onReceipt: (receipt) => receipts.push(receipt),
+      });
+
+      const job = newClearJob({ pondType: hourly, name: "Hourly", participantCount: 8n, blockNumber: 0 });
+      expect(await clearer.run(job)).to.equal("done");
+      expect(receipts.length).to.be.greaterThan(1);
+      for (const receipt of receipts) {
+        expect(receipt.gasUsed).to.be.at.most(gasTarget);
+      }
+      expect(await pondCore.getPondParticipants(hourly)).to.be.empty;
+    });
+  });
+
+  describe("policy", function () {
+    const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+    const config = { feePercent: 5 };
+    const now = 1_800_000_000;
+    const pond = (overrides = {}) => ({
+      totalTosses: 4,
+      totalValue: ethers.parseEther("1"),
+      isNative: true,
+      token: { symbol: "ETH", decimals: 18 },
+      selectionEligibleAt: now - 60,
+      ...overrides,
+    });
+
+    it("waits for gas below the ceiling, then gives way after maxDelay", function () {
+      const policy = new KeeperPolicy({ maxGasPrice: gwei(10), maxDelay: 600, retryDelay: 120 });
+      const args = { config, gasEstimate: 100_000n, gasPrice: gwei(20), now };
+
+      const delayed = policy.evaluate({ ...args, pond: pond() });
+      expect(delayed.action).to.equal("delay");
+      expect(delayed.retryAt).to.equal(now + 120);
+      expect(delayed.details).to.include("20.0 gwei").and.include("gas ceiling 10.0 gwei");
+
+      const forced = policy.evaluate({ ...args, pond: pond({ selectionEligibleAt: now - 600 }) });
+      expect(forced.action).to.equal("send");
+      expect(forced.reason).to.include("sent anyway after 600s");
+    });
+
+    it("delays while gas would eat too much of the round's fee", function () {
+      // Fee is 0.05 ETH; 100k gas at 200 gwei costs 0.02 ETH = 40% of it
+      const policy = new KeeperPolicy({ maxFeeFraction: 0.25 });
+      const args = { config, gasEstimate: 100_000n, gasPrice: gwei(200), now };
+
+      const delayed = policy.evaluate({ ...args, pond: pond() });
+      expect(delayed.action).to.equal("delay");
+      expect(delayed.details).to.include("cost is 40% of it (limit 25%)");
+
+      const cheaper = policy.evaluate({ ...args, gasPrice: gwei(100), pond: pond() });
+      expect(cheaper.action).to.equal("send");
+    });
+
+    it("gives empty ponds their own ceiling and skips the fee rule", function () {
+      const policy = new KeeperPolicy({ maxGasPrice: gwei(50), emptyMaxGasPrice: gwei(5), maxFeeFraction: 0.1 });
+      const args = { config, gasEstimate: 60_000n, now };
+      const empty = pond({ totalTosses: 0, totalValue: 0n });
+
+      expect(policy.evaluate({ ...args, gasPrice: gwei(20), pond: empty }).action).to.equal("delay");
+      expect(policy.evaluate({ ...args, gasPrice: gwei(4), pond: empty }).action).to.equal("send");
+    });
+
+    it("never exceeds the rolling budgets", function () {
+      const policy = new KeeperPolicy({ dailyBudget: ethers.parseEther("0.01"), maxDelay: 0 });
+      const wallNow = 1_700_000_000;
+      const ledger = [
+        { at: wallNow - 23 * 3600, cost: ethers.parseEther("0.006").toString() },
+        { at: wallNow - 3600, cost: ethers.parseEther("0.003").toString() },
+      ];
+      const args = { config, gasEstimate: 100_000n, gasPrice: gwei(20), pond: pond(), ledger, now, wallNow };
+
+      // 0.009 spent + 0.002 does not fit; the oldest entry rolls out in an hour
+      const decision = policy.evaluate(args);
+      expect(decision.action).to.equal("delay");
+      expect(decision.reason).to.equal("daily budget would be exceeded");
+      expect(decision.retryAt).to.equal(now + 3600);
+      expect(policy.budgetExhausted(ledger, wallNow)).to.equal(null);
+    });
+
+    it("delays upkeeps in the keeper and logs the numbers", async function () {
+      const { pondCore, hourly } = await loadFixture(deployFixture);
+      await passHourlyRound(pondCore, hourly);
+
+      const lines = [];
+      const logger = { ...silent, info: (line) => lines.push(line) };
+      const keeper = await newKeeper(pondCore, { logger, policy: { maxGasPrice: 1n } });
+      const summary = await keeper.runCycle();
+
+      expect(summary.delayed).to.equal(2);
+      expect(summary.confirmed).to.equal(0);
+      expect(keeper.state.history).to.be.empty;
+      expect(lines.some((line) => line.includes("delayed until") && line.includes("gas ceiling 0.000000001 gwei"))).to.equal(true);
+      expect((await keeper.runCycle()).due).to.equal(0);
+    });
+
+    it("records what upkeeps spend", async function () {
+      const { pondCore, hourly } = await loadFixture(deployFixture);
+      await passHourlyRound(pondCore, hourly);
+
+      const keeper = await newKeeper(pondCore);
+      await keeper.runCycle();
+      expect(keeper.state.spend).to.have.length(2);
+      expect(keeper.state.spend.every((entry) => entry.kind === "upkeep" && BigInt(entry.cost) > 0n)).to.equal(true);
+    });
+  });
+
+  describe("metrics and health endpoint", function () {
+    let server;
+
+    afterEach(function () {
+      if (server) server.close();
+      server = null;
+    });
+
+    async function serve(keeper) {
+      server = await startKeeperServer(keeper, { port: 0, maxAge: 600 });
+      const base = `http://127.0.0.1:${server.address().port}`;
+      return async (pathname) => {
+        const res = await fetch(`${base}${pathname}`);
+        return { status: res.status, text: await res.text() };
+      };
+    }
+
+    // Metric values by name (with labels), from Prometheus text
+    function parseMetrics(text) {
+      const values = {};
+      for (const line of text.split("\n")) {
+        if (!line || line.startsWith("#")) continue;
+        const at = line.lastIndexOf(" ");
+        values[line.slice(0, at)] = line.slice(at + 1);
+      }
+      return values;
+    }
+
+    it("reports health once a cycle has completed", async function () {
+      const { pondCore } = await loadFixture(deployFixture);
+      const keeper = await newKeeper(pondCore);
+      const get = await serve(keeper);
+
+      const starting = await get("/healthz");
+      expect(starting.status).to.equal(503);
+      expect(JSON.parse(starting.text).status).to.equal("starting");
+
+      await keeper.runCycle();
+      const healthy = await get("/healthz");
+      expect(healthy.status).to.equal(200);
+      expect(JSON.parse(healthy.text)).to.include({ status: "ok", consecutiveFailures: 0 });
+
+      keeper.lastCycleAt -= 601;
+      expect((await get("/healthz")).status).to.equal(503);
+      expect((await get("/nope")).status).to.equal(404);
+    });
+
+    it("exposes pending ponds, selections, gas, balance and failures", async function () {
+      const { pondCore, fiveMin, hourly } = await loadFixture(deployFixture);
+      const [owner] = await ethers.getSigners();
+      const keeper = await newKeeper(pondCore);
+      const get = await serve(keeper);
+
+      await keeper.runCycle();
+      await passHourlyRound(pondCore, hourly);
+      await keeper.runCycle();
+
+      // The five-minute pond's next round ends without tosses; an early call fails with TimelockActive
+      const pond = await keeper.client.getPondStatus(fiveMin);
+      await time.increaseTo(pond.endTime + 1);
+      await keeper.upkeep(pond);
+
+      const { status, text } = await get("/metrics");
+      expect(status).to.equal(200);
+      expect(text).to.include("# TYPE luckyponds_keeper_failures_total counter");
+
+      const metrics = parseMetrics(text);
+      expect(metrics.luckyponds_keeper_cycles_total).to.equal("2");
+      expect(metrics['luckyponds_keeper_upkeeps_total{outcome="confirmed"}']).to.equal("2");
+      expect(metrics['luckyponds_keeper_failures_total{stage="upkeep",error="TimelockActive"}']).to.equal("1");
+      expect(BigInt(metrics['luckyponds_keeper_gas_spent_wei_total{kind="upkeep"}'])).to.be.greaterThan(0n);
+      expect(metrics.luckyponds_keeper_balance_wei).to.equal((await ethers.provider.getBalance(owner.address)).toString());
+      expect(Number(metrics.luckyponds_keeper_seconds_since_last_selection)).to.be.within(0, 5);
+      expect(metrics.luckyponds_keeper_ponds_tracked).to.equal("5");
+      expect(metrics.luckyponds_keeper_ponds_pending_selection).to.equal("0");
+    });
+
+    it("counts ponds waiting for selection", async function () {
+      const { pondCore, hourly } = await loadFixture(deployFixture);
+      const keeper = await newKeeper(pondCore, { policy: { maxGasPrice: 1n } });
+      const get = await serve(keeper);
+
+      await passHourlyRound(pondCore, hourly);
+      await keeper.runCycle();
+
+      const metrics = parseMetrics((await get("/metrics")).text);
+      expect(metrics.luckyponds_keeper_ponds_pending_selection).to.equal("2");
+      expect(metrics['luckyponds_keeper_upkeeps_total{outcome="delayed"}']).to.equal("2");
+      expect(metrics.luckyponds_keeper_last_selection_timestamp_seconds).to.equal(undefined);
+    });
+  });
+
+  describe("leases and pre-flight", function () {
+    it("stands by while another keeper holds the lease and takes over once it is released", async function () {
+      const { pondCore, hourly } = await loadFixture(deployFixture);
+      const lockFile = path.join(stateDir, "keeper.lock");
+      const leader = await newKeeper(pondCore, {
+        stateFile: path.join(stateDir, "leader.json"),
+        lease: new KeeperLease([new FileLease(lockFile, { owner: "leader" })]),
+      });
+      const standby = await newKeeper(pondCore, {
+        stateFile: path.join(stateDir, "standby.json"),
+        lease: new KeeperLease([new FileLease(lockFile, { owner: "standby" })]),
+      });
+      await passHourlyRound(pondCore, hourly);
+
+      expect(await leader.takeLease()).to.equal(true);
+      await standby.run({ maxCycles: 1 });
+      expect(standby.standby).to.equal(true);
+      expect(standby.state.history).to.be.empty;
+      expect(keeperHealth(standby, { maxAge: 600 })).to.deep.include({ code: 200 });
+      expect(keeperHealth(standby, { maxAge: 600 }).body.status).to.equal("standby");
+
+      await leader.lease.release();
+      await standby.run({ maxCycles: 1 });
+      expect(standby.standby).to.equal(false);
+      expect(standby.state.history.map((entry) => entry.status)).to.deep.equal(["winner", "winner"]);
+      expect(fs.existsSync(lockFile)).to.equal(false); // Released when the run ended
+    });
+
+    it("re-plans instead of sending when someone else selects the pond first", async function () {
+      const { pondCore, hourly } = await loadFixture(deployFixture);
+      const [, , , rival] = await ethers.getSigners();
+      const keeper = await newKeeper(pondCore);
+      await passHourlyRound(pondCore, hourly);
+      await keeper.resync(await ethers.provider.getBlock("latest"));
+
+      const pond = await keeper.client.getPondStatus(hourly);
+      const nonce = await ethers.provider.getTransactionCount(keeper.client.signerAddress);
+
+      // Another keeper's selection lands between our gas estimate and the send
+      const { provider } = keeper.client;
+      const getFeeData = provider.getFeeData;
+      provider.getFeeData = async function () {
+        provider.getFeeData = getFeeData;
+        await pondCore.connect(rival).selectLuckyWinner(hourly);
+        return getFeeData.call(this);
+      };
+      try {
+        expect(await keeper.upkeep(pond)).to.equal("replanned");
+      } finally {
+        provider.getFeeData = getFeeData;
+      }
+
+      expect(await ethers.provider.getTransactionCount(keeper.client.signerAddress)).to.equal(nonce);
+      expect(keeper.state.inFlight).to.be.empty;
+      expect(keeper.timeline.ponds.get(hourly).eligibleAt).to.be.greaterThan(pond.selectionEligibleAt);
+    });
+  });
+
+  it("stops cleanly on SIGTERM", async function () {
+    const { pondCore } = await loadFixture(deployFixture);
+    const listenersBefore = process.listenerCount("SIGTERM");
+
+    const keeper = await newKeeper(pondCore, {
+      sleep: async () => {
+        process.emit("SIGTERM", "SIGTERM");
+      },
+    });
+    await keeper.run();
+
+    expect(keeper.stopping).to.equal(true);
+    expect(process.listenerCount("SIGTERM")).to.equal(listenersBefore);
+    const saved = JSON.parse(fs.readFileSync(keeper.stateFile, "utf8"));
+    expect(saved.lastCycle.eligible).to.equal(0);
+  });
+});
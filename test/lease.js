@@ -0,0 +1,158 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+const { expect } = require("chai");
+const { FileLease, HttpLease, KeeperLease, startLeaseServer } = require("../lib/lease");
+
+describe("Leases", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lease-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("file lock", function () {
+    it("is held by one owner at a time and renewed by its holder", async function () {
+      const file = path.join(tmpDir, "keeper.lock");
+      const a = new FileLease(file, { owner: "a" });
+      const b = new FileLease(file, { owner: "b" });
+
+      expect((await a.acquire()).held).to.equal(true);
+      const refused = await b.acquire();
+      expect(refused.held).to.equal(false);
+      expect(refused.holder.owner).to.equal("a");
+      expect(b.held).to.equal(false);
+
+      const before = JSON.parse(fs.readFileSync(file, "utf8")).expiresAt;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect((await a.acquire()).held).to.equal(true);
+      expect(JSON.parse(fs.readFileSync(file, "utf8")).expiresAt).to.be.greaterThan(before);
+
+      // Releasing someone else's lock does nothing
+      await b.release();
+      expect(fs.existsSync(file)).to.equal(true);
+
+      await a.release();
+      expect((await b.acquire()).held).to.equal(true);
+    });
+
+    it("takes over expired locks and locks of dead processes", async function () {
+      const file = path.join(tmpDir, "keeper.lock");
+      const lease = new FileLease(file, { owner: "new" });
+
+      fs.writeFileSync(file, JSON.stringify({ owner: "expired", host: "elsewhere", pid: 1, expiresAt: 1 }));
+      expect((await lease.acquire()).held).to.equal(true);
+      await lease.release();
+
+      const { pid } = spawnSync(process.execPath, ["-e", ""]);
+      const expiresAt = Date.now() / 1000 + 300;
+      fs.writeFileSync(file, JSON.stringify({ owner: "crashed", host: os.hostname(), pid, expiresAt }));
+      expect((await lease.acquire()).held).to.equal(true);
+      expect(JSON.parse(fs.readFileSync(file, "utf8")).owner).to.equal("new");
+    });
+  });
+
+  describe("lease server", function () {
+    let server;
+    let now;
+
+    beforeEach(async function () {
+      now = 1000;
+      server = await startLeaseServer({ port: 0, token: "secret", now: () => now });
+    });
+
+    afterEach(function () {
+      server.close();
+    });
+
+    const url = () => `http://127.0.0.1:${server.address().port}`;
+
+    it("grants a lease to one owner until it expires or is released", async function () {
+      const a = new HttpLease(url(), { name: "chain-1-0xcore", owner: "a", ttl: 60, token: "secret" });
+      const b = new HttpLease(url(), { name: "chain-1-0xcore", owner: "b", ttl: 60, token: "secret" });
+      const other = new HttpLease(url(), { name: "chain-2-0xcore", owner: "b", ttl: 60, token: "secret" });
+
+      expect((await a.acquire()).held).to.equal(true);
+      const refused = await b.acquire();
+      expect(refused.held).to.equal(false);
+      expect(refused.holder).to.deep.equal({ owner: "a", expiresAt: 1060 });
+      expect((await other.acquire()).held).to.equal(true);
+
+      now += 61;
+      expect((await b.acquire()).held).to.equal(true);
+      expect((await a.acquire()).held).to.equal(false);
+
+      await b.release();
+      expect((await a.acquire()).held).to.equal(true);
+
+      const res = await fetch(`${url()}/leases`, { headers: { Authorization: "Bearer secret" } });
+      expect((await res.json()).map((lease) => lease.name)).to.deep.equal(["chain-1-0xcore"]); // chain-2 expired
+    });
+
+    it("holds a lease no longer than the server granted", async function () {
+      server.close();
+      server = await startLeaseServer({ port: 0, token: "secret", maxTtl: 30, now: () => now });
+      const lease = new HttpLease(url(), { name: "chain-1-0xcore", owner: "a", ttl: 60, token: "secret" });
+
+      const before = Date.now() / 1000;
+      const result = await lease.acquire();
+      expect(result.held).to.equal(true);
+      expect(result.holder).to.deep.equal({ owner: "a", expiresAt: 1030, ttl: 30 });
+      expect(lease.heldUntil).to.be.at.most(Date.now() / 1000 + 30).and.at.least(before + 29);
+    });
+
+    it("rejects requests without the token", async function () {
+      const lease = new HttpLease(url(), { name: "chain-1-0xcore", owner: "a" });
+      let error;
+      try {
+        await lease.acquire();
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.include("HTTP 401");
+    });
+
+    it("keeps a held lease while the server is unreachable, until it would expire", async function () {
+      const lease = new HttpLease(url(), { name: "chain-1-0xcore", owner: "a", ttl: 60, token: "secret", timeout: 1 });
+      await lease.acquire();
+      server.close();
+      server.closeAllConnections();
+
+      const result = await lease.acquire();
+      expect(result.held).to.equal(true);
+      expect(result.error).to.be.an("error");
+
+      lease.heldUntil = Date.now() / 1000 - 1;
+      let error;
+      try {
+        await lease.acquire();
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an("error");
+    });
+
+    it("gives back the file lock when another host holds the shared lease", async function () {
+      const file = path.join(tmpDir, "keeper.lock");
+      const elsewhere = new HttpLease(url(), { name: "chain-1-0xcore", owner: "elsewhere", token: "secret" });
+      await elsewhere.acquire();
+
+      const lease = new KeeperLease([
+        new FileLease(file, { owner: "here" }),
+        new HttpLease(url(), { name: "chain-1-0xcore", owner: "here", token: "secret" }),
+      ]);
+      expect(await lease.acquire()).to.equal(false);
+      expect(lease.holder).to.include({ owner: "elsewhere", lease: `lease server 127.0.0.1:${server.address().port}` });
+      expect(fs.existsSync(file)).to.equal(false);
+
+      await elsewhere.release();
+      expect(await lease.acquire()).to.equal(true);
+      expect(lease.held).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const {
+  decodeConfig,
+  decodePond,
+  decodePondStatus,
+  effectiveTimelock,
+  periodName,
+  periodValue,
+  tokenTypeName,
+} = require("../lib/models");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Models", function () {
+  async function deployFixture() {
+    const [, alice] = await ethers.getSigners();
+    const { pondCore } = await deployPonds();
+    const hourly = await pondCore.HOURLY_POND_TYPE();
+    await pondCore.connect(alice).toss(hourly, 0, { value: ethers.parseEther("0.3") });
+
+    const client = await PondClient.fromHre(hre, { core: await pondCore.getAddress(), readOnly: true });
+    return { pondCore, client, hourly };
+  }
+
+  it("names enum values and parses period names and labels", function () {
+    expect(tokenTypeName(1)).to.equal("ERC20");
+    expect(periodName(0n)).to.equal("FIVE_MINUTES");
+    expect(() => periodName(9)).to.throw(/Unknown PondPeriod value: 9/);
+    expect(periodValue("daily")).to.equal(2);
+    expect(periodValue("Five-Min")).to.equal(0);
+    expect(periodValue("FIVE_MINUTES")).to.equal(0);
+    expect(() => periodValue("yearly")).to.throw(/Unknown pond period "yearly"/);
+  });
+
+  it("decodes getConfig into named fields", async function () {
+    const { pondCore, client } = await loadFixture(deployFixture);
+    const [owner] = await ethers.getSigners();
+
+    const config = decodeConfig(await pondCore.getConfig());
+    expect(config).to.include({
+      maxParticipantsPerPond: 1000,
+      emergencyBatchSize: 100,
+      feePercent: 5,
+      selectionTimelock: 60,
+      feeAddress: owner.address,
+    });
+    expect(await client.getConfig()).to.deep.equal(config);
+    expect(effectiveTimelock(0, config)).to.equal(20);
+    expect(effectiveTimelock(1, config)).to.equal(60);
+  });
+
+  it("decodes getPondStatus and ponds() into the same pond", async function () {
+    const { pondCore, client, hourly } = await loadFixture(deployFixture);
+    const now = await time.latest();
+    const config = decodeConfig(await pondCore.getConfig());
+    const token = { symbol: "ETH", decimals: 18 };
+
+    const status = decodePondStatus(hourly, await pondCore.getPondStatus(hourly), { token, config, now });
+    const pond = decodePond(await pondCore.ponds(hourly), { token, config, now });
+    const shared = {
+      pondType: hourly,
+      name: "Hourly ETH Pond",
+      totalTosses: 1,
+      totalValue: ethers.parseEther("0.3"),
+      totalParticipants: 1,
+      prizeDistributed: false,
+      tokenType: 0,
+      tokenTypeName: "NATIVE",
+      tokenAddress: ethers.ZeroAddress,
+      period: 1,
+      periodName: "HOURLY",
+      periodLabel: "Hourly",
+      isNative: true,
+      isOpen: true,
+      effectiveTimelock: 60,
+      isSelectionEligible: false,
+    };
+    expect(status).to.include(shared);
+    expect(pond).to.include(shared);
+    expect(pond.totalFrogValue).to.equal(ethers.parseEther("0.3"));
+    for (const field of ["startTime", "endTime", "selectionEligibleAt", "minTossPrice", "maxTotalTossAmount"]) {
+      expect(pond[field]).to.equal(status[field]);
+    }
+    expect(status.selectionEligibleAt).to.equal(status.endTime + 61);
+    expect(status.timeUntilEnd).to.equal(status.endTime - now);
+    expect(status.formatted).to.deep.equal({
+      totalValue: "0.3 ETH",
+      minTossPrice: "0.01 ETH",
+      maxTotalTossAmount: "10.0 ETH",
+    });
+  });
+
+  it("derives selection timing from the chain time through the client", async function () {
+    const { client, hourly } = await loadFixture(deployFixture);
+
+    const open = await client.getPondStatus(hourly);
+    expect(open).to.include({ isOpen: true, isSelectionEligible: false });
+    await time.increaseTo(open.selectionEligibleAt);
+    const eligible = await client.getPond(hourly);
+    expect(eligible).to.include({ isOpen: false, isSelectionEligible: true });
+    expect(eligible.token).to.include({ symbol: "ETH", decimals: 18 });
+
+    const missing = await client.getPond(ethers.id("NO_SUCH_POND"));
+    expect(missing.endTime).to.equal(0);
+  });
+});
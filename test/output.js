@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const { formatRecords, pondRecord, resolveFormat } = require("../lib/output");
+const { decodePondStatus } = require("../lib/models");
+
+describe("Output formats", function () {
+  const records = [
+    { name: "Daily, ETH", value: 10n ** 30n, nested: { prize: 5n }, note: 'say "hi"' },
+    { name: "Hourly", value: 1n, extra: true },
+  ];
+
+  it("renders JSON and NDJSON with bigints as strings", function () {
+    const json = JSON.parse(formatRecords(records, "json"));
+    expect(json[0].value).to.equal("1000000000000000000000000000000");
+    expect(json[0].nested).to.deep.equal({ prize: "5" });
+
+    const lines = formatRecords(records, "ndjson").trim().split("\n");
+    expect(lines).to.have.length(2);
+    expect(JSON.parse(lines[1])).to.deep.equal({ name: "Hourly", value: "1", extra: true });
+  });
+
+  it("renders CSV with every column and quoting", function () {
+    expect(formatRecords(records, "csv")).to.equal(
+      [
+        "name,value,nested,note,extra",
+        '"Daily, ETH",1000000000000000000000000000000,"{""prize"":""5""}","say ""hi""",',
+        "Hourly,1,,,true",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("picks the format from --format, then the --out extension", function () {
+    expect(resolveFormat(undefined, undefined)).to.equal("table");
+    expect(resolveFormat("csv", "ponds.json")).to.equal("csv");
+    expect(resolveFormat(undefined, "out/ponds.jsonl")).to.equal("ndjson");
+    expect(() => resolveFormat("xml")).to.throw("Unknown --format");
+    expect(() => resolveFormat("table", "ponds.txt")).to.throw("--out needs");
+    expect(() => resolveFormat(undefined, "ponds.txt")).to.throw("Can't tell the format");
+  });
+
+  it("flattens decoded ponds with raw and formatted amounts", function () {
+    const raw = ["Daily ETH", 1000n, 87400n, 3n, 15n * 10n ** 17n, 2n, false, 0n, 10n ** 16n, 10n ** 19n, 0n, "0x" + "00".repeat(20), 2n];
+    const pond = decodePondStatus("0x" + "11".repeat(32), raw, {
+      token: { symbol: "ETH", decimals: 18 },
+      config: { selectionTimelock: 60 },
+      now: 90000,
+    });
+
+    const record = pondRecord(pond);
+    expect(record).to.include({
+      name: "Daily ETH",
+      period: "DAILY",
+      tokenSymbol: "ETH",
+      totalValue: "1500000000000000000",
+      totalValueFormatted: "1.5 ETH",
+      endTimeIso: "1970-01-02T00:16:40.000Z",
+      isSelectionEligible: true,
+    });
+    expect(Object.values(record).some((value) => typeof value === "bigint")).to.equal(false);
+  });
+});
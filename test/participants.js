@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const { readParticipants } = require("../lib/participants");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Participants", function () {
+  async function deployFixture() {
+    const [, alice, bob, carol] = await ethers.getSigners();
+
+    const { pondCore } = await deployPonds({ alignTo: 86400 });
+
+    const daily = standardPondId("DAILY");
+    await pondCore.connect(alice).toss(daily, 0, { value: ethers.parseEther("0.1") });
+    await pondCore.connect(bob).toss(daily, 0, { value: ethers.parseEther("0.5") });
+    await pondCore.connect(alice).toss(daily, 0, { value: ethers.parseEther("0.2") });
+    await pondCore.connect(carol).toss(daily, 0, { value: ethers.parseEther("0.2") });
+
+    const client = await PondClient.fromHre(hre, { core: await pondCore.getAddress(), readOnly: true });
+    return { pondCore, client, daily, alice, bob, carol };
+  }
+
+  it("lists participants largest first with toss counts and odds", async function () {
+    const { client, daily, alice, bob, carol } = await loadFixture(deployFixture);
+
+    const { pond, participants, stale } = await readParticipants(client, daily);
+    expect(pond.totalFrogValue).to.equal(ethers.parseEther("1"));
+    expect(stale).to.equal(0);
+    expect(participants.map((participant) => participant.address)).to.deep.equal([
+      bob.address,
+      alice.address,
+      carol.address,
+    ]);
+    expect(participants[1]).to.deep.include({ index: 0, amount: ethers.parseEther("0.3"), tosses: 2, probability: 0.3 });
+    expect(participants.reduce((sum, participant) => sum + participant.probability, 0)).to.be.closeTo(1, 1e-9);
+  });
+
+  it("reads large ponds page by page with the same result", async function () {
+    const { client, daily } = await loadFixture(deployFixture);
+
+    const pages = [];
+    const paged = await readParticipants(client, daily, {
+      pageSize: 2,
+      onPage: (kind, count) => pages.push(`${kind}:${count}`),
+    });
+    expect(pages).to.deep.equal(["participants:2", "participants:3", "tosses:2", "tosses:4"]);
+    expect(paged.participants).to.deep.equal((await readParticipants(client, daily)).participants);
+  });
+
+  it("pages through the list a largePondReset left behind instead of one getPondParticipants call", async function () {
+    const { pondCore, client, daily } = await loadFixture(deployFixture);
+    const [owner] = await ethers.getSigners();
+
+    // More participants than emergencyBatchSize (100), so the reset keeps the list
+    for (let i = 0; i < 100; i++) {
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      await setBalance(wallet.address, ethers.parseEther("1"));
+      await pondCore.connect(wallet).toss(daily, 0, { value: ethers.parseEther("0.01") });
+    }
+    await pondCore.emergencyResetPond(daily);
+    await pondCore.toss(daily, 0, { value: ethers.parseEther("0.4") });
+
+    const guarded = Object.create(client);
+    guarded.core = new Proxy(client.core, {
+      get: (target, key) =>
+        key === "getPondParticipants" ? () => expect.fail("getPondParticipants called") : target[key],
+    });
+    const { pond, participants, stale } = await readParticipants(guarded, daily, { pageSize: 50 });
+    expect(pond.totalParticipants).to.equal(1);
+    expect(stale).to.equal(103);
+    expect(participants).to.have.length(1);
+    expect(participants[0]).to.deep.include({ address: owner.address, tosses: 1, probability: 1 });
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  STANDARD_PERIODS,
+  customPondId,
+  findStandardPond,
+  parsePondId,
+  standardPondId,
+  standardPondIds,
+} = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const TOKEN = "0x1111111111111111111111111111111111111111";
+
+describe("Pond IDs", function () {
+  async function deployFixture() {
+    return deployPonds();
+  }
+
+  it("derives standard pond IDs the way PondFactory does", async function () {
+    const { pondFactory } = await loadFixture(deployFixture);
+
+    for (const tokenAddress of [ethers.ZeroAddress, TOKEN]) {
+      const onChain = [...(await pondFactory.getTokenStandardPondIds(tokenAddress))];
+      expect(Object.values(standardPondIds(tokenAddress))).to.deep.equal(onChain);
+    }
+    expect(standardPondId(2)).to.equal(standardPondId("DAILY"));
+    expect(standardPondId("Daily")).to.equal(standardPondId("DAILY"));
+    expect(() => standardPondId("CUSTOM")).to.throw(/not a standard pond period/);
+  });
+
+  it("derives a custom pond ID from its window and creation time", async function () {
+    const { pondCore, pondFactory } = await loadFixture(deployFixture);
+
+    const start = (await time.latest()) + 100;
+    const tx = await pondFactory.createCustomPond(
+      ethers.ZeroAddress,
+      "ETH",
+      "",
+      start,
+      start + 3600,
+      ethers.parseEther("0.01"),
+      ethers.parseEther("1")
+    );
+    const createdAt = (await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp;
+    const pondTypes = await pondCore.getAllPondTypes();
+
+    expect(customPondId(ethers.ZeroAddress, start, start + 3600, createdAt)).to.equal(pondTypes[pondTypes.length - 1]);
+  });
+
+  it("parses pond references from the command line", function () {
+    const id = standardPondId("HOURLY", TOKEN);
+    expect(parsePondId(id.toUpperCase().replace("0X", "0x"))).to.equal(id);
+    expect(parsePondId(" daily ")).to.equal(standardPondId("DAILY"));
+    expect(parsePondId(`hourly:${TOKEN}`)).to.equal(id);
+    expect(() => parsePondId("0x1234")).to.throw(/not 32 bytes/);
+    expect(() => parsePondId("daily:0x12")).to.throw(/Invalid token address/);
+  });
+
+  it("finds which token and period a standard pond ID belongs to", function () {
+    expect(findStandardPond(standardPondId("WEEKLY", TOKEN), [TOKEN])).to.deep.equal({
+      pondId: standardPondId("WEEKLY", TOKEN),
+      tokenAddress: TOKEN,
+      period: STANDARD_PERIODS.indexOf("WEEKLY"),
+      periodName: "WEEKLY",
+      periodLabel: "Weekly",
+    });
+    expect(findStandardPond(standardPondId("WEEKLY", TOKEN))).to.equal(null);
+    expect(findStandardPond(ethers.ZeroHash, [TOKEN])).to.equal(null);
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const { collectReport, readRoles, renderReportHtml } = require("../lib/report");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("HTML report", function () {
+  async function deployFixture() {
+    const [owner, alice, bob, carol, manager] = await ethers.getSigners();
+
+    const { pondCore, pondFactory, startBlock } = await deployPonds();
+    await pondCore.grantRole(await pondCore.POND_MANAGER_ROLE(), manager.address);
+    await pondCore.revokeRole(await pondCore.POND_MANAGER_ROLE(), manager.address);
+    const start = (await time.latest()) + 10;
+    await pondFactory.createCustomPond(
+      ethers.ZeroAddress,
+      "ETH",
+      "<b>Frog & Friends</b>",
+      start,
+      start + 86400,
+      ethers.parseEther("0.01"),
+      ethers.parseEther("1")
+    );
+
+    const hourly = standardPondId("HOURLY");
+    await pondCore.connect(alice).toss(hourly, 0, { value: ethers.parseEther("0.1") });
+    await pondCore.connect(bob).toss(hourly, 0, { value: ethers.parseEther("0.3") });
+    await time.increaseTo(Number((await pondCore.ponds(hourly)).endTime) + 61);
+    await pondCore.selectLuckyWinner(hourly);
+    for (const signer of [alice, bob, carol]) {
+      await pondCore.connect(signer).toss(standardPondId("DAILY"), 0, { value: ethers.parseEther("0.2") });
+    }
+
+    const client = await PondClient.fromHre(hre, {
+      core: await pondCore.getAddress(),
+      factory: await pondFactory.getAddress(),
+      readOnly: true,
+    });
+    return { client, owner, manager, pondFactory, startBlock };
+  }
+
+  it("rebuilds role members from grants and revocations", async function () {
+    const { client, owner, pondFactory, startBlock } = await loadFixture(deployFixture);
+    const roles = await readRoles(client, { fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber() });
+
+    const core = Object.fromEntries(roles[0].roles.map((role) => [role.name, role.members]));
+    expect(roles.map((entry) => entry.contract)).to.deep.equal(["PondCore", "PondFactory"]);
+    expect(core.DEFAULT_ADMIN_ROLE).to.deep.equal([owner.address]);
+    expect(core.POND_MANAGER_ROLE).to.deep.equal([owner.address]);
+    expect(core.FACTORY_ROLE).to.deep.equal([await pondFactory.getAddress()]);
+    expect(roles[1].roles.map((role) => role.name)).to.not.include("POND_MANAGER_ROLE");
+  });
+
+  it("collects the report data and renders a self-contained page", async function () {
+    const { client, startBlock } = await loadFixture(deployFixture);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    const report = await collectReport(client, { fromBlock: startBlock, toBlock, top: 2 });
+    expect(report.ponds).to.have.length(6);
+    expect(report.winners).to.have.length(1);
+    expect(report.fees.totals[0].feesFormatted).to.equal("0.02 ETH");
+    expect(report.config.feePercent).to.equal(5);
+
+    const [daily] = report.distributions;
+    expect(daily).to.include({ name: "Daily ETH Pond", participants: 3 });
+    expect(daily.shares.map((share) => share.label)).to.deep.equal([
+      daily.shares[0].label,
+      daily.shares[1].label,
+      "1 others",
+    ]);
+
+    const html = renderReportHtml(report);
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html).to.include("<svg");
+    expect(html).to.include("&lt;b&gt;Frog &amp; Friends&lt;/b&gt;");
+    expect(html).to.not.include("<b>Frog");
+    expect(html).to.not.match(/<script|<link|<img|src=|url\(/);
+    expect(html).to.include("0.38 ETH");
+  });
+});
@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  truncateToDay,
+  getDayOfWeek,
+  timestampToDate,
+  dateToTimestamp,
+  getFirstOfMonthTimestamp,
+  windowAt,
+  projectSchedule,
+} = require("../lib/schedule");
+const { decodeConfig, effectiveTimelock } = require("../lib/models");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const utc = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+// Month and year boundaries, leap days and plain mid-period times
+const GOLDEN_TIMESTAMPS = [
+  0,
+  86399,
+  86400,
+  utc("1999-12-31T23:59:59Z"),
+  utc("2000-02-29T12:00:00Z"),
+  utc("2024-02-29T23:59:59Z"),
+  utc("2024-03-01T00:00:00Z"),
+  utc("2025-12-31T23:59:59Z"),
+  utc("2027-01-30T08:15:00Z"),
+  utc("2027-01-31T23:00:00Z"),
+  utc("2027-06-15T13:37:11Z"),
+  utc("2028-11-05T00:00:00Z"),
+  utc("2100-02-28T18:00:00Z"),
+  utc("2100-03-01T00:00:01Z"),
+];
+
+// Reset times in the future relative to the fixture, in increasing order
+const RESET_TIMESTAMPS = [
+  utc("2027-01-30T08:15:00Z"),
+  utc("2027-01-31T23:00:00Z"),
+  utc("2027-03-07T00:00:00Z"),
+  utc("2028-02-29T12:34:56Z"),
+  utc("2028-12-31T23:59:59Z"),
+];
+
+describe("Pond schedule calculator", function () {
+  async function deployFixture() {
+    const [owner] = await ethers.getSigners();
+
+    const harness = await (await ethers.getContractFactory("PondUtilsHarness")).deploy();
+
+    // Standard native ponds get their first window from PondFactory
+    const { pondCore, createdAt } = await deployPonds({ alignTo: 0, maxTossAmount: "1" });
+    await pondCore.grantRole(await pondCore.FACTORY_ROLE(), owner.address);
+
+    const now = await time.latest();
+    const customPondType = ethers.keccak256(ethers.toUtf8Bytes("SCHEDULE_CUSTOM"));
+    await pondCore.createPond(
+      customPondType,
+      "Custom Pond",
+      now,
+      now + 5000,
+      ethers.parseEther("0.01"),
+      ethers.parseEther("1"),
+      0,
+      ethers.ZeroAddress,
+      5
+    );
+
+    const config = decodeConfig(await pondCore.getConfig());
+    return { harness, pondCore, config, customPondType, createdAt };
+  }
+
+  async function readWindow(pondCore, pondType) {
+    const pond = await pondCore.ponds(pondType);
+    return { startTime: Number(pond.startTime), endTime: Number(pond.endTime) };
+  }
+
+  // Reset an empty pond at exactly `timestamp`
+  async function resetAt(pondCore, pondType, timestamp) {
+    await time.setNextBlockTimestamp(timestamp);
+    await pondCore.selectLuckyWinner(pondType);
+  }
+
+  describe("PondUtils date helpers", function () {
+    it("match the Solidity library for every golden timestamp", async function () {
+      const { harness } = await loadFixture(deployFixture);
+
+      for (const ts of GOLDEN_TIMESTAMPS) {
+        expect(truncateToDay(ts), `truncateToDay(${ts})`).to.equal(Number(await harness.truncateToDay(ts)));
+        expect(getDayOfWeek(ts), `getDayOfWeek(${ts})`).to.equal(Number(await harness.getDayOfWeek(ts)));
+        expect(getFirstOfMonthTimestamp(ts), `getFirstOfMonthTimestamp(${ts})`).to.equal(
+          Number(await harness.getFirstOfMonthTimestamp(ts))
+        );
+
+        const [year, month, day] = await harness.timestampToDate(ts);
+        expect(timestampToDate(ts), `timestampToDate(${ts})`).to.deep.equal({
+          year: Number(year),
+          month: Number(month),
+          day: Number(day),
+        });
+
+        const date = timestampToDate(ts);
+        expect(dateToTimestamp(date.year, date.month, date.day)).to.equal(
+          Number(await harness.dateToTimestamp(date.year, date.month, date.day))
+        );
+      }
+    });
+
+    it("numbers days the way the contract does (Sunday = 1)", async function () {
+      expect(getDayOfWeek(utc("2027-01-03T12:00:00Z"))).to.equal(1); // Sunday
+      expect(getDayOfWeek(utc("2027-01-04T12:00:00Z"))).to.equal(2); // Monday
+    });
+  });
+
+  describe("windowAt", function () {
+    it("matches the first window PondFactory creates", async function () {
+      const { pondCore, createdAt } = await loadFixture(deployFixture);
+
+      for (const period of [0, 1, 2, 3, 4]) {
+        const onChain = await readWindow(pondCore, standardPondId(period));
+        expect(windowAt(period, createdAt)).to.deep.equal(onChain);
+      }
+    });
+
+    for (const period of [0, 1, 2, 3, 4]) {
+      it(`matches _resetPond for period ${period}`, async function () {
+        const { pondCore, config } = await loadFixture(deployFixture);
+        const pondType = standardPondId(period);
+
+        for (const ts of RESET_TIMESTAMPS) {
+          // Long windows (e.g. a two-month window after a late-January reset) may still be running
+          const current = await readWindow(pondCore, pondType);
+          const at = Math.max(ts, current.endTime + effectiveTimelock(period, config) + 1);
+
+          await resetAt(pondCore, pondType, at);
+          expect(await readWindow(pondCore, pondType), `reset at ${at}`).to.deep.equal(windowAt(period, at));
+        }
+      });
+    }
+
+    it("stretches a monthly window reset late in January through February", function () {
+      expect(windowAt(4, utc("2027-01-30T08:15:00Z"))).to.deep.equal({
+        startTime: utc("2027-01-01T00:00:00Z"),
+        endTime: utc("2027-02-28T23:59:59Z"),
+      });
+    });
+
+    it("keeps the CUSTOM duration but drifts to the reset time", async function () {
+      const { pondCore, customPondType } = await loadFixture(deployFixture);
+
+      let previous = await readWindow(pondCore, customPondType);
+      for (const ts of RESET_TIMESTAMPS) {
+        await resetAt(pondCore, customPondType, ts);
+        const expected = windowAt(5, ts, previous);
+        expect(await readWindow(pondCore, customPondType)).to.deep.equal(expected);
+        previous = expected;
+      }
+    });
+  });
+
+  describe("projectSchedule", function () {
+    for (const period of [0, 1, 2, 3, 4, 5]) {
+      it(`predicts the next rounds for period ${period} when reset on time`, async function () {
+        const { pondCore, config, customPondType } = await loadFixture(deployFixture);
+        const pondType = period === 5 ? customPondType : standardPondId(period);
+
+        const start = await readWindow(pondCore, pondType);
+        const rounds = projectSchedule({ ...start, period }, config, { count: 3 });
+
+        expect(rounds[0]).to.include(start);
+        for (let i = 1; i < rounds.length; i++) {
+          // Winner selection is rejected until the effective timelock has passed
+          await time.setNextBlockTimestamp(rounds[i - 1].selectionEligibleAt - 1);
+          await expect(pondCore.selectLuckyWinner(pondType)).to.be.revertedWithCustomError(
+            pondCore,
+            "TimelockActive"
+          );
+
+          await resetAt(pondCore, pondType, rounds[i - 1].resetAt);
+          const onChain = await readWindow(pondCore, pondType);
+          expect(onChain).to.deep.equal({ startTime: rounds[i].startTime, endTime: rounds[i].endTime });
+        }
+      });
+    }
+
+    it("starts from now when the current round is overdue", async function () {
+      const { config } = await loadFixture(deployFixture);
+      const pond = { startTime: utc("2027-01-04T00:00:00Z"), endTime: utc("2027-01-04T23:59:59Z"), period: 2 };
+      const now = utc("2027-01-06T10:00:00Z");
+
+      const [current, next] = projectSchedule(pond, config, { count: 2, now });
+      expect(current.resetAt).to.equal(now);
+      expect(next.startTime).to.equal(utc("2027-01-06T00:00:00Z"));
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const { ZeroAddress } = require("ethers");
+const { TokenResolver, formatAmount, matchesToken, parseAmount } = require("../lib/tokens");
+
+const USDC = "0x1111111111111111111111111111111111111111";
+const FROG = "0x2222222222222222222222222222222222222222";
+const BROKEN = "0x3333333333333333333333333333333333333333";
+
+describe("Tokens", function () {
+  const usdc = { symbol: "USDC", decimals: 6 };
+
+  it("parses and formats amounts in token units", function () {
+    expect(parseAmount("1.5", usdc)).to.equal(1_500_000n);
+    expect(parseAmount(" 2 usdc ", usdc)).to.equal(2_000_000n);
+    expect(formatAmount(1_500_000n, usdc)).to.equal("1.5 USDC");
+    expect(() => parseAmount("1 HYPE", usdc)).to.throw(/not in USDC/);
+    expect(() => parseAmount("0.0000001", usdc)).to.throw(/Invalid USDC amount .*6 decimals/);
+    expect(() => parseAmount("abc", usdc)).to.throw(/Invalid USDC amount/);
+  });
+
+  it("matches --token filters by address, symbol or native", function () {
+    expect(matchesToken("native", ZeroAddress, { symbol: "HYPE" })).to.equal(true);
+    expect(matchesToken("native", USDC, usdc)).to.equal(false);
+    expect(matchesToken(USDC, USDC, usdc)).to.equal(true);
+    expect(matchesToken("usdc", USDC, usdc)).to.equal(true);
+    expect(matchesToken("HYPE", USDC, usdc)).to.equal(false);
+  });
+
+  describe("TokenResolver", function () {
+    let dir;
+    let fetched;
+    let warn;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "tokens-"));
+      fs.writeFileSync(path.join(dir, "overrides.json"), JSON.stringify({ 998: { [FROG]: { symbol: "FROG", decimals: 0 } } }));
+      fetched = [];
+      warn = console.warn;
+      console.warn = () => {};
+    });
+
+    afterEach(function () {
+      console.warn = warn;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function resolver() {
+      return new TokenResolver({
+        chainId: 998,
+        nativeSymbol: "HYPE",
+        cacheDir: path.join(dir, "cache"),
+        overridesFile: path.join(dir, "overrides.json"),
+        fetchMetadata: async (address) => {
+          fetched.push(address);
+          if (address === BROKEN) throw new Error("execution reverted");
+          return { symbol: "USDC", decimals: 6n };
+        },
+      });
+    }
+
+    it("resolves native, override, chain and cached tokens in that order", async function () {
+      const tokens = resolver();
+      expect(await tokens.resolve(ZeroAddress)).to.include({ symbol: "HYPE", decimals: 18, isNative: true, source: "native" });
+      expect(await tokens.resolve(FROG)).to.include({ symbol: "FROG", decimals: 0, source: "override" });
+      expect(await tokens.resolve(USDC)).to.include({ symbol: "USDC", decimals: 6, source: "chain" });
+      expect(await tokens.resolve(USDC)).to.include({ source: "cache" });
+      expect(fetched).to.deep.equal([USDC]);
+
+      // A later run reads the cache file instead of the chain
+      expect(await resolver().resolve(USDC)).to.include({ symbol: "USDC", source: "cache" });
+      expect(fetched).to.deep.equal([USDC]);
+    });
+
+    it("falls back for tokens without metadata and retries them on the next run", async function () {
+      const tokens = resolver();
+      expect(await tokens.resolve(BROKEN)).to.include({ symbol: "TOKEN", decimals: 18, source: "fallback" });
+      await tokens.resolve(BROKEN);
+      expect(fetched).to.deep.equal([BROKEN]);
+
+      await resolver().resolve(BROKEN);
+      expect(fetched).to.deep.equal([BROKEN, BROKEN]);
+    });
+
+    it("forgets cached tokens so they are fetched again", async function () {
+      const tokens = resolver();
+      await tokens.resolve(USDC);
+      tokens.forget(USDC);
+      await tokens.resolve(USDC);
+      expect(fetched).to.deep.equal([USDC, USDC]);
+    });
+  });
+});
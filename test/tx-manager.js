@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TxManager } = require("../lib/tx-manager");
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+describe("TxManager", function () {
+  afterEach(async function () {
+    await ethers.provider.send("evm_setAutomine", [true]);
+  });
+
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+    const PondCore = await ethers.getContractFactory("PondCore");
+    const pondCore = await PondCore.deploy(owner.address, 5, 60, 1000);
+    return { pondCore, owner, alice, bob };
+  }
+
+  function newManager(signer, options = {}) {
+    return new TxManager(signer, { pollInterval: 0.05, logger: silent, ...options });
+  }
+
+  const payment = (to) => ({ to: to.address, value: ethers.parseEther("0.01") });
+
+  it("counts nonces locally for back-to-back sends", async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const txs = newManager(alice);
+    const start = await ethers.provider.getTransactionCount(alice.address);
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const records = [];
+    for (let i = 0; i < 3; i++) {
+      records.push(await txs.submit(payment(bob)));
+    }
+    expect(records.map((record) => record.nonce)).to.deep.equal([start, start + 1, start + 2]);
+
+    await ethers.provider.send("evm_mine", []);
+    for (const record of records) {
+      expect((await txs.wait(record)).status).to.equal(1);
+    }
+  });
+
+  it("rebroadcasts a stuck transaction with bumped fees", async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const txs = newManager(alice, { stuckAfter: 0, maxBumps: 1 });
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const record = await txs.submit(payment(bob));
+    const first = { hash: record.hash, fees: record.fees };
+
+    let saved = 0;
+    const error = await txs.wait(record, { timeout: 0.2, onBroadcast: () => saved++ }).catch((e) => e);
+    expect(error.code).to.equal("TIMEOUT");
+    expect(saved).to.equal(1);
+    expect(record.hashes).to.deep.equal([first.hash, record.hash]);
+    expect(BigInt(record.fees.maxFeePerGas)).to.be.at.least((BigInt(first.fees.maxFeePerGas) * 120n) / 100n);
+
+    await ethers.provider.send("evm_mine", []);
+    const receipt = await txs.wait(record);
+    expect(receipt.hash).to.equal(record.hash);
+    expect(await ethers.provider.getTransactionReceipt(first.hash)).to.equal(null);
+  });
+
+  it("sends a dropped transaction again", async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const txs = newManager(alice);
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const record = await txs.submit(payment(bob));
+    await ethers.provider.send("hardhat_dropTransaction", [record.hash]);
+    expect((await txs.status(record)).state).to.equal("dropped");
+
+    await ethers.provider.send("evm_setAutomine", [true]);
+    const receipt = await txs.wait(record);
+    expect(record.hashes).to.have.length(2);
+    expect(receipt.hash).to.equal(record.hash);
+  });
+
+  it("cancels a pending transaction with a zero-value transfer to itself", async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const txs = newManager(alice);
+    const balance = await ethers.provider.getBalance(bob.address);
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const record = await txs.submit(payment(bob));
+    const original = record.hash;
+    expect(await txs.cancel(record)).to.equal(true);
+
+    // Waiting reports the cancel, not a success of the payment
+    await ethers.provider.send("evm_mine", []);
+    const error = await txs.wait(record).catch((e) => e);
+    expect(error).to.include({ code: "TRANSACTION_REPLACED", cancelled: true, hash: original });
+    const mined = await ethers.provider.getTransaction(error.receipt.hash);
+    expect(mined.to).to.equal(alice.address);
+    expect(mined.value).to.equal(0n);
+    expect(await ethers.provider.getBalance(bob.address)).to.equal(balance);
+    expect(await txs.cancel(record)).to.equal(false);
+  });
+
+  it("reports the original transaction when it is mined instead of the cancel", async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const txs = newManager(alice);
+    const balance = await ethers.provider.getBalance(bob.address);
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const record = await txs.submit(payment(bob));
+    const signed = ethers.Transaction.from(await ethers.provider.getTransaction(record.hash)).serialized;
+    expect(await txs.cancel(record)).to.equal(true);
+
+    // The cancel loses the race: the node ends up with the payment again
+    await ethers.provider.send("hardhat_dropTransaction", [record.hash]);
+    await ethers.provider.send("eth_sendRawTransaction", [signed]);
+    await ethers.provider.send("evm_mine", []);
+    const receipt = await txs.wait(record);
+    expect(receipt.hash).to.equal(record.hashes[0]);
+    expect(await ethers.provider.getBalance(bob.address)).to.equal(balance + ethers.parseEther("0.01"));
+  });
+
+  it("throws with the receipt when a transaction reverts", async function () {
+    const { pondCore, alice } = await loadFixture(deployFixture);
+    const txs = newManager(alice);
+    const start = await ethers.provider.getTransactionCount(alice.address);
+
+    const request = await pondCore.toss.populateTransaction(ethers.id("NO_SUCH_POND"), 0, {
+      value: ethers.parseEther("0.01"),
+      gasLimit: 200_000,
+    });
+    const error = await txs.execute(request).catch((e) => e);
+    expect(error.code).to.equal("CALL_EXCEPTION");
+    expect(error.receipt.status).to.equal(0);
+
+    // The nonce was used, so the next send follows on
+    const next = await txs.submit(payment(alice));
+    expect(next.nonce).to.equal(start + 1);
+  });
+
+  it("reports a nonce taken by another sender as replaced", async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const txs = newManager(alice);
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const record = await txs.submit(payment(bob));
+    await ethers.provider.send("hardhat_dropTransaction", [record.hash]);
+    await ethers.provider.send("evm_setAutomine", [true]);
+    await alice.sendTransaction({ to: alice.address, nonce: record.nonce });
+
+    expect((await txs.status(record)).state).to.equal("replaced");
+    const error = await txs.wait(record).catch((e) => e);
+    expect(error.code).to.equal("NONCE_EXPIRED");
+  });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const { findUpkeepTargets, runUpkeep } = require("../lib/upkeep");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Upkeep", function () {
+  async function deployFixture() {
+    const [, alice, bob] = await ethers.getSigners();
+
+    const { pondCore } = await deployPonds();
+
+    const fiveMin = standardPondId("FIVE_MINUTES");
+    const hourly = standardPondId("HOURLY");
+    for (const signer of [alice, bob]) {
+      await pondCore.connect(signer).toss(hourly, 0, { value: ethers.parseEther("0.2") });
+    }
+
+    // Past the hourly round plus its timelock; the five-minute pond is over too, but empty
+    const pond = await pondCore.ponds(hourly);
+    await time.increaseTo(Number(pond.endTime) + 61);
+
+    return { pondCore, fiveMin, hourly, players: [alice.address, bob.address] };
+  }
+
+  // A fresh client per test: its transaction manager counts nonces locally, and fixtures rewind the chain
+  async function setup() {
+    const fixture = await loadFixture(deployFixture);
+    const client = await PondClient.fromHre(hre, { core: await fixture.pondCore.getAddress() });
+    return { ...fixture, client };
+  }
+
+  it("targets checkUpkeep's first hit, one pond or every eligible pond", async function () {
+    const { client, fiveMin, hourly } = await setup();
+
+    expect(await findUpkeepTargets(client)).to.deep.equal([fiveMin]);
+    expect(await findUpkeepTargets(client, { pond: hourly })).to.deep.equal([hourly]);
+    expect(await findUpkeepTargets(client, { all: true })).to.have.members([fiveMin, hourly]);
+  });
+
+  it("simulates without sending on a dry run", async function () {
+    const { pondCore, client, hourly } = await setup();
+    const nonce = await ethers.provider.getTransactionCount(client.signerAddress);
+
+    const result = await runUpkeep(client, hourly, { dryRun: true });
+    expect(result.status).to.equal("dry-run");
+    expect(Number(result.gasEstimate)).to.be.greaterThan(21_000);
+    expect(result.estimatedCost).to.match(/ETH$/);
+    expect(await ethers.provider.getTransactionCount(client.signerAddress)).to.equal(nonce);
+    expect((await pondCore.ponds(hourly)).prizeDistributed).to.equal(false);
+  });
+
+  it("decodes the winner, selection details, gas report and reset from the receipt", async function () {
+    const { client, hourly, players } = await setup();
+
+    const result = await runUpkeep(client, hourly);
+    expect(result.status).to.equal("winner");
+    expect(players).to.include(result.winner.address);
+    expect(result.winner.selector).to.equal(client.signerAddress);
+    expect(result.winner.prize).to.equal(ethers.parseEther("0.38").toString());
+    expect(result.winner.prizeFormatted).to.equal("0.38 ETH");
+
+    expect(result.selection.totalFrogValue).to.equal(ethers.parseEther("0.4").toString());
+    // The threshold is the running total at the winner: 0.4 ETH exactly when the last tosser wins
+    expect(BigInt(result.selection.winningThreshold)).to.be.at.most(BigInt(result.selection.totalFrogValue));
+    expect(BigInt(result.selection.winningThreshold)).to.be.greaterThan(BigInt(result.selection.randomValue));
+    expect(result.gasReports.map((report) => report.operation)).to.deep.equal(["selectWinner"]);
+    expect(Number(result.gasReports[0].gasUsed)).to.be.greaterThan(0);
+    expect(result.pondActions.map((action) => action.actionType)).to.deep.equal(["reset"]);
+
+    // Nothing left to select; a second run is skipped by the pre-flight call
+    const again = await runUpkeep(client, hourly);
+    expect(again.status).to.equal("skipped");
+    expect(again.reason).to.include("TimelockActive");
+    expect(JSON.parse(JSON.stringify(result))).to.deep.equal(result);
+  });
+
+  it("resets empty ponds", async function () {
+    const { client, fiveMin } = await setup();
+
+    const result = await runUpkeep(client, fiveMin);
+    expect(result.status).to.equal("reset");
+    expect(result.winner).to.equal(null);
+    expect(result.pondActions[0]).to.include({ pondType: fiveMin, actionType: "reset" });
+  });
+});
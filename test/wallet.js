@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { PondClient } = require("../lib/client");
+const { readPositions, readWallet } = require("../lib/wallet");
+const { MULTICALL3_ADDRESS } = require("../lib/multicall");
+const { standardPondId } = require("../lib/pond-ids");
+const { deployPonds } = require("./fixtures");
+
+const { ethers } = hre;
+
+describe("Wallet", function () {
+  async function deployFixture() {
+    const [, alice, bob] = await ethers.getSigners();
+
+    const { pondCore, pondFactory, startBlock } = await deployPonds({ alignTo: 86400 });
+
+    // Alice wins a five-minute round on her own, then joins the daily and weekly ponds
+    const fiveMinutes = standardPondId("FIVE_MINUTES");
+    await pondCore.connect(alice).toss(fiveMinutes, 0, { value: ethers.parseEther("0.1") });
+    await pondCore.connect(alice).toss(fiveMinutes, 0, { value: ethers.parseEther("0.1") });
+    await time.increaseTo(Number((await pondCore.ponds(fiveMinutes)).endTime) + 60);
+    await pondCore.selectLuckyWinner(fiveMinutes);
+
+    const daily = standardPondId("DAILY");
+    await pondCore.connect(alice).toss(daily, 0, { value: ethers.parseEther("0.3") });
+    await pondCore.connect(bob).toss(daily, 0, { value: ethers.parseEther("0.1") });
+    await pondCore.connect(alice).topUpPond(daily, 0, { value: ethers.parseEther("0.05") });
+    await pondCore.connect(alice).toss(standardPondId("WEEKLY"), 0, { value: ethers.parseEther("0.1") });
+
+    const client = await PondClient.fromHre(hre, {
+      core: await pondCore.getAddress(),
+      factory: await pondFactory.getAddress(),
+      readOnly: true,
+    });
+    return { client, alice, bob, startBlock };
+  }
+
+  it("reads the wallet's position in every pond with toss counts and odds", async function () {
+    const { client, alice, startBlock } = await loadFixture(deployFixture);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    // The weekly round began before deployment, so only a scan from deployment counts its tosses
+    const { positions } = await readWallet(client, alice.address, { fromBlock: 0, toBlock, batchSize: 2 });
+    expect(positions).to.have.length(5);
+
+    const byName = Object.fromEntries(positions.map((position) => [position.name, position]));
+    expect(byName["Daily ETH Pond"]).to.include({ amountFormatted: "0.3 ETH", tosses: 1, probability: 0.75, phase: "open", stale: false });
+    expect(byName["Weekly ETH Pond"]).to.include({ tosses: 1, probability: 1 });
+    expect(byName["5-Min ETH Pond"]).to.include({ amount: 0n, tosses: 0, wonLastRound: true });
+    expect(byName["Daily ETH Pond"].selectionEligibleAt).to.be.greaterThan(await time.latest());
+  });
+
+  it("reads positions through Multicall3, one call per batch of ponds", async function () {
+    const { client, alice } = await loadFixture(deployFixture);
+    await readPositions(client, alice.address); // finds no Multicall3 and keeps calling directly
+
+    const mock = await (await ethers.getContractFactory("Multicall3Mock")).deploy();
+    await ethers.provider.send("hardhat_setCode", [MULTICALL3_ADDRESS, await ethers.provider.getCode(await mock.getAddress())]);
+    const direct = await readPositions(client, alice.address);
+    const batched = await PondClient.fromHre(hre, { core: await client.core.getAddress(), readOnly: true });
+
+    const targets = [];
+    const call = batched.provider.call;
+    batched.provider.call = (tx) => {
+      targets.push(tx.to.toLowerCase());
+      return call.call(batched.provider, tx);
+    };
+    try {
+      const { positions } = await readPositions(batched, alice.address, { batchSize: 3 });
+      expect(positions).to.deep.equal(direct.positions);
+    } finally {
+      batched.provider.call = call;
+    }
+    // getAllPondTypes and getConfig on PondCore, then 5 ponds in two aggregate3 calls
+    expect(targets.filter((to) => to === MULTICALL3_ADDRESS.toLowerCase())).to.have.length(2);
+    expect(targets.filter((to) => to !== MULTICALL3_ADDRESS.toLowerCase())).to.have.length(2);
+  });
+
+  it("summarizes lifetime tosses, top-ups, wins and the net result", async function () {
+    const { client, alice, bob, startBlock } = await loadFixture(deployFixture);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    const { summary } = await readWallet(client, alice.address, { fromBlock: startBlock, toBlock, chunk: 3 });
+    expect(summary).to.have.length(1);
+    expect(summary[0]).to.include({
+      tokenSymbol: "ETH",
+      ponds: 3,
+      tosses: 4,
+      tossedFormatted: "0.6 ETH",
+      toppedUpFormatted: "0.05 ETH",
+      wins: 1,
+      wonFormatted: "0.19 ETH",
+      refunded: 0n,
+      inPlayFormatted: "0.4 ETH",
+      netFormatted: "-0.46 ETH",
+    });
+
+    const { summary: bobs } = await readWallet(client, bob.address, { fromBlock: startBlock, toBlock });
+    expect(bobs[0]).to.include({ tosses: 1, wins: 0, netFormatted: "-0.1 ETH" });
+  });
+
+  it("leaves toss counts unknown when the history starts inside the round", async function () {
+    const { client, alice } = await loadFixture(deployFixture);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    const { positions, summary } = await readWallet(client, alice.address, { fromBlock: toBlock, toBlock });
+    const daily = positions.find((position) => position.name === "Daily ETH Pond");
+    expect(daily).to.include({ tosses: null, stale: false, amountFormatted: "0.3 ETH" });
+    expect(summary[0]).to.include({ tosses: 1, inPlayFormatted: "0.4 ETH" });
+  });
+});